@@ -5,6 +5,7 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { Pool } = require('pg');
 const Redis = require('ioredis'); // Import Redis
+const config = require('./config');
 
 // Import routes
 const identityRoutes = require('./routes/identity');
@@ -12,10 +13,17 @@ const credentialRoutes = require('./routes/credential');
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
 const kycRoutes = require('./routes/kycRoutes');
+const statusRoutes = require('./routes/status');
+const schemaRoutes = require('./routes/schemas');
+const oid4vciRoutes = require('./routes/oid4vci');
+const oid4vpRoutes = require('./routes/oid4vp');
+const wellKnownRoutes = require('./routes/wellKnown');
+const didWebRoutes = require('./routes/didWeb');
+const resolverRoutes = require('./routes/resolver');
 
 // Import middleware
 const { errorHandler } = require('./middleware/error');
-const { authenticateJWT } = require('./middleware/auth');
+const { authenticateJWT, restrictApiKeys } = require('./middleware/auth');
 
 // Initialize express app
 const app = express();
@@ -82,7 +90,7 @@ app.use('/api/kyc/webhook', express.raw({ type: 'application/json' }));
 // Basic security middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: config.server.bodyLimit }));
 app.use(morgan('combined'));
 
 // Rate limiting
@@ -100,12 +108,27 @@ const apiLimiter = rateLimit({
 // Apply rate limiting to all routes
 app.use(apiLimiter);
 
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/identity', authenticateJWT, identityRoutes);
-app.use('/api/credential', authenticateJWT, credentialRoutes);
-app.use('/api/admin', authenticateJWT, adminRoutes);
-app.use('/api/kyc', kycRoutes);
+// The public resolver may fetch did:web documents from other hosts
+const resolverLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: config.did.resolverRateLimit,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Routes; API keys are refused wherever a route does not check their scopes
+app.use('/api/auth', restrictApiKeys(authRoutes));
+app.use('/api/identity', authenticateJWT, restrictApiKeys(identityRoutes));
+app.use('/api/credential', authenticateJWT, restrictApiKeys(credentialRoutes));
+app.use('/api/admin', authenticateJWT, restrictApiKeys(adminRoutes));
+app.use('/api/kyc', restrictApiKeys(kycRoutes));
+app.use('/api/status', statusRoutes);
+app.use('/api/schemas', schemaRoutes);
+app.use('/api/oid4vci', restrictApiKeys(oid4vciRoutes));
+app.use('/api/oid4vp', restrictApiKeys(oid4vpRoutes));
+app.use('/.well-known', wellKnownRoutes);
+app.use('/1.0', resolverLimiter, resolverRoutes);
+app.use(didWebRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,48 @@
+pragma circom 2.1.6;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/bitify.circom";
+
+// Proves that a DID and its SBT hold a KYC verification of at least
+// minLevel without revealing the level, the provider or when it was
+// verified. The commitment binds the proof to those hidden values; verifiers
+// match it against the commitment recorded for the proof.
+template KycLevel() {
+    // Private inputs
+    signal input kycLevel;     // 1 BASIC, 2 ADVANCED, 3 BUSINESS
+    signal input providerHash; // Provider name hashed into the field
+    signal input verifiedAt;   // Unix time of the verification (seconds)
+    signal input salt;         // Random blinding factor
+
+    // Public inputs
+    signal input didHash;      // DID hashed into the field
+    signal input sbtTokenId;
+    signal input minLevel;
+
+    signal output commitment;
+
+    // The comparison holds only for 8-bit operands
+    component levelBits = Num2Bits(8);
+    levelBits.in <== kycLevel;
+
+    component minLevelBits = Num2Bits(8);
+    minLevelBits.in <== minLevel;
+
+    component atLeast = GreaterEqThan(8);
+    atLeast.in[0] <== kycLevel;
+    atLeast.in[1] <== minLevel;
+    atLeast.out === 1;
+
+    component hash = Poseidon(6);
+    hash.inputs[0] <== didHash;
+    hash.inputs[1] <== sbtTokenId;
+    hash.inputs[2] <== kycLevel;
+    hash.inputs[3] <== providerHash;
+    hash.inputs[4] <== verifiedAt;
+    hash.inputs[5] <== salt;
+
+    commitment <== hash.out;
+}
+
+component main { public [didHash, sbtTokenId, minLevel] } = KycLevel();
@@ -5,6 +5,19 @@
 
 require('dotenv').config();
 
+/**
+ * Read an environment variable the server cannot run without
+ * @param {String} name - Variable name
+ * @returns {String} - Its value
+ */
+const required = (name) => {
+  if (!process.env[name]) {
+    throw new Error(`Missing required environment variable ${name}`);
+  }
+
+  return process.env[name];
+};
+
 module.exports = {
   // App configuration
   app: {
@@ -17,6 +30,8 @@ module.exports = {
   server: {
     port: process.env.PORT || 3000,
     env: process.env.NODE_ENV || 'development',
+    // Largest JSON request body accepted (batch issuance uploads are the biggest)
+    bodyLimit: process.env.BODY_LIMIT || '5mb',
     cors: {
       origin: process.env.CORS_ORIGIN || '*',
       methods: ['GET', 'POST', 'PUT', 'DELETE']
@@ -45,7 +60,17 @@ module.exports = {
   // JWT configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'your-secret-key-for-development-only',
-    expiry: process.env.JWT_EXPIRY || '24h'
+    expiry: process.env.JWT_EXPIRY || '15m', // Access token lifetime
+    refreshExpiry: process.env.REFRESH_TOKEN_EXPIRY || '30d'
+  },
+  
+  // Sign-In with Ethereum (EIP-4361) / Sign-In with Solana configuration
+  auth: {
+    domain: process.env.AUTH_DOMAIN, // Defaults to the host of APP_URL
+    uri: process.env.AUTH_URI, // Defaults to the origin of APP_URL
+    evmChainIds: process.env.AUTH_EVM_CHAIN_IDS || process.env.POLYGON_CHAIN_ID || '80002',
+    solanaChainIds: process.env.AUTH_SOLANA_CHAIN_IDS || 'devnet',
+    challengeTtl: parseInt(process.env.AUTH_CHALLENGE_TTL || '300') // 5 minutes
   },
   
   // Polygon configuration
@@ -55,7 +80,17 @@ module.exports = {
     bridgeAddress: process.env.POLYGON_BRIDGE_ADDRESS || '0xEDe05747FB7d095d3562e7169B5632A3fBe6e9Bd',
     soulboundNFTAddress: process.env.POLYGON_SOULBOUND_ADDRESS || '0x224434fd5e24Cc3EA7E227327B6f4be0A43969F9 ',
     privateKey: process.env.POLYGON_PRIVATE_KEY || process.env.PRIVATE_KEY,
-    gasLimit: parseInt(process.env.POLYGON_GAS_LIMIT || '3000000')
+    gasLimit: parseInt(process.env.POLYGON_GAS_LIMIT || '3000000'),
+    // Token status (SoulboundNFT updateCredentialStatus) set when the token's DID is deactivated
+    sbtDeactivatedStatus: parseInt(process.env.SBT_DEACTIVATED_STATUS || '2')
+  },
+  
+  // On-chain AccessControl role synchronization
+  roleSync: {
+    enabled: process.env.ROLE_SYNC_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.ROLE_SYNC_INTERVAL_MS || '300000'), // 5 minutes
+    startBlock: process.env.ROLE_SYNC_START_BLOCK, // Defaults to the latest block on first run
+    blockRange: parseInt(process.env.ROLE_SYNC_BLOCK_RANGE || '2000')
   },
   
   // Solana configuration
@@ -79,7 +114,107 @@ module.exports = {
   did: {
     method: process.env.DID_METHOD || 'did:example',
     // How long to cache DID documents in seconds
-    cacheTTL: parseInt(process.env.DID_CACHE_TTL || '3600')
+    cacheTTL: parseInt(process.env.DID_CACHE_TTL || '3600'),
+    // Secret used to encrypt the signing keys held for DIDs
+    keySecret: required('DID_KEY_SECRET'),
+    // Domain (host[:port]) our did:web documents are served from
+    webDomain: process.env.DID_WEB_DOMAIN || 'localhost:3000',
+    // Timeout for fetching did:web documents hosted elsewhere, in milliseconds
+    webResolveTimeout: parseInt(process.env.DID_WEB_RESOLVE_TIMEOUT || '5000'),
+    // Ports other than 443 that did:web documents hosted elsewhere may be fetched from
+    webAllowedPorts: (process.env.DID_WEB_ALLOWED_PORTS || '')
+      .split(',')
+      .map(port => port.trim())
+      .filter(Boolean),
+    // Universal resolver requests allowed per client IP per minute
+    resolverRateLimit: parseInt(process.env.DID_RESOLVER_RATE_LIMIT || '30'),
+    // ERC-1056 registry did:ethr identities are read from (on the Polygon provider's network)
+    ethrRegistry: process.env.DID_ETHR_REGISTRY || '0xdCa7EF03e98e0DC2B855bE647C39ABe984fcF21B',
+    // did:ethr network names that refer to the Polygon provider's network
+    ethrNetworks: (process.env.DID_ETHR_NETWORKS ||
+      `0x${Number(process.env.POLYGON_CHAIN_ID || '80002').toString(16)}`).split(',').map(name => name.trim()),
+    // How long guardians have to approve a recovery request, in seconds (default 7 days)
+    recoveryRequestTTL: parseInt(process.env.DID_RECOVERY_REQUEST_TTL || '604800')
+  },
+  
+  // KYC configuration
+  kyc: {
+    // Secret used to encrypt the salts that open KYC proof commitments
+    proofSecret: required('KYC_PROOF_SECRET')
+  },
+  
+  // Verifiable credential configuration
+  credentials: {
+    // Data Integrity cryptosuite: eddsa-rdfc-2022 or ecdsa-secp256k1-2019
+    cryptosuite: process.env.CREDENTIAL_CRYPTOSUITE || 'eddsa-rdfc-2022',
+    // How long a verifier's presentation challenge stays valid in seconds
+    presentationChallengeTTL: parseInt(process.env.PRESENTATION_CHALLENGE_TTL || '300'),
+    // How often suspended credentials past their deadline are reinstated
+    reinstatementIntervalMs: parseInt(process.env.CREDENTIAL_REINSTATEMENT_INTERVAL_MS || '60000'),
+    // Public URL prefix registry schemas are served under (credentialSchema.id)
+    schemaBaseUrl: process.env.CREDENTIAL_SCHEMA_BASE_URL || `${process.env.APP_URL || 'http://localhost:3000'}/api/schemas`,
+    // Largest number of credentials accepted in one batch issuance job
+    batchMaxItems: parseInt(process.env.CREDENTIAL_BATCH_MAX_ITEMS || '1000'),
+    // A processing batch that has not progressed for this long may be resumed
+    batchStaleAfterMs: parseInt(process.env.CREDENTIAL_BATCH_STALE_AFTER_MS || '300000'),
+    // How often expired credentials are transitioned and expiry notices sent
+    expiryIntervalMs: parseInt(process.env.CREDENTIAL_EXPIRY_INTERVAL_MS || '300000'),
+    // Days before expiration that holders and issuers are notified
+    expiryNoticeDays: (process.env.CREDENTIAL_EXPIRY_NOTICE_DAYS || '30,7,1')
+      .split(',')
+      .map(days => parseInt(days))
+      .filter(days => days > 0)
+  },
+
+  // Holder and issuer notifications
+  notifications: {
+    // Optional endpoint every notification is POSTed to (e.g. an email or push relay)
+    webhookUrl: process.env.NOTIFICATION_WEBHOOK_URL,
+    // HMAC-SHA256 key for the X-Signature header of webhook deliveries
+    webhookSecret: process.env.NOTIFICATION_WEBHOOK_SECRET,
+    webhookTimeoutMs: parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS || '5000')
+  },
+
+  // OpenID for Verifiable Credential Issuance (pre-authorized code flow)
+  oid4vci: {
+    // Credential issuer identifier; wallets fetch its /.well-known/openid-credential-issuer metadata
+    credentialIssuer: process.env.OID4VCI_CREDENTIAL_ISSUER || process.env.APP_URL || 'http://localhost:3000',
+    displayName: process.env.OID4VCI_DISPLAY_NAME || process.env.APP_NAME || 'copym-polygon',
+    // DID credentials are issued under, and a wallet address controlling it
+    issuerDid: process.env.OID4VCI_ISSUER_DID,
+    issuerWalletAddress: process.env.OID4VCI_ISSUER_WALLET_ADDRESS,
+    // Template offered to users once their KYC verification is approved
+    kycTemplateId: process.env.OID4VCI_KYC_TEMPLATE_ID || 'kyc',
+    // Lifetimes in seconds of credential offers, access tokens and proof nonces
+    offerTtl: parseInt(process.env.OID4VCI_OFFER_TTL || '604800'),
+    accessTokenTtl: parseInt(process.env.OID4VCI_ACCESS_TOKEN_TTL || '300'),
+    nonceTtl: parseInt(process.env.OID4VCI_NONCE_TTL || '300'),
+    // Wrong transaction codes tolerated before an offer is cancelled
+    maxTxCodeAttempts: parseInt(process.env.OID4VCI_MAX_TX_CODE_ATTEMPTS || '5')
+  },
+
+  // OpenID for Verifiable Presentations (verifier, direct_post response mode)
+  oid4vp: {
+    // Public base URL wallets post responses to
+    baseUrl: process.env.OID4VP_BASE_URL || process.env.APP_URL || 'http://localhost:3000',
+    // DID request objects are signed with (client_id_scheme "did"); without one
+    // the response URI is the client_id and requests are unsigned
+    verifierDid: process.env.OID4VP_VERIFIER_DID || process.env.OID4VCI_ISSUER_DID,
+    clientName: process.env.OID4VP_CLIENT_NAME || process.env.APP_NAME || 'copym-polygon',
+    // How long a wallet has to answer a request, in seconds
+    requestTtl: parseInt(process.env.OID4VP_REQUEST_TTL || '600')
+  },
+
+  // StatusList2021 revocation / suspension lists
+  statusList: {
+    // Public URL prefix the status list credentials are served under
+    baseUrl: process.env.STATUS_LIST_BASE_URL || `${process.env.APP_URL || 'http://localhost:3000'}/api/status`,
+    // Entries per list (16KB uncompressed, the StatusList2021 minimum for herd privacy)
+    size: parseInt(process.env.STATUS_LIST_SIZE || '131072'),
+    // Also pin every published list to IPFS
+    pinToIpfs: process.env.STATUS_LIST_PIN_IPFS === 'true',
+    // How long to cache published lists in seconds
+    cacheTTL: parseInt(process.env.STATUS_LIST_CACHE_TTL || '300')
   },
   
   // Wormhole configuration
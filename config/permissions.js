@@ -0,0 +1,78 @@
+/**
+ * Permission catalog and default role mappings for the Identity Bridge API
+ *
+ * Permissions are "<resource>:<action>" strings. A granted permission may
+ * use "*" (everything) or "<resource>:*" (every action on a resource).
+ */
+
+/**
+ * Built-in permissions
+ */
+const PERMISSIONS = {
+  'credential:issue': 'Issue verifiable credentials',
+  'credential:revoke': 'Revoke issued credentials',
+  'credential:suspend': 'Suspend and reinstate issued credentials',
+  'credential:verify': 'Request cross-chain credential verification',
+  'credential:read': 'List all credentials in the registry',
+  'schema:read': 'View credential schemas',
+  'schema:manage': 'Register, version and deprecate credential schemas',
+  'template:read': 'View credential templates',
+  'template:manage': 'Create, update and archive credential templates',
+  'kyc:read': 'View KYC verifications',
+  'kyc:approve': 'Manually approve KYC verifications',
+  'bridge:send': 'Send cross-chain messages',
+  'bridge:resolve': 'Trigger cross-chain DID resolution',
+  'did:web': 'Create did:web DIDs served from the platform domain',
+  'did:manage': 'Let an API key manage the DIDs its owner controls',
+  'user:read': 'View users and their details',
+  'role:read': 'View roles and permissions',
+  'role:manage': 'Create roles, assign roles and manage role permissions',
+  'apikey:manage': 'Create, rotate and revoke API keys',
+  'system:read': 'View system statistics and health'
+};
+
+/**
+ * Permissions granted to the built-in roles
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  ADMIN: ['*'],
+  CREDENTIAL_ISSUER: ['credential:issue', 'credential:revoke', 'credential:suspend', 'schema:read', 'template:read', 'did:web'],
+  VERIFIER: ['credential:verify'],
+  BRIDGE_ADMIN: ['bridge:send', 'bridge:resolve'],
+  USER: []
+};
+
+/**
+ * Check whether a granted permission covers a required one
+ * @param {String} granted - Granted permission (may contain wildcards)
+ * @param {String} required - Required permission
+ * @returns {Boolean} - Whether the grant covers the requirement
+ */
+const permissionMatches = (granted, required) => {
+  if (granted === '*' || granted === required) {
+    return true;
+  }
+
+  if (granted.endsWith(':*')) {
+    return required.startsWith(granted.slice(0, -1));
+  }
+
+  return false;
+};
+
+/**
+ * Check whether any permission in a list covers a required one
+ * @param {Array<String>} grantedPermissions - Granted permissions
+ * @param {String} required - Required permission
+ * @returns {Boolean} - Whether the requirement is covered
+ */
+const hasPermission = (grantedPermissions, required) => {
+  return (grantedPermissions || []).some(granted => permissionMatches(granted, required));
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  permissionMatches,
+  hasPermission
+};
@@ -170,6 +170,419 @@ CREATE TABLE zk_proofs (
 -- Add sbt_token_id column to credentials table
 ALTER TABLE credentials ADD COLUMN sbt_token_id BIGINT;
 CREATE INDEX idx_credentials_sbt_token_id ON credentials(sbt_token_id);
+-- Session management: refresh token rotation on top of auth_sessions
+ALTER TABLE auth_sessions ADD COLUMN refresh_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE auth_sessions ADD COLUMN last_used_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID REFERENCES auth_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- API keys for machine-to-machine issuers and verifiers
+CREATE TABLE api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(32) NOT NULL UNIQUE,
+    key_hash VARCHAR(64) NOT NULL,
+    scopes JSONB NOT NULL DEFAULT '[]',
+    rate_limit INTEGER NOT NULL DEFAULT 60,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    last_used_ip VARCHAR(50),
+    usage_count BIGINT DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Permissions checked by the API ("resource:action", "resource:*" or "*")
+CREATE TABLE permissions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create role_permissions table (many-to-many)
+CREATE TABLE role_permissions (
+    role_id UUID REFERENCES roles(id) ON DELETE CASCADE,
+    permission_id UUID REFERENCES permissions(id) ON DELETE CASCADE,
+    granted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (role_id, permission_id)
+);
+
+-- Role hierarchy: a role holds every permission of the roles it inherits
+CREATE TABLE role_inheritance (
+    role_id UUID REFERENCES roles(id) ON DELETE CASCADE,
+    inherited_role_id UUID REFERENCES roles(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (role_id, inherited_role_id),
+    CHECK (role_id <> inherited_role_id)
+);
+
+-- Default roles and permissions (mirrors config/permissions.js)
+INSERT INTO roles (name, description) VALUES
+    ('ADMIN', 'System administrator with full access'),
+    ('VERIFIER', 'Can verify identities and credentials'),
+    ('CREDENTIAL_ISSUER', 'Can issue verifiable credentials'),
+    ('BRIDGE_ADMIN', 'Can manage cross-chain operations'),
+    ('USER', 'Standard user role')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO permissions (name, description) VALUES
+    ('*', 'All permissions'),
+    ('credential:issue', 'Issue verifiable credentials'),
+    ('credential:revoke', 'Revoke issued credentials'),
+    ('credential:suspend', 'Suspend and reinstate issued credentials'),
+    ('credential:verify', 'Request cross-chain credential verification'),
+    ('credential:read', 'List all credentials in the registry'),
+    ('schema:read', 'View credential schemas'),
+    ('schema:manage', 'Register, version and deprecate credential schemas'),
+    ('template:read', 'View credential templates'),
+    ('template:manage', 'Create, update and archive credential templates'),
+    ('kyc:read', 'View KYC verifications'),
+    ('kyc:approve', 'Manually approve KYC verifications'),
+    ('bridge:send', 'Send cross-chain messages'),
+    ('bridge:resolve', 'Trigger cross-chain DID resolution'),
+    ('did:web', 'Create did:web DIDs served from the platform domain'),
+    ('did:manage', 'Let an API key manage the DIDs its owner controls'),
+    ('user:read', 'View users and their details'),
+    ('role:read', 'View roles and permissions'),
+    ('role:manage', 'Create roles, assign roles and manage role permissions'),
+    ('apikey:manage', 'Create, rotate and revoke API keys'),
+    ('system:read', 'View system statistics and health')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM (VALUES
+    ('ADMIN', '*'),
+    ('CREDENTIAL_ISSUER', 'credential:issue'),
+    ('CREDENTIAL_ISSUER', 'credential:revoke'),
+    ('CREDENTIAL_ISSUER', 'credential:suspend'),
+    ('CREDENTIAL_ISSUER', 'schema:read'),
+    ('CREDENTIAL_ISSUER', 'template:read'),
+    ('CREDENTIAL_ISSUER', 'did:web'),
+    ('VERIFIER', 'credential:verify'),
+    ('BRIDGE_ADMIN', 'bridge:send'),
+    ('BRIDGE_ADMIN', 'bridge:resolve')
+) AS defaults(role_name, permission_name)
+JOIN roles r ON r.name = defaults.role_name
+JOIN permissions p ON p.name = defaults.permission_name
+ON CONFLICT (role_id, permission_id) DO NOTHING;
+
+-- On-chain grantRole/revokeRole transactions submitted for off-chain role changes
+CREATE TABLE role_sync_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    role_id UUID REFERENCES roles(id) ON DELETE CASCADE,
+    chain_id VARCHAR(50) NOT NULL,
+    contract_address VARCHAR(255) NOT NULL,
+    onchain_role VARCHAR(66) NOT NULL,
+    account VARCHAR(255) NOT NULL,
+    action VARCHAR(20) NOT NULL, -- GRANT, REVOKE
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING', -- PENDING, SUBMITTED, CONFIRMED, FAILED
+    tx_hash VARCHAR(255),
+    block_number BIGINT,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- RoleGranted/RoleRevoked events reconciled into user_roles
+CREATE TABLE role_sync_events (
+    tx_hash VARCHAR(255) NOT NULL,
+    log_index INTEGER NOT NULL,
+    contract_address VARCHAR(255) NOT NULL,
+    event_name VARCHAR(50) NOT NULL,
+    onchain_role VARCHAR(66) NOT NULL,
+    account VARCHAR(255) NOT NULL,
+    sender VARCHAR(255),
+    block_number BIGINT NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (tx_hash, log_index)
+);
+
+-- Last block scanned for role events, per contract
+CREATE TABLE role_sync_state (
+    contract_address VARCHAR(255) PRIMARY KEY,
+    last_block BIGINT NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Signing keys held for DIDs (Data Integrity proofs); private keys are encrypted at rest
+CREATE TABLE did_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    did VARCHAR(255) NOT NULL,
+    key_id VARCHAR(512) NOT NULL UNIQUE, -- verification method ID
+    key_type VARCHAR(50) NOT NULL, -- Ed25519, secp256k1
+    cryptosuite VARCHAR(100) NOT NULL,
+    public_key_multibase VARCHAR(255) NOT NULL,
+    private_key_encrypted TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE', -- ACTIVE, REVOKED
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Credential encoding: ldp_vc (JSON-LD + Data Integrity), jwt_vc or vc+sd-jwt
+ALTER TABLE credentials ADD COLUMN IF NOT EXISTS format VARCHAR(20) DEFAULT 'ldp_vc';
+
+-- Verification relationship a held key is published under
+ALTER TABLE did_keys ADD COLUMN IF NOT EXISTS purpose VARCHAR(30) NOT NULL DEFAULT 'assertionMethod'; -- assertionMethod, authentication
+
+-- StatusList2021 bitstring status lists published per issuer and purpose
+CREATE TABLE status_lists (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    issuer_did VARCHAR(255) NOT NULL,
+    status_purpose VARCHAR(20) NOT NULL, -- revocation, suspension
+    list_size INTEGER NOT NULL,
+    next_index INTEGER NOT NULL DEFAULT 0,
+    bitstring BYTEA NOT NULL,
+    version INTEGER NOT NULL DEFAULT 0, -- bumped on every bit change
+    published_version INTEGER NOT NULL DEFAULT -1, -- version the signed credential reflects
+    credential JSONB, -- signed StatusList2021Credential
+    ipfs_cid VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Status list entries assigned to credentials
+CREATE TABLE credential_status_entries (
+    status_list_id UUID NOT NULL REFERENCES status_lists(id) ON DELETE CASCADE,
+    status_list_index INTEGER NOT NULL,
+    status_purpose VARCHAR(20) NOT NULL,
+    credential_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (status_list_id, status_list_index)
+);
+
+-- Suspension deadline: suspended credentials are reinstated automatically after it
+ALTER TABLE credentials ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMP WITH TIME ZONE;
+
+-- Who changed a credential's status, when and why
+CREATE TABLE credential_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    credential_hash VARCHAR(255) NOT NULL,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    reason_code VARCHAR(50),
+    reason TEXT,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for automatic changes
+    changed_by_wallet VARCHAR(255),
+    reinstate_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Versioned JSON Schema registry for credential claims
+CREATE TABLE credential_schemas (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    schema_id VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    schema JSONB NOT NULL,
+    ipfs_cid VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE', -- ACTIVE, DEPRECATED
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deprecated_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(schema_id, version)
+);
+
+-- Reusable issuance settings for credential types issued over and over
+CREATE TABLE credential_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id VARCHAR(100) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    credential_type VARCHAR(100) NOT NULL,
+    context JSONB NOT NULL DEFAULT '[]', -- extra @context entries (bundled URLs or inline contexts)
+    credential_schema VARCHAR(255), -- registry schema reference ("<schemaId>" or "<schemaId>@<version>")
+    format VARCHAR(20) NOT NULL DEFAULT 'ldp_vc',
+    validity_days INTEGER, -- NULL: the default credential validity
+    required_claims JSONB NOT NULL DEFAULT '[]',
+    default_claims JSONB NOT NULL DEFAULT '{}',
+    issuer_role VARCHAR(50), -- NULL: anyone with credential:issue
+    status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE', -- ACTIVE, ARCHIVED
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Starter templates for RWA onboarding
+INSERT INTO credential_templates (
+    template_id, name, description, credential_type, validity_days, required_claims, issuer_role
+) VALUES
+    ('kyc', 'KYC', 'Identity verified by a KYC provider', 'KYCCredential', 365,
+     '["kycLevel", "verifiedAt"]', 'CREDENTIAL_ISSUER'),
+    ('accredited-investor', 'Accredited investor', 'Investor accreditation in a jurisdiction', 'AccreditedInvestorCredential', 90,
+     '["accreditationType", "jurisdiction", "verifiedAt"]', 'CREDENTIAL_ISSUER'),
+    ('asset-ownership', 'Asset ownership', 'Ownership of a tokenized real-world asset', 'AssetOwnershipCredential', 365,
+     '["assetId", "assetType", "ownershipPercentage"]', 'CREDENTIAL_ISSUER')
+ON CONFLICT (template_id) DO NOTHING;
+
+-- Bulk issuance jobs, anchored on-chain with one Merkle root per batch
+CREATE TABLE issuance_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    issuer_did VARCHAR(255) NOT NULL REFERENCES did_documents(did),
+    issuer_wallet VARCHAR(255) NOT NULL,
+    options JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING', -- PENDING, PROCESSING, COMPLETED, PARTIAL, FAILED
+    total_items INTEGER NOT NULL,
+    issued_items INTEGER NOT NULL DEFAULT 0,
+    failed_items INTEGER NOT NULL DEFAULT 0,
+    merkle_root VARCHAR(66),
+    anchor_status VARCHAR(20) NOT NULL DEFAULT 'PENDING', -- PENDING, ANCHORED, FAILED, SKIPPED
+    anchor_token_id VARCHAR(255),
+    anchor_tx_hash VARCHAR(66),
+    anchor_error TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE issuance_batch_items (
+    batch_id UUID NOT NULL REFERENCES issuance_batches(id) ON DELETE CASCADE,
+    item_index INTEGER NOT NULL,
+    subject_did VARCHAR(255) NOT NULL,
+    claims JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING', -- PENDING, ISSUED, FAILED
+    credential_hash VARCHAR(66),
+    ipfs_cid VARCHAR(255),
+    merkle_proof JSONB,
+    error TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (batch_id, item_index)
+);
+
+-- Renewal links between a credential and the credential re-issued to replace it
+ALTER TABLE credentials ADD COLUMN renewal_of VARCHAR(255);
+ALTER TABLE credentials ADD COLUMN renewed_by VARCHAR(255);
+
+-- Notifications for DID holders and issuers (expiry notices, renewals)
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    recipient_did VARCHAR(255) NOT NULL,
+    type VARCHAR(50) NOT NULL, -- CREDENTIAL_EXPIRING, CREDENTIAL_EXPIRED, CREDENTIAL_RENEWED, CREDENTIAL_OFFERED
+    credential_hash VARCHAR(255),
+    payload JSONB NOT NULL DEFAULT '{}',
+    dedupe_key VARCHAR(512) UNIQUE, -- the same notice is never sent twice
+    delivered_at TIMESTAMP WITH TIME ZONE, -- webhook delivery
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- OID4VCI credential offers redeemed by wallets with a pre-authorized code
+CREATE TABLE credential_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id VARCHAR(100) NOT NULL REFERENCES credential_templates(template_id),
+    subject_did VARCHAR(255) NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- holder account, when known
+    claims JSONB NOT NULL DEFAULT '{}',
+    pre_authorized_code VARCHAR(128) NOT NULL UNIQUE,
+    tx_code_hash VARCHAR(128), -- sha256 of the optional PIN sent to the holder out of band
+    tx_code_attempts INTEGER NOT NULL DEFAULT 0,
+    access_token_hash VARCHAR(128) UNIQUE,
+    access_token_expires_at TIMESTAMP WITH TIME ZONE,
+    c_nonce VARCHAR(128),
+    c_nonce_expires_at TIMESTAMP WITH TIME ZONE,
+    status VARCHAR(20) NOT NULL DEFAULT 'OFFERED', -- OFFERED, TOKEN_ISSUED, ISSUING, ISSUED, CANCELLED
+    credential_hash VARCHAR(255),
+    kyc_verification_id UUID REFERENCES kyc_verifications(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    issued_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- OID4VP authorization requests made on behalf of verifiers, and their results
+CREATE TABLE presentation_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(), -- also the OAuth state
+    client_id VARCHAR(512) NOT NULL,
+    client_id_scheme VARCHAR(50) NOT NULL,
+    nonce VARCHAR(128) NOT NULL,
+    presentation_definition JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING', -- PENDING, SUBMITTED, VERIFIED, REJECTED
+    holder_did VARCHAR(255),
+    result JSONB,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Every version of a DID document, kept for versioned resolution (did_documents holds the latest)
+CREATE TABLE did_document_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    did VARCHAR(255) NOT NULL REFERENCES did_documents(did) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    document JSONB NOT NULL,
+    ipfs_cid VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (did, version)
+);
+
+ALTER TABLE did_documents ADD COLUMN IF NOT EXISTS deactivated BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE did_documents ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP WITH TIME ZONE;
+
+-- Guardian approvals a DID's recovery needs (a majority of its controllers when unset)
+CREATE TABLE did_recovery_policies (
+    did VARCHAR(255) PRIMARY KEY REFERENCES did_documents(did) ON DELETE CASCADE,
+    threshold INTEGER NOT NULL CHECK (threshold > 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Requests to move control of a DID to a new wallet, co-signed by its guardians (controller DIDs)
+CREATE TABLE did_recovery_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    did VARCHAR(255) NOT NULL REFERENCES did_documents(did) ON DELETE CASCADE,
+    new_wallet_address VARCHAR(255) NOT NULL,
+    threshold INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING', -- PENDING, COMPLETED, CANCELLED, EXPIRED
+    initiated_by_did VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE did_recovery_approvals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    request_id UUID NOT NULL REFERENCES did_recovery_requests(id) ON DELETE CASCADE,
+    guardian_did VARCHAR(255) NOT NULL,
+    wallet_address VARCHAR(255) NOT NULL,
+    signature TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (request_id, guardian_did)
+);
+
+-- Signed proof that the linked address is controlled by the DID's owner.
+-- Migration note: links made before proofs were required keep a NULL proof and
+-- proof_verified_at, and no longer count as wallet control. The DID owner
+-- re-verifies one by linking the address again (POST
+-- /api/identity/did/:did/chain-identities with a signed challenge), which
+-- replaces the row for that chain; GET on the same path flags the links
+-- awaiting this with reverificationRequired
+ALTER TABLE chain_identities ADD COLUMN IF NOT EXISTS proof JSONB;
+ALTER TABLE chain_identities ADD COLUMN IF NOT EXISTS proof_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- Blinding salt of a zero-knowledge proof's commitment, encrypted with KYC_PROOF_SECRET
+ALTER TABLE zk_proofs ADD COLUMN IF NOT EXISTS salt_encrypted TEXT;
+
+-- The commitment, as anchored on the holder's SBT token. Proofs of one KYC
+-- verification reuse its salt, so it is anchored once. Proofs stored before
+-- commitments were anchored have none here and no longer verify
+ALTER TABLE zk_proofs ADD COLUMN IF NOT EXISTS commitment TEXT;
+
 -- Indexes for performance
 CREATE INDEX idx_credentials_subject_did ON credentials(subject_did);
 CREATE INDEX idx_credentials_issuer_did ON credentials(issuer_did);
@@ -182,4 +595,24 @@ CREATE INDEX idx_audit_logs_action ON audit_logs(action);
 CREATE INDEX idx_kyc_verifications_status ON kyc_verifications(status);
 CREATE INDEX idx_zk_proofs_user_id ON zk_proofs(user_id);
 CREATE INDEX idx_zk_proofs_type ON zk_proofs(proof_type);
-
+CREATE INDEX idx_auth_sessions_user_id ON auth_sessions(user_id);
+CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX idx_api_keys_user_id ON api_keys(user_id);
+CREATE INDEX idx_role_permissions_permission_id ON role_permissions(permission_id);
+CREATE INDEX idx_role_inheritance_inherited_role_id ON role_inheritance(inherited_role_id);
+CREATE INDEX idx_role_sync_transactions_status ON role_sync_transactions(status);
+CREATE INDEX idx_role_sync_events_account ON role_sync_events(account);
+CREATE INDEX idx_did_keys_did ON did_keys(did);
+CREATE INDEX idx_status_lists_issuer_purpose ON status_lists(issuer_did, status_purpose);
+CREATE INDEX idx_credential_status_entries_hash ON credential_status_entries(credential_hash);
+CREATE INDEX idx_credential_status_history_hash ON credential_status_history(credential_hash);
+CREATE INDEX idx_credentials_suspended_until ON credentials(suspended_until) WHERE status = 'SUSPENDED';
+CREATE INDEX idx_issuance_batches_issuer_did ON issuance_batches(issuer_did);
+CREATE INDEX idx_issuance_batch_items_hash ON issuance_batch_items(credential_hash);
+CREATE INDEX idx_credentials_expiration_date ON credentials(expiration_date) WHERE status IN ('ACTIVE', 'SUSPENDED');
+CREATE INDEX idx_notifications_recipient_did ON notifications(recipient_did, created_at);
+CREATE INDEX idx_credential_offers_subject_did ON credential_offers(subject_did);
+CREATE INDEX idx_credential_offers_user_id ON credential_offers(user_id);
+CREATE INDEX idx_presentation_requests_created_by ON presentation_requests(created_by, created_at);
+CREATE INDEX idx_did_document_versions_did_created ON did_document_versions(did, created_at);
+CREATE UNIQUE INDEX idx_did_recovery_requests_pending ON did_recovery_requests(did) WHERE status = 'PENDING';
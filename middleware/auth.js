@@ -23,9 +23,12 @@ class ForbiddenError extends Error {
 // Import models or create mock implementations if needed
 const RoleModel = require('../models/role');
 const DIDModel = require('../models/did');
+const ApiKeyService = require('../services/apiKey');
+const { hasPermission } = require('../config/permissions');
 
 /**
- * Middleware to verify JWT token and add user to request
+ * Middleware to verify JWT token (or API key) and add user to request
+ * API keys are accepted via the X-API-Key header or "Authorization: ApiKey <key>"
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -33,6 +36,15 @@ const DIDModel = require('../models/did');
 const authenticateJWT = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
+    const apiKeyHeader = req.headers['x-api-key'];
+    
+    if (apiKeyHeader) {
+      return authenticateApiKey(req, res, next, apiKeyHeader);
+    }
+    
+    if (authHeader && authHeader.startsWith('ApiKey ')) {
+      return authenticateApiKey(req, res, next, authHeader.slice('ApiKey '.length));
+    }
     
     if (!authHeader) {
       return next(new AuthorizationError('Authentication required'));
@@ -65,7 +77,7 @@ const authenticateJWT = async (req, res, next) => {
         throw new Error('Session not found or revoked');
       }
       
-      const { expires_at, wallet_address, did } = result.rows[0];
+      const { id: sessionId, expires_at, wallet_address, did } = result.rows[0];
       
       // Check expiration
       if (new Date(expires_at) < new Date()) {
@@ -77,7 +89,8 @@ const authenticateJWT = async (req, res, next) => {
         id: decoded.sub,
         walletAddress: wallet_address,
         did,
-        chain: decoded.chain || 'polygon'
+        chain: decoded.chain || 'polygon',
+        sessionId
       };
       
       next();
@@ -89,18 +102,81 @@ const authenticateJWT = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate a request made with an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {String} key - The presented API key
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const db = req.app.get('db');
+    const apiKeyService = new ApiKeyService(db);
+    
+    const result = await apiKeyService.authenticate(key.trim(), req.ip);
+    
+    if (result.rateLimited) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: {
+          type: 'RATE_LIMIT',
+          message: result.error,
+          status: 429,
+          retryAfter: result.retryAfter
+        }
+      });
+    }
+    
+    if (!result.valid) {
+      return next(new AuthorizationError(`Invalid API key: ${result.error}`));
+    }
+    
+    // The key acts on behalf of its owning service account
+    req.user = {
+      ...result.user,
+      chain: 'polygon',
+      apiKey: result.apiKey
+    };
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Marks middleware that checks an API key's scopes before letting it through
+const CHECKS_API_KEY_SCOPE = Symbol('checksApiKeyScope');
+
+/**
+ * Mark a middleware as one that checks API key scopes itself
+ * @private
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} - The same middleware, marked
+ */
+const checksApiKeyScope = (middleware) => {
+  middleware[CHECKS_API_KEY_SCOPE] = true;
+  return middleware;
+};
+
 /**
  * Middleware to check if user has a specific role
  * @param {String} roleName - Role name to check
  * @returns {Function} - Express middleware
  */
 const hasRole = (roleName) => {
-  return async (req, res, next) => {
+  return checksApiKeyScope(async (req, res, next) => {
     try {
       if (!req.user) {
         return next(new AuthorizationError('Authentication required'));
       }
       
+      // API keys are authorized by permission scopes; only unrestricted keys pass role checks
+      if (req.user.apiKey && !ApiKeyService.scopesAllow(req.user.apiKey.scopes, '*')) {
+        return next(new ForbiddenError(`API key scopes do not cover role: ${roleName}`));
+      }
+      
       const db = req.app.get('db');
       const roleModel = new RoleModel(db);
       
@@ -118,21 +194,82 @@ const hasRole = (roleName) => {
     } catch (error) {
       next(error);
     }
-  };
+  });
 };
 
 /**
- * Middleware to check if user owns a DID
+ * Middleware to check if user has a permission through their roles
+ * (including inherited roles). API keys must also carry a matching scope.
+ * @param {String} permission - Required permission (e.g. "credential:issue")
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (permission) => {
+  return checksApiKeyScope(async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(new AuthorizationError('Authentication required'));
+      }
+      
+      if (req.user.apiKey && !ApiKeyService.scopesAllow(req.user.apiKey.scopes, permission)) {
+        return next(new ForbiddenError(`API key lacks scope for permission: ${permission}`));
+      }
+      
+      // Get chain ID if specified in query
+      const chainId = req.query.chainId || null;
+      
+      // Resolve effective permissions once per request and chain
+      if (!req.user.permissions || req.user.permissionsChainId !== chainId) {
+        const db = req.app.get('db');
+        const roleModel = new RoleModel(db);
+        
+        req.user.permissions = await roleModel.getUserPermissions(req.user.id, chainId);
+        req.user.permissionsChainId = chainId;
+      }
+      
+      if (!hasPermission(req.user.permissions, permission)) {
+        return next(new ForbiddenError(`Requires permission: ${permission}`));
+      }
+      
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+/**
+ * Middleware to let API keys carrying a scope use a route that has no
+ * permission check of its own. Requests from user sessions pass untouched.
+ * @param {String} scope - Required API key scope (e.g. "credential:verify")
+ * @returns {Function} - Express middleware
+ */
+const allowApiKeyScope = (scope) => {
+  return checksApiKeyScope((req, res, next) => {
+    if (req.user && req.user.apiKey && !ApiKeyService.scopesAllow(req.user.apiKey.scopes, scope)) {
+      return next(new ForbiddenError(`API key lacks scope: ${scope}`));
+    }
+    
+    next();
+  });
+};
+
+/**
+ * Middleware to check if user owns a DID. API keys act on their owner's
+ * DIDs only when they carry the "did:manage" scope.
  * @param {Function} didExtractor - Function to extract DID from request
  * @returns {Function} - Express middleware
  */
 const ownsDID = (didExtractor) => {
-  return async (req, res, next) => {
+  return checksApiKeyScope(async (req, res, next) => {
     try {
       if (!req.user) {
         return next(new AuthorizationError('Authentication required'));
       }
       
+      if (req.user.apiKey && !ApiKeyService.scopesAllow(req.user.apiKey.scopes, 'did:manage')) {
+        return next(new ForbiddenError('API key lacks scope for permission: did:manage'));
+      }
+      
       // Extract the DID from the request
       const did = typeof didExtractor === 'function' ? didExtractor(req) : didExtractor;
       
@@ -158,7 +295,7 @@ const ownsDID = (didExtractor) => {
       }
       
       // Check if the user's wallet address is associated with the DID
-      const controlsWallet = await checkWalletControl(db, did, req.user.walletAddress);
+      const controlsWallet = await checkWalletControl(db, did, req.user.walletAddress, req.user.apiKey);
       
       if (controlsWallet) {
         return next();
@@ -168,7 +305,7 @@ const ownsDID = (didExtractor) => {
     } catch (error) {
       next(error);
     }
-  };
+  });
 };
 
 /**
@@ -176,10 +313,16 @@ const ownsDID = (didExtractor) => {
  * @param {Object} db - Database instance
  * @param {String} did - The DID to check
  * @param {String} walletAddress - Wallet address to check
+ * @param {Object} apiKey - API key the request was made with, if any
  * @returns {Promise<Boolean>} - Whether wallet controls DID
  */
-const checkWalletControl = async (db, did, walletAddress) => {
+const checkWalletControl = async (db, did, walletAddress, apiKey = null) => {
   try {
+    // An API key only speaks for its owner's wallet when scoped to manage DIDs
+    if (apiKey && !ApiKeyService.scopesAllow(apiKey.scopes, 'did:manage')) {
+      return false;
+    }
+    
     // Check direct wallet association
     const userQuery = `
       SELECT id FROM users
@@ -191,10 +334,11 @@ const checkWalletControl = async (db, did, walletAddress) => {
       return true;
     }
     
-    // Check chain identity match
+    // Check chain identity match; links made before proofs were required
+    // count only once re-verified (see database/schema.sql)
     const chainQuery = `
       SELECT id FROM chain_identities
-      WHERE did = $1 AND address = $2 AND is_active = true
+      WHERE did = $1 AND address = $2 AND is_active = true AND proof_verified_at IS NOT NULL
     `;
     
     const chainResult = await db.query(chainQuery, [did, walletAddress]);
@@ -209,6 +353,38 @@ const checkWalletControl = async (db, did, walletAddress) => {
   }
 };
 
+/**
+ * Refuse API keys on every route of a router that does not check key
+ * scopes itself (hasRole, requirePermission, allowApiKeyScope or ownsDID).
+ * Call once the router's routes are defined.
+ * @param {Object} router - Express router
+ * @returns {Object} - The same router
+ */
+const restrictApiKeys = (router) => {
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      continue;
+    }
+    
+    const handlers = layer.route.stack;
+    if (handlers.some(handler => handler.handle[CHECKS_API_KEY_SCOPE])) {
+      continue;
+    }
+    
+    // Guard the final handler so per-route authenticateJWT has already run
+    const last = handlers[handlers.length - 1];
+    const handle = last.handle;
+    last.handle = checksApiKeyScope((req, res, next) => {
+      if (req.user && req.user.apiKey) {
+        return next(new ForbiddenError('API keys cannot be used on this route'));
+      }
+      return handle(req, res, next);
+    });
+  }
+  
+  return router;
+};
+
 /**
  * Middleware to rate limit requests
  * @param {Object} options - Rate limiting options
@@ -288,29 +464,34 @@ const rateLimit = (options = {}) => {
 };
 
 /**
- * Middleware to check if user has admin role
+ * Middleware to check if user has admin role (i.e. holds every permission)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const isAdmin = (req, res, next) => {
-  if (!req.user || !req.user.roles || !req.user.roles.some(r => r.name === 'ADMIN')) {
-    return res.status(403).json({ 
-      success: false,
-      error: {
-        type: 'FORBIDDEN',
-        message: 'Admin access required',
-        status: 403
-      }
-    });  
-  }
-  next();
-};
+const isAdmin = checksApiKeyScope((req, res, next) => {
+  return requirePermission('*')(req, res, (error) => {
+    if (error instanceof AuthorizationError || error instanceof ForbiddenError) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          type: 'FORBIDDEN',
+          message: 'Admin access required',
+          status: 403
+        }
+      });
+    }
+    next(error);
+  });
+});
 
 module.exports = {
   authenticateJWT,
   hasRole,
+  requirePermission,
+  allowApiKeyScope,
   ownsDID,
+  restrictApiKeys,
   rateLimit,
   isAdmin,
   AuthorizationError,
@@ -14,6 +14,14 @@ class APIError extends Error {
     }
   }
   
+  // OAuth / OpenID4VC protocol error, sent to wallets as { error, error_description }
+  class OAuthError extends APIError {
+    constructor(code, description, statusCode = 400, details = {}) {
+      super(description, statusCode, details);
+      this.code = code;
+    }
+  }
+  
   // Error types
   const NotFoundError = (message, details) => 
     new APIError(message || 'Resource not found', 404, details);
@@ -129,6 +137,27 @@ class APIError extends Error {
     res.status(statusCode).json(errorResponse);
   };
   
+  // Send an error to a wallet in OAuth form; unexpected errors become server_error
+  const sendOAuthError = (res, err, action) => {
+    if (err instanceof OAuthError) {
+      if (err.statusCode === 401) {
+        res.set('WWW-Authenticate', `Bearer error="${err.code}"`);
+      }
+      
+      return res.status(err.statusCode).json({
+        error: err.code,
+        error_description: err.message,
+        ...err.details
+      });
+    }
+    
+    console.error(`Error ${action}:`, err);
+    res.status(500).json({
+      error: 'server_error',
+      error_description: `Failed to ${action}: ${err.message}`
+    });
+  };
+  
   // Catch 404 errors
   const notFoundHandler = (req, res, next) => {
     next(NotFoundError(`Route not found: ${req.method} ${req.path}`));
@@ -138,6 +167,8 @@ class APIError extends Error {
     errorHandler,
     notFoundHandler,
     APIError,
+    OAuthError,
+    sendOAuthError,
     NotFoundError,
     ValidationError,
     AuthorizationError,
@@ -0,0 +1,158 @@
+/**
+ * Credential-based access gating with DIF Presentation Exchange
+ *
+ * Guards a route with a presentation definition, e.g. "holds an active KYC
+ * credential at level ADVANCED issued by one of these DIDs". The caller
+ * meets it either with a presentation submitted with the request (bound to a
+ * challenge from POST /api/credential/presentations/challenge) or, when none
+ * is submitted, with the active, unexpired credentials issued to their DID.
+ */
+const DIDService = require('../services/did');
+const PresentationService = require('../services/presentation');
+const { checkDefinition, selectCredentials } = require('../utils/presentationExchange');
+const { AuthorizationError, ForbiddenError } = require('./error');
+
+/**
+ * Read a presentation from the X-Verifiable-Presentation header (compact
+ * VP-JWT, SD-JWT or JSON) or the request body's presentation field
+ * @param {Object} req - Express request object
+ * @returns {Object|String|null} - The presentation, or null if none was submitted
+ */
+const getSubmittedPresentation = (req) => {
+  const header = req.get('X-Verifiable-Presentation');
+
+  if (header) {
+    return header.trim().startsWith('{') ? JSON.parse(header) : header.trim();
+  }
+
+  return (req.body && req.body.presentation) || null;
+};
+
+/**
+ * Middleware requiring the authenticated caller's credentials to satisfy a
+ * presentation definition. On success req.presentationExchange holds the
+ * holder and the credentials matched per input descriptor
+ * @param {Object|Function} definition - Presentation definition, or a function of the request returning one
+ * @param {Object} options - getPresentation(req) to read a submitted presentation,
+ *   and allowStored (default true) to fall back to the caller's registry credentials
+ * @returns {Function} - Express middleware
+ */
+const requireCredentials = (definition, options = {}) => {
+  const { getPresentation = getSubmittedPresentation, allowStored = true } = options;
+
+  // Static definitions are checked when the route is declared
+  if (typeof definition !== 'function') {
+    const definitionError = checkDefinition(definition);
+    if (definitionError) {
+      throw new Error(`Invalid presentation definition: ${definitionError}`);
+    }
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(AuthorizationError('Authentication required'));
+      }
+
+      const activeDefinition = typeof definition === 'function' ? await definition(req) : definition;
+
+      if (typeof definition === 'function') {
+        const definitionError = checkDefinition(activeDefinition);
+        if (definitionError) {
+          throw new Error(`Invalid presentation definition: ${definitionError}`);
+        }
+      }
+
+      const db = req.app.get('db');
+      const redis = req.app.get('redis');
+      const didService = new DIDService(db, redis);
+      const presentationService = new PresentationService(db, redis, didService);
+
+      let presentation;
+      try {
+        presentation = getPresentation(req);
+      } catch (error) {
+        return next(ForbiddenError(`Unreadable presentation: ${error.message}`));
+      }
+
+      let holder;
+      let source;
+      let credentials;
+
+      if (presentation) {
+        let verification;
+        try {
+          verification = await presentationService.verifySubmittedPresentation(presentation);
+        } catch (error) {
+          verification = { verified: false, error: error.message };
+        }
+
+        if (!verification.verified) {
+          return next(ForbiddenError('Presentation could not be verified', {
+            error: verification.error,
+            details: verification.details,
+            credentials: verification.credentials
+          }));
+        }
+
+        // The presentation must be the caller's own
+        if (verification.holder !== req.user.did &&
+          !(await didService.verifyController(verification.holder, req.user.walletAddress))) {
+          return next(ForbiddenError('Presentation holder is not controlled by the caller'));
+        }
+
+        holder = verification.holder;
+        source = 'presentation';
+        credentials = verification.presentedCredentials.map((credential, index) => ({ index, credential }));
+      } else {
+        if (!allowStored) {
+          return next(ForbiddenError(`A presentation satisfying ${activeDefinition.id} is required`));
+        }
+
+        if (!req.user.did) {
+          return next(ForbiddenError('Caller has no DID holding credentials'));
+        }
+
+        holder = req.user.did;
+        source = 'registry';
+        credentials = await presentationService.getActiveCredentials(holder);
+      }
+
+      const evaluation = selectCredentials(activeDefinition, credentials.map(entry => entry.credential));
+
+      if (!evaluation.satisfied) {
+        return next(ForbiddenError(`Credentials do not satisfy presentation definition ${activeDefinition.id}`, {
+          definitionId: activeDefinition.id,
+          source,
+          errors: evaluation.errors,
+          descriptors: evaluation.descriptors.map(({ id, matched, errors }) => ({ id, matched, errors }))
+        }));
+      }
+
+      req.presentationExchange = {
+        definitionId: activeDefinition.id,
+        holder,
+        source,
+        descriptors: evaluation.descriptors.map(descriptor => ({
+          id: descriptor.id,
+          matched: descriptor.matched,
+          credentials: descriptor.matches.map(match => ({
+            ...(source === 'registry'
+              ? { credentialHash: credentials[match.index].credentialHash }
+              : { index: match.index }),
+            fields: match.fields
+          }))
+        }))
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  requireCredentials,
+  getSubmittedPresentation
+};
@@ -110,6 +110,12 @@ const schemas = {
     challenge: [
       rules.walletAddress(),
       rules.chain(),
+      body('chainId')
+        .optional()
+        .isString().withMessage('Chain ID must be a string'),
+      body('resources')
+        .optional()
+        .isArray().withMessage('Resources must be an array of URIs'),
       validate
     ],
     
@@ -119,6 +125,9 @@ const schemas = {
         .trim()
         .notEmpty().withMessage('Signature is required'),
       rules.chain(),
+      body('message')
+        .optional()
+        .isString().withMessage('Message must be the signed sign-in message'),
       validate
     ]
   },
@@ -166,6 +175,15 @@ const schemas = {
       body('address')
         .trim()
         .notEmpty().withMessage('Address is required'),
+      body('nonce')
+        .trim()
+        .notEmpty().withMessage('Challenge nonce is required'),
+      body('signature')
+        .trim()
+        .notEmpty().withMessage('Signature is required'),
+      body('signatureType')
+        .optional()
+        .isIn(['personal_sign', 'eip712']).withMessage('Unsupported signature type'),
       validate
     ]
   },
@@ -200,6 +218,77 @@ const schemas = {
       body('expirationDate')
         .optional()
         .isISO8601().withMessage('Expiration date must be in ISO format'),
+      body('cryptosuite')
+        .optional()
+        .isIn(['eddsa-rdfc-2022', 'ecdsa-secp256k1-2019']).withMessage('Unsupported cryptosuite'),
+      body('format')
+        .optional()
+        .isIn(['ldp_vc', 'jwt_vc', 'vc+sd-jwt']).withMessage('Unsupported credential format'),
+      body('selectiveDisclosure')
+        .optional()
+        .isArray().withMessage('Selective disclosure must be an array of claim names'),
+      body('holderJwk')
+        .optional()
+        .isObject().withMessage('Holder JWK must be an object'),
+      body('credentialSchema')
+        .optional()
+        .isString().withMessage('Credential schema must be a schema ID, "<schemaId>@<version>" or a registry URL'),
+      validate
+    ],
+    
+    issueFromTemplate: [
+      param('templateId')
+        .trim()
+        .notEmpty().withMessage('Template ID is required'),
+      body('issuerDid')
+        .trim()
+        .notEmpty().withMessage('Issuer DID is required')
+        .custom(value => {
+          if (!didUtils.isValidDID(value)) {
+            throw new Error('Invalid issuer DID format');
+          }
+          return true;
+        }),
+      body('subjectDid')
+        .trim()
+        .notEmpty().withMessage('Subject DID is required')
+        .custom(value => {
+          if (!didUtils.isValidDID(value)) {
+            throw new Error('Invalid subject DID format');
+          }
+          return true;
+        }),
+      body('claims')
+        .optional()
+        .isObject().withMessage('Claims must be an object'),
+      body('expirationDate')
+        .optional()
+        .isISO8601().withMessage('Expiration date must be in ISO format'),
+      validate
+    ],
+    
+    issueBatch: [
+      body('issuerDid')
+        .trim()
+        .notEmpty().withMessage('Issuer DID is required')
+        .custom(value => {
+          if (!didUtils.isValidDID(value)) {
+            throw new Error('Invalid issuer DID format');
+          }
+          return true;
+        }),
+      body('items')
+        .optional()
+        .isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+      body('csv')
+        .optional()
+        .isString().withMessage('CSV must be a string'),
+      body('templateId')
+        .optional()
+        .isString().withMessage('Template ID must be a string'),
+      body('expirationDate')
+        .optional()
+        .isISO8601().withMessage('Expiration date must be in ISO format'),
       validate
     ],
     
@@ -210,6 +299,12 @@ const schemas = {
       body('ipfsCid')
         .optional()
         .isString().withMessage('IPFS CID must be a string'),
+      body('audience')
+        .optional()
+        .isString().withMessage('Audience must be a string'),
+      body('nonce')
+        .optional()
+        .isString().withMessage('Nonce must be a string'),
       validate
     ],
     
@@ -224,6 +319,48 @@ const schemas = {
       validate
     ],
     
+    suspendCredential: [
+      body('credentialHash')
+        .trim()
+        .notEmpty().withMessage('Credential hash is required')
+        .matches(/^(0x)?[a-fA-F0-9]{64}$/).withMessage('Invalid credential hash format'),
+      body('reasonCode')
+        .notEmpty().withMessage('Reason code is required')
+        .isString().withMessage('Reason code must be a string'),
+      body('reason')
+        .optional()
+        .isString().withMessage('Reason must be a string'),
+      body('reinstateAt')
+        .optional()
+        .isISO8601().withMessage('Reinstatement deadline must be in ISO format'),
+      validate
+    ],
+    
+    reinstateCredential: [
+      body('credentialHash')
+        .trim()
+        .notEmpty().withMessage('Credential hash is required')
+        .matches(/^(0x)?[a-fA-F0-9]{64}$/).withMessage('Invalid credential hash format'),
+      body('reasonCode')
+        .optional()
+        .isString().withMessage('Reason code must be a string'),
+      body('reason')
+        .optional()
+        .isString().withMessage('Reason must be a string'),
+      validate
+    ],
+    
+    renewCredential: [
+      rules.credentialHash(),
+      body('expirationDate')
+        .optional()
+        .isISO8601().withMessage('Expiration date must be in ISO format'),
+      body('claims')
+        .optional()
+        .isObject().withMessage('Claims must be an object'),
+      validate
+    ],
+    
     getCredential: [
       rules.credentialHash(),
       validate
@@ -276,6 +413,60 @@ const schemas = {
     approveKYC: [
       rules.uuid('verificationId'),
       validate
+    ],
+    
+    createSchema: [
+      body('schemaId')
+        .trim()
+        .notEmpty().withMessage('Schema ID is required')
+        .matches(/^[a-zA-Z0-9][a-zA-Z0-9._-]{1,99}$/).withMessage('Invalid schema ID format'),
+      body('name')
+        .trim()
+        .notEmpty().withMessage('Schema name is required'),
+      body('description')
+        .optional()
+        .isString().withMessage('Description must be a string'),
+      body('schema')
+        .isObject().withMessage('Schema must be a JSON Schema object'),
+      validate
+    ],
+    
+    updateSchema: [
+      body('name')
+        .optional()
+        .isString().withMessage('Schema name must be a string'),
+      body('description')
+        .optional()
+        .isString().withMessage('Description must be a string'),
+      body('schema')
+        .isObject().withMessage('Schema must be a JSON Schema object'),
+      validate
+    ],
+    
+    createTemplate: [
+      body('templateId')
+        .trim()
+        .notEmpty().withMessage('Template ID is required')
+        .matches(/^[a-zA-Z0-9][a-zA-Z0-9._-]{1,99}$/).withMessage('Invalid template ID format'),
+      body('name')
+        .trim()
+        .notEmpty().withMessage('Template name is required'),
+      body('credentialType')
+        .trim()
+        .notEmpty().withMessage('Credential type is required'),
+      body('validityDays')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Validity period must be a positive number of days'),
+      body('requiredClaims')
+        .optional()
+        .isArray().withMessage('Required claims must be an array of claim names'),
+      body('defaultClaims')
+        .optional()
+        .isObject().withMessage('Default claims must be an object'),
+      body('context')
+        .optional()
+        .isArray().withMessage('Context must be an array'),
+      validate
     ]
   },
   
@@ -0,0 +1,214 @@
+/**
+ * API key model for interacting with machine-to-machine credentials
+ */
+class ApiKeyModel {
+    constructor(db) {
+      this.db = db;
+    }
+
+    /**
+     * Create a new API key record
+     * @param {Object} keyData - API key data
+     * @returns {Promise<Object>} - Created API key (without hash)
+     */
+    async create(keyData) {
+      try {
+        const {
+          userId,
+          name,
+          keyPrefix,
+          keyHash,
+          scopes,
+          rateLimit,
+          expiresAt,
+          createdBy
+        } = keyData;
+
+        const query = `
+          INSERT INTO api_keys (
+            user_id, name, key_prefix, key_hash, scopes,
+            rate_limit, expires_at, created_by
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING id, user_id, name, key_prefix, scopes, rate_limit,
+            expires_at, created_at
+        `;
+
+        const result = await this.db.query(query, [
+          userId,
+          name,
+          keyPrefix,
+          keyHash,
+          JSON.stringify(scopes || []),
+          rateLimit,
+          expiresAt ? new Date(expiresAt) : null,
+          createdBy || null
+        ]);
+
+        return result.rows[0];
+      } catch (error) {
+        console.error('Error creating API key:', error);
+        throw new Error(`Failed to create API key: ${error.message}`);
+      }
+    }
+
+    /**
+     * Find an API key by its public prefix, including its owner
+     * @param {String} keyPrefix - Public key prefix
+     * @returns {Promise<Object>} - API key or null
+     */
+    async findByPrefix(keyPrefix) {
+      try {
+        const query = `
+          SELECT
+            k.id, k.user_id, k.name, k.key_prefix, k.key_hash, k.scopes,
+            k.rate_limit, k.expires_at, k.revoked_at,
+            u.wallet_address, u.did
+          FROM api_keys k
+          JOIN users u ON k.user_id = u.id
+          WHERE k.key_prefix = $1
+        `;
+
+        const result = await this.db.query(query, [keyPrefix]);
+        return result.rows.length > 0 ? result.rows[0] : null;
+      } catch (error) {
+        console.error('Error finding API key:', error);
+        throw new Error(`Failed to find API key: ${error.message}`);
+      }
+    }
+
+    /**
+     * Find an API key by ID
+     * @param {String} id - API key ID
+     * @returns {Promise<Object>} - API key (without hash) or null
+     */
+    async findById(id) {
+      try {
+        const query = `
+          SELECT
+            id, user_id, name, key_prefix, scopes, rate_limit, expires_at,
+            last_used_at, last_used_ip, usage_count, revoked_at, created_by,
+            created_at, updated_at
+          FROM api_keys
+          WHERE id = $1
+        `;
+
+        const result = await this.db.query(query, [id]);
+        return result.rows.length > 0 ? result.rows[0] : null;
+      } catch (error) {
+        console.error('Error finding API key by ID:', error);
+        throw new Error(`Failed to find API key: ${error.message}`);
+      }
+    }
+
+    /**
+     * List API keys
+     * @param {Object} options - Query options
+     * @returns {Promise<Array>} - API keys (without hashes)
+     */
+    async list(options = {}) {
+      try {
+        const { userId, includeRevoked = false, limit = 100, offset = 0 } = options;
+
+        let query = `
+          SELECT
+            k.id, k.user_id, u.wallet_address, k.name, k.key_prefix, k.scopes,
+            k.rate_limit, k.expires_at, k.last_used_at, k.last_used_ip,
+            k.usage_count, k.revoked_at, k.created_by, k.created_at, k.updated_at
+          FROM api_keys k
+          JOIN users u ON k.user_id = u.id
+          WHERE 1=1
+        `;
+
+        const params = [];
+        let paramIndex = 1;
+
+        if (userId) {
+          query += ` AND k.user_id = $${paramIndex++}`;
+          params.push(userId);
+        }
+
+        if (!includeRevoked) {
+          query += ` AND k.revoked_at IS NULL`;
+        }
+
+        query += ` ORDER BY k.created_at DESC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
+        params.push(limit, offset);
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+      } catch (error) {
+        console.error('Error listing API keys:', error);
+        throw new Error(`Failed to list API keys: ${error.message}`);
+      }
+    }
+
+    /**
+     * Replace the secret of an API key
+     * @param {String} id - API key ID
+     * @param {String} keyPrefix - New public key prefix
+     * @param {String} keyHash - New key hash
+     * @returns {Promise<Object>} - Updated API key or null
+     */
+    async rotate(id, keyPrefix, keyHash) {
+      try {
+        const query = `
+          UPDATE api_keys
+          SET key_prefix = $1, key_hash = $2, updated_at = NOW()
+          WHERE id = $3 AND revoked_at IS NULL
+          RETURNING id, user_id, name, key_prefix, scopes, rate_limit,
+            expires_at, updated_at
+        `;
+
+        const result = await this.db.query(query, [keyPrefix, keyHash, id]);
+        return result.rows.length > 0 ? result.rows[0] : null;
+      } catch (error) {
+        console.error('Error rotating API key:', error);
+        throw new Error(`Failed to rotate API key: ${error.message}`);
+      }
+    }
+
+    /**
+     * Revoke an API key
+     * @param {String} id - API key ID
+     * @returns {Promise<Boolean>} - Success status
+     */
+    async revoke(id) {
+      try {
+        const query = `
+          UPDATE api_keys
+          SET revoked_at = NOW(), updated_at = NOW()
+          WHERE id = $1 AND revoked_at IS NULL
+          RETURNING id
+        `;
+
+        const result = await this.db.query(query, [id]);
+        return result.rowCount > 0;
+      } catch (error) {
+        console.error('Error revoking API key:', error);
+        throw new Error(`Failed to revoke API key: ${error.message}`);
+      }
+    }
+
+    /**
+     * Record a use of an API key
+     * @param {String} id - API key ID
+     * @param {String} ipAddress - Caller IP address
+     * @returns {Promise<void>}
+     */
+    async touch(id, ipAddress) {
+      try {
+        const query = `
+          UPDATE api_keys
+          SET last_used_at = NOW(), last_used_ip = $2, usage_count = usage_count + 1
+          WHERE id = $1
+        `;
+
+        await this.db.query(query, [id, ipAddress || null]);
+      } catch (error) {
+        console.error('Error recording API key usage:', error);
+      }
+    }
+  }
+
+  module.exports = ApiKeyModel;
@@ -0,0 +1,143 @@
+/**
+ * Credential schema model for the versioned JSON Schema registry
+ */
+class CredentialSchemaModel {
+    constructor(db) {
+      this.db = db;
+    }
+
+    /**
+     * Store a new schema version
+     * @param {Object} schemaData - Schema data
+     * @returns {Promise<Object>} - Created schema version
+     */
+    async create(schemaData) {
+      try {
+        const {
+          schemaId,
+          version,
+          name,
+          description,
+          schema,
+          ipfsCid,
+          createdBy
+        } = schemaData;
+
+        const query = `
+          INSERT INTO credential_schemas (
+            schema_id, version, name, description, schema, ipfs_cid, created_by
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING *
+        `;
+
+        const result = await this.db.query(query, [
+          schemaId,
+          version,
+          name,
+          description || null,
+          JSON.stringify(schema),
+          ipfsCid || null,
+          createdBy || null
+        ]);
+
+        return result.rows[0];
+      } catch (error) {
+        console.error('Error creating credential schema:', error);
+        throw new Error(`Failed to create credential schema: ${error.message}`);
+      }
+    }
+
+    /**
+     * Find a schema version, or the latest version when none is given
+     * @param {String} schemaId - Schema identifier
+     * @param {Number} version - Schema version (optional)
+     * @returns {Promise<Object>} - Schema version or null
+     */
+    async find(schemaId, version = null) {
+      try {
+        const query = version
+          ? 'SELECT * FROM credential_schemas WHERE schema_id = $1 AND version = $2'
+          : 'SELECT * FROM credential_schemas WHERE schema_id = $1 ORDER BY version DESC LIMIT 1';
+
+        const result = await this.db.query(query, version ? [schemaId, version] : [schemaId]);
+        return result.rows.length > 0 ? result.rows[0] : null;
+      } catch (error) {
+        console.error('Error finding credential schema:', error);
+        throw new Error(`Failed to find credential schema: ${error.message}`);
+      }
+    }
+
+    /**
+     * List all versions of a schema
+     * @param {String} schemaId - Schema identifier
+     * @returns {Promise<Array>} - Schema versions, newest first
+     */
+    async listVersions(schemaId) {
+      try {
+        const query = `
+          SELECT *
+          FROM credential_schemas
+          WHERE schema_id = $1
+          ORDER BY version DESC
+        `;
+
+        const result = await this.db.query(query, [schemaId]);
+        return result.rows;
+      } catch (error) {
+        console.error('Error listing credential schema versions:', error);
+        throw new Error(`Failed to list credential schema versions: ${error.message}`);
+      }
+    }
+
+    /**
+     * List the latest version of every schema
+     * @param {Object} options - Filter and pagination options
+     * @returns {Promise<Array>} - Latest schema versions
+     */
+    async listLatest(options = {}) {
+      try {
+        const { includeDeprecated = false, limit = 50, offset = 0 } = options;
+
+        const query = `
+          SELECT DISTINCT ON (schema_id)
+            id, schema_id, version, name, description, ipfs_cid, status, created_by, created_at
+          FROM credential_schemas
+          ${includeDeprecated ? '' : "WHERE status = 'ACTIVE'"}
+          ORDER BY schema_id, version DESC
+          LIMIT $1 OFFSET $2
+        `;
+
+        const result = await this.db.query(query, [limit, offset]);
+        return result.rows;
+      } catch (error) {
+        console.error('Error listing credential schemas:', error);
+        throw new Error(`Failed to list credential schemas: ${error.message}`);
+      }
+    }
+
+    /**
+     * Deprecate one version, or every version, of a schema
+     * @param {String} schemaId - Schema identifier
+     * @param {Number} version - Schema version (optional)
+     * @returns {Promise<Number>} - Number of deprecated versions
+     */
+    async deprecate(schemaId, version = null) {
+      try {
+        const query = `
+          UPDATE credential_schemas
+          SET status = 'DEPRECATED', deprecated_at = NOW()
+          WHERE schema_id = $1 AND status = 'ACTIVE'
+          ${version ? 'AND version = $2' : ''}
+        `;
+
+        const result = await this.db.query(query, version ? [schemaId, version] : [schemaId]);
+        return result.rowCount;
+      } catch (error) {
+        console.error('Error deprecating credential schema:', error);
+        throw new Error(`Failed to deprecate credential schema: ${error.message}`);
+      }
+    }
+  }
+
+  module.exports = CredentialSchemaModel;
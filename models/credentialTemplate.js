@@ -0,0 +1,156 @@
+/**
+ * Credential template model for repeatable issuance
+ */
+class CredentialTemplateModel {
+    constructor(db) {
+      this.db = db;
+    }
+
+    /**
+     * Create a template
+     * @param {Object} templateData - Template data
+     * @returns {Promise<Object>} - Created template
+     */
+    async create(templateData) {
+      try {
+        const {
+          templateId,
+          name,
+          description,
+          credentialType,
+          context,
+          credentialSchema,
+          format,
+          validityDays,
+          requiredClaims,
+          defaultClaims,
+          issuerRole,
+          createdBy
+        } = templateData;
+
+        const query = `
+          INSERT INTO credential_templates (
+            template_id, name, description, credential_type, context, credential_schema,
+            format, validity_days, required_claims, default_claims, issuer_role, created_by
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          RETURNING *
+        `;
+
+        const result = await this.db.query(query, [
+          templateId,
+          name,
+          description || null,
+          credentialType,
+          JSON.stringify(context || []),
+          credentialSchema || null,
+          format || 'ldp_vc',
+          validityDays || null,
+          JSON.stringify(requiredClaims || []),
+          JSON.stringify(defaultClaims || {}),
+          issuerRole || null,
+          createdBy || null
+        ]);
+
+        return result.rows[0];
+      } catch (error) {
+        console.error('Error creating credential template:', error);
+        throw new Error(`Failed to create credential template: ${error.message}`);
+      }
+    }
+
+    /**
+     * Find a template by its template ID
+     * @param {String} templateId - Template identifier
+     * @returns {Promise<Object>} - Template or null
+     */
+    async findByTemplateId(templateId) {
+      try {
+        const query = 'SELECT * FROM credential_templates WHERE template_id = $1';
+        const result = await this.db.query(query, [templateId]);
+        return result.rows.length > 0 ? result.rows[0] : null;
+      } catch (error) {
+        console.error('Error finding credential template:', error);
+        throw new Error(`Failed to find credential template: ${error.message}`);
+      }
+    }
+
+    /**
+     * List templates
+     * @param {Object} options - Filter and pagination options
+     * @returns {Promise<Array>} - Templates
+     */
+    async list(options = {}) {
+      try {
+        const { includeArchived = false, limit = 50, offset = 0 } = options;
+
+        const query = `
+          SELECT *
+          FROM credential_templates
+          ${includeArchived ? '' : "WHERE status = 'ACTIVE'"}
+          ORDER BY template_id
+          LIMIT $1 OFFSET $2
+        `;
+
+        const result = await this.db.query(query, [limit, offset]);
+        return result.rows;
+      } catch (error) {
+        console.error('Error listing credential templates:', error);
+        throw new Error(`Failed to list credential templates: ${error.message}`);
+      }
+    }
+
+    /**
+     * Update a template
+     * @param {String} templateId - Template identifier
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} - Updated template or null
+     */
+    async update(templateId, updates) {
+      try {
+        const columns = {
+          name: 'name',
+          description: 'description',
+          credentialType: 'credential_type',
+          context: 'context',
+          credentialSchema: 'credential_schema',
+          format: 'format',
+          validityDays: 'validity_days',
+          requiredClaims: 'required_claims',
+          defaultClaims: 'default_claims',
+          issuerRole: 'issuer_role',
+          status: 'status'
+        };
+        const jsonColumns = ['context', 'requiredClaims', 'defaultClaims'];
+
+        const sets = [];
+        const params = [templateId];
+
+        Object.keys(columns).forEach(field => {
+          if (updates[field] !== undefined) {
+            params.push(jsonColumns.includes(field) ? JSON.stringify(updates[field]) : updates[field]);
+            sets.push(`${columns[field]} = $${params.length}`);
+          }
+        });
+
+        if (sets.length === 0) {
+          return this.findByTemplateId(templateId);
+        }
+
+        const query = `
+          UPDATE credential_templates
+          SET ${sets.join(', ')}, updated_at = NOW()
+          WHERE template_id = $1
+          RETURNING *
+        `;
+
+        const result = await this.db.query(query, params);
+        return result.rows.length > 0 ? result.rows[0] : null;
+      } catch (error) {
+        console.error('Error updating credential template:', error);
+        throw new Error(`Failed to update credential template: ${error.message}`);
+      }
+    }
+  }
+
+  module.exports = CredentialTemplateModel;
@@ -27,6 +27,7 @@ class DIDModel {
           ipfsCid
         ]);
   
+        await this.recordVersion(did);
         return result.rows[0];
       } catch (error) {
         console.error('Error creating DID document:', error);
@@ -42,11 +43,9 @@ class DIDModel {
     async findByDID(did) {
       try {
         const query = `
-          SELECT document, ipfs_cid, version, created_at, updated_at
+          SELECT document, ipfs_cid, version, deactivated, created_at, updated_at
           FROM did_documents
           WHERE did = $1
-          ORDER BY version DESC
-          LIMIT 1
         `;
   
         const result = await this.db.query(query, [did]);
@@ -58,7 +57,7 @@ class DIDModel {
     }
   
     /**
-     * Update a DID document
+     * Update a DID document, keeping the previous version in its history
      * @param {String} did - The DID to update
      * @param {Object} document - Updated DID document
      * @param {String} ipfsCid - New IPFS CID
@@ -66,40 +65,57 @@ class DIDModel {
      */
     async update(did, document, ipfsCid) {
       try {
-        // Get current version
-        const versionQuery = `
-          SELECT MAX(version) as current_version
-          FROM did_documents
-          WHERE did = $1
-        `;
-  
-        const versionResult = await this.db.query(versionQuery, [did]);
-        const currentVersion = versionResult.rows[0]?.current_version || 0;
-        const newVersion = currentVersion + 1;
-  
-        // Insert new version
         const query = `
-          INSERT INTO did_documents (did, document, ipfs_cid, version)
-          VALUES ($1, $2, $3, $4)
-          RETURNING id, did, ipfs_cid, version, created_at
+          UPDATE did_documents
+          SET document = $2, ipfs_cid = $3, version = version + 1, updated_at = NOW()
+          WHERE did = $1
+          RETURNING id, did, ipfs_cid, version, updated_at
         `;
   
         const result = await this.db.query(query, [
           did,
           document,
-          ipfsCid,
-          newVersion
+          ipfsCid
         ]);
+
+        if (result.rows.length === 0) {
+          throw new Error('DID not found');
+        }
   
+        await this.recordVersion(did);
         return result.rows[0];
       } catch (error) {
         console.error('Error updating DID document:', error);
         throw new Error(`Failed to update DID document: ${error.message}`);
       }
     }
+
+    /**
+     * Copy the current DID document into its version history. Called after
+     * every write to did_documents
+     * @param {String} did - The DID
+     * @returns {Promise<void>}
+     */
+    async recordVersion(did) {
+      try {
+        const query = `
+          INSERT INTO did_document_versions (did, version, document, ipfs_cid, created_at)
+          SELECT did, version, document, ipfs_cid, updated_at
+          FROM did_documents
+          WHERE did = $1
+          ON CONFLICT (did, version) DO NOTHING
+        `;
+
+        await this.db.query(query, [did]);
+      } catch (error) {
+        console.error('Error recording DID document version:', error);
+        throw new Error(`Failed to record DID document version: ${error.message}`);
+      }
+    }
   
     /**
-     * Get all versions of a DID document
+     * Get all versions of a DID document. The current version is included
+     * even if it predates the version history
      * @param {String} did - The DID
      * @returns {Promise<Array>} - Array of document versions
      */
@@ -107,8 +123,16 @@ class DIDModel {
       try {
         const query = `
           SELECT version, document, ipfs_cid, created_at
+          FROM did_document_versions
+          WHERE did = $1
+          UNION
+          SELECT version, document, ipfs_cid, updated_at AS created_at
           FROM did_documents
           WHERE did = $1
+            AND NOT EXISTS (
+              SELECT 1 FROM did_document_versions v
+              WHERE v.did = did_documents.did AND v.version = did_documents.version
+            )
           ORDER BY version DESC
         `;
   
@@ -128,42 +152,27 @@ class DIDModel {
      */
     async getVersion(did, version) {
       try {
-        const query = `
-          SELECT document, ipfs_cid, created_at
-          FROM did_documents
-          WHERE did = $1 AND version = $2
-        `;
-  
-        const result = await this.db.query(query, [did, version]);
-        return result.rows.length > 0 ? result.rows[0] : null;
+        const versions = await this.getVersionHistory(did);
+        return versions.find(entry => entry.version === Number(version)) || null;
       } catch (error) {
         console.error('Error getting DID document version:', error);
         throw new Error(`Failed to get DID document version: ${error.message}`);
       }
     }
-  
+
     /**
-     * Add a chain identity to a DID
+     * Get the version of a DID document that was current at a point in time
      * @param {String} did - The DID
-     * @param {String} chainId - Chain identifier
-     * @param {String} address - Address on the chain
-     * @returns {Promise<Object>} - Added chain identity
+     * @param {Date} time - Point in time
+     * @returns {Promise<Object>} - Document version or null if the DID did not exist yet
      */
-    async addChainIdentity(did, chainId, address) {
+    async getVersionAt(did, time) {
       try {
-        const query = `
-          INSERT INTO chain_identities (did, chain_id, address)
-          VALUES ($1, $2, $3)
-          ON CONFLICT (did, chain_id) DO UPDATE
-          SET address = $3, updated_at = NOW(), is_active = true
-          RETURNING id, did, chain_id, address, created_at
-        `;
-  
-        const result = await this.db.query(query, [did, chainId, address]);
-        return result.rows[0];
+        const versions = await this.getVersionHistory(did);
+        return versions.find(entry => new Date(entry.created_at) <= time) || null;
       } catch (error) {
-        console.error('Error adding chain identity:', error);
-        throw new Error(`Failed to add chain identity: ${error.message}`);
+        console.error('Error getting DID document version:', error);
+        throw new Error(`Failed to get DID document version: ${error.message}`);
       }
     }
   
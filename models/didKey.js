@@ -0,0 +1,164 @@
+/**
+ * DID key model for signing keys the service holds on behalf of DIDs
+ */
+class DIDKeyModel {
+    constructor(db) {
+      this.db = db;
+    }
+
+    /**
+     * Store a new key
+     * @param {Object} keyData - Key data
+     * @returns {Promise<Object>} - Created key (without private key)
+     */
+    async create(keyData) {
+      try {
+        const {
+          did,
+          keyId,
+          keyType,
+          cryptosuite,
+          purpose = 'assertionMethod',
+          publicKeyMultibase,
+          privateKeyEncrypted
+        } = keyData;
+
+        const query = `
+          INSERT INTO did_keys (
+            did, key_id, key_type, cryptosuite, purpose, public_key_multibase, private_key_encrypted
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING id, did, key_id, key_type, cryptosuite, purpose, public_key_multibase, status, created_at
+        `;
+
+        const result = await this.db.query(query, [
+          did,
+          keyId,
+          keyType,
+          cryptosuite,
+          purpose,
+          publicKeyMultibase,
+          privateKeyEncrypted
+        ]);
+
+        return result.rows[0];
+      } catch (error) {
+        console.error('Error creating DID key:', error);
+        throw new Error(`Failed to create DID key: ${error.message}`);
+      }
+    }
+
+    /**
+     * Find the active key of a DID for a cryptosuite and verification relationship
+     * @param {String} did - The DID
+     * @param {String} cryptosuite - Cryptosuite identifier
+     * @param {String} purpose - Verification relationship (default: assertionMethod)
+     * @returns {Promise<Object>} - Key (including encrypted private key) or null
+     */
+    async findActive(did, cryptosuite, purpose = 'assertionMethod') {
+      try {
+        const query = `
+          SELECT *
+          FROM did_keys
+          WHERE did = $1 AND cryptosuite = $2 AND purpose = $3 AND status = 'ACTIVE'
+          ORDER BY created_at DESC
+          LIMIT 1
+        `;
+
+        const result = await this.db.query(query, [did, cryptosuite, purpose]);
+        return result.rows.length > 0 ? result.rows[0] : null;
+      } catch (error) {
+        console.error('Error finding DID key:', error);
+        throw new Error(`Failed to find DID key: ${error.message}`);
+      }
+    }
+
+    /**
+     * Find a key by its verification method ID
+     * @param {String} keyId - Verification method ID
+     * @returns {Promise<Object>} - Key (including encrypted private key) or null
+     */
+    async findByKeyId(keyId) {
+      try {
+        const query = `
+          SELECT *
+          FROM did_keys
+          WHERE key_id = $1
+        `;
+
+        const result = await this.db.query(query, [keyId]);
+        return result.rows.length > 0 ? result.rows[0] : null;
+      } catch (error) {
+        console.error('Error finding DID key by ID:', error);
+        throw new Error(`Failed to find DID key: ${error.message}`);
+      }
+    }
+
+    /**
+     * List the keys of a DID
+     * @param {String} did - The DID
+     * @returns {Promise<Array>} - Keys (without private keys)
+     */
+    async listByDID(did) {
+      try {
+        const query = `
+          SELECT id, did, key_id, key_type, cryptosuite, purpose, public_key_multibase,
+            status, created_at, revoked_at
+          FROM did_keys
+          WHERE did = $1
+          ORDER BY created_at DESC
+        `;
+
+        const result = await this.db.query(query, [did]);
+        return result.rows;
+      } catch (error) {
+        console.error('Error listing DID keys:', error);
+        throw new Error(`Failed to list DID keys: ${error.message}`);
+      }
+    }
+
+    /**
+     * Revoke a key
+     * @param {String} keyId - Verification method ID
+     * @returns {Promise<Boolean>} - Success status
+     */
+    async revoke(keyId) {
+      try {
+        const query = `
+          UPDATE did_keys
+          SET status = 'REVOKED', revoked_at = NOW()
+          WHERE key_id = $1 AND status = 'ACTIVE'
+          RETURNING id
+        `;
+
+        const result = await this.db.query(query, [keyId]);
+        return result.rowCount > 0;
+      } catch (error) {
+        console.error('Error revoking DID key:', error);
+        throw new Error(`Failed to revoke DID key: ${error.message}`);
+      }
+    }
+
+    /**
+     * Revoke every active key of a DID
+     * @param {String} did - The DID
+     * @returns {Promise<Number>} - Number of keys revoked
+     */
+    async revokeAllForDID(did) {
+      try {
+        const query = `
+          UPDATE did_keys
+          SET status = 'REVOKED', revoked_at = NOW()
+          WHERE did = $1 AND status = 'ACTIVE'
+        `;
+
+        const result = await this.db.query(query, [did]);
+        return result.rowCount;
+      } catch (error) {
+        console.error('Error revoking DID keys:', error);
+        throw new Error(`Failed to revoke DID keys: ${error.message}`);
+      }
+    }
+  }
+
+  module.exports = DIDKeyModel;
@@ -1,6 +1,11 @@
 /**
  * Role model for interacting with roles and user role assignments
  */
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS, hasPermission } = require('../config/permissions');
+
+// "*", "resource:*" or "resource:action"
+const PERMISSION_PATTERN = /^(\*|[a-z][a-z0-9_-]*:(\*|[a-z][a-z0-9_-]*))$/;
+
 class RoleModel {
     constructor(db) {
       this.db = db;
@@ -218,6 +223,50 @@ class RoleModel {
       }
     }
   
+    /**
+     * Check if a user has a role, directly or through a role that inherits it
+     * @param {String} userId - User ID
+     * @param {String} roleName - Role name
+     * @param {String} chainId - Chain ID (optional)
+     * @returns {Promise<Boolean>} - Whether user effectively has the role
+     */
+    async userHasEffectiveRole(userId, roleName, chainId = null) {
+      try {
+        let query = `
+          WITH RECURSIVE role_tree AS (
+            SELECT ur.role_id
+            FROM user_roles ur
+            WHERE ur.user_id = $1 AND ur.is_active = true
+        `;
+  
+        const params = [userId, roleName];
+  
+        if (chainId) {
+          query += ` AND ur.chain_id = $3`;
+          params.push(chainId);
+        }
+  
+        query += `
+            UNION
+            SELECT ri.inherited_role_id
+            FROM role_inheritance ri
+            JOIN role_tree rt ON ri.role_id = rt.role_id
+          )
+          SELECT 1
+          FROM role_tree rt
+          JOIN roles r ON rt.role_id = r.id
+          WHERE r.name = $2
+          LIMIT 1
+        `;
+  
+        const result = await this.db.query(query, params);
+        return result.rows.length > 0;
+      } catch (error) {
+        console.error('Error checking effective user role:', error);
+        return false;
+      }
+    }
+  
     /**
      * Get all roles assigned to a user
      * @param {String} userId - User ID
@@ -286,6 +335,320 @@ class RoleModel {
       }
     }
   
+    /**
+     * Get the effective permissions of a user, following role inheritance
+     * @param {String} userId - User ID
+     * @param {String} chainId - Chain ID (optional)
+     * @returns {Promise<Array<String>>} - Permission names
+     */
+    async getUserPermissions(userId, chainId = null) {
+      try {
+        let query = `
+          WITH RECURSIVE role_tree AS (
+            SELECT ur.role_id
+            FROM user_roles ur
+            WHERE ur.user_id = $1 AND ur.is_active = true
+        `;
+  
+        const params = [userId];
+  
+        if (chainId) {
+          query += ` AND ur.chain_id = $2`;
+          params.push(chainId);
+        }
+  
+        query += `
+            UNION
+            SELECT ri.inherited_role_id
+            FROM role_inheritance ri
+            JOIN role_tree rt ON ri.role_id = rt.role_id
+          )
+          SELECT DISTINCT p.name
+          FROM role_tree rt
+          JOIN role_permissions rp ON rp.role_id = rt.role_id
+          JOIN permissions p ON rp.permission_id = p.id
+          ORDER BY p.name
+        `;
+  
+        const result = await this.db.query(query, params);
+        return result.rows.map(row => row.name);
+      } catch (error) {
+        console.error('Error getting user permissions:', error);
+        throw new Error(`Failed to get user permissions: ${error.message}`);
+      }
+    }
+  
+    /**
+     * Check if a user has a permission through any of their roles
+     * @param {String} userId - User ID
+     * @param {String} permission - Required permission
+     * @param {String} chainId - Chain ID (optional)
+     * @returns {Promise<Boolean>} - Whether user has the permission
+     */
+    async userHasPermission(userId, permission, chainId = null) {
+      try {
+        const permissions = await this.getUserPermissions(userId, chainId);
+        return hasPermission(permissions, permission);
+      } catch (error) {
+        console.error('Error checking user permission:', error);
+        return false;
+      }
+    }
+  
+    /**
+     * Get all known permissions
+     * @returns {Promise<Array>} - Array of permissions
+     */
+    async getPermissions() {
+      try {
+        const query = `
+          SELECT id, name, description, created_at
+          FROM permissions
+          ORDER BY name
+        `;
+  
+        const result = await this.db.query(query);
+        return result.rows;
+      } catch (error) {
+        console.error('Error getting permissions:', error);
+        throw new Error(`Failed to get permissions: ${error.message}`);
+      }
+    }
+  
+    /**
+     * Create a new permission
+     * @param {String} name - Permission name ("resource:action", "resource:*" or "*")
+     * @param {String} description - Permission description
+     * @returns {Promise<Object>} - Created permission
+     */
+    async createPermission(name, description) {
+      try {
+        if (!PERMISSION_PATTERN.test(name)) {
+          throw new Error(`Invalid permission name: ${name}`);
+        }
+  
+        const query = `
+          INSERT INTO permissions (name, description)
+          VALUES ($1, $2)
+          RETURNING id, name, description, created_at
+        `;
+  
+        const result = await this.db.query(query, [name, description || null]);
+        return result.rows[0];
+      } catch (error) {
+        console.error('Error creating permission:', error);
+        throw new Error(`Failed to create permission: ${error.message}`);
+      }
+    }
+  
+    /**
+     * Get the permissions of a role, including those inherited from other roles
+     * @param {String} roleId - Role ID
+     * @returns {Promise<Array>} - Permissions with the role they are granted through
+     */
+    async getRolePermissions(roleId) {
+      try {
+        const query = `
+          WITH RECURSIVE role_tree AS (
+            SELECT $1::uuid AS role_id
+            UNION
+            SELECT ri.inherited_role_id
+            FROM role_inheritance ri
+            JOIN role_tree rt ON ri.role_id = rt.role_id
+          )
+          SELECT p.name, p.description, r.name AS granted_via, (r.id = $1::uuid) AS direct
+          FROM role_tree rt
+          JOIN roles r ON rt.role_id = r.id
+          JOIN role_permissions rp ON rp.role_id = rt.role_id
+          JOIN permissions p ON rp.permission_id = p.id
+          ORDER BY p.name, r.name
+        `;
+  
+        const result = await this.db.query(query, [roleId]);
+        return result.rows;
+      } catch (error) {
+        console.error('Error getting role permissions:', error);
+        throw new Error(`Failed to get role permissions: ${error.message}`);
+      }
+    }
+  
+    /**
+     * Grant a permission to a role
+     * @param {String} roleId - Role ID
+     * @param {String} permissionName - Permission name
+     * @returns {Promise<Boolean>} - Whether the grant was added
+     */
+    async grantPermission(roleId, permissionName) {
+      try {
+        const query = `
+          INSERT INTO role_permissions (role_id, permission_id)
+          SELECT $1, id FROM permissions WHERE name = $2
+          ON CONFLICT (role_id, permission_id) DO NOTHING
+          RETURNING role_id
+        `;
+  
+        const result = await this.db.query(query, [roleId, permissionName]);
+  
+        if (result.rowCount === 0) {
+          const exists = await this.db.query('SELECT 1 FROM permissions WHERE name = $1', [permissionName]);
+          if (exists.rows.length === 0) {
+            throw new Error(`Permission not found: ${permissionName}`);
+          }
+        }
+  
+        return result.rowCount > 0;
+      } catch (error) {
+        console.error('Error granting permission:', error);
+        throw new Error(`Failed to grant permission: ${error.message}`);
+      }
+    }
+  
+    /**
+     * Remove a permission from a role
+     * @param {String} roleId - Role ID
+     * @param {String} permissionName - Permission name
+     * @returns {Promise<Boolean>} - Whether the grant was removed
+     */
+    async revokePermission(roleId, permissionName) {
+      try {
+        const query = `
+          DELETE FROM role_permissions
+          WHERE role_id = $1
+            AND permission_id = (SELECT id FROM permissions WHERE name = $2)
+          RETURNING role_id
+        `;
+  
+        const result = await this.db.query(query, [roleId, permissionName]);
+        return result.rowCount > 0;
+      } catch (error) {
+        console.error('Error revoking permission:', error);
+        throw new Error(`Failed to revoke permission: ${error.message}`);
+      }
+    }
+  
+    /**
+     * Get the roles a role directly inherits from
+     * @param {String} roleId - Role ID
+     * @returns {Promise<Array>} - Inherited roles
+     */
+    async getInheritedRoles(roleId) {
+      try {
+        const query = `
+          SELECT r.id, r.name, r.description
+          FROM role_inheritance ri
+          JOIN roles r ON ri.inherited_role_id = r.id
+          WHERE ri.role_id = $1
+          ORDER BY r.name
+        `;
+  
+        const result = await this.db.query(query, [roleId]);
+        return result.rows;
+      } catch (error) {
+        console.error('Error getting inherited roles:', error);
+        throw new Error(`Failed to get inherited roles: ${error.message}`);
+      }
+    }
+  
+    /**
+     * Make a role inherit every permission of another role
+     * @param {String} roleId - Inheriting role ID
+     * @param {String} inheritedRoleId - Inherited role ID
+     * @returns {Promise<Boolean>} - Whether the inheritance was added
+     */
+    async addInheritance(roleId, inheritedRoleId) {
+      try {
+        // Refuse edges that would make the hierarchy cyclic
+        const cycleQuery = `
+          WITH RECURSIVE role_tree AS (
+            SELECT $1::uuid AS role_id
+            UNION
+            SELECT ri.inherited_role_id
+            FROM role_inheritance ri
+            JOIN role_tree rt ON ri.role_id = rt.role_id
+          )
+          SELECT 1 FROM role_tree WHERE role_id = $2::uuid
+        `;
+  
+        const cycleResult = await this.db.query(cycleQuery, [inheritedRoleId, roleId]);
+        if (cycleResult.rows.length > 0) {
+          throw new Error('Inheritance would create a cycle');
+        }
+  
+        const query = `
+          INSERT INTO role_inheritance (role_id, inherited_role_id)
+          VALUES ($1, $2)
+          ON CONFLICT (role_id, inherited_role_id) DO NOTHING
+          RETURNING role_id
+        `;
+  
+        const result = await this.db.query(query, [roleId, inheritedRoleId]);
+        return result.rowCount > 0;
+      } catch (error) {
+        console.error('Error adding role inheritance:', error);
+        throw new Error(`Failed to add role inheritance: ${error.message}`);
+      }
+    }
+  
+    /**
+     * Stop a role inheriting from another role
+     * @param {String} roleId - Inheriting role ID
+     * @param {String} inheritedRoleId - Inherited role ID
+     * @returns {Promise<Boolean>} - Whether the inheritance was removed
+     */
+    async removeInheritance(roleId, inheritedRoleId) {
+      try {
+        const query = `
+          DELETE FROM role_inheritance
+          WHERE role_id = $1 AND inherited_role_id = $2
+          RETURNING role_id
+        `;
+  
+        const result = await this.db.query(query, [roleId, inheritedRoleId]);
+        return result.rowCount > 0;
+      } catch (error) {
+        console.error('Error removing role inheritance:', error);
+        throw new Error(`Failed to remove role inheritance: ${error.message}`);
+      }
+    }
+  
+    /**
+     * Initialize the built-in permissions and default role grants
+     * @returns {Promise<Array>} - Created permissions
+     */
+    async initializeDefaultPermissions() {
+      try {
+        await this.initializeDefaultRoles();
+  
+        const createdPermissions = [];
+        const catalog = { '*': 'All permissions', ...PERMISSIONS };
+  
+        for (const [name, description] of Object.entries(catalog)) {
+          const result = await this.db.query(
+            'INSERT INTO permissions (name, description) VALUES ($1, $2) ' +
+            'ON CONFLICT (name) DO NOTHING RETURNING id, name, description',
+            [name, description]
+          );
+  
+          if (result.rows.length > 0) {
+            createdPermissions.push(result.rows[0]);
+          }
+        }
+  
+        for (const [roleName, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+          const role = await this.findByName(roleName);
+  
+          for (const permission of permissions) {
+            await this.grantPermission(role.id, permission);
+          }
+        }
+  
+        return createdPermissions;
+      } catch (error) {
+        console.error('Error initializing default permissions:', error);
+        throw new Error(`Failed to initialize default permissions: ${error.message}`);
+      }
+    }
+  
     /**
      * Initialize default system roles
      * @returns {Promise<Array>} - Created roles
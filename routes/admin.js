@@ -1,17 +1,39 @@
 const express = require('express');
 const router = express.Router();
-const { hasRole } = require('../middleware/auth');
-const { ValidationError } = require('../middleware/error');
+const { requirePermission } = require('../middleware/auth');
+const { ValidationError, ForbiddenError } = require('../middleware/error');
 const DIDService = require('../services/did');
 const ipfsService = require('../services/ipfs');
 const KYCService = require('../services/kyc');
+const ApiKeyService = require('../services/apiKey');
+const SchemaService = require('../services/schema');
+const CredentialTemplateService = require('../services/template');
+const RoleModel = require('../models/role');
+const RoleSyncService = require('../services/roleSync');
+const { hasPermission } = require('../config/permissions');
 
 /**
- * Administrator-only routes protected by the ADMIN role
+ * Administrative routes, each protected by a permission (ADMIN holds them all)
  */
 
+/**
+ * Refuse to hand out permissions the caller does not hold. "*" and the
+ * ADMIN role are reserved for callers who hold "*" themselves.
+ * @param {Object} req - Express request, after requirePermission resolved req.user.permissions
+ * @param {Array<String>} permissions - Permissions the change would give
+ * @param {String} what - What is being handed out, for the error message
+ */
+const assertCallerHolds = (req, permissions, what) => {
+  const held = req.user.permissions || [];
+  const missing = permissions.filter(permission => !hasPermission(held, permission));
+
+  if (missing.length > 0) {
+    throw ForbiddenError(`Cannot give ${what}: caller lacks ${missing.join(', ')}`);
+  }
+};
+
 // Get system statistics
-router.get('/stats', hasRole('ADMIN'), async (req, res) => {
+router.get('/stats', requirePermission('system:read'), async (req, res) => {
   try {
     const db = req.app.get('db');
     
@@ -76,7 +98,7 @@ router.get('/stats', hasRole('ADMIN'), async (req, res) => {
  */
 
 // List users
-router.get('/users', hasRole('ADMIN'), async (req, res) => {
+router.get('/users', requirePermission('user:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, search } = req.query;
     const offset = (page - 1) * limit;
@@ -132,7 +154,7 @@ router.get('/users', hasRole('ADMIN'), async (req, res) => {
 });
 
 // Get user details
-router.get('/users/:userId', hasRole('ADMIN'), async (req, res) => {
+router.get('/users/:userId', requirePermission('user:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     const db = req.app.get('db');
@@ -220,7 +242,7 @@ router.get('/users/:userId', hasRole('ADMIN'), async (req, res) => {
  */
 
 // List all roles
-router.get('/roles', hasRole('ADMIN'), async (req, res) => {
+router.get('/roles', requirePermission('role:read'), async (req, res) => {
   try {
     const db = req.app.get('db');
     
@@ -247,7 +269,7 @@ router.get('/roles', hasRole('ADMIN'), async (req, res) => {
 });
 
 // Create a new role
-router.post('/roles', hasRole('ADMIN'), async (req, res) => {
+router.post('/roles', requirePermission('role:manage'), async (req, res) => {
   try {
     const { name, description } = req.body;
     
@@ -292,7 +314,7 @@ router.post('/roles', hasRole('ADMIN'), async (req, res) => {
 });
 
 // Assign role to user
-router.post('/users/:userId/roles', hasRole('ADMIN'), async (req, res) => {
+router.post('/users/:userId/roles', requirePermission('role:manage'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { roleName, chainId } = req.body;
@@ -327,6 +349,14 @@ router.post('/users/:userId/roles', hasRole('ADMIN'), async (req, res) => {
     
     const roleId = roleResult.rows[0].id;
     
+    const roleModel = new RoleModel(db);
+    const rolePermissions = await roleModel.getRolePermissions(roleId);
+    assertCallerHolds(
+      req,
+      roleName === 'ADMIN' ? ['*'] : rolePermissions.map(row => row.name),
+      `role '${roleName}'`
+    );
+    
     // Assign the role
     const insertQuery = `
       INSERT INTO user_roles (user_id, role_id, chain_id)
@@ -342,6 +372,10 @@ router.post('/users/:userId/roles', hasRole('ADMIN'), async (req, res) => {
       chainId || 'global'
     ]);
     
+    // Mirror chain-scoped roles onto the matching contract role
+    const roleSyncService = new RoleSyncService(db);
+    const onChain = await roleSyncService.syncRoleAssignment(userId, roleName, chainId || 'global', 'GRANT');
+    
     // Log the action
     const logQuery = `
       INSERT INTO audit_logs (
@@ -355,7 +389,7 @@ router.post('/users/:userId/roles', hasRole('ADMIN'), async (req, res) => {
       'ASSIGN_ROLE',
       'USER_ROLE',
       userId,
-      JSON.stringify({ roleName, chainId }),
+      JSON.stringify({ roleName, chainId, onChainStatus: onChain ? onChain.status : null }),
       req.ip,
       req.headers['user-agent']
     ]);
@@ -368,6 +402,7 @@ router.post('/users/:userId/roles', hasRole('ADMIN'), async (req, res) => {
         chainId: chainId || 'global',
         assignedAt: result.rows[0].assigned_at
       },
+      onChain,
       message: `Role '${roleName}' assigned successfully`
     });
   } catch (error) {
@@ -379,12 +414,1259 @@ router.post('/users/:userId/roles', hasRole('ADMIN'), async (req, res) => {
   }
 });
 
+// Revoke a role from a user
+router.delete('/users/:userId/roles/:roleName', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { userId, roleName } = req.params;
+    const chainId = req.query.chainId || 'global';
+    
+    const db = req.app.get('db');
+    
+    const updateQuery = `
+      UPDATE user_roles ur
+      SET is_active = false
+      FROM roles r
+      WHERE ur.role_id = r.id AND ur.user_id = $1 AND r.name = $2
+        AND ur.chain_id = $3 AND ur.is_active = true
+      RETURNING ur.user_id
+    `;
+    
+    const result = await db.query(updateQuery, [userId, roleName, chainId]);
+    
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `User does not have role '${roleName}' on chain '${chainId}'`
+      });
+    }
+    
+    const roleSyncService = new RoleSyncService(db);
+    const onChain = await roleSyncService.syncRoleAssignment(userId, roleName, chainId, 'REVOKE');
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'REVOKE_ROLE',
+      'USER_ROLE',
+      userId,
+      JSON.stringify({ roleName, chainId, onChainStatus: onChain ? onChain.status : null }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      onChain,
+      message: `Role '${roleName}' revoked successfully`
+    });
+  } catch (error) {
+    console.error('Error revoking role:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to revoke role: ${error.message}`
+    });
+  }
+});
+
+/**
+ * On-chain role synchronization
+ */
+
+// Report differences between off-chain and on-chain role assignments
+router.get('/roles/sync/drift', requirePermission('role:read'), async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const roleSyncService = new RoleSyncService(db);
+    
+    const report = await roleSyncService.getDriftReport();
+    
+    res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Error generating drift report:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to generate drift report: ${error.message}`
+    });
+  }
+});
+
+// List on-chain role sync transactions
+router.get('/roles/sync/transactions', requirePermission('role:read'), async (req, res) => {
+  try {
+    const { status, userId, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    
+    const db = req.app.get('db');
+    const roleSyncService = new RoleSyncService(db);
+    
+    const transactions = await roleSyncService.listTransactions({ status, userId, limit, offset });
+    
+    res.status(200).json({
+      success: true,
+      transactions
+    });
+  } catch (error) {
+    console.error('Error listing role sync transactions:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to list role sync transactions: ${error.message}`
+    });
+  }
+});
+
+// Run a reconciliation pass now
+router.post('/roles/sync/reconcile', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const roleSyncService = new RoleSyncService(db);
+    
+    const resolved = await roleSyncService.checkPendingTransactions();
+    const contracts = await roleSyncService.reconcile();
+    
+    res.status(200).json({
+      success: true,
+      resolvedTransactions: resolved,
+      contracts
+    });
+  } catch (error) {
+    console.error('Error reconciling roles:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to reconcile roles: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Permission management
+ */
+
+// List all permissions
+router.get('/permissions', requirePermission('role:read'), async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const roleModel = new RoleModel(db);
+    
+    const permissions = await roleModel.getPermissions();
+    
+    res.status(200).json({
+      success: true,
+      permissions
+    });
+  } catch (error) {
+    console.error('Error listing permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to list permissions: ${error.message}`
+    });
+  }
+});
+
+// Create a new permission
+router.post('/permissions', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    
+    if (!name) {
+      throw new ValidationError('Permission name is required');
+    }
+    
+    const db = req.app.get('db');
+    const roleModel = new RoleModel(db);
+    
+    const permission = await roleModel.createPermission(name, description);
+    
+    res.status(201).json({
+      success: true,
+      permission,
+      message: 'Permission created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating permission:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Failed to create permission: ${error.message}`
+    });
+  }
+});
+
+// Get a role's permissions, including those inherited from other roles
+router.get('/roles/:roleName/permissions', requirePermission('role:read'), async (req, res) => {
+  try {
+    const { roleName } = req.params;
+    
+    const db = req.app.get('db');
+    const roleModel = new RoleModel(db);
+    
+    const role = await roleModel.findByName(roleName);
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: `Role '${roleName}' not found`
+      });
+    }
+    
+    const [permissions, inherits] = await Promise.all([
+      roleModel.getRolePermissions(role.id),
+      roleModel.getInheritedRoles(role.id)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      role,
+      permissions,
+      inherits
+    });
+  } catch (error) {
+    console.error('Error getting role permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get role permissions: ${error.message}`
+    });
+  }
+});
+
+// Grant a permission to a role
+router.post('/roles/:roleName/permissions', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { roleName } = req.params;
+    const { permission } = req.body;
+    
+    if (!permission) {
+      throw new ValidationError('Permission is required');
+    }
+    
+    const db = req.app.get('db');
+    const roleModel = new RoleModel(db);
+    
+    const role = await roleModel.findByName(roleName);
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: `Role '${roleName}' not found`
+      });
+    }
+    
+    assertCallerHolds(req, [permission], `permission '${permission}'`);
+    
+    const granted = await roleModel.grantPermission(role.id, permission);
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'GRANT_PERMISSION',
+      'ROLE',
+      role.id,
+      JSON.stringify({ roleName, permission }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      granted,
+      message: granted
+        ? `Permission '${permission}' granted to role '${roleName}'`
+        : `Role '${roleName}' already has permission '${permission}'`
+    });
+  } catch (error) {
+    console.error('Error granting permission:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Failed to grant permission: ${error.message}`
+    });
+  }
+});
+
+// Remove a permission from a role
+router.delete('/roles/:roleName/permissions/:permission', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { roleName, permission } = req.params;
+    
+    const db = req.app.get('db');
+    const roleModel = new RoleModel(db);
+    
+    const role = await roleModel.findByName(roleName);
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: `Role '${roleName}' not found`
+      });
+    }
+    
+    const revoked = await roleModel.revokePermission(role.id, permission);
+    
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: `Role '${roleName}' does not have permission '${permission}'`
+      });
+    }
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'REVOKE_PERMISSION',
+      'ROLE',
+      role.id,
+      JSON.stringify({ roleName, permission }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      message: `Permission '${permission}' removed from role '${roleName}'`
+    });
+  } catch (error) {
+    console.error('Error revoking permission:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to revoke permission: ${error.message}`
+    });
+  }
+});
+
+// Make a role inherit the permissions of another role
+router.post('/roles/:roleName/inherits', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { roleName } = req.params;
+    const { inheritedRole } = req.body;
+    
+    if (!inheritedRole) {
+      throw new ValidationError('Inherited role name is required');
+    }
+    
+    const db = req.app.get('db');
+    const roleModel = new RoleModel(db);
+    
+    const [role, parentRole] = await Promise.all([
+      roleModel.findByName(roleName),
+      roleModel.findByName(inheritedRole)
+    ]);
+    
+    if (!role || !parentRole) {
+      return res.status(404).json({
+        success: false,
+        message: `Role '${!role ? roleName : inheritedRole}' not found`
+      });
+    }
+    
+    if (role.id === parentRole.id) {
+      throw new ValidationError('A role cannot inherit from itself');
+    }
+    
+    const inheritedPermissions = await roleModel.getRolePermissions(parentRole.id);
+    assertCallerHolds(
+      req,
+      parentRole.name === 'ADMIN' ? ['*'] : inheritedPermissions.map(row => row.name),
+      `the permissions of role '${inheritedRole}'`
+    );
+    
+    const added = await roleModel.addInheritance(role.id, parentRole.id);
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'ADD_ROLE_INHERITANCE',
+      'ROLE',
+      role.id,
+      JSON.stringify({ roleName, inheritedRole }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      added,
+      message: `Role '${roleName}' inherits from '${inheritedRole}'`
+    });
+  } catch (error) {
+    console.error('Error adding role inheritance:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Failed to add role inheritance: ${error.message}`
+    });
+  }
+});
+
+// Stop a role inheriting from another role
+router.delete('/roles/:roleName/inherits/:inheritedRole', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { roleName, inheritedRole } = req.params;
+    
+    const db = req.app.get('db');
+    const roleModel = new RoleModel(db);
+    
+    const [role, parentRole] = await Promise.all([
+      roleModel.findByName(roleName),
+      roleModel.findByName(inheritedRole)
+    ]);
+    
+    if (!role || !parentRole) {
+      return res.status(404).json({
+        success: false,
+        message: `Role '${!role ? roleName : inheritedRole}' not found`
+      });
+    }
+    
+    const removed = await roleModel.removeInheritance(role.id, parentRole.id);
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: `Role '${roleName}' does not inherit from '${inheritedRole}'`
+      });
+    }
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'REMOVE_ROLE_INHERITANCE',
+      'ROLE',
+      role.id,
+      JSON.stringify({ roleName, inheritedRole }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      message: `Role '${roleName}' no longer inherits from '${inheritedRole}'`
+    });
+  } catch (error) {
+    console.error('Error removing role inheritance:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to remove role inheritance: ${error.message}`
+    });
+  }
+});
+
+// Get a user's effective permissions
+router.get('/users/:userId/permissions', requirePermission('user:read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { chainId } = req.query;
+    
+    const db = req.app.get('db');
+    const roleModel = new RoleModel(db);
+    
+    const permissions = await roleModel.getUserPermissions(userId, chainId || null);
+    
+    res.status(200).json({
+      success: true,
+      userId,
+      permissions
+    });
+  } catch (error) {
+    console.error('Error getting user permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get user permissions: ${error.message}`
+    });
+  }
+});
+
+/**
+ * API key management
+ */
+
+// Create an API key for a service account
+router.post('/api-keys', requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const { userId, name, scopes, rateLimit, expiresAt } = req.body;
+    
+    if (!userId || !name) {
+      throw new ValidationError('User ID and key name are required');
+    }
+    
+    const db = req.app.get('db');
+    
+    // Check if user exists
+    const userQuery = `SELECT id FROM users WHERE id = $1`;
+    const userResult = await db.query(userQuery, [userId]);
+    
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const apiKeyService = new ApiKeyService(db);
+    const { apiKey, key } = await apiKeyService.createKey(
+      { userId, name, scopes, rateLimit, expiresAt },
+      req.user.id
+    );
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'CREATE_API_KEY',
+      'API_KEY',
+      apiKey.id,
+      JSON.stringify({ name, ownerId: userId, scopes: apiKey.scopes }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(201).json({
+      success: true,
+      apiKey,
+      key,
+      message: 'API key created successfully. Store the key now; it cannot be shown again'
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Failed to create API key: ${error.message}`
+    });
+  }
+});
+
+// List API keys
+router.get('/api-keys', requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const { userId, includeRevoked, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    
+    const db = req.app.get('db');
+    const apiKeyService = new ApiKeyService(db);
+    
+    const apiKeys = await apiKeyService.listKeys({
+      userId,
+      includeRevoked: includeRevoked === 'true',
+      limit,
+      offset
+    });
+    
+    res.status(200).json({
+      success: true,
+      apiKeys,
+      availableScopes: ApiKeyService.API_KEY_SCOPES
+    });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to list API keys: ${error.message}`
+    });
+  }
+});
+
+// Rotate an API key's secret
+router.post('/api-keys/:keyId/rotate', requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    
+    const db = req.app.get('db');
+    const apiKeyService = new ApiKeyService(db);
+    
+    const result = await apiKeyService.rotateKey(keyId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active API key not found'
+      });
+    }
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'ROTATE_API_KEY',
+      'API_KEY',
+      keyId,
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      apiKey: result.apiKey,
+      key: result.key,
+      message: 'API key rotated successfully. The previous key no longer works'
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to rotate API key: ${error.message}`
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/api-keys/:keyId', requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    
+    const db = req.app.get('db');
+    const apiKeyService = new ApiKeyService(db);
+    
+    const revoked = await apiKeyService.revokeKey(keyId);
+    
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active API key not found'
+      });
+    }
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'REVOKE_API_KEY',
+      'API_KEY',
+      keyId,
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      keyId,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to revoke API key: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Credential schema registry
+ */
+
+// List credential schemas (latest version of each)
+router.get('/schemas', requirePermission('schema:read'), async (req, res) => {
+  try {
+    const { includeDeprecated, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    
+    const db = req.app.get('db');
+    const schemaService = new SchemaService(db);
+    
+    const schemas = await schemaService.listSchemas({
+      includeDeprecated: includeDeprecated === 'true',
+      limit,
+      offset
+    });
+    
+    res.status(200).json({
+      success: true,
+      schemas: schemas.map(schema => ({
+        ...schema,
+        url: schemaService.getSchemaUrl(schema.schema_id, schema.version)
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing schemas:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to list schemas: ${error.message}`
+    });
+  }
+});
+
+// Register a new credential schema
+router.post('/schemas', requirePermission('schema:manage'), async (req, res) => {
+  try {
+    const { schemaId, name, description, schema } = req.body;
+    
+    if (!schemaId || !name || !schema) {
+      throw new ValidationError('Schema ID, name and schema are required');
+    }
+    
+    if (!SchemaService.SCHEMA_ID_PATTERN.test(schemaId)) {
+      throw new ValidationError('Schema ID must be 2-100 letters, digits, ".", "_" or "-"');
+    }
+    
+    const db = req.app.get('db');
+    const schemaService = new SchemaService(db);
+    
+    const schemaError = schemaService.checkSchema(schema);
+    if (schemaError) {
+      throw new ValidationError(schemaError);
+    }
+    
+    if (await schemaService.getSchema(schemaId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Schema already exists; publish a new version instead'
+      });
+    }
+    
+    const created = await schemaService.createSchema(
+      { schemaId, name, description, schema },
+      req.user.id
+    );
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'CREATE_SCHEMA',
+      'CREDENTIAL_SCHEMA',
+      created.id,
+      JSON.stringify({ schemaId, version: created.version, ipfsCid: created.ipfs_cid }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(201).json({
+      success: true,
+      schema: created,
+      url: schemaService.getSchemaUrl(schemaId, created.version),
+      message: 'Schema registered successfully'
+    });
+  } catch (error) {
+    console.error('Error creating schema:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Failed to create schema: ${error.message}`
+    });
+  }
+});
+
+// Get all versions of a credential schema
+router.get('/schemas/:schemaId', requirePermission('schema:read'), async (req, res) => {
+  try {
+    const { schemaId } = req.params;
+    
+    const db = req.app.get('db');
+    const schemaService = new SchemaService(db);
+    
+    const versions = await schemaService.listVersions(schemaId);
+    
+    if (versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schema not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      schemaId,
+      latestVersion: versions[0].version,
+      versions: versions.map(version => ({
+        ...version,
+        url: schemaService.getSchemaUrl(schemaId, version.version)
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting schema:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get schema: ${error.message}`
+    });
+  }
+});
+
+// Get one version of a credential schema
+router.get('/schemas/:schemaId/versions/:version', requirePermission('schema:read'), async (req, res) => {
+  try {
+    const { schemaId, version } = req.params;
+    
+    if (!/^\d+$/.test(version)) {
+      throw new ValidationError('Version must be a positive integer');
+    }
+    
+    const db = req.app.get('db');
+    const schemaService = new SchemaService(db);
+    
+    const schema = await schemaService.getSchema(schemaId, parseInt(version));
+    
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schema version not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      schema,
+      url: schemaService.getSchemaUrl(schemaId, schema.version)
+    });
+  } catch (error) {
+    console.error('Error getting schema version:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Failed to get schema version: ${error.message}`
+    });
+  }
+});
+
+// Publish a new version of a credential schema
+router.put('/schemas/:schemaId', requirePermission('schema:manage'), async (req, res) => {
+  try {
+    const { schemaId } = req.params;
+    const { name, description, schema } = req.body;
+    
+    if (!schema) {
+      throw new ValidationError('Schema is required');
+    }
+    
+    const db = req.app.get('db');
+    const schemaService = new SchemaService(db);
+    
+    const schemaError = schemaService.checkSchema(schema);
+    if (schemaError) {
+      throw new ValidationError(schemaError);
+    }
+    
+    if (!(await schemaService.getSchema(schemaId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schema not found'
+      });
+    }
+    
+    const created = await schemaService.createVersion(
+      schemaId,
+      { name, description, schema },
+      req.user.id
+    );
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'UPDATE_SCHEMA',
+      'CREDENTIAL_SCHEMA',
+      created.id,
+      JSON.stringify({ schemaId, version: created.version, ipfsCid: created.ipfs_cid }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(201).json({
+      success: true,
+      schema: created,
+      url: schemaService.getSchemaUrl(schemaId, created.version),
+      message: `Schema version ${created.version} published successfully`
+    });
+  } catch (error) {
+    console.error('Error publishing schema version:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Failed to publish schema version: ${error.message}`
+    });
+  }
+});
+
+// Deprecate every version of a credential schema
+router.delete('/schemas/:schemaId', requirePermission('schema:manage'), async (req, res) => {
+  await deprecateSchema(req, res, null);
+});
+
+// Deprecate one version of a credential schema
+router.delete('/schemas/:schemaId/versions/:version', requirePermission('schema:manage'), async (req, res) => {
+  if (!/^\d+$/.test(req.params.version)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Version must be a positive integer'
+    });
+  }
+  
+  await deprecateSchema(req, res, parseInt(req.params.version));
+});
+
+/**
+ * Deprecate a schema, or one of its versions, so it can no longer be issued
+ * against. Credentials already issued under it still validate
+ */
+async function deprecateSchema(req, res, version) {
+  try {
+    const { schemaId } = req.params;
+    
+    const db = req.app.get('db');
+    const schemaService = new SchemaService(db);
+    
+    const deprecated = await schemaService.deprecateSchema(schemaId, version);
+    
+    if (deprecated === 0) {
+      return res.status(404).json({
+        success: false,
+        message: version ? 'Active schema version not found' : 'Active schema not found'
+      });
+    }
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'DEPRECATE_SCHEMA',
+      'CREDENTIAL_SCHEMA',
+      schemaId,
+      JSON.stringify({ version, deprecatedVersions: deprecated }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      schemaId,
+      version,
+      deprecatedVersions: deprecated,
+      message: 'Schema deprecated successfully'
+    });
+  } catch (error) {
+    console.error('Error deprecating schema:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to deprecate schema: ${error.message}`
+    });
+  }
+}
+
+/**
+ * Credential templates
+ */
+
+// List credential templates
+router.get('/templates', requirePermission('template:read'), async (req, res) => {
+  try {
+    const { includeArchived, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    
+    const db = req.app.get('db');
+    const templateService = new CredentialTemplateService(db);
+    
+    const templates = await templateService.listTemplates({
+      includeArchived: includeArchived === 'true',
+      limit,
+      offset
+    });
+    
+    res.status(200).json({
+      success: true,
+      templates
+    });
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to list templates: ${error.message}`
+    });
+  }
+});
+
+// Create a credential template
+router.post('/templates', requirePermission('template:manage'), async (req, res) => {
+  try {
+    const definition = pickTemplateFields(req.body);
+    
+    if (!req.body.templateId || !definition.name || !definition.credentialType) {
+      throw new ValidationError('Template ID, name and credential type are required');
+    }
+    
+    if (!CredentialTemplateService.TEMPLATE_ID_PATTERN.test(req.body.templateId)) {
+      throw new ValidationError('Template ID must be 2-100 letters, digits, ".", "_" or "-"');
+    }
+    
+    const db = req.app.get('db');
+    const templateService = new CredentialTemplateService(db);
+    
+    if (await templateService.getTemplate(req.body.templateId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Template already exists'
+      });
+    }
+    
+    const definitionError = await templateService.checkDefinition(definition);
+    if (definitionError) {
+      throw new ValidationError(definitionError);
+    }
+    
+    const template = await templateService.createTemplate(
+      { ...definition, templateId: req.body.templateId },
+      req.user.id
+    );
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'CREATE_TEMPLATE',
+      'CREDENTIAL_TEMPLATE',
+      template.template_id,
+      JSON.stringify({ credentialType: template.credential_type, issuerRole: template.issuer_role }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(201).json({
+      success: true,
+      template,
+      message: 'Template created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Failed to create template: ${error.message}`
+    });
+  }
+});
+
+// Get a credential template
+router.get('/templates/:templateId', requirePermission('template:read'), async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const templateService = new CredentialTemplateService(db);
+    
+    const template = await templateService.getTemplate(req.params.templateId);
+    
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    console.error('Error getting template:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get template: ${error.message}`
+    });
+  }
+});
+
+// Update a credential template
+router.put('/templates/:templateId', requirePermission('template:manage'), async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const updates = pickTemplateFields(req.body);
+    
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError('No template fields to update');
+    }
+    
+    const db = req.app.get('db');
+    const templateService = new CredentialTemplateService(db);
+    
+    const existing = await templateService.getTemplate(templateId);
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+    
+    const definitionError = await templateService.checkDefinition({
+      ...templateService.toDefinition(existing),
+      ...updates
+    });
+    if (definitionError) {
+      throw new ValidationError(definitionError);
+    }
+    
+    const template = await templateService.updateTemplate(templateId, updates);
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'UPDATE_TEMPLATE',
+      'CREDENTIAL_TEMPLATE',
+      templateId,
+      JSON.stringify({ fields: Object.keys(updates) }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      template,
+      message: 'Template updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Failed to update template: ${error.message}`
+    });
+  }
+});
+
+// Archive a credential template
+router.delete('/templates/:templateId', requirePermission('template:manage'), async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    
+    const db = req.app.get('db');
+    const templateService = new CredentialTemplateService(db);
+    
+    const template = await templateService.archiveTemplate(templateId);
+    
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+    
+    // Log the action
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'ARCHIVE_TEMPLATE',
+      'CREDENTIAL_TEMPLATE',
+      templateId,
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      templateId,
+      message: 'Template archived successfully'
+    });
+  } catch (error) {
+    console.error('Error archiving template:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to archive template: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Pick the template definition fields present in a request body
+ */
+function pickTemplateFields(body) {
+  const fields = [
+    'name', 'description', 'credentialType', 'context', 'credentialSchema',
+    'format', 'validityDays', 'requiredClaims', 'defaultClaims', 'issuerRole'
+  ];
+  
+  return fields.reduce((definition, field) => {
+    if (body[field] !== undefined) {
+      definition[field] = body[field];
+    }
+    return definition;
+  }, {});
+}
+
 /**
  * Credential management
  */
 
 // List credentials with filtering
-router.get('/credentials', hasRole('ADMIN'), async (req, res) => {
+router.get('/credentials', requirePermission('credential:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status, type, issuer, subject } = req.query;
     const offset = (page - 1) * limit;
@@ -485,7 +1767,7 @@ router.get('/credentials', hasRole('ADMIN'), async (req, res) => {
  */
 
 // Send a cross-chain message
-router.post('/cross-chain/message', hasRole('BRIDGE_ADMIN'), async (req, res) => {
+router.post('/cross-chain/message', requirePermission('bridge:send'), async (req, res) => {
   try {
     const { targetChain, messageType, data } = req.body;
     
@@ -568,7 +1850,7 @@ router.post('/cross-chain/message', hasRole('BRIDGE_ADMIN'), async (req, res) =>
 });
 
 // Get IPFS status
-router.get('/ipfs/status', hasRole('ADMIN'), async (req, res) => {
+router.get('/ipfs/status', requirePermission('system:read'), async (req, res) => {
   try {
     // Simple IPFS health check
     const status = await ipfsService.checkPinataStatus();
@@ -591,7 +1873,7 @@ router.get('/ipfs/status', hasRole('ADMIN'), async (req, res) => {
 });
 
 // KYC operations
-router.get('/kyc/verifications', hasRole('ADMIN'), async (req, res) => {
+router.get('/kyc/verifications', requirePermission('kyc:read'), async (req, res) => {
   try {
     const { status, provider, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
@@ -668,7 +1950,7 @@ router.get('/kyc/verifications', hasRole('ADMIN'), async (req, res) => {
 });
 
 // Manual KYC approval (for testing)
-router.post('/kyc/approve/:verificationId', hasRole('ADMIN'), async (req, res) => {
+router.post('/kyc/approve/:verificationId', requirePermission('kyc:approve'), async (req, res) => {
   try {
     const { verificationId } = req.params;
     const { notes } = req.body;
@@ -718,8 +2000,8 @@ router.post('/kyc/approve/:verificationId', hasRole('ADMIN'), async (req, res) =
     const redis = req.app.get('redis');
     const kycService = new KYCService(db, redis);
     
-    // Issue verification credential
-    await kycService._issueVerificationCredential(
+    // Offer the KYC credential to the user's wallet
+    const offer = await kycService.offerKycCredential(
       verification.user_id,
       verification.verification_level,
       verificationId
@@ -728,6 +2010,7 @@ router.post('/kyc/approve/:verificationId', hasRole('ADMIN'), async (req, res) =
     res.status(200).json({
       success: true,
       verification: updateResult.rows[0],
+      credentialOfferId: offer ? offer.offerId : null,
       message: 'KYC verification approved successfully'
     });
   } catch (error) {
@@ -740,7 +2023,7 @@ router.post('/kyc/approve/:verificationId', hasRole('ADMIN'), async (req, res) =
 });
 
 // System health check
-router.get('/health', hasRole('ADMIN'), async (req, res) => {
+router.get('/health', requirePermission('system:read'), async (req, res) => {
   try {
     const db = req.app.get('db');
     const redis = req.app.get('redis');
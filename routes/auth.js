@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const AuthService = require('../services/auth');
+const RoleModel = require('../models/role');
 const { authenticateJWT } = require('../middleware/auth');
+const { parseSignInMessage } = require('../utils/siwe');
 
 /**
- * Generate a challenge for wallet signature authentication
+ * Generate a Sign-In with Ethereum / Sign-In with Solana challenge
  */
 router.post('/challenge', async (req, res) => {
   try {
-    const { walletAddress, chain } = req.body;
+    const { walletAddress, chain, chainId, resources } = req.body;
     
     // Validate request
     if (!walletAddress) {
@@ -23,14 +25,30 @@ router.post('/challenge', async (req, res) => {
     const redis = req.app.get('redis');
     const authService = new AuthService(db, redis);
     
+    if (resources !== undefined && !Array.isArray(resources)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Resources must be an array of URIs'
+      });
+    }
+    
     // Generate the challenge
-    const challenge = await authService.generateChallenge(walletAddress, chain || 'polygon');
+    const challenge = await authService.generateChallenge(walletAddress, chain || 'polygon', {
+      chainId,
+      resources
+    });
+    
+    const fields = parseSignInMessage(challenge);
     
     res.status(200).json({
       success: true,
       walletAddress,
       challenge,
-      chain: chain || 'polygon'
+      chain: chain || 'polygon',
+      chainId: fields.chainId,
+      nonce: fields.nonce,
+      issuedAt: fields.issuedAt,
+      expirationTime: fields.expirationTime
     });
   } catch (error) {
     console.error('Error generating auth challenge:', error);
@@ -42,11 +60,11 @@ router.post('/challenge', async (req, res) => {
 });
 
 /**
- * Verify a signature and authenticate the user
+ * Verify a signed sign-in message and authenticate the user
  */
 router.post('/verify', async (req, res) => {
   try {
-    const { walletAddress, signature, chain } = req.body;
+    const { walletAddress, signature, chain, message } = req.body;
     
     // Validate request
     if (!walletAddress || !signature) {
@@ -72,7 +90,8 @@ router.post('/verify', async (req, res) => {
       walletAddress,
       signature,
       chain || 'polygon',
-      metadata
+      metadata,
+      message
     );
     
     if (!result.authenticated) {
@@ -95,7 +114,7 @@ router.post('/verify', async (req, res) => {
       'USER_LOGIN',
       'AUTH_SESSION',
       walletAddress,
-      JSON.stringify({ chain: chain || 'polygon' }),
+      JSON.stringify({ chain: chain || 'polygon', chainId: result.user.chainId }),
       req.ip,
       req.headers['user-agent']
     ]);
@@ -103,11 +122,16 @@ router.post('/verify', async (req, res) => {
     res.status(200).json({
       success: true,
       token: result.token,
+      refreshToken: result.refreshToken,
+      expiresAt: result.expiresAt,
+      refreshExpiresAt: result.refreshExpiresAt,
+      sessionId: result.sessionId,
       user: {
         id: result.user.id,
         walletAddress: result.user.walletAddress,
         did: result.user.did,
-        chain: result.user.chain
+        chain: result.user.chain,
+        chainId: result.user.chainId
       },
       message: 'Authentication successful'
     });
@@ -120,6 +144,142 @@ router.post('/verify', async (req, res) => {
   }
 });
 
+/**
+ * Rotate a refresh token into a new access token and refresh token
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+    
+    // Initialize auth service
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const authService = new AuthService(db, redis);
+    
+    let result;
+    try {
+      result = await authService.refreshSession(refreshToken, {
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+    } catch (refreshError) {
+      return res.status(401).json({
+        success: false,
+        message: refreshError.message
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresAt: result.expiresAt,
+      refreshExpiresAt: result.refreshExpiresAt,
+      sessionId: result.sessionId,
+      message: 'Session refreshed successfully'
+    });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to refresh session: ${error.message}`
+    });
+  }
+});
+
+/**
+ * List the current user's active sessions
+ */
+router.get('/sessions', authenticateJWT, async (req, res) => {
+  try {
+    // Initialize auth service
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const authService = new AuthService(db, redis);
+    
+    const sessions = await authService.listSessions(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        ipAddress: session.ip_address,
+        userAgent: session.user_agent,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.refresh_expires_at || session.expires_at,
+        current: session.id === req.user.sessionId
+      })),
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to list sessions: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Revoke one of the current user's sessions
+ */
+router.delete('/sessions/:sessionId', authenticateJWT, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    // Initialize auth service
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const authService = new AuthService(db, redis);
+    
+    const revoked = await authService.revokeSession(req.user.id, sessionId);
+    
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    // Log session revocation
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+    
+    await db.query(logQuery, [
+      req.user.id,
+      'SESSION_REVOKED',
+      'AUTH_SESSION',
+      sessionId,
+      req.ip,
+      req.headers['user-agent']
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      sessionId,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to revoke session: ${error.message}`
+    });
+  }
+});
+
 /**
  * Logout (revoke the token)
  */
@@ -209,6 +369,9 @@ router.get('/profile', authenticateJWT, async (req, res) => {
     
     const rolesResult = await db.query(rolesQuery, [req.user.id]);
     
+    // Get effective permissions (including inherited roles)
+    const permissions = await new RoleModel(db).getUserPermissions(req.user.id);
+    
     // Get chain identities
     const chainQuery = `
       SELECT chain_id, address, created_at
@@ -227,6 +390,7 @@ router.get('/profile', authenticateJWT, async (req, res) => {
         createdAt: user.created_at,
         credentialCount: parseInt(user.credential_count),
         roles: rolesResult.rows,
+        permissions,
         chainIdentities: chainResult.rows
       }
     });
@@ -1,17 +1,36 @@
 const express = require('express');
 const router = express.Router();
-const { ownsDID, hasRole } = require('../middleware/auth');
+const config = require('../config');
+const { ownsDID, requirePermission, allowApiKeyScope } = require('../middleware/auth');
 const DIDService = require('../services/did');
 const CredentialService = require('../services/credential');
+const PresentationService = require('../services/presentation');
+const SchemaService = require('../services/schema');
+const CredentialTemplateService = require('../services/template');
+const BatchIssuanceService = require('../services/batchIssuance');
 const ipfsService = require('../services/ipfs');
 const { authenticateJWT } = require('../middleware/auth');
+const { CRYPTOSUITES } = require('../utils/dataIntegrity');
+const { CREDENTIAL_FORMATS } = require('../utils/vcJwt');
+const { parseCsv } = require('../utils/csv');
 
 /**
  * Issue a new credential
  */
-router.post('/issue', hasRole('CREDENTIAL_ISSUER'), async (req, res) => {
+router.post('/issue', requirePermission('credential:issue'), async (req, res) => {
   try {
-    const { issuerDid, subjectDid, claims, type, expirationDate, credentialSchema } = req.body;
+    const {
+      issuerDid,
+      subjectDid,
+      claims,
+      type,
+      expirationDate,
+      credentialSchema,
+      cryptosuite,
+      format,
+      selectiveDisclosure,
+      holderJwk
+    } = req.body;
     const walletAddress = req.user.walletAddress;
     
     // Validate request
@@ -22,6 +41,27 @@ router.post('/issue', hasRole('CREDENTIAL_ISSUER'), async (req, res) => {
       });
     }
 
+    if (cryptosuite && !CRYPTOSUITES[cryptosuite]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported cryptosuite. Supported: ${Object.keys(CRYPTOSUITES).join(', ')}`
+      });
+    }
+
+    if (format && !CREDENTIAL_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported credential format. Supported: ${CREDENTIAL_FORMATS.join(', ')}`
+      });
+    }
+
+    if ((selectiveDisclosure || holderJwk) && format !== 'vc+sd-jwt') {
+      return res.status(400).json({
+        success: false,
+        message: 'selectiveDisclosure and holderJwk require format vc+sd-jwt'
+      });
+    }
+
     // Initialize services
     const db = req.app.get('db');
     const redis = req.app.get('redis');
@@ -37,11 +77,39 @@ router.post('/issue', hasRole('CREDENTIAL_ISSUER'), async (req, res) => {
       });
     }
 
+    // Check the claims against the registry schema before anything is signed
+    if (credentialSchema) {
+      const schemaService = new SchemaService(db);
+      let schema;
+
+      try {
+        schema = await schemaService.resolveForIssuance(credentialSchema);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      const { valid, errors } = schemaService.validateClaims(schema, claims);
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: `Claims do not match schema ${schema.schema_id} v${schema.version}`,
+          errors
+        });
+      }
+    }
+
     // Issue the credential
     const options = {
       type: type || 'VerifiableCredential',
       expirationDate,
-      credentialSchema
+      credentialSchema,
+      cryptosuite,
+      format,
+      selectiveDisclosure,
+      holderJwk
     };
 
     const result = await credentialService.issueCredential(
@@ -55,6 +123,7 @@ router.post('/issue', hasRole('CREDENTIAL_ISSUER'), async (req, res) => {
     res.status(201).json({
       success: true,
       credential: result.credential,
+      format: result.format,
       credentialHash: result.credentialHash,
       ipfsCid: result.ipfsCid,
       message: 'Credential issued successfully'
@@ -69,17 +138,41 @@ router.post('/issue', hasRole('CREDENTIAL_ISSUER'), async (req, res) => {
 });
 
 /**
- * Verify a credential
+ * Issue a credential from a template with only the subject and variable claims
  */
-router.post('/verify', async (req, res) => {
+router.post('/templates/:templateId/issue', requirePermission('credential:issue'), async (req, res) => {
   try {
-    const { credential, credentialHash, ipfsCid } = req.body;
-    
+    const { templateId } = req.params;
+    const {
+      issuerDid,
+      subjectDid,
+      claims = {},
+      expirationDate,
+      cryptosuite,
+      selectiveDisclosure,
+      holderJwk
+    } = req.body;
+    const walletAddress = req.user.walletAddress;
+
     // Validate request
-    if ((!credential && !ipfsCid) || !credentialHash) {
+    if (!issuerDid || !subjectDid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: issuerDid and subjectDid are required'
+      });
+    }
+
+    if (typeof claims !== 'object' || Array.isArray(claims)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Claims must be an object'
+      });
+    }
+
+    if (cryptosuite && !CRYPTOSUITES[cryptosuite]) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: either credential or ipfsCid, plus credentialHash are required'
+        message: `Unsupported cryptosuite. Supported: ${Object.keys(CRYPTOSUITES).join(', ')}`
       });
     }
 
@@ -87,122 +180,1065 @@ router.post('/verify', async (req, res) => {
     const db = req.app.get('db');
     const redis = req.app.get('redis');
     const didService = new DIDService(db, redis);
-    const credentialService = new CredentialService(db, redis, didService);
-    
-    // Get the credential content
-    let credentialContent;
-    if (credential) {
-      credentialContent = typeof credential === 'string' ? JSON.parse(credential) : credential;
-    } else if (ipfsCid) {
-      credentialContent = await ipfsService.getFromIPFS(ipfsCid);
+    const templateService = new CredentialTemplateService(db, redis, didService);
+
+    const template = await templateService.getTemplate(templateId);
+    if (!template || template.status !== 'ACTIVE') {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
     }
 
-    if (!credentialContent) {
+    if ((selectiveDisclosure || holderJwk) && template.format !== 'vc+sd-jwt') {
       return res.status(400).json({
         success: false,
-        message: 'Could not retrieve credential content'
+        message: 'selectiveDisclosure and holderJwk require a vc+sd-jwt template'
       });
     }
 
-    // Verify the credential
-    const verificationResult = await credentialService.verifyCredential(
-      credentialContent,
-      credentialHash
+    const missing = templateService.getMissingClaims(template, claims);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing required claims: ${missing.join(', ')}`
+      });
+    }
+
+    if (!(await templateService.canIssue(template, req.user.id, req.user.apiKey))) {
+      return res.status(403).json({
+        success: false,
+        message: `Requires role: ${template.issuer_role}`
+      });
+    }
+
+    // Verify that the issuer controls the DID
+    const isController = await didService.verifyController(issuerDid, walletAddress);
+    if (!isController) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to issue credentials from this DID'
+      });
+    }
+
+    // Check the claims against the template's schema before anything is signed
+    if (template.credential_schema) {
+      const schemaService = new SchemaService(db);
+      let schema;
+
+      try {
+        schema = await schemaService.resolveForIssuance(template.credential_schema);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      const { valid, errors } = schemaService.validateClaims(schema, { ...template.default_claims, ...claims });
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: `Claims do not match schema ${schema.schema_id} v${schema.version}`,
+          errors
+        });
+      }
+    }
+
+    const result = await templateService.issueFromTemplate(
+      templateId,
+      { issuerDid, subjectDid, claims, expirationDate, cryptosuite, selectiveDisclosure, holderJwk },
+      walletAddress,
+      req.user.id
     );
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      verified: verificationResult.verified,
-      status: verificationResult.status,
-      issuer: verificationResult.issuer,
-      subject: verificationResult.subject,
-      expirationDate: verificationResult.expirationDate,
-      issuanceDate: verificationResult.issuanceDate,
-      details: verificationResult.details
+      templateId,
+      credential: result.credential,
+      format: result.format,
+      credentialHash: result.credentialHash,
+      ipfsCid: result.ipfsCid,
+      message: 'Credential issued successfully'
     });
   } catch (error) {
-    console.error('Error verifying credential:', error);
+    console.error('Error issuing credential from template:', error);
     res.status(500).json({
       success: false,
-      message: `Failed to verify credential: ${error.message}`
+      message: `Failed to issue credential: ${error.message}`
     });
   }
 });
 
 /**
- * Revoke a credential
+ * Issue credentials in bulk as a tracked job, from a JSON list or CSV
+ * (a subjectDid column plus one column per claim)
  */
-router.post('/revoke', hasRole('CREDENTIAL_ISSUER'), async (req, res) => {
+router.post('/batches', requirePermission('credential:issue'), async (req, res) => {
   try {
-    const { credentialHash, reason } = req.body;
+    const {
+      issuerDid,
+      items,
+      csv,
+      templateId,
+      type,
+      credentialSchema,
+      format,
+      expirationDate,
+      cryptosuite
+    } = req.body;
     const walletAddress = req.user.walletAddress;
-    
+
     // Validate request
-    if (!credentialHash) {
+    if (!issuerDid || (!items && !csv)) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required field: credentialHash'
+        message: 'Missing required fields: issuerDid and either items or csv are required'
       });
     }
 
-    // Initialize services
-    const db = req.app.get('db');
-    const redis = req.app.get('redis');
-    const didService = new DIDService(db, redis);
-    const credentialService = new CredentialService(db, redis, didService);
-    
-    // Get credential details to verify ownership
-    const query = `
-      SELECT issuer_did, subject_did, status
-      FROM credentials
-      WHERE credential_hash = $1
-    `;
-    
-    const result = await db.query(query, [credentialHash]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+    if (templateId && (type || credentialSchema || format)) {
+      return res.status(400).json({
         success: false,
-        message: 'Credential not found'
+        message: 'type, credentialSchema and format come from the template when templateId is given'
       });
     }
-    
-    const { issuer_did, status } = result.rows[0];
-    
-    if (status === 'REVOKED') {
+
+    if (cryptosuite && !CRYPTOSUITES[cryptosuite]) {
       return res.status(400).json({
         success: false,
-        message: 'Credential has already been revoked'
+        message: `Unsupported cryptosuite. Supported: ${Object.keys(CRYPTOSUITES).join(', ')}`
       });
     }
-    
-    // Verify that the user controls the issuer DID
-    const isController = await didService.verifyController(issuer_did, walletAddress);
+
+    if (format && !CREDENTIAL_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported credential format. Supported: ${CREDENTIAL_FORMATS.join(', ')}`
+      });
+    }
+
+    let batchItems;
+    try {
+      batchItems = csv
+        ? parseCsv(csv).map(({ subjectDid, ...claims }) => ({ subjectDid, claims }))
+        : items;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid CSV: ${error.message}`
+      });
+    }
+
+    if (!Array.isArray(batchItems) || batchItems.length === 0 || batchItems.length > config.credentials.batchMaxItems) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch must contain between 1 and ${config.credentials.batchMaxItems} credentials`
+      });
+    }
+
+    const invalidIndex = batchItems.findIndex(item => !item || typeof item.subjectDid !== 'string' || !item.subjectDid ||
+      (item.claims !== undefined && (typeof item.claims !== 'object' || Array.isArray(item.claims))));
+    if (invalidIndex !== -1) {
+      return res.status(400).json({
+        success: false,
+        message: `Item ${invalidIndex} needs a subjectDid and a claims object`
+      });
+    }
+
+    // Initialize services
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const batchService = new BatchIssuanceService(db, redis, didService);
+
+    if (templateId) {
+      const templateService = new CredentialTemplateService(db, redis, didService);
+      const template = await templateService.getTemplate(templateId);
+
+      if (!template || template.status !== 'ACTIVE') {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+
+      if (!(await templateService.canIssue(template, req.user.id, req.user.apiKey))) {
+        return res.status(403).json({
+          success: false,
+          message: `Requires role: ${template.issuer_role}`
+        });
+      }
+    }
+
+    // Verify that the issuer controls the DID
+    const isController = await didService.verifyController(issuerDid, walletAddress);
     if (!isController) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to revoke this credential'
+        message: 'Not authorized to issue credentials from this DID'
       });
     }
-    
-    // Revoke the credential
-    const revocationResult = await credentialService.revokeCredential(
-      credentialHash,
-      reason || 'No reason provided',
-      walletAddress
-    );
-    
+
+    const options = templateId
+      ? { templateId, expirationDate, cryptosuite }
+      : { type: type || 'VerifiableCredential', credentialSchema, format, expirationDate, cryptosuite };
+
+    const batch = await batchService.createBatch(issuerDid, batchItems, options, walletAddress, req.user.id);
+
+    // Issue in the background; progress is read from GET /batches/:batchId
+    batchService.processBatch(batch.id).catch(error => {
+      console.error(`Error processing issuance batch ${batch.id}:`, error);
+    });
+
+    res.status(202).json({
+      success: true,
+      batchId: batch.id,
+      status: batch.status,
+      totalItems: batch.total_items,
+      message: 'Batch accepted for issuance'
+    });
+  } catch (error) {
+    console.error('Error creating issuance batch:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to create batch: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Get the progress and anchoring status of a batch
+ */
+router.get('/batches/:batchId', allowApiKeyScope('credential:issue'), async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const batchService = new BatchIssuanceService(db, redis, didService);
+
+    const batch = await findControlledBatch(req, res, batchService, didService);
+    if (!batch) {
+      return;
+    }
+
     res.status(200).json({
       success: true,
-      credentialHash,
-      status: 'REVOKED',
-      revocationDate: revocationResult.revocationDate,
-      message: 'Credential revoked successfully'
+      batch
     });
   } catch (error) {
-    console.error('Error revoking credential:', error);
+    console.error('Error getting issuance batch:', error);
     res.status(500).json({
       success: false,
-      message: `Failed to revoke credential: ${error.message}`
+      message: `Failed to get batch: ${error.message}`
+    });
+  }
+});
+
+/**
+ * List the credentials of a batch with their Merkle inclusion proofs
+ */
+router.get('/batches/:batchId/items', allowApiKeyScope('credential:issue'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 100 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const batchService = new BatchIssuanceService(db, redis, didService);
+
+    const batch = await findControlledBatch(req, res, batchService, didService);
+    if (!batch) {
+      return;
+    }
+
+    const items = await batchService.getBatchItems(batch.id, { status, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      batchId: batch.id,
+      merkleRoot: batch.merkle_root,
+      anchorStatus: batch.anchor_status,
+      items
+    });
+  } catch (error) {
+    console.error('Error listing issuance batch items:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to list batch items: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Resume an interrupted batch, or retry anchoring a finished one
+ */
+router.post('/batches/:batchId/resume', requirePermission('credential:issue'), async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const batchService = new BatchIssuanceService(db, redis, didService);
+
+    const batch = await findControlledBatch(req, res, batchService, didService);
+    if (!batch) {
+      return;
+    }
+
+    if (batch.completed_at) {
+      if (batch.anchor_status !== 'FAILED') {
+        return res.status(400).json({
+          success: false,
+          message: 'Batch is already finished and anchored'
+        });
+      }
+
+      const anchor = await batchService.anchorBatch(batch.id);
+
+      return res.status(200).json({
+        success: anchor.anchorStatus === 'ANCHORED',
+        batchId: batch.id,
+        ...anchor
+      });
+    }
+
+    const claimed = await batchService.claimBatch(batch.id);
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Batch is still being processed'
+      });
+    }
+
+    batchService.runBatch(claimed).catch(error => {
+      console.error(`Error processing issuance batch ${batch.id}:`, error);
+    });
+
+    res.status(202).json({
+      success: true,
+      batchId: batch.id,
+      status: claimed.status,
+      message: 'Batch resumed'
+    });
+  } catch (error) {
+    console.error('Error resuming issuance batch:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to resume batch: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Load a batch for a request, answering 404/403 when it is missing or
+ * the caller does not control its issuer DID
+ */
+async function findControlledBatch(req, res, batchService, didService) {
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(req.params.batchId)) {
+    res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+    return null;
+  }
+
+  const batch = await batchService.getBatch(req.params.batchId);
+
+  if (!batch) {
+    res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+    return null;
+  }
+
+  const isController = await didService.verifyController(batch.issuer_did, req.user.walletAddress);
+  if (!isController) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this batch'
+    });
+    return null;
+  }
+
+  return batch;
+}
+
+/**
+ * Verify a credential
+ */
+router.post('/verify', allowApiKeyScope('credential:verify'), async (req, res) => {
+  try {
+    const { credential, credentialHash, ipfsCid, audience, nonce } = req.body;
+    
+    // Validate request
+    if (!credential && !ipfsCid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: either credential or ipfsCid is required'
+      });
+    }
+
+    // Initialize services
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const credentialService = new CredentialService(db, redis, didService);
+    
+    // Get the credential content
+    let credentialContent;
+    if (credential) {
+      if (typeof credential !== 'string') {
+        credentialContent = credential;
+      } else if (credential.trim().startsWith('{')) {
+        credentialContent = JSON.parse(credential);
+      } else {
+        // Compact VC-JWT or SD-JWT
+        credentialContent = credential.trim();
+      }
+    } else if (ipfsCid) {
+      credentialContent = await ipfsService.getFromIPFS(ipfsCid);
+    }
+
+    // JWT credentials are pinned as { format, type, jwt } envelopes
+    if (credentialContent && typeof credentialContent === 'object' && typeof credentialContent.jwt === 'string') {
+      credentialContent = credentialContent.jwt;
+    }
+
+    if (!credentialContent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not retrieve credential content'
+      });
+    }
+
+    // Verify the credential
+    const verificationResult = await credentialService.verifyCredential(
+      credentialContent,
+      credentialHash,
+      { audience, nonce }
+    );
+
+    res.status(200).json({
+      success: true,
+      verified: verificationResult.verified,
+      format: verificationResult.format,
+      status: verificationResult.status,
+      issuer: verificationResult.issuer,
+      subject: verificationResult.subject,
+      expirationDate: verificationResult.expirationDate,
+      issuanceDate: verificationResult.issuanceDate,
+      ...(verificationResult.disclosedClaims !== undefined && { disclosedClaims: verificationResult.disclosedClaims }),
+      details: verificationResult.details
+    });
+  } catch (error) {
+    console.error('Error verifying credential:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to verify credential: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Issue a one-time challenge for a verifier to request a presentation with
+ */
+router.post('/presentations/challenge', async (req, res) => {
+  try {
+    const { domain } = req.body;
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const presentationService = new PresentationService(db, redis, didService);
+
+    const challenge = await presentationService.createChallenge(domain);
+
+    res.status(201).json({
+      success: true,
+      ...challenge
+    });
+  } catch (error) {
+    console.error('Error creating presentation challenge:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to create challenge: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Create a Verifiable Presentation signed by the holder
+ */
+router.post('/presentations', ownsDID(req => req.body.holderDid), async (req, res) => {
+  try {
+    const { holderDid, credentialHashes, credentials, challenge, domain, cryptosuite } = req.body;
+    const walletAddress = req.user.walletAddress;
+
+    if (!holderDid || !challenge || (!credentialHashes && !credentials)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: holderDid, challenge and credentialHashes or credentials are required'
+      });
+    }
+
+    if (cryptosuite && !CRYPTOSUITES[cryptosuite]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported cryptosuite. Supported: ${Object.keys(CRYPTOSUITES).join(', ')}`
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const presentationService = new PresentationService(db, redis, didService);
+
+    const presented = credentials || await presentationService.getHolderCredentials(
+      holderDid,
+      [].concat(credentialHashes)
+    );
+
+    const presentation = await presentationService.createPresentation(
+      holderDid,
+      [].concat(presented),
+      walletAddress,
+      { challenge, domain, cryptosuite }
+    );
+
+    res.status(201).json({
+      success: true,
+      presentation,
+      message: 'Presentation created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating presentation:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to create presentation: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Verify a Verifiable Presentation and each credential it contains
+ */
+router.post('/presentations/verify', allowApiKeyScope('credential:verify'), async (req, res) => {
+  try {
+    const { presentation, challenge, domain } = req.body;
+
+    if (!presentation || !challenge) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: presentation and challenge are required'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const presentationService = new PresentationService(db, redis, didService);
+
+    const result = await presentationService.verifyPresentation(
+      typeof presentation === 'string' ? JSON.parse(presentation) : presentation,
+      { challenge, domain }
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error verifying presentation:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to verify presentation: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Revoke a credential
+ */
+router.post('/revoke', requirePermission('credential:revoke'), async (req, res) => {
+  try {
+    const { credentialHash, reason } = req.body;
+    const walletAddress = req.user.walletAddress;
+    
+    // Validate request
+    if (!credentialHash) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: credentialHash'
+      });
+    }
+
+    // Initialize services
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const credentialService = new CredentialService(db, redis, didService);
+    
+    // Get credential details to verify ownership
+    const query = `
+      SELECT issuer_did, subject_did, status
+      FROM credentials
+      WHERE credential_hash = $1
+    `;
+    
+    const result = await db.query(query, [credentialHash]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential not found'
+      });
+    }
+    
+    const { issuer_did, status } = result.rows[0];
+    
+    if (status === 'REVOKED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Credential has already been revoked'
+      });
+    }
+    
+    // Verify that the user controls the issuer DID
+    const isController = await didService.verifyController(issuer_did, walletAddress);
+    if (!isController) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to revoke this credential'
+      });
+    }
+    
+    // Revoke the credential
+    const revocationResult = await credentialService.revokeCredential(
+      credentialHash,
+      reason || 'No reason provided',
+      walletAddress,
+      req.user.id
+    );
+    
+    res.status(200).json({
+      success: true,
+      credentialHash,
+      status: 'REVOKED',
+      revocationDate: revocationResult.revocationDate,
+      message: 'Credential revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking credential:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to revoke credential: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Suspend a credential (reversible)
+ */
+router.post('/suspend', requirePermission('credential:suspend'), async (req, res) => {
+  try {
+    const { credentialHash, reasonCode, reason, reinstateAt } = req.body;
+    const walletAddress = req.user.walletAddress;
+
+    if (!credentialHash || !reasonCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: credentialHash and reasonCode are required'
+      });
+    }
+
+    const manualReasonCodes = CredentialService.SUSPENSION_REASON_CODES.filter(code => code !== 'DID_DEACTIVATED');
+    if (!manualReasonCodes.includes(reasonCode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown reason code. Supported: ${manualReasonCodes.join(', ')}`
+      });
+    }
+
+    if (reinstateAt && (isNaN(Date.parse(reinstateAt)) || new Date(reinstateAt) <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'reinstateAt must be a future ISO 8601 date'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const credentialService = new CredentialService(db, redis, didService);
+
+    const result = await db.query(
+      'SELECT issuer_did, status FROM credentials WHERE credential_hash = $1',
+      [credentialHash]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential not found'
+      });
+    }
+
+    const { issuer_did, status } = result.rows[0];
+
+    if (status !== 'ACTIVE') {
+      return res.status(400).json({
+        success: false,
+        message: `Only ACTIVE credentials can be suspended (credential is ${status})`
+      });
+    }
+
+    const isController = await didService.verifyController(issuer_did, walletAddress);
+    if (!isController) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to suspend this credential'
+      });
+    }
+
+    const suspension = await credentialService.suspendCredential(
+      credentialHash,
+      { reasonCode, reason, reinstateAt },
+      walletAddress,
+      req.user.id
+    );
+
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+
+    await db.query(logQuery, [
+      req.user.id,
+      'SUSPEND_CREDENTIAL',
+      'CREDENTIAL',
+      credentialHash,
+      JSON.stringify({ reasonCode, reason, reinstateAt: suspension.reinstateAt, onChain: suspension.onChain.updated }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+
+    res.status(200).json({
+      success: true,
+      credentialHash,
+      status: 'SUSPENDED',
+      suspensionDate: suspension.suspensionDate,
+      reasonCode,
+      reinstateAt: suspension.reinstateAt,
+      onChain: suspension.onChain,
+      message: 'Credential suspended successfully'
+    });
+  } catch (error) {
+    console.error('Error suspending credential:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to suspend credential: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Reinstate a suspended credential
+ */
+router.post('/reinstate', requirePermission('credential:suspend'), async (req, res) => {
+  try {
+    const { credentialHash, reasonCode, reason } = req.body;
+    const walletAddress = req.user.walletAddress;
+
+    if (!credentialHash) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: credentialHash'
+      });
+    }
+
+    const manualReasonCodes = CredentialService.REINSTATEMENT_REASON_CODES.filter(code => code !== 'DEADLINE_REACHED');
+    if (reasonCode && !manualReasonCodes.includes(reasonCode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown reason code. Supported: ${manualReasonCodes.join(', ')}`
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const credentialService = new CredentialService(db, redis, didService);
+
+    const result = await db.query(
+      'SELECT issuer_did, status FROM credentials WHERE credential_hash = $1',
+      [credentialHash]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential not found'
+      });
+    }
+
+    const { issuer_did, status } = result.rows[0];
+
+    if (status !== 'SUSPENDED') {
+      return res.status(400).json({
+        success: false,
+        message: `Only SUSPENDED credentials can be reinstated (credential is ${status})`
+      });
+    }
+
+    const isController = await didService.verifyController(issuer_did, walletAddress);
+    if (!isController) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reinstate this credential'
+      });
+    }
+
+    const reinstatement = await credentialService.reinstateCredential(
+      credentialHash,
+      { reasonCode, reason },
+      walletAddress,
+      req.user.id
+    );
+
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+
+    await db.query(logQuery, [
+      req.user.id,
+      'REINSTATE_CREDENTIAL',
+      'CREDENTIAL',
+      credentialHash,
+      JSON.stringify({ reasonCode: reinstatement.reasonCode, reason, onChain: reinstatement.onChain.updated }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+
+    res.status(200).json({
+      success: true,
+      credentialHash,
+      status: 'ACTIVE',
+      reinstatementDate: reinstatement.reinstatementDate,
+      reasonCode: reinstatement.reasonCode,
+      onChain: reinstatement.onChain,
+      message: 'Credential reinstated successfully'
+    });
+  } catch (error) {
+    console.error('Error reinstating credential:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to reinstate credential: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Renew a credential: re-issue it with a new expiration date and link the two
+ */
+router.post('/:credentialHash/renew', requirePermission('credential:issue'), async (req, res) => {
+  try {
+    const { credentialHash } = req.params;
+    const { expirationDate, claims, credentialSchema, holderJwk } = req.body;
+    const walletAddress = req.user.walletAddress;
+
+    if (expirationDate && !(new Date(expirationDate) > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiration date must be a future date'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const credentialService = new CredentialService(db, redis, didService);
+
+    const result = await db.query(
+      'SELECT issuer_did, status, format, renewed_by FROM credentials WHERE credential_hash = $1',
+      [credentialHash]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential not found'
+      });
+    }
+
+    const { issuer_did, status, format, renewed_by } = result.rows[0];
+
+    if (!['ACTIVE', 'EXPIRED'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ACTIVE or EXPIRED credentials can be renewed (credential is ${status})`
+      });
+    }
+
+    if (renewed_by === CredentialService.RENEWAL_PENDING) {
+      return res.status(409).json({
+        success: false,
+        message: 'Credential is already being renewed'
+      });
+    }
+
+    if (renewed_by) {
+      return res.status(409).json({
+        success: false,
+        message: `Credential was already renewed as ${renewed_by}`,
+        renewedBy: renewed_by
+      });
+    }
+
+    // SD-JWT disclosures are never stored, so their claims must be supplied again
+    if (format === 'vc+sd-jwt' && !claims) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: claims (vc+sd-jwt claims are not stored)'
+      });
+    }
+
+    const isController = await didService.verifyController(issuer_did, walletAddress);
+    if (!isController) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to renew this credential'
+      });
+    }
+
+    const renewal = await credentialService.renewCredential(
+      credentialHash,
+      { expirationDate, claims, credentialSchema, holderJwk },
+      walletAddress,
+      req.user.id
+    );
+
+    const logQuery = `
+      INSERT INTO audit_logs (
+        user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+
+    await db.query(logQuery, [
+      req.user.id,
+      'RENEW_CREDENTIAL',
+      'CREDENTIAL',
+      credentialHash,
+      JSON.stringify({ renewedBy: renewal.credentialHash, previousStatus: status }),
+      req.ip,
+      req.headers['user-agent']
+    ]);
+
+    res.status(201).json({
+      success: true,
+      credential: renewal.credential,
+      format: renewal.format,
+      credentialHash: renewal.credentialHash,
+      ipfsCid: renewal.ipfsCid,
+      renewalOf: credentialHash,
+      message: 'Credential renewed successfully'
+    });
+  } catch (error) {
+    console.error('Error renewing credential:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to renew credential: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Get a batch-issued credential's Merkle inclusion proof and anchor
+ */
+router.get('/:credentialHash/inclusion-proof', async (req, res) => {
+  try {
+    const { credentialHash } = req.params;
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const batchService = new BatchIssuanceService(db, redis, didService);
+
+    const inclusion = await batchService.verifyInclusion(credentialHash);
+
+    if (!inclusion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential was not issued in a batch'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      credentialHash,
+      ...inclusion
+    });
+  } catch (error) {
+    console.error('Error getting inclusion proof:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get inclusion proof: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Get the status change history of a credential (issuer only)
+ */
+router.get('/:credentialHash/status-history', async (req, res) => {
+  try {
+    const { credentialHash } = req.params;
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const credentialService = new CredentialService(db, redis, didService);
+
+    const result = await db.query(
+      'SELECT issuer_did, status, suspended_until FROM credentials WHERE credential_hash = $1',
+      [credentialHash]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential not found'
+      });
+    }
+
+    const isController = await didService.verifyController(result.rows[0].issuer_did, req.user.walletAddress);
+    if (!isController) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the history of this credential'
+      });
+    }
+
+    const history = await credentialService.getStatusHistory(credentialHash);
+
+    res.status(200).json({
+      success: true,
+      credentialHash,
+      status: result.rows[0].status,
+      suspendedUntil: result.rows[0].suspended_until,
+      history
+    });
+  } catch (error) {
+    console.error('Error getting credential status history:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get status history: ${error.message}`
     });
   }
 });
@@ -229,6 +1265,9 @@ router.get('/:credentialHash', async (req, res) => {
         expiration_date,
         revocation_date, 
         status, 
+        suspended_until,
+        renewal_of,
+        renewed_by,
         ipfs_cid
       FROM credentials
       WHERE credential_hash = $1
@@ -373,7 +1412,7 @@ router.get('/issuer/:did', async (req, res) => {
 /**
  * Cross-chain credential verification
  */
-router.post('/verify-cross-chain', hasRole('VERIFIER'), async (req, res) => {
+router.post('/verify-cross-chain', requirePermission('credential:verify'), async (req, res) => {
   try {
     const { credentialHash, targetChain } = req.body;
     
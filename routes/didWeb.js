@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const DIDService = require('../services/did');
+
+/**
+ * Documents of path-based did:web DIDs (did:web:<domain>:a:b is served at /a/b/did.json)
+ */
+router.get('/*/did.json', async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const document = await didService.getHostedDidWebDocument(req.params[0].split('/'));
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'DID document not found'
+      });
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('application/did+json').status(200).send(JSON.stringify(document));
+  } catch (error) {
+    console.error('Error serving did:web document:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get DID document: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
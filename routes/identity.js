@@ -1,8 +1,15 @@
 const express = require('express');
+const ethers = require('ethers');
 const router = express.Router();
-const { ownsDID, hasRole } = require('../middleware/auth');
+const { ownsDID, requirePermission } = require('../middleware/auth');
 const DIDService = require('../services/did');
+const DIDLifecycleService = require('../services/didLifecycle');
+const NotificationService = require('../services/notification');
 const { authenticateJWT } = require('../middleware/auth');
+const config = require('../config');
+const didUtils = require('../utils/did');
+const { CRYPTOSUITES } = require('../utils/dataIntegrity');
+const { hasPermission } = require('../config/permissions');
 
 router.post('/did', authenticateJWT, async (req, res) => {
   try {
@@ -33,6 +40,152 @@ router.post('/did', authenticateJWT, async (req, res) => {
     });
   }
 });
+/**
+ * Create a did:web DID served from our domain (institutional issuers)
+ */
+router.post('/did/web', requirePermission('did:web'), async (req, res) => {
+  try {
+    const { path, chain } = req.body;
+
+    let did;
+    try {
+      did = didUtils.generateDidWeb(config.did.webDomain, path || []);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // The domain's root DID speaks for the whole platform
+    if (did === didUtils.generateDidWeb(config.did.webDomain) && !hasPermission(req.user.permissions, '*')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can create the root did:web DID; provide a path'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    if (await didService.isRegistered(did)) {
+      return res.status(409).json({
+        success: false,
+        message: `DID already exists: ${did}`
+      });
+    }
+
+    const result = await didService.generateDidWeb(req.user.walletAddress, path || [], chain || 'polygon');
+
+    res.status(201).json({
+      success: true,
+      ...result,
+      message: 'did:web DID created successfully'
+    });
+  } catch (error) {
+    console.error('Error generating did:web DID:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to generate did:web DID: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Create the challenge a holder signs with their key to register its did:key
+ */
+router.post('/did/key/challenge', async (req, res) => {
+  try {
+    const { publicKeyMultibase } = req.body;
+
+    if (!publicKeyMultibase || !didUtils.isValidDID(`did:key:${publicKeyMultibase}`)) {
+      return res.status(400).json({
+        success: false,
+        message: 'publicKeyMultibase must be a base58btc Ed25519 or secp256k1 Multikey'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const challenge = await didService.createDidKeyChallenge(publicKeyMultibase, req.user.walletAddress);
+
+    res.status(201).json({
+      success: true,
+      ...challenge
+    });
+  } catch (error) {
+    console.error('Error creating did:key challenge:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Create a did:key DID, from the holder's public key or with a key held by
+ * the service. A holder's key must sign the challenge from
+ * POST /did/key/challenge (base58btc multibase signature)
+ */
+router.post('/did/key', async (req, res) => {
+  try {
+    const { publicKeyMultibase, cryptosuite, nonce, signature } = req.body;
+
+    if (publicKeyMultibase && !didUtils.isValidDID(`did:key:${publicKeyMultibase}`)) {
+      return res.status(400).json({
+        success: false,
+        message: 'publicKeyMultibase must be a base58btc Ed25519 or secp256k1 Multikey'
+      });
+    }
+
+    if (publicKeyMultibase && (!nonce || !signature)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The challenge nonce and the key\'s signature of it are required'
+      });
+    }
+
+    if (cryptosuite && !CRYPTOSUITES[cryptosuite]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported cryptosuite: ${cryptosuite}`
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    if (publicKeyMultibase && await didService.isRegistered(didUtils.generateDidKey(publicKeyMultibase))) {
+      return res.status(409).json({
+        success: false,
+        message: 'A DID for this key already exists'
+      });
+    }
+
+    const result = await didService.generateDidKey(req.user.walletAddress, {
+      publicKeyMultibase,
+      cryptosuite,
+      proof: { nonce, signature }
+    });
+
+    res.status(201).json({
+      success: true,
+      ...result,
+      message: 'did:key DID created successfully'
+    });
+  } catch (error) {
+    console.error('Error generating did:key DID:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to generate did:key DID: ${error.message}`
+    });
+  }
+});
+
 router.get('/did/:did', async (req, res) => {
   try {
     const { did } = req.params;
@@ -59,6 +212,127 @@ router.get('/did/:did', async (req, res) => {
   }
 });
 
+// Version numbers in version history paths and queries
+const VERSION_PATTERN = /^[1-9]\d*$/;
+
+/**
+ * List the versions of a DID document, newest first, with each version's
+ * IPFS CID and whether the pinned copy matches it
+ */
+router.get('/did/:did/versions', async (req, res) => {
+  try {
+    const { did } = req.params;
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const versions = await didService.getVersionHistory(did);
+
+    if (!versions) {
+      return res.status(404).json({
+        success: false,
+        message: 'DID not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      did,
+      versions
+    });
+  } catch (error) {
+    console.error('Error getting DID version history:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get DID version history: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Diff two versions of a DID document as JSON Patch operations (from the
+ * `from` version to the `to` version, or to the current one)
+ */
+router.get('/did/:did/versions/diff', async (req, res) => {
+  try {
+    const { did } = req.params;
+    const { from, to } = req.query;
+
+    if (!VERSION_PATTERN.test(from || '') || (to !== undefined && !VERSION_PATTERN.test(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from (and to, if given) must be version numbers'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const result = await didService.diffVersions(did, from, to);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'DID or version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error diffing DID document versions:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to diff DID document versions: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Get one version of a DID document with its IPFS CID and integrity check
+ */
+router.get('/did/:did/versions/:version', async (req, res) => {
+  try {
+    const { did, version } = req.params;
+
+    if (!VERSION_PATTERN.test(version)) {
+      return res.status(400).json({
+        success: false,
+        message: 'version must be a version number'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const documentVersion = await didService.getDocumentVersion(did, version);
+
+    if (!documentVersion) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} of ${did} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      did,
+      ...documentVersion
+    });
+  } catch (error) {
+    console.error('Error getting DID document version:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get DID document version: ${error.message}`
+    });
+  }
+});
+
 /**
  * Update a DID document
  */
@@ -132,12 +406,52 @@ router.post('/did/:did/controllers', ownsDID(req => req.params.did), async (req,
 });
 
 /**
- * Add a chain identity to a DID
+ * Create the challenge an address signs to be linked to a DID
  */
-router.post('/did/:did/chain-identities', ownsDID(req => req.params.did), async (req, res) => {
+router.post('/did/:did/chain-identities/challenge', ownsDID(req => req.params.did), async (req, res) => {
   try {
     const { did } = req.params;
     const { chain, address } = req.body;
+
+    if (!chain || !address) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chain and address are required'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const challenge = await didService.createChainIdentityChallenge(did, chain, address, req.user.walletAddress);
+
+    res.status(201).json({
+      success: true,
+      did,
+      chain,
+      address,
+      ...challenge
+    });
+  } catch (error) {
+    console.error('Error creating chain identity challenge:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Add a chain identity to a DID. The address proves control by signing the
+ * challenge from POST /did/:did/chain-identities/challenge. Linking a chain
+ * again replaces its link, which is how links made before proofs were
+ * required are re-verified
+ */
+router.post('/did/:did/chain-identities', ownsDID(req => req.params.did), async (req, res) => {
+  try {
+    const { did } = req.params;
+    const { chain, address, nonce, signature, signatureType } = req.body;
     const walletAddress = req.user.walletAddress;
     
     if (!chain || !address) {
@@ -146,6 +460,13 @@ router.post('/did/:did/chain-identities', ownsDID(req => req.params.did), async
         message: 'Chain and address are required'
       });
     }
+
+    if (!nonce || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'The challenge nonce and the address\'s signature of it are required'
+      });
+    }
     
     // Initialize DID service
     const db = req.app.get('db');
@@ -153,14 +474,19 @@ router.post('/did/:did/chain-identities', ownsDID(req => req.params.did), async
     const didService = new DIDService(db, redis);
     
     // Add chain identity
-    const success = await didService.addChainIdentity(did, chain, address, walletAddress);
+    const proof = await didService.addChainIdentity(did, chain, address, walletAddress, {
+      nonce,
+      signature,
+      signatureType
+    });
     
-    if (success) {
+    if (proof) {
       res.status(200).json({
         success: true,
         did,
         chain,
         address,
+        proof,
         message: 'Chain identity added successfully'
       });
     } else {
@@ -186,7 +512,7 @@ router.get('/did/:did/chain-identities', async (req, res) => {
     const db = req.app.get('db');
     
     const query = `
-      SELECT chain_id, address, created_at
+      SELECT chain_id, address, proof, proof_verified_at, created_at
       FROM chain_identities
       WHERE did = $1 AND is_active = true
     `;
@@ -196,7 +522,11 @@ router.get('/did/:did/chain-identities', async (req, res) => {
     res.status(200).json({
       success: true,
       did,
-      chainIdentities: result.rows
+      // Links without a verified proof grant no wallet control until linked again
+      chainIdentities: result.rows.map(row => ({
+        ...row,
+        reverificationRequired: !row.proof_verified_at
+      }))
     });
   } catch (error) {
     console.error('Error getting chain identities:', error);
@@ -207,10 +537,634 @@ router.get('/did/:did/chain-identities', async (req, res) => {
   }
 });
 
+/**
+ * Check a list of verification relationships
+ * @param {*} relationships - Requested relationships
+ * @returns {String|null} - Error message, or null if the list is valid
+ */
+const checkRelationships = (relationships) => {
+  if (!Array.isArray(relationships) || relationships.length === 0) {
+    return 'relationships must be a non-empty array';
+  }
+
+  const unknown = relationships.filter(relationship => !DIDService.VERIFICATION_RELATIONSHIPS.includes(relationship));
+  if (unknown.length > 0) {
+    return `Unknown verification relationships: ${unknown.join(', ')}. Supported: ${DIDService.VERIFICATION_RELATIONSHIPS.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * List the verification methods of a DID, with their relationships, and the retired ones
+ */
+router.get('/did/:did/verification-methods', async (req, res) => {
+  try {
+    const { did } = req.params;
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const methods = await didService.listVerificationMethods(did);
+
+    if (!methods) {
+      return res.status(404).json({
+        success: false,
+        message: 'DID not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      did,
+      ...methods
+    });
+  } catch (error) {
+    console.error('Error listing verification methods:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to list verification methods: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Add a verification method: the holder's public key (publicKeyMultibase)
+ * or, without one, a key held by the service for the given cryptosuite
+ */
+router.post('/did/:did/verification-methods', ownsDID(req => req.params.did), async (req, res) => {
+  try {
+    const { did } = req.params;
+    const { publicKeyMultibase, cryptosuite, relationships = ['assertionMethod'] } = req.body;
+
+    const relationshipError = checkRelationships(relationships);
+    if (relationshipError) {
+      return res.status(400).json({
+        success: false,
+        message: relationshipError
+      });
+    }
+
+    if (!publicKeyMultibase && cryptosuite && !CRYPTOSUITES[cryptosuite]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported cryptosuite. Supported: ${Object.keys(CRYPTOSUITES).join(', ')}`
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const result = await didService.addVerificationMethod(
+      did,
+      { publicKeyMultibase, cryptosuite, relationships },
+      req.user.walletAddress
+    );
+
+    res.status(201).json({
+      success: true,
+      did,
+      ...result,
+      message: 'Verification method added successfully'
+    });
+  } catch (error) {
+    console.error('Error adding verification method:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Rotate a verification method (by its fragment): publish a replacement
+ * under the same relationships and retire the old key
+ */
+router.post('/did/:did/verification-methods/:keyId/rotate', ownsDID(req => req.params.did), async (req, res) => {
+  try {
+    const { did } = req.params;
+    const keyId = `${did}#${req.params.keyId}`;
+    const { publicKeyMultibase, relationships } = req.body;
+
+    if (relationships !== undefined) {
+      const relationshipError = checkRelationships(relationships);
+      if (relationshipError) {
+        return res.status(400).json({
+          success: false,
+          message: relationshipError
+        });
+      }
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const result = await didService.rotateVerificationMethod(
+      did,
+      keyId,
+      { publicKeyMultibase, relationships },
+      req.user.walletAddress
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: `Verification method not found: ${keyId}`
+      });
+    }
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, metadata, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        req.user.id,
+        'ROTATE_VERIFICATION_METHOD',
+        'DID',
+        did,
+        JSON.stringify({ keyId, newKeyId: result.verificationMethod.id }),
+        req.ip,
+        req.headers['user-agent']
+      ]
+    );
+
+    res.status(200).json({
+      success: true,
+      did,
+      ...result,
+      message: 'Verification method rotated successfully'
+    });
+  } catch (error) {
+    console.error('Error rotating verification method:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Set the verification relationships of a verification method
+ */
+router.put('/did/:did/verification-methods/:keyId/relationships', ownsDID(req => req.params.did), async (req, res) => {
+  try {
+    const { did } = req.params;
+    const keyId = `${did}#${req.params.keyId}`;
+    const { relationships } = req.body;
+
+    const relationshipError = checkRelationships(relationships);
+    if (relationshipError) {
+      return res.status(400).json({
+        success: false,
+        message: relationshipError
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const result = await didService.setVerificationRelationships(did, keyId, relationships, req.user.walletAddress);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: `Verification method not found: ${keyId}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      did,
+      ...result,
+      message: 'Verification relationships updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating verification relationships:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Revoke a verification method; proofs it made before revocation still verify
+ */
+router.delete('/did/:did/verification-methods/:keyId', ownsDID(req => req.params.did), async (req, res) => {
+  try {
+    const { did } = req.params;
+    const keyId = `${did}#${req.params.keyId}`;
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const result = await didService.revokeVerificationMethod(did, keyId, req.user.walletAddress);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: `Verification method not found: ${keyId}`
+      });
+    }
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, metadata, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        req.user.id,
+        'REVOKE_VERIFICATION_METHOD',
+        'DID',
+        did,
+        JSON.stringify({ keyId }),
+        req.ip,
+        req.headers['user-agent']
+      ]
+    );
+
+    res.status(200).json({
+      success: true,
+      did,
+      ...result,
+      message: 'Verification method revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking verification method:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Deactivate a DID. The credentials it holds or issued are suspended and its
+ * SBT is flagged; deactivation cannot be undone
+ */
+router.post('/did/:did/deactivate', ownsDID(req => req.params.did), async (req, res) => {
+  try {
+    const { did } = req.params;
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const lifecycleService = new DIDLifecycleService(db, redis, didService);
+
+    const result = await lifecycleService.deactivateDID(did, req.user.walletAddress);
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, metadata, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        req.user.id,
+        'DEACTIVATE_DID',
+        'DID',
+        did,
+        JSON.stringify({ revokedKeys: result.revokedKeys, credentials: result.credentials, sbt: result.sbt }),
+        req.ip,
+        req.headers['user-agent']
+      ]
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result,
+      message: 'DID deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Error deactivating DID:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get the recovery setup of a DID: guardians, threshold and pending request
+ */
+router.get('/did/:did/recovery', async (req, res) => {
+  try {
+    const { did } = req.params;
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const lifecycleService = new DIDLifecycleService(db, redis, didService);
+
+    const recovery = await lifecycleService.getRecovery(did);
+
+    if (!recovery) {
+      return res.status(404).json({
+        success: false,
+        message: 'DID not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...recovery
+    });
+  } catch (error) {
+    console.error('Error getting DID recovery setup:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get DID recovery setup: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Set how many guardians must approve a recovery of a DID
+ */
+router.put('/did/:did/recovery/threshold', ownsDID(req => req.params.did), async (req, res) => {
+  try {
+    const { did } = req.params;
+    const { threshold } = req.body;
+
+    if (!Number.isInteger(threshold) || threshold < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'threshold must be a positive integer'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const lifecycleService = new DIDLifecycleService(db, redis, didService);
+
+    const result = await lifecycleService.setRecoveryThreshold(did, threshold, req.user.walletAddress);
+
+    res.status(200).json({
+      success: true,
+      ...result,
+      message: 'Recovery threshold updated successfully'
+    });
+  } catch (error) {
+    console.error('Error setting DID recovery threshold:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Request recovery of a DID to a new wallet. The caller acts for one of the
+ * DID's guardians (their own DID unless guardianDid is given); the response
+ * carries the message each guardian signs to approve
+ */
+router.post('/did/:did/recovery', async (req, res) => {
+  try {
+    const { did } = req.params;
+    const { newWalletAddress, guardianDid = req.user.did } = req.body;
+
+    if (!newWalletAddress || !ethers.isAddress(newWalletAddress)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid newWalletAddress is required'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const lifecycleService = new DIDLifecycleService(db, redis, didService);
+
+    const request = await lifecycleService.initiateRecovery(
+      did,
+      newWalletAddress,
+      guardianDid,
+      req.user.walletAddress
+    );
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'DID not found'
+      });
+    }
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, metadata, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        req.user.id,
+        'INITIATE_DID_RECOVERY',
+        'DID',
+        did,
+        JSON.stringify({ requestId: request.id, guardianDid, newWalletAddress }),
+        req.ip,
+        req.headers['user-agent']
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      request,
+      message: 'Recovery requested; guardians approve by signing the request message'
+    });
+  } catch (error) {
+    console.error('Error initiating DID recovery:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Approve a recovery request as a guardian, with a personal_sign signature
+ * of the request message. The approval reaching the threshold completes it
+ */
+router.post('/did/:did/recovery/:requestId/approve', async (req, res) => {
+  try {
+    const { did, requestId } = req.params;
+    const { signature, guardianDid = req.user.did } = req.body;
+
+    if (!signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'signature is required'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const lifecycleService = new DIDLifecycleService(db, redis, didService);
+
+    const existing = await lifecycleService.getRecoveryRequest(requestId);
+
+    if (!existing || existing.did !== did) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recovery request not found'
+      });
+    }
+
+    const request = await lifecycleService.approveRecovery(
+      requestId,
+      guardianDid,
+      signature,
+      req.user.walletAddress
+    );
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, metadata, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        req.user.id,
+        request.status === 'COMPLETED' ? 'COMPLETE_DID_RECOVERY' : 'APPROVE_DID_RECOVERY',
+        'DID',
+        did,
+        JSON.stringify({ requestId: request.id, guardianDid, approvals: request.approvals.length }),
+        req.ip,
+        req.headers['user-agent']
+      ]
+    );
+
+    res.status(200).json({
+      success: true,
+      request,
+      message: request.status === 'COMPLETED'
+        ? 'Recovery completed; the DID is now controlled by the new wallet'
+        : 'Recovery approval recorded'
+    });
+  } catch (error) {
+    console.error('Error approving DID recovery:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Cancel a pending recovery request (the DID's current owner)
+ */
+router.post('/did/:did/recovery/:requestId/cancel', ownsDID(req => req.params.did), async (req, res) => {
+  try {
+    const { did, requestId } = req.params;
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const lifecycleService = new DIDLifecycleService(db, redis, didService);
+
+    const existing = await lifecycleService.getRecoveryRequest(requestId);
+
+    if (!existing || existing.did !== did) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recovery request not found'
+      });
+    }
+
+    const request = await lifecycleService.cancelRecovery(requestId, req.user.walletAddress);
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, metadata, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        req.user.id,
+        'CANCEL_DID_RECOVERY',
+        'DID',
+        did,
+        JSON.stringify({ requestId: request.id }),
+        req.ip,
+        req.headers['user-agent']
+      ]
+    );
+
+    res.status(200).json({
+      success: true,
+      request,
+      message: 'Recovery request cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling DID recovery:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List notifications sent to a DID (credential expiry and renewal notices)
+ */
+router.get('/did/:did/notifications', ownsDID(req => req.params.did), async (req, res) => {
+  try {
+    const { did } = req.params;
+    const { unread, limit = 50, offset = 0 } = req.query;
+    
+    const db = req.app.get('db');
+    const notificationService = new NotificationService(db);
+    
+    const notifications = await notificationService.listForDid(did, {
+      unreadOnly: unread === 'true',
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+      offset: parseInt(offset, 10) || 0
+    });
+    
+    res.status(200).json({
+      success: true,
+      did,
+      count: notifications.length,
+      notifications
+    });
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to list notifications: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Mark notifications of a DID as read (all unread ones when no IDs are given)
+ */
+router.post('/did/:did/notifications/read', ownsDID(req => req.params.did), async (req, res) => {
+  try {
+    const { did } = req.params;
+    const { ids } = req.body;
+    
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must be an array of notification IDs'
+      });
+    }
+    
+    const db = req.app.get('db');
+    const notificationService = new NotificationService(db);
+    
+    const marked = await notificationService.markRead(did, ids || null);
+    
+    res.status(200).json({
+      success: true,
+      did,
+      marked
+    });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to mark notifications read: ${error.message}`
+    });
+  }
+});
+
 /**
  * Admin: Trigger cross-chain DID resolution
  */
-router.post('/admin/resolve-did', hasRole('BRIDGE_ADMIN'), async (req, res) => {
+router.post('/admin/resolve-did', requirePermission('bridge:resolve'), async (req, res) => {
   try {
     const { did, targetChain } = req.body;
     
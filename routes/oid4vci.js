@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateJWT, requirePermission } = require('../middleware/auth');
+const DIDService = require('../services/did');
+const OID4VCIService = require('../services/oid4vci');
+const CredentialTemplateService = require('../services/template');
+const { sendOAuthError } = require('../middleware/error');
+
+/**
+ * Token endpoint: exchange a pre-authorized code for an access token
+ */
+router.post('/token', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const oid4vciService = new OID4VCIService(db, redis, new DIDService(db, redis));
+
+    const token = await oid4vciService.exchangePreAuthorizedCode(req.body || {});
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(token);
+  } catch (error) {
+    sendOAuthError(res, error, 'exchange pre-authorized code');
+  }
+});
+
+/**
+ * Credential endpoint: issue the offered credential to the wallet holding the access token
+ */
+router.post('/credential', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const accessToken = authHeader.startsWith('Bearer ') ? authHeader.slice('Bearer '.length) : null;
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const oid4vciService = new OID4VCIService(db, redis, new DIDService(db, redis));
+
+    const response = await oid4vciService.issueCredential(accessToken, req.body);
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(response);
+  } catch (error) {
+    sendOAuthError(res, error, 'issue credential');
+  }
+});
+
+/**
+ * Credential offer passed to wallets by reference (credential_offer_uri)
+ */
+router.get('/credential-offer/:offerId', async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const oid4vciService = new OID4VCIService(db, redis, new DIDService(db, redis));
+
+    const offer = await oid4vciService.getCredentialOffer(req.params.offerId);
+
+    if (!offer) {
+      return res.status(404).json({
+        error: 'invalid_request',
+        error_description: 'Credential offer not found, expired or already redeemed'
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(offer);
+  } catch (error) {
+    sendOAuthError(res, error, 'get credential offer');
+  }
+});
+
+/**
+ * Create a credential offer for a holder (issuers)
+ */
+router.post('/offers', authenticateJWT, requirePermission('credential:issue'), async (req, res) => {
+  try {
+    const { templateId, subjectDid, claims, userId, txCode } = req.body;
+
+    if (!templateId || !subjectDid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: templateId, subjectDid'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const templateService = new CredentialTemplateService(db, redis, didService);
+    const oid4vciService = new OID4VCIService(db, redis, didService);
+
+    const template = await templateService.getTemplate(templateId);
+
+    if (!template || template.status !== 'ACTIVE') {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (!(await templateService.canIssue(template, req.user.id, req.user.apiKey))) {
+      return res.status(403).json({
+        success: false,
+        message: `Offering template ${templateId} requires role ${template.issuer_role}`
+      });
+    }
+
+    const missing = templateService.getMissingClaims(template, claims || {});
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing required claims: ${missing.join(', ')}`,
+        missingClaims: missing
+      });
+    }
+
+    const offer = await oid4vciService.createOffer(
+      { templateId, subjectDid, claims, userId, txCode: Boolean(txCode) },
+      req.user.id
+    );
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, metadata, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        req.user.id,
+        'CREATE_CREDENTIAL_OFFER',
+        'CREDENTIAL_OFFER',
+        offer.offerId,
+        JSON.stringify({ templateId, subjectDid, txCode: Boolean(txCode) }),
+        req.ip,
+        req.headers['user-agent']
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      ...offer,
+      message: 'Credential offer created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating credential offer:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to create credential offer: ${error.message}`
+    });
+  }
+});
+
+/**
+ * List the credential offers made to the authenticated user
+ */
+router.get('/offers', authenticateJWT, async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const oid4vciService = new OID4VCIService(db, redis, new DIDService(db, redis));
+
+    const offers = await oid4vciService.listOffersForUser(req.user.id, req.user.did);
+
+    res.status(200).json({
+      success: true,
+      offers
+    });
+  } catch (error) {
+    console.error('Error listing credential offers:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to list credential offers: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateJWT, requirePermission } = require('../middleware/auth');
+const DIDService = require('../services/did');
+const OID4VPService = require('../services/oid4vp');
+const { sendOAuthError } = require('../middleware/error');
+const { checkDefinition } = require('../utils/presentationExchange');
+
+/**
+ * Create an authorization request for a presentation (verifiers)
+ */
+router.post('/requests', authenticateJWT, requirePermission('credential:verify'), async (req, res) => {
+  try {
+    const { presentationDefinition } = req.body;
+
+    if (!presentationDefinition) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: presentationDefinition'
+      });
+    }
+
+    const definitionError = checkDefinition(presentationDefinition);
+    if (definitionError) {
+      return res.status(400).json({
+        success: false,
+        message: definitionError
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const oid4vpService = new OID4VPService(db, redis, new DIDService(db, redis));
+
+    const request = await oid4vpService.createRequest(presentationDefinition, req.user.id);
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, metadata, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        req.user.id,
+        'CREATE_PRESENTATION_REQUEST',
+        'PRESENTATION_REQUEST',
+        request.requestId,
+        JSON.stringify({ definitionId: presentationDefinition.id }),
+        req.ip,
+        req.headers['user-agent']
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      ...request,
+      message: 'Presentation request created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating presentation request:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to create presentation request: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Poll a presentation request's status and verification result (its verifier only)
+ */
+router.get('/requests/:requestId', authenticateJWT, async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const oid4vpService = new OID4VPService(db, redis, new DIDService(db, redis));
+
+    const request = await oid4vpService.getRequest(req.params.requestId);
+
+    if (!request || request.created_by !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Presentation request not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      request: {
+        requestId: request.id,
+        clientId: request.client_id,
+        presentationDefinition: request.presentation_definition,
+        status: request.status,
+        holderDid: request.holder_did,
+        result: request.result,
+        expiresAt: request.expires_at,
+        submittedAt: request.submitted_at,
+        createdAt: request.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Error getting presentation request:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get presentation request: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Request object fetched by wallets from request_uri
+ */
+router.get('/requests/:requestId/request-object', async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const oid4vpService = new OID4VPService(db, redis, new DIDService(db, redis));
+
+    const requestObject = await oid4vpService.getRequestObject(req.params.requestId);
+
+    if (!requestObject) {
+      return res.status(404).json({
+        error: 'invalid_request_uri',
+        error_description: 'Presentation request not found, expired or already answered'
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.type('application/oauth-authz-req+jwt').status(200).send(requestObject);
+  } catch (error) {
+    sendOAuthError(res, error, 'get request object');
+  }
+});
+
+/**
+ * Response endpoint: wallets post the vp_token and presentation_submission (direct_post)
+ */
+router.post('/response', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const oid4vpService = new OID4VPService(db, redis, new DIDService(db, redis));
+
+    await oid4vpService.receiveResponse(req.body || {});
+
+    // The verdict is for the verifier, who polls for it
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({});
+  } catch (error) {
+    sendOAuthError(res, error, 'receive presentation response');
+  }
+});
+
+module.exports = router;
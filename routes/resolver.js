@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const DIDService = require('../services/did');
+
+const RESOLUTION_CONTEXT = 'https://w3id.org/did-resolution/v1';
+const RESOLUTION_PROFILE = 'https://w3id.org/did-resolution';
+const RESOLUTION_RESULT_TYPE = `application/ld+json;profile="${RESOLUTION_PROFILE}"`;
+
+// HTTP status of each resolution error
+const ERROR_STATUS = {
+  invalidDid: 400,
+  invalidOptions: 400,
+  notFound: 404,
+  representationNotSupported: 406,
+  methodNotSupported: 501,
+  internalError: 500
+};
+
+/**
+ * Read the DID from the request path without decoding it, so that
+ * percent-encoded characters that belong to the DID (a did:web port) are
+ * kept. A DID sent fully percent-encoded is decoded
+ * @param {Object} req - Express request object
+ * @returns {String} - The DID
+ */
+const getRequestedDid = (req) => {
+  const did = req.path.slice('/identifiers/'.length);
+  return /^did%3A/i.test(did) ? decodeURIComponent(did) : did;
+};
+
+/**
+ * Pick the representation asked for in the Accept header
+ * @param {Object} req - Express request object
+ * @returns {String|false} - result, application/did+ld+json or application/did+json; false if none is acceptable
+ */
+const negotiate = (req) => {
+  if ((req.get('Accept') || '').includes(`profile="${RESOLUTION_PROFILE}"`)) {
+    return 'result';
+  }
+
+  const type = req.accepts(['application/json', 'application/ld+json', 'application/did+ld+json', 'application/did+json']);
+  return type === 'application/json' || type === 'application/ld+json' ? 'result' : type;
+};
+
+/**
+ * DID Resolution HTTP(S) binding, compatible with the universal resolver.
+ * The DID document alone is returned for application/did+json and
+ * application/did+ld+json; otherwise the full resolution result
+ */
+router.get('/identifiers/:did', async (req, res) => {
+  try {
+    const did = getRequestedDid(req);
+    const representation = negotiate(req);
+
+    if (!representation) {
+      return res.status(ERROR_STATUS.representationNotSupported).type(RESOLUTION_RESULT_TYPE).json({
+        '@context': RESOLUTION_CONTEXT,
+        didDocument: null,
+        didResolutionMetadata: { error: 'representationNotSupported' },
+        didDocumentMetadata: {}
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const { versionId, versionTime } = req.query;
+    const resolution = await didService.resolveWithMetadata(did, { versionId, versionTime });
+    const { error } = resolution.didResolutionMetadata;
+
+    let { didDocument } = resolution;
+    const contentType = representation === 'application/did+json' ? 'application/did+json' : 'application/did+ld+json';
+
+    if (didDocument && contentType === 'application/did+json') {
+      // The plain JSON representation carries no JSON-LD context
+      const { '@context': context, ...document } = didDocument;
+      didDocument = document;
+    }
+
+    const status = error
+      ? ERROR_STATUS[error] || 500
+      : (resolution.didDocumentMetadata.deactivated ? 410 : 200);
+
+    if (representation === 'result' || error) {
+      return res.status(status).type(RESOLUTION_RESULT_TYPE).json({
+        '@context': RESOLUTION_CONTEXT,
+        didDocument,
+        didResolutionMetadata: error
+          ? resolution.didResolutionMetadata
+          : { ...resolution.didResolutionMetadata, contentType },
+        didDocumentMetadata: resolution.didDocumentMetadata
+      });
+    }
+
+    res.status(status).type(contentType).json(didDocument);
+  } catch (error) {
+    console.error('Error resolving DID:', error);
+    res.status(500).type(RESOLUTION_RESULT_TYPE).json({
+      '@context': RESOLUTION_CONTEXT,
+      didDocument: null,
+      didResolutionMetadata: { error: 'internalError', errorMessage: error.message },
+      didDocumentMetadata: {}
+    });
+  }
+});
+
+module.exports = router;
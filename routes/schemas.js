@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const SchemaService = require('../services/schema');
+
+/**
+ * Get a published credential schema version (public, no authentication)
+ */
+router.get('/:schemaId/:version', async (req, res) => {
+  try {
+    const { schemaId, version } = req.params;
+
+    if (!SchemaService.SCHEMA_ID_PATTERN.test(schemaId) || !/^\d+$/.test(version)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schema not found'
+      });
+    }
+
+    const db = req.app.get('db');
+    const schemaService = new SchemaService(db);
+
+    const schema = await schemaService.getSchema(schemaId, parseInt(version));
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schema not found'
+      });
+    }
+
+    // Versions never change once published
+    res.set('Cache-Control', 'public, max-age=86400, immutable');
+    res.status(200).json(schema.schema);
+  } catch (error) {
+    console.error('Error getting schema:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get schema: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const DIDService = require('../services/did');
+const StatusListService = require('../services/statusList');
+
+/**
+ * Get a published StatusList2021 credential (public, no authentication)
+ */
+router.get('/:listId', async (req, res) => {
+  try {
+    const { listId } = req.params;
+
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(listId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Status list not found'
+      });
+    }
+
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+    const statusListService = new StatusListService(db, redis, didService);
+
+    const credential = await statusListService.getListCredential(listId);
+
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Status list not found'
+      });
+    }
+
+    // Verifiers fetch the list credential itself, not an API envelope
+    res.set('Cache-Control', 'public, max-age=60');
+    res.status(200).json(credential);
+  } catch (error) {
+    console.error('Error getting status list:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get status list: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
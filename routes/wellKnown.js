@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const DIDService = require('../services/did');
+const OID4VCIService = require('../services/oid4vci');
+
+/**
+ * OID4VCI credential issuer metadata
+ */
+router.get('/openid-credential-issuer', async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const oid4vciService = new OID4VCIService(db, redis, new DIDService(db, redis));
+
+    const metadata = await oid4vciService.getIssuerMetadata();
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(metadata);
+  } catch (error) {
+    console.error('Error getting credential issuer metadata:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get credential issuer metadata: ${error.message}`
+    });
+  }
+});
+
+/**
+ * OAuth authorization server metadata (token endpoint of the pre-authorized code flow)
+ */
+router.get('/oauth-authorization-server', (req, res) => {
+  const db = req.app.get('db');
+  const redis = req.app.get('redis');
+  const oid4vciService = new OID4VCIService(db, redis, new DIDService(db, redis));
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(oid4vciService.getAuthorizationServerMetadata());
+});
+
+/**
+ * Document of the domain's root did:web DID
+ */
+router.get('/did.json', async (req, res) => {
+  try {
+    const db = req.app.get('db');
+    const redis = req.app.get('redis');
+    const didService = new DIDService(db, redis);
+
+    const document = await didService.getHostedDidWebDocument();
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'DID document not found'
+      });
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('application/did+json').status(200).send(JSON.stringify(document));
+  } catch (error) {
+    console.error('Error serving did:web document:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get DID document: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
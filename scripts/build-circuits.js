@@ -0,0 +1,111 @@
+// scripts/build-circuits.js
+/**
+ * Compile the zero-knowledge circuits and run their Groth16 setup
+ *
+ * For each circuit in circuits/<name>/<name>.circom: circom2 compiles it to
+ * R1CS and wasm, a proving key is derived from a powers-of-tau file with one
+ * phase 2 contribution and a random beacon, and the wasm, proving key
+ * (<name>.zkey), verification key (verification_key.json) and a Solidity
+ * verifier (contracts/<Name>Verifier.sol) are written.
+ *
+ * PTAU=<path> uses an existing phase 1 file, e.g. powersOfTau28_hez_final_11.ptau
+ * from the Hermez ceremony; production keys should be built that way. Without
+ * it a single-party phase 1 is generated, which is only fit for development.
+ *
+ * Usage: node scripts/build-circuits.js [circuit...]
+ */
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const BIN = path.join(ROOT, 'node_modules', '.bin');
+
+// Powers of tau (2^n constraints) generated when PTAU is not set
+const PTAU_POWER = 11;
+
+const run = (command, args) => {
+  execFileSync(path.join(BIN, command), args, { cwd: ROOT, stdio: 'inherit' });
+};
+
+const entropy = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Generate a single-party powers-of-tau file ready for phase 2
+ * @param {String} dir - Working directory
+ * @returns {String} - Path of the prepared file
+ */
+function generatePtau(dir) {
+  const file = name => path.join(dir, name);
+
+  console.log(`Generating a development powers of tau (2^${PTAU_POWER})...`);
+  run('snarkjs', ['powersoftau', 'new', 'bn128', String(PTAU_POWER), file('pot_0000.ptau')]);
+  run('snarkjs', ['powersoftau', 'contribute', file('pot_0000.ptau'), file('pot_0001.ptau'),
+    '--name=Identity Bridge development', `-e=${entropy()}`]);
+  run('snarkjs', ['powersoftau', 'beacon', file('pot_0001.ptau'), file('pot_beacon.ptau'),
+    entropy(), '10', '--name=Final beacon']);
+  run('snarkjs', ['powersoftau', 'prepare', 'phase2', file('pot_beacon.ptau'), file('pot_final.ptau')]);
+
+  return file('pot_final.ptau');
+}
+
+/**
+ * Compile a circuit and write its proving and verification artifacts
+ * @param {String} name - Circuit name (directory under circuits/)
+ * @param {String} ptau - Powers-of-tau file
+ * @param {String} dir - Working directory
+ */
+function buildCircuit(name, ptau, dir) {
+  const circuitDir = path.join(ROOT, 'circuits', name);
+  const source = path.join(circuitDir, `${name}.circom`);
+  const contractName = `${name.charAt(0).toUpperCase()}${name.slice(1)}Verifier`;
+
+  if (!fs.existsSync(source)) {
+    throw new Error(`Circuit source not found: ${source}`);
+  }
+
+  console.log(`Compiling ${name}...`);
+  run('circom2', [source, '--r1cs', '--wasm', '-l', path.join(ROOT, 'node_modules'), '-o', dir]);
+
+  const r1cs = path.join(dir, `${name}.r1cs`);
+  const zkey = path.join(circuitDir, `${name}.zkey`);
+
+  console.log(`Running the ${name} phase 2 setup...`);
+  run('snarkjs', ['groth16', 'setup', r1cs, ptau, path.join(dir, `${name}_0000.zkey`)]);
+  run('snarkjs', ['zkey', 'contribute', path.join(dir, `${name}_0000.zkey`), path.join(dir, `${name}_0001.zkey`),
+    '--name=Identity Bridge', `-e=${entropy()}`]);
+  run('snarkjs', ['zkey', 'beacon', path.join(dir, `${name}_0001.zkey`), zkey, entropy(), '10', '--name=Final beacon']);
+
+  fs.copyFileSync(path.join(dir, `${name}_js`, `${name}.wasm`), path.join(circuitDir, `${name}.wasm`));
+  run('snarkjs', ['zkey', 'export', 'verificationkey', zkey, path.join(circuitDir, 'verification_key.json')]);
+
+  const verifier = path.join(ROOT, 'contracts', `${contractName}.sol`);
+  run('snarkjs', ['zkey', 'export', 'solidityverifier', zkey, verifier]);
+
+  // snarkjs names every verifier Groth16Verifier
+  fs.writeFileSync(verifier, fs.readFileSync(verifier, 'utf8').replace(/contract Groth16Verifier/, `contract ${contractName}`));
+
+  console.log(`Built ${name}: circuits/${name}/ and contracts/${contractName}.sol`);
+}
+
+function buildCircuits() {
+  const names = process.argv.slice(2).length > 0 ? process.argv.slice(2) : ['kyc'];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'circuits-'));
+
+  try {
+    const ptau = process.env.PTAU ? path.resolve(process.env.PTAU) : generatePtau(dir);
+
+    for (const name of names) {
+      buildCircuit(name, ptau, dir);
+    }
+  } catch (err) {
+    console.error('Error building circuits:', err.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+buildCircuits();
@@ -1,6 +1,9 @@
 require('dotenv').config();
 const app = require('./app');
+const config = require('./config');
 const { Pool } = require('pg');
+const RoleSyncService = require('./services/roleSync');
+const CredentialService = require('./services/credential');
 
 // Start server
 async function startServer() {
@@ -27,10 +30,25 @@ async function startServer() {
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
 
+    // Reconcile on-chain AccessControl roles into user_roles
+    if (config.roleSync.enabled) {
+      RoleSyncService.start(app.get('db'));
+    }
+
+    // Reinstate suspended credentials once their deadline passes
+    CredentialService.startReinstatementSweeper(app.get('db'));
+
+    // Expire credentials past their expiration date and send expiry notices
+    CredentialService.startExpirySweeper(app.get('db'));
+
     // Handle cleanup
     const gracefulShutdown = async () => {
       console.log('Shutting down server...');
       
+      RoleSyncService.stop();
+      CredentialService.stopReinstatementSweeper();
+      CredentialService.stopExpirySweeper();
+      
       server.close(() => {
         console.log('HTTP server closed');
       });
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const ApiKeyModel = require('../models/apiKey');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+/**
+ * Scopes an API key may carry: any known permission, a "<resource>:*"
+ * wildcard over known permissions, or "*"
+ */
+const API_KEY_SCOPES = [
+  '*',
+  ...[...new Set(Object.keys(PERMISSIONS).map(name => `${name.split(':')[0]}:*`))],
+  ...Object.keys(PERMISSIONS)
+];
+
+const KEY_PREFIX = 'ibk';
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT || '60'); // requests per minute
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// Per-key request counters, shared by every ApiKeyService instance
+const usageWindows = new Map();
+
+const cleanupInterval = setInterval(() => {
+  const now = Date.now();
+  for (const [keyId, window] of usageWindows.entries()) {
+    if (now - window.start > RATE_LIMIT_WINDOW_MS) {
+      usageWindows.delete(keyId);
+    }
+  }
+}, RATE_LIMIT_WINDOW_MS);
+
+if (cleanupInterval.unref) cleanupInterval.unref();
+
+class ApiKeyService {
+  constructor(db) {
+    this.db = db;
+    this.apiKeyModel = new ApiKeyModel(db);
+  }
+
+  /**
+   * Create an API key for a service account
+   * @param {Object} options - Key options
+   * @param {String} options.userId - User the key acts on behalf of
+   * @param {String} options.name - Human-readable key name
+   * @param {Array<String>} options.scopes - Granted scopes
+   * @param {Number} options.rateLimit - Requests per minute
+   * @param {String} options.expiresAt - Optional expiry date
+   * @param {String} createdBy - ID of the admin creating the key
+   * @returns {Promise<Object>} - The key record and the plaintext key (shown once)
+   */
+  async createKey(options, createdBy) {
+    try {
+      const { userId, name, scopes = [], rateLimit, expiresAt } = options;
+
+      if (!userId || !name) {
+        throw new Error('User ID and key name are required');
+      }
+
+      this._assertValidScopes(scopes);
+
+      const { key, keyPrefix, keyHash } = this._generateKey();
+
+      const record = await this.apiKeyModel.create({
+        userId,
+        name,
+        keyPrefix,
+        keyHash,
+        scopes,
+        rateLimit: rateLimit ? parseInt(rateLimit) : DEFAULT_RATE_LIMIT,
+        expiresAt,
+        createdBy
+      });
+
+      return { apiKey: record, key };
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      throw new Error(`Failed to create API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * List API keys (hashes are never returned)
+   * @param {Object} options - Query options (userId, includeRevoked, limit, offset)
+   * @returns {Promise<Array>} - API keys
+   */
+  async listKeys(options = {}) {
+    return this.apiKeyModel.list(options);
+  }
+
+  /**
+   * Replace the secret of an API key, keeping its scopes and limits
+   * @param {String} keyId - API key ID
+   * @returns {Promise<Object>} - The key record and the new plaintext key, or null
+   */
+  async rotateKey(keyId) {
+    try {
+      const { key, keyPrefix, keyHash } = this._generateKey();
+      const record = await this.apiKeyModel.rotate(keyId, keyPrefix, keyHash);
+
+      if (!record) {
+        return null;
+      }
+
+      usageWindows.delete(keyId);
+
+      return { apiKey: record, key };
+    } catch (error) {
+      console.error('Error rotating API key:', error);
+      throw new Error(`Failed to rotate API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {String} keyId - API key ID
+   * @returns {Promise<Boolean>} - Whether a key was revoked
+   */
+  async revokeKey(keyId) {
+    usageWindows.delete(keyId);
+    return this.apiKeyModel.revoke(keyId);
+  }
+
+  /**
+   * Authenticate a presented API key
+   * @param {String} key - The plaintext API key
+   * @param {String} ipAddress - Caller IP address (for last-used tracking)
+   * @returns {Promise<Object>} - Authentication result
+   */
+  async authenticate(key, ipAddress) {
+    try {
+      const parsed = this._parseKey(key);
+      if (!parsed) {
+        return { valid: false, error: 'Malformed API key' };
+      }
+
+      const record = await this.apiKeyModel.findByPrefix(parsed.keyPrefix);
+      if (!record) {
+        return { valid: false, error: 'Unknown API key' };
+      }
+
+      const expected = Buffer.from(record.key_hash, 'hex');
+      const actual = Buffer.from(this._hashKey(key), 'hex');
+
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { valid: false, error: 'Invalid API key' };
+      }
+
+      if (record.revoked_at) {
+        return { valid: false, error: 'API key has been revoked' };
+      }
+
+      if (record.expires_at && new Date(record.expires_at) < new Date()) {
+        return { valid: false, error: 'API key has expired' };
+      }
+
+      if (!this._consumeRateLimit(record.id, record.rate_limit)) {
+        return {
+          valid: false,
+          rateLimited: true,
+          error: 'API key rate limit exceeded',
+          retryAfter: this._getRetryAfter(record.id)
+        };
+      }
+
+      // Last-used tracking must not hold up the request
+      this.apiKeyModel.touch(record.id, ipAddress);
+
+      return {
+        valid: true,
+        apiKey: {
+          id: record.id,
+          name: record.name,
+          scopes: record.scopes || []
+        },
+        user: {
+          id: record.user_id,
+          walletAddress: record.wallet_address,
+          did: record.did
+        }
+      };
+    } catch (error) {
+      console.error('Error authenticating API key:', error);
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check whether an API key's scopes cover a permission
+   * @param {Array<String>} scopes - Key scopes
+   * @param {String} permission - Required permission
+   * @returns {Boolean} - Whether the scopes cover the permission
+   */
+  static scopesAllow(scopes = [], permission) {
+    return hasPermission(scopes, permission);
+  }
+
+  /**
+   * Ensure every requested scope is known
+   * @private
+   * @param {Array<String>} scopes - Requested scopes
+   */
+  _assertValidScopes(scopes) {
+    if (!Array.isArray(scopes)) {
+      throw new Error('Scopes must be an array');
+    }
+
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Generate new key material
+   * @private
+   * @returns {Object} - Plaintext key, public prefix and hash
+   */
+  _generateKey() {
+    const keyPrefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const key = `${KEY_PREFIX}_${keyPrefix}_${secret}`;
+
+    return { key, keyPrefix, keyHash: this._hashKey(key) };
+  }
+
+  /**
+   * Split a presented key into its parts
+   * @private
+   * @param {String} key - Plaintext API key
+   * @returns {Object|null} - Parsed key or null if malformed
+   */
+  _parseKey(key) {
+    const match = /^ibk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/.exec(key || '');
+    return match ? { keyPrefix: match[1] } : null;
+  }
+
+  /**
+   * Hash an API key for storage
+   * @private
+   * @param {String} key - Plaintext API key
+   * @returns {String} - Hex-encoded SHA-256 hash
+   */
+  _hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Count a request against a key's per-minute limit
+   * @private
+   * @param {String} keyId - API key ID
+   * @param {Number} limit - Requests allowed per minute
+   * @returns {Boolean} - Whether the request is within the limit
+   */
+  _consumeRateLimit(keyId, limit) {
+    const now = Date.now();
+    let window = usageWindows.get(keyId);
+
+    if (!window || now - window.start > RATE_LIMIT_WINDOW_MS) {
+      window = { count: 0, start: now };
+      usageWindows.set(keyId, window);
+    }
+
+    window.count++;
+
+    return window.count <= (limit || DEFAULT_RATE_LIMIT);
+  }
+
+  /**
+   * Seconds until a key's rate limit window resets
+   * @private
+   * @param {String} keyId - API key ID
+   * @returns {Number} - Seconds to wait
+   */
+  _getRetryAfter(keyId) {
+    const window = usageWindows.get(keyId);
+    return window ? Math.ceil((window.start + RATE_LIMIT_WINDOW_MS - Date.now()) / 1000) : 0;
+  }
+}
+
+ApiKeyService.API_KEY_SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKeyService;
@@ -1,38 +1,76 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const ethers = require('ethers');
-const { PublicKey, Keypair } = require('@solana/web3.js');
-const bs58 = require('bs58');
+const config = require('../config');
+const { verifyEthereumSignature, verifySolanaSignature } = require('../utils/crypto');
+const {
+  getChainFamily,
+  createSignInMessage,
+  parseSignInMessage,
+  validateSignInMessage
+} = require('../utils/siwe');
+
+// Comma-separated config list helper
+const parseList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
 
 class AuthService {
   constructor(db, redis) {
     this.db = db;
     this.redis = redis;
     this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key';
-    this.jwtExpiry = process.env.JWT_EXPIRY || '24h';
+    this.jwtExpiry = process.env.JWT_EXPIRY || '15m';
+    this.refreshTokenExpiry = process.env.REFRESH_TOKEN_EXPIRY || '30d';
+    
+    // Sign-in message settings; domain and URI must match what wallets see
+    const appUrl = new URL(config.app.url);
+    this.signInDomain = config.auth.domain || appUrl.host;
+    this.signInUri = config.auth.uri || appUrl.origin;
+    this.evmChainIds = parseList(config.auth.evmChainIds);
+    this.solanaChainIds = parseList(config.auth.solanaChainIds);
+    this.challengeTtl = config.auth.challengeTtl; // seconds
   }
 
   /**
-   * Generate a challenge for wallet signature
+   * Generate a Sign-In with Ethereum (EIP-4361) or Sign-In with Solana challenge
    * @param {String} walletAddress - The wallet address
-   * @param {String} chain - The blockchain (polygon/solana)
-   * @returns {Promise<String>} - The challenge string
+   * @param {String} chain - The blockchain (polygon/ethereum/solana)
+   * @param {Object} options - Optional message fields (chainId, resources, requestId)
+   * @returns {Promise<String>} - The sign-in message to be signed by the wallet
    */
-  async generateChallenge(walletAddress, chain = 'polygon') {
+  async generateChallenge(walletAddress, chain = 'polygon', options = {}) {
     try {
-      // Generate a random nonce
-      const nonce = crypto.randomBytes(32).toString('hex');
-      
-      // Create a clear message that user will sign
-      let message;
-      if (chain === 'polygon') {
-        message = `Sign this message to authenticate with the Identity Bridge.\n\nNonce: ${nonce}\nWallet: ${walletAddress}\nTimestamp: ${Date.now()}`;
-      } else if (chain === 'solana') {
-        message = `Sign this message to authenticate with the Identity Bridge.\n\nNonce: ${nonce}\nWallet: ${walletAddress}\nTimestamp: ${Date.now()}`;
-      } else {
-        throw new Error(`Unsupported chain: ${chain}`);
+      const family = getChainFamily(chain);
+      const chainIds = this._getAcceptedChainIds(family);
+      const chainId = options.chainId !== undefined && options.chainId !== null
+        ? String(options.chainId)
+        : chainIds[0];
+      
+      if (!chainIds.includes(chainId)) {
+        throw new Error(`Chain ID not accepted: ${chainId}`);
       }
       
+      // Generate a random nonce
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const issuedAt = new Date();
+      const expirationTime = new Date(issuedAt.getTime() + this.challengeTtl * 1000);
+      
+      // EIP-4361 requires the checksummed form of EVM addresses
+      const address = family === 'ethereum' ? ethers.getAddress(walletAddress) : walletAddress;
+      
+      const message = createSignInMessage({
+        family,
+        domain: this.signInDomain,
+        address,
+        statement: 'Sign in to the Identity Bridge.',
+        uri: this.signInUri,
+        chainId,
+        nonce,
+        issuedAt: issuedAt.toISOString(),
+        expirationTime: expirationTime.toISOString(),
+        requestId: options.requestId,
+        resources: options.resources
+      });
+      
       // Store the nonce in database
       const query = `
         INSERT INTO users (wallet_address, nonce)
@@ -49,7 +87,7 @@ class AuthService {
         `challenge:${walletAddress}`, 
         message,
         'EX',
-        300 // 5 minutes expiry
+        this.challengeTtl
       );
       
       return message;
@@ -60,21 +98,29 @@ class AuthService {
   }
 
   /**
-   * Verify a challenge signature and issue token
+   * Verify a signed sign-in message and issue token
    * @param {String} walletAddress - The wallet address
    * @param {String} signature - The signature
-   * @param {String} chain - The blockchain (polygon/solana)
+   * @param {String} chain - The blockchain (polygon/ethereum/solana)
    * @param {Object} metadata - Additional info (IP, user agent)
+   * @param {String} message - The message the wallet signed, if sent by the client
    * @returns {Promise<Object>} - Authentication result with token
    */
-  async verifySignature(walletAddress, signature, chain = 'polygon', metadata = {}) {
+  async verifySignature(walletAddress, signature, chain = 'polygon', metadata = {}, message = null) {
     try {
+      const family = getChainFamily(chain);
+      
       // Get challenge from cache
       const challenge = await this.redis.get(`challenge:${walletAddress}`);
       if (!challenge) {
         throw new Error('Challenge expired or not found');
       }
       
+      // The wallet must have signed exactly the message we issued
+      if (message && message !== challenge) {
+        throw new Error('Signed message does not match the issued challenge');
+      }
+      
       // Query nonce from database
       const query = `
         SELECT id, nonce, did 
@@ -89,76 +135,60 @@ class AuthService {
       
       const { id, nonce, did } = result.rows[0];
       
-      // Verify signature based on chain
-      let isValid = false;
-      
-      if (chain === 'polygon') {
-        // Ethereum signature verification
-        try {
-          const recoveredAddress = ethers.verifyMessage(challenge, signature);
-          isValid = recoveredAddress.toLowerCase() === walletAddress.toLowerCase();
-        } catch (err) {
-          console.error('Ethereum signature verification error:', err);
-          isValid = false;
-        }
-      } else if (chain === 'solana') {
-        // Solana signature verification
-        try {
-          const publicKey = new PublicKey(walletAddress);
-          const signatureUint8 = bs58.decode(signature);
-          const messageBytes = Buffer.from(challenge);
-          
-          isValid = this._verifySolanaSignature(messageBytes, signatureUint8, publicKey);
-        } catch (err) {
-          console.error('Solana signature verification error:', err);
-          isValid = false;
-        }
-      } else {
-        throw new Error(`Unsupported chain: ${chain}`);
+      if (!nonce) {
+        throw new Error('Challenge has already been used');
       }
       
+      // Strictly validate the message before checking the signature
+      const fields = parseSignInMessage(challenge);
+      validateSignInMessage(fields, {
+        family,
+        domain: this.signInDomain,
+        uri: this.signInUri,
+        address: walletAddress,
+        chainIds: this._getAcceptedChainIds(family),
+        nonce
+      });
+      
+      // Verify signature based on chain family
+      const isValid = family === 'ethereum'
+        ? verifyEthereumSignature(challenge, signature, walletAddress)
+        : verifySolanaSignature(challenge, signature, walletAddress);
+      
       if (!isValid) {
         throw new Error('Invalid signature');
       }
       
-      // Generate token
-      const token = this.generateToken(id, walletAddress, did, chain);
-      
-      // Store session
-      const sessionQuery = `
-        INSERT INTO auth_sessions (
-          user_id, 
-          token, 
-          expires_at, 
-          ip_address, 
-          user_agent
-        )
-        VALUES ($1, $2, $3, $4, $5)
-        RETURNING id
-      `;
-      
-      const expiryDate = new Date();
-      expiryDate.setTime(expiryDate.getTime() + this._parseJwtExpiry(this.jwtExpiry));
+      // Consume the nonce so the message cannot be replayed; only one of
+      // concurrent sign-ins with the same message can clear it
+      const consumed = await this.db.query(
+        'UPDATE users SET nonce = NULL, updated_at = NOW() WHERE id = $1 AND nonce = $2',
+        [id, nonce]
+      );
+
+      if (consumed.rowCount === 0) {
+        throw new Error('Challenge has already been used');
+      }
       
-      await this.db.query(sessionQuery, [
-        id,
-        token,
-        expiryDate,
-        metadata.ip || null,
-        metadata.userAgent || null
-      ]);
+      // Open a session with an access token and a refresh token
+      const session = await this._createSession(id, walletAddress, did, chain, metadata);
       
       // Clear the challenge
       await this.redis.del(`challenge:${walletAddress}`);
       
       return {
         authenticated: true,
-        token,
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresAt: session.expiresAt,
+        refreshExpiresAt: session.refreshExpiresAt,
+        sessionId: session.sessionId,
         user: {
           id,
           walletAddress,
           did: did || null,
-          chain
+          chain,
+          chainId: fields.chainId
         }
       };
     } catch (error) {
@@ -171,16 +201,19 @@ class AuthService {
   }
 
   /**
-   * Generate a JWT token
+   * Generate a short-lived JWT access token
    * @param {String} userId - The user ID
    * @param {String} walletAddress - The wallet address
    * @param {String} did - The user's DID (if any)
    * @param {String} chain - The blockchain
+   * @param {String} sessionId - The session the token belongs to
    * @returns {String} - JWT token
    */
-  generateToken(userId, walletAddress, did, chain) {
+  generateToken(userId, walletAddress, did, chain, sessionId = null) {
     const payload = {
       sub: userId,
+      sid: sessionId,
+      jti: crypto.randomBytes(16).toString('hex'),
       wallet: walletAddress,
       did: did || null,
       chain,
@@ -214,7 +247,7 @@ class AuthService {
         throw new Error('Session not found or revoked');
       }
       
-      const { expires_at, wallet_address, did } = result.rows[0];
+      const { id: sessionId, expires_at, wallet_address, did } = result.rows[0];
       
       // Check expiration
       if (new Date(expires_at) < new Date()) {
@@ -227,7 +260,8 @@ class AuthService {
         user: {
           id: decoded.sub,
           walletAddress: wallet_address,
-          did
+          did,
+          sessionId
         }
       };
     } catch (error) {
@@ -239,6 +273,177 @@ class AuthService {
     }
   }
 
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {String} refreshToken - The refresh token issued with the session
+   * @param {Object} metadata - Additional info (IP, user agent)
+   * @returns {Promise<Object>} - The rotated tokens
+   */
+  async refreshSession(refreshToken, metadata = {}) {
+    try {
+      if (!refreshToken) {
+        throw new Error('Refresh token is required');
+      }
+      
+      const tokenHash = this._hashRefreshToken(refreshToken);
+      
+      // Atomically consume the token so concurrent refreshes cannot both succeed
+      const consumeQuery = `
+        UPDATE refresh_tokens
+        SET used_at = NOW()
+        WHERE token_hash = $1 AND used_at IS NULL
+        RETURNING session_id, expires_at
+      `;
+      
+      const consumed = await this.db.query(consumeQuery, [tokenHash]);
+      
+      if (consumed.rows.length === 0) {
+        // A known token that was already used means it has been replayed:
+        // revoke the whole session so neither party can keep using it
+        const reuseQuery = `
+          SELECT rt.session_id, s.user_id
+          FROM refresh_tokens rt
+          JOIN auth_sessions s ON rt.session_id = s.id
+          WHERE rt.token_hash = $1
+        `;
+        
+        const reuse = await this.db.query(reuseQuery, [tokenHash]);
+        
+        if (reuse.rows.length > 0) {
+          const { session_id, user_id } = reuse.rows[0];
+          
+          await this.db.query('DELETE FROM auth_sessions WHERE id = $1', [session_id]);
+          
+          await this.db.query(`
+            INSERT INTO audit_logs (
+              user_id, action, resource_type, resource_id, metadata, ip_address, user_agent
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+          `, [
+            user_id,
+            'REFRESH_TOKEN_REUSE',
+            'AUTH_SESSION',
+            session_id,
+            JSON.stringify({ action: 'session_revoked' }),
+            metadata.ip || null,
+            metadata.userAgent || null
+          ]);
+          
+          throw new Error('Refresh token reuse detected; session revoked');
+        }
+        
+        throw new Error('Invalid refresh token');
+      }
+      
+      const { session_id, expires_at } = consumed.rows[0];
+      
+      if (new Date(expires_at) < new Date()) {
+        throw new Error('Refresh token expired');
+      }
+      
+      // Load the session owner to rebuild the access token claims
+      const sessionQuery = `
+        SELECT s.id, s.user_id, s.token, u.wallet_address, u.did
+        FROM auth_sessions s
+        JOIN users u ON s.user_id = u.id
+        WHERE s.id = $1
+      `;
+      
+      const sessionResult = await this.db.query(sessionQuery, [session_id]);
+      
+      if (sessionResult.rows.length === 0) {
+        throw new Error('Session not found or revoked');
+      }
+      
+      const session = sessionResult.rows[0];
+      const previous = jwt.decode(session.token) || {};
+      
+      const token = this.generateToken(
+        session.user_id,
+        session.wallet_address,
+        session.did,
+        previous.chain || 'polygon',
+        session.id
+      );
+      
+      const expiresAt = new Date(Date.now() + this._parseJwtExpiry(this.jwtExpiry));
+      const rotated = await this._issueRefreshToken(session.id);
+      
+      await this.db.query(`
+        UPDATE auth_sessions
+        SET token = $1, expires_at = $2, refresh_expires_at = $3, last_used_at = NOW(),
+            ip_address = COALESCE($4, ip_address), user_agent = COALESCE($5, user_agent)
+        WHERE id = $6
+      `, [
+        token,
+        expiresAt,
+        rotated.expiresAt,
+        metadata.ip || null,
+        metadata.userAgent || null,
+        session.id
+      ]);
+      
+      return {
+        token,
+        refreshToken: rotated.refreshToken,
+        expiresAt,
+        refreshExpiresAt: rotated.expiresAt,
+        sessionId: session.id,
+        userId: session.user_id
+      };
+    } catch (error) {
+      console.error('Error refreshing session:', error);
+      throw new Error(`Failed to refresh session: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {String} userId - The user ID
+   * @returns {Promise<Array>} - Active sessions, most recent first
+   */
+  async listSessions(userId) {
+    try {
+      const query = `
+        SELECT id, ip_address, user_agent, created_at, last_used_at,
+               expires_at, refresh_expires_at
+        FROM auth_sessions
+        WHERE user_id = $1 AND COALESCE(refresh_expires_at, expires_at) > NOW()
+        ORDER BY COALESCE(last_used_at, created_at) DESC
+      `;
+      
+      const result = await this.db.query(query, [userId]);
+      
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      throw new Error(`Failed to list sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a single session belonging to a user
+   * @param {String} userId - The user ID
+   * @param {String} sessionId - The session ID
+   * @returns {Promise<Boolean>} - Whether a session was revoked
+   */
+  async revokeSession(userId, sessionId) {
+    try {
+      const query = `
+        DELETE FROM auth_sessions
+        WHERE id = $1 AND user_id = $2
+        RETURNING id
+      `;
+      
+      const result = await this.db.query(query, [sessionId, userId]);
+      
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      throw new Error(`Failed to revoke session: ${error.message}`);
+    }
+  }
+
   /**
    * Revoke a user's token/session
    * @param {String} token - The JWT token to revoke
@@ -346,6 +551,98 @@ class AuthService {
     }
   }
   
+  /**
+   * Create a session with an access token and its first refresh token
+   * @param {String} userId - The user ID
+   * @param {String} walletAddress - The wallet address
+   * @param {String} did - The user's DID (if any)
+   * @param {String} chain - The blockchain
+   * @param {Object} metadata - Additional info (IP, user agent)
+   * @returns {Promise<Object>} - Session ID and tokens
+   */
+  async _createSession(userId, walletAddress, did, chain, metadata = {}) {
+    const sessionId = crypto.randomUUID();
+    const token = this.generateToken(userId, walletAddress, did, chain, sessionId);
+    const expiresAt = new Date(Date.now() + this._parseJwtExpiry(this.jwtExpiry));
+    const refreshExpiresAt = new Date(Date.now() + this._parseJwtExpiry(this.refreshTokenExpiry));
+    
+    const sessionQuery = `
+      INSERT INTO auth_sessions (
+        id,
+        user_id, 
+        token, 
+        expires_at, 
+        refresh_expires_at,
+        ip_address, 
+        user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `;
+    
+    await this.db.query(sessionQuery, [
+      sessionId,
+      userId,
+      token,
+      expiresAt,
+      refreshExpiresAt,
+      metadata.ip || null,
+      metadata.userAgent || null
+    ]);
+    
+    const { refreshToken } = await this._issueRefreshToken(sessionId, refreshExpiresAt);
+    
+    return {
+      sessionId,
+      token,
+      expiresAt,
+      refreshToken,
+      refreshExpiresAt
+    };
+  }
+
+  /**
+   * Issue a new refresh token for a session, storing only its hash
+   * @param {String} sessionId - The session ID
+   * @param {Date} expiresAt - Expiry (default: now + refresh token lifetime)
+   * @returns {Promise<Object>} - The refresh token and its expiry
+   */
+  async _issueRefreshToken(sessionId, expiresAt = null) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiry = expiresAt || new Date(Date.now() + this._parseJwtExpiry(this.refreshTokenExpiry));
+    
+    const query = `
+      INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+      VALUES ($1, $2, $3)
+      RETURNING id
+    `;
+    
+    await this.db.query(query, [sessionId, this._hashRefreshToken(refreshToken), expiry]);
+    
+    return {
+      refreshToken,
+      expiresAt: expiry
+    };
+  }
+
+  /**
+   * Hash a refresh token for storage and lookup
+   * @param {String} refreshToken - The refresh token
+   * @returns {String} - Hex-encoded SHA-256 hash
+   */
+  _hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+  
+  /**
+   * Get the chain IDs accepted in sign-in messages for a chain family
+   * @param {String} family - Message family ('ethereum' or 'solana')
+   * @returns {Array<String>} - Accepted chain IDs, default first
+   */
+  _getAcceptedChainIds(family) {
+    return family === 'ethereum' ? this.evmChainIds : this.solanaChainIds;
+  }
+  
   /**
    * Parse JWT expiry string to milliseconds
    * @param {String} expiry - Expiry string (e.g., '1h', '7d')
@@ -376,29 +673,6 @@ class AuthService {
     }
   }
   
-  /**
-   * Verify a Solana signature
-   * @param {Buffer} message - The message that was signed
-   * @param {Uint8Array} signature - The signature
-   * @param {PublicKey} publicKey - The public key
-   * @returns {Boolean} - Whether the signature is valid
-   */
-  _verifySolanaSignature(message, signature, publicKey) {
-    // This is a simplified version - in a real implementation, 
-    // we would use the appropriate Solana verification libraries
-    try {
-      // For now, we'll rely on an external library (not implemented here)
-      // return nacl.sign.detached.verify(message, signature, publicKey.toBytes());
-      
-      // Placeholder implementation
-      console.log('Verifying Solana signature for', publicKey.toString());
-      return true; // Replace with actual verification
-    } catch (error) {
-      console.error('Solana signature verification error:', error);
-      return false;
-    }
-  }
-  
   /**
    * Encrypt sensitive data
    * @param {String} data - Data to encrypt
@@ -0,0 +1,376 @@
+const config = require('../config');
+const CredentialService = require('./credential');
+const CredentialTemplateService = require('./template');
+const merkleTree = require('./merkleTree');
+const polygonService = require('./polygon');
+
+class BatchIssuanceService {
+  constructor(db, redis, didService) {
+    this.db = db;
+    this.redis = redis;
+    this.didService = didService;
+    this.credentialService = new CredentialService(db, redis, didService);
+    this.templateService = new CredentialTemplateService(db, redis, didService);
+  }
+
+  /**
+   * Create a batch issuance job
+   * @param {String} issuerDid - The issuer's DID
+   * @param {Array} items - Subjects and claims ({ subjectDid, claims })
+   * @param {Object} options - templateId, or type, credentialSchema, format, expirationDate and cryptosuite
+   * @param {String} issuerWalletAddress - The issuer's wallet address
+   * @param {String} userId - ID of the user creating the batch
+   * @returns {Promise<Object>} - Created batch
+   */
+  async createBatch(issuerDid, items, options, issuerWalletAddress, userId) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const batchResult = await client.query(
+        `INSERT INTO issuance_batches (issuer_did, issuer_wallet, options, total_items, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [issuerDid, issuerWalletAddress, JSON.stringify(options), items.length, userId]
+      );
+
+      const batch = batchResult.rows[0];
+
+      await client.query(
+        `INSERT INTO issuance_batch_items (batch_id, item_index, subject_did, claims)
+         SELECT $1, item.item_index, item.subject_did, item.claims
+         FROM unnest($2::int[], $3::text[], $4::jsonb[]) AS item(item_index, subject_did, claims)`,
+        [
+          batch.id,
+          items.map((item, index) => index),
+          items.map(item => item.subjectDid),
+          items.map(item => JSON.stringify(item.claims || {}))
+        ]
+      );
+
+      await client.query('COMMIT');
+
+      return batch;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error creating issuance batch:', error);
+      throw new Error(`Failed to create batch: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Claim a batch for processing so that concurrent runs never issue the
+   * same items twice. A batch stuck in processing (e.g. after a restart)
+   * can be claimed again once it has made no progress for a while
+   * @param {String} batchId - Batch ID
+   * @returns {Promise<Object|null>} - Claimed batch, or null if it is not waiting to be processed
+   */
+  async claimBatch(batchId) {
+    const result = await this.db.query(
+      `UPDATE issuance_batches
+       SET status = 'PROCESSING', updated_at = NOW()
+       WHERE id = $1 AND (
+         status = 'PENDING' OR
+         (status = 'PROCESSING' AND updated_at < NOW() - ($2 || ' milliseconds')::interval)
+       )
+       RETURNING *`,
+      [batchId, config.credentials.batchStaleAfterMs.toString()]
+    );
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Claim and run a batch
+   * @param {String} batchId - Batch ID
+   * @returns {Promise<Object|null>} - Finished batch, or null if the batch could not be claimed
+   */
+  async processBatch(batchId) {
+    const batch = await this.claimBatch(batchId);
+    return batch ? this.runBatch(batch) : null;
+  }
+
+  /**
+   * Issue every pending credential of a claimed batch, then anchor the batch
+   * @param {Object} batch - Claimed batch
+   * @returns {Promise<Object>} - Finished batch
+   */
+  async runBatch(batch) {
+    const batchId = batch.id;
+
+    const items = await this.db.query(
+      `SELECT item_index, subject_did, claims
+       FROM issuance_batch_items
+       WHERE batch_id = $1 AND status = 'PENDING'
+       ORDER BY item_index`,
+      [batchId]
+    );
+
+    for (const item of items.rows) {
+      try {
+        const result = await this._issueItem(batch, item);
+
+        await this.db.query(
+          `UPDATE issuance_batch_items
+           SET status = 'ISSUED', credential_hash = $3, ipfs_cid = $4, updated_at = NOW()
+           WHERE batch_id = $1 AND item_index = $2`,
+          [batchId, item.item_index, result.credentialHash, result.ipfsCid]
+        );
+        await this._recordProgress(batchId, 1, 0);
+      } catch (error) {
+        await this.db.query(
+          `UPDATE issuance_batch_items
+           SET status = 'FAILED', error = $3, updated_at = NOW()
+           WHERE batch_id = $1 AND item_index = $2`,
+          [batchId, item.item_index, error.message]
+        );
+        await this._recordProgress(batchId, 0, 1);
+      }
+    }
+
+    await this.anchorBatch(batchId);
+
+    const finished = await this.db.query(
+      `UPDATE issuance_batches
+       SET status = CASE
+             WHEN failed_items = 0 THEN 'COMPLETED'
+             WHEN issued_items = 0 THEN 'FAILED'
+             ELSE 'PARTIAL'
+           END,
+           completed_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [batchId]
+    );
+
+    return finished.rows[0];
+  }
+
+  /**
+   * Anchor the credentials issued in a batch with one Merkle root on the
+   * issuer's SBT, and store each credential's inclusion proof
+   * @param {String} batchId - Batch ID
+   * @returns {Promise<Object>} - Anchor status, Merkle root and transaction hash
+   */
+  async anchorBatch(batchId) {
+    try {
+      const batchResult = await this.db.query(
+        'SELECT issuer_did FROM issuance_batches WHERE id = $1',
+        [batchId]
+      );
+
+      if (batchResult.rows.length === 0) {
+        throw new Error('Batch not found');
+      }
+
+      const items = await this.db.query(
+        `SELECT item_index, credential_hash
+         FROM issuance_batch_items
+         WHERE batch_id = $1 AND status = 'ISSUED'
+         ORDER BY item_index`,
+        [batchId]
+      );
+
+      if (items.rows.length === 0) {
+        await this.db.query(
+          `UPDATE issuance_batches SET anchor_status = 'SKIPPED', updated_at = NOW() WHERE id = $1`,
+          [batchId]
+        );
+        return { anchorStatus: 'SKIPPED' };
+      }
+
+      const { root, proofs } = merkleTree.buildMerkleTree(items.rows.map(item => item.credential_hash));
+      const merkleRoot = merkleTree.formatRootForBlockchain(root);
+
+      for (const item of items.rows) {
+        await this.db.query(
+          `UPDATE issuance_batch_items
+           SET merkle_proof = $3, updated_at = NOW()
+           WHERE batch_id = $1 AND item_index = $2`,
+          [batchId, item.item_index, JSON.stringify(proofs[item.credential_hash.replace(/^0x/, '')])]
+        );
+      }
+
+      await this.db.query(
+        `UPDATE issuance_batches
+         SET merkle_root = $2, anchor_status = 'PENDING', anchor_error = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [batchId, merkleRoot]
+      );
+
+      const tokenResult = await this.db.query(
+        'SELECT sbt_token_id FROM did_to_sbt WHERE did = $1',
+        [batchResult.rows[0].issuer_did]
+      );
+
+      if (tokenResult.rows.length === 0) {
+        throw new Error('Issuer has no associated SBT token to anchor the batch on');
+      }
+
+      const tokenId = tokenResult.rows[0].sbt_token_id;
+      const receipt = await polygonService.updateSbtMerkleRoot(tokenId, merkleRoot);
+
+      await this.db.query(
+        `UPDATE issuance_batches
+         SET anchor_status = 'ANCHORED', anchor_token_id = $2, anchor_tx_hash = $3, updated_at = NOW()
+         WHERE id = $1`,
+        [batchId, tokenId.toString(), receipt.hash]
+      );
+
+      return { anchorStatus: 'ANCHORED', merkleRoot, tokenId, transactionHash: receipt.hash };
+    } catch (error) {
+      // Issued credentials stay valid off-chain; the anchor can be retried
+      console.error('Error anchoring issuance batch:', error);
+
+      await this.db.query(
+        `UPDATE issuance_batches
+         SET anchor_status = 'FAILED', anchor_error = $2, updated_at = NOW()
+         WHERE id = $1`,
+        [batchId, error.message]
+      );
+
+      return { anchorStatus: 'FAILED', error: error.message };
+    }
+  }
+
+  /**
+   * Get a batch
+   * @param {String} batchId - Batch ID
+   * @returns {Promise<Object|null>} - Batch
+   */
+  async getBatch(batchId) {
+    const result = await this.db.query(
+      `SELECT id, issuer_did, options, status, total_items, issued_items, failed_items,
+              merkle_root, anchor_status, anchor_token_id, anchor_tx_hash, anchor_error,
+              created_by, created_at, updated_at, completed_at
+       FROM issuance_batches
+       WHERE id = $1`,
+      [batchId]
+    );
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * List the items of a batch with their credentials and inclusion proofs
+   * @param {String} batchId - Batch ID
+   * @param {Object} options - status, limit and offset
+   * @returns {Promise<Array>} - Batch items
+   */
+  async getBatchItems(batchId, options = {}) {
+    const { status, limit = 100, offset = 0 } = options;
+
+    const params = [batchId, limit, offset];
+    let statusFilter = '';
+
+    if (status) {
+      params.push(status);
+      statusFilter = `AND status = $${params.length}`;
+    }
+
+    const result = await this.db.query(
+      `SELECT item_index, subject_did, status, credential_hash, ipfs_cid, merkle_proof, error, updated_at
+       FROM issuance_batch_items
+       WHERE batch_id = $1 ${statusFilter}
+       ORDER BY item_index
+       LIMIT $2 OFFSET $3`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Check a credential's inclusion proof against its batch's Merkle root
+   * @param {String} credentialHash - The credential hash
+   * @returns {Promise<Object|null>} - Inclusion details, or null if the credential was not batch-issued
+   */
+  async verifyInclusion(credentialHash) {
+    const result = await this.db.query(
+      `SELECT i.batch_id, i.merkle_proof, b.merkle_root, b.anchor_status, b.anchor_token_id, b.anchor_tx_hash
+       FROM issuance_batch_items i
+       JOIN issuance_batches b ON b.id = i.batch_id
+       WHERE i.credential_hash = $1`,
+      [credentialHash]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    const included = Boolean(row.merkle_root && row.merkle_proof) && merkleTree.verifyProof(
+      credentialHash.replace(/^0x/, ''),
+      row.merkle_proof,
+      row.merkle_root.replace(/^0x/, '')
+    );
+
+    return {
+      batchId: row.batch_id,
+      merkleRoot: row.merkle_root,
+      proof: row.merkle_proof,
+      included,
+      anchorStatus: row.anchor_status,
+      tokenId: row.anchor_token_id,
+      transactionHash: row.anchor_tx_hash
+    };
+  }
+
+  /**
+   * Issue one batch item without its own on-chain transactions
+   * @private
+   * @param {Object} batch - Batch row
+   * @param {Object} item - Item row
+   * @returns {Promise<Object>} - Issued credential
+   */
+  async _issueItem(batch, item) {
+    const { templateId, ...options } = batch.options;
+
+    if (templateId) {
+      return this.templateService.issueFromTemplate(
+        templateId,
+        {
+          issuerDid: batch.issuer_did,
+          subjectDid: item.subject_did,
+          claims: item.claims,
+          expirationDate: options.expirationDate,
+          cryptosuite: options.cryptosuite,
+          deferAnchoring: true,
+          metadata: { batchId: batch.id }
+        },
+        batch.issuer_wallet,
+        batch.created_by
+      );
+    }
+
+    return this.credentialService.issueCredential(
+      batch.issuer_did,
+      item.subject_did,
+      item.claims,
+      batch.issuer_wallet,
+      { ...options, deferAnchoring: true, metadata: { batchId: batch.id } }
+    );
+  }
+
+  /**
+   * Count finished items and mark the batch as still making progress
+   * @private
+   * @param {String} batchId - Batch ID
+   * @param {Number} issued - Newly issued items
+   * @param {Number} failed - Newly failed items
+   */
+  async _recordProgress(batchId, issued, failed) {
+    await this.db.query(
+      `UPDATE issuance_batches
+       SET issued_items = issued_items + $2, failed_items = failed_items + $3, updated_at = NOW()
+       WHERE id = $1`,
+      [batchId, issued, failed]
+    );
+  }
+}
+
+module.exports = BatchIssuanceService;
@@ -3,12 +3,77 @@ const ethers = require('ethers');
 const ipfsService = require('./ipfs');
 const polygonService = require('./polygon');
 const solanaService = require('./solana');
+const StatusListService = require('./statusList');
+const DIDService = require('./did');
+const SchemaService = require('./schema');
+const NotificationService = require('./notification');
+const {
+  ISSUER_VOCAB_CONTEXT,
+  DEFAULT_CRYPTOSUITE,
+  createProof,
+  verifyProof,
+  publicKeyFromMultikey
+} = require('../utils/dataIntegrity');
+const {
+  decodeJwt,
+  verifyJwt,
+  checkTimeClaims,
+  createJwtVc,
+  jwtVcToCredential,
+  createSdJwtVc,
+  parseSdJwt,
+  resolveDisclosures,
+  verifyKeyBinding,
+  publicKeyFromJwk
+} = require('../utils/vcJwt');
+const { STATUS_LIST_CONTEXT } = require('../utils/statusList');
+const { isWalletNativeDID } = require('../utils/did');
+const config = require('../config');
+
+/**
+ * Reason codes accepted when suspending a credential
+ */
+const SUSPENSION_REASON_CODES = [
+  'AML_REVIEW',
+  'SANCTIONS_SCREENING',
+  'KYC_REFRESH',
+  'FRAUD_INVESTIGATION',
+  'LEGAL_HOLD',
+  'HOLDER_REQUEST',
+  'ISSUER_REVIEW',
+  'DID_DEACTIVATED',
+  'OTHER'
+];
+
+/**
+ * Reason codes recorded when a suspension is lifted
+ */
+const REINSTATEMENT_REASON_CODES = [
+  'REVIEW_CLEARED',
+  'HOLDER_REQUEST',
+  'ISSUER_DECISION',
+  'DEADLINE_REACHED',
+  'OTHER'
+];
+
+/**
+ * renewed_by of a credential whose renewal is being issued
+ */
+const RENEWAL_PENDING = 'PENDING';
+
+let reinstatementTimer = null;
+let reinstatementRunning = false;
+let expiryTimer = null;
+let expiryRunning = false;
 
 class CredentialService {
   constructor(db, redis, didService) {
     this.db = db;
     this.redis = redis;
     this.didService = didService;
+    this.statusListService = new StatusListService(db, redis, didService);
+    this.schemaService = new SchemaService(db);
+    this.notificationService = new NotificationService(db);
   }
 
   /**
@@ -17,7 +82,7 @@ class CredentialService {
    * @param {String} subjectDid - The subject's DID
    * @param {Object} claims - The credential claims
    * @param {String} issuerWalletAddress - The issuer's wallet address
-   * @param {Object} options - Additional options (type, expirationDate, etc.)
+   * @param {Object} options - Additional options (type, context, expirationDate, cryptosuite, format, deferAnchoring, etc.)
    * @returns {Promise<Object>} - The issued credential
    */
   async issueCredential(issuerDid, subjectDid, claims, issuerWalletAddress, options = {}) {
@@ -33,9 +98,9 @@ class CredentialService {
       if (!issuerDidDocument) {
         throw new Error('Issuer DID not found');
       }
-      // Get the subject's SBT token ID
+      // Get the subject's SBT token ID; wallet-native subjects (did:pkh, did:ethr) may have none
     const sbtTokenId = await this._getSbtTokenIdFromDid(subjectDid);
-    if (!sbtTokenId) {
+    if (!sbtTokenId && !isWalletNativeDID(subjectDid)) {
       throw new Error('Subject has no associated SBT token');
     }
       
@@ -45,6 +110,19 @@ class CredentialService {
         throw new Error('Subject DID not found');
       }
       
+      // Claims must match the registry schema they are issued under
+      let schemaUrl = null;
+      if (options.credentialSchema) {
+        const schema = await this.schemaService.resolveForIssuance(options.credentialSchema);
+        const { valid, errors } = this.schemaService.validateClaims(schema, claims);
+
+        if (!valid) {
+          throw new Error(`Claims do not match schema ${schema.schema_id} v${schema.version}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+        }
+
+        schemaUrl = this.schemaService.getSchemaUrl(schema.schema_id, schema.version);
+      }
+      
       // Generate credential ID
       const credentialId = `urn:credential:${crypto.randomBytes(16).toString('hex')}`;
       
@@ -60,14 +138,20 @@ class CredentialService {
          // Add SBT token ID to the credential claims
     const enhancedClaims = {
       ...claims,
-      sbtTokenId: sbtTokenId.toString() // Include the SBT token ID in the credential
+      ...(sbtTokenId && { sbtTokenId: sbtTokenId.toString() }) // Include the SBT token ID in the credential
     };
       
+      // Reserve revocation and suspension entries in the issuer's status lists
+      const statusAllocations = await this.statusListService.allocateEntries(issuerDid);
+
       // Create credential
       const credential = {
         '@context': [
           'https://www.w3.org/2018/credentials/v1',
-          'https://www.w3.org/2018/credentials/examples/v1'
+          'https://w3id.org/security/data-integrity/v2',
+          STATUS_LIST_CONTEXT,
+          ...(options.context || []),
+          ISSUER_VOCAB_CONTEXT
         ],
         id: credentialId,
         type: ['VerifiableCredential', ...(options.type ? [options.type] : [])],
@@ -77,34 +161,58 @@ class CredentialService {
         credentialSubject: {
           id: subjectDid,
           ...enhancedClaims
-        }
+        },
+        credentialStatus: statusAllocations.map(allocation => allocation.entry)
       };
       
-      // Add optional schema if provided
-      if (options.credentialSchema) {
+      // Reference the exact schema version so verifiers can re-validate
+      if (schemaUrl) {
         credential.credentialSchema = {
-          id: options.credentialSchema,
-          type: 'JsonSchemaValidator2018'
+          id: schemaUrl,
+          type: 'JsonSchema'
         };
       }
       
-      // Sign the credential
-      const signedCredential = await this.signCredential(credential, issuerDid, issuerWalletAddress);
-      
-      // Store in IPFS
-      const cid = await ipfsService.pinCredential(signedCredential, issuerDid, subjectDid);
-      
-      // Calculate credential hash for on-chain reference
-      const credentialHash = ipfsService.hashCredential(signedCredential);
+      const format = options.format || 'ldp_vc';
+
+      // Sign the credential in the requested format
+      let issuedCredential;
+      let pinnedCredential;
+      let storedProof;
+      let credentialHash;
+
+      if (format === 'ldp_vc') {
+        issuedCredential = await this.signCredential(
+          credential,
+          issuerDid,
+          issuerWalletAddress,
+          options.cryptosuite
+        );
+        pinnedCredential = issuedCredential;
+        storedProof = issuedCredential.proof;
+        credentialHash = ipfsService.hashCredential(issuedCredential);
+      } else {
+        const encoded = await this.signJwtCredential(credential, issuerDid, issuerWalletAddress, format, options);
+
+        // The holder receives every disclosure; the hash only covers the issuer-signed JWT
+        // so that presentations with fewer disclosures still match the registry
+        issuedCredential = format === 'vc+sd-jwt' ? encoded.sdJwt : encoded.jwt;
+        pinnedCredential = { format, type: credential.type, jwt: encoded.jwt };
+        storedProof = { type: 'JWT', alg: encoded.alg, kid: encoded.kid };
+        credentialHash = ipfsService.hashCredential(encoded.jwt);
+      }
+
+      // Store in IPFS (SD-JWT disclosures are never pinned)
+      const cid = await ipfsService.pinCredential(pinnedCredential, issuerDid, subjectDid);
       
       // Store in database
       const query = `
         INSERT INTO credentials (
           credential_hash, issuer_did, subject_did, credential_type, 
           credential_schema, issuance_date, expiration_date, 
-          status, metadata, ipfs_cid, proof,sbt_token_id
+          status, metadata, ipfs_cid, proof,sbt_token_id, format
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
         RETURNING id, credential_hash,sbt_token_id
       `;
       
@@ -113,31 +221,37 @@ class CredentialService {
         issuerDid,
         subjectDid,
         Array.isArray(options.type) ? options.type[0] : (options.type || 'VerifiableCredential'),
-        options.credentialSchema || null,
+        schemaUrl,
         new Date(issuanceDate),
         new Date(expirationDate),
         'ACTIVE',
         JSON.stringify(options.metadata || {}),
         cid,
-        JSON.stringify(signedCredential.proof),
-        sbtTokenId
-        
+        JSON.stringify(storedProof),
+        sbtTokenId,
+        format
+
       ];
       
       const result = await this.db.query(query, params);
-
+      await this.statusListService.recordEntries(credentialHash, statusAllocations);
       
       
-      // Register on blockchain (could be async)
-      await this.registerCredentialOnChain(
-        issuerDid, 
-        subjectDid, 
-        credentialHash, 
-        issuerWalletAddress
-      );
-      await this._updateSbtWithCredential(sbtTokenId, credentialHash, true);
+      // Register on blockchain (could be async); batch issuance anchors a Merkle root instead
+      if (!options.deferAnchoring) {
+        await this.registerCredentialOnChain(
+          issuerDid, 
+          subjectDid, 
+          credentialHash, 
+          issuerWalletAddress
+        );
+        if (sbtTokenId) {
+          await this._updateSbtWithCredential(sbtTokenId, credentialHash, true);
+        }
+      }
       return {
-        credential: signedCredential,
+        credential: issuedCredential,
+        format,
         credentialHash,
         ipfsCid: cid,
         sbtTokenId
@@ -149,18 +263,325 @@ class CredentialService {
 }
 
 
+/**
+ * Sign a credential with a Data Integrity proof from the issuer's assertion key
+ * @param {Object} credential - The unsigned credential
+ * @param {String} issuerDid - The issuer's DID
+ * @param {String} issuerWalletAddress - The issuer's wallet address
+ * @param {String} cryptosuite - Data Integrity cryptosuite (default: eddsa-rdfc-2022)
+ * @returns {Promise<Object>} - The credential with its proof
+ */
+async signCredential(credential, issuerDid, issuerWalletAddress, cryptosuite = DEFAULT_CRYPTOSUITE) {
+  try {
+    const isController = await this.didService.verifyController(issuerDid, issuerWalletAddress);
+    if (!isController) {
+      throw new Error('Not authorized to sign credentials for this DID');
+    }
+
+    const { verificationMethod, privateKeyPem } = await this.didService.getAssertionKey(issuerDid, cryptosuite);
+
+    return await createProof(credential, {
+      cryptosuite,
+      verificationMethod,
+      privateKeyPem,
+      proofPurpose: 'assertionMethod'
+    });
+  } catch (error) {
+    console.error('Error signing credential:', error);
+    throw new Error(`Failed to sign credential: ${error.message}`);
+  }
+}
+
+/**
+ * Sign a credential as a VC-JWT or SD-JWT VC with the issuer's assertion key
+ * @param {Object} credential - The unsigned credential
+ * @param {String} issuerDid - The issuer's DID
+ * @param {String} issuerWalletAddress - The issuer's wallet address
+ * @param {String} format - jwt_vc or vc+sd-jwt
+ * @param {Object} options - cryptosuite, selectiveDisclosure, holderJwk, holderKid
+ * @returns {Promise<Object>} - Issuer JWT, kid, alg and (for SD-JWT) disclosures
+ */
+async signJwtCredential(credential, issuerDid, issuerWalletAddress, format, options = {}) {
+  try {
+    const isController = await this.didService.verifyController(issuerDid, issuerWalletAddress);
+    if (!isController) {
+      throw new Error('Not authorized to sign credentials for this DID');
+    }
+
+    const { verificationMethod, privateKeyPem } = await this.didService.getAssertionKey(
+      issuerDid,
+      options.cryptosuite || DEFAULT_CRYPTOSUITE
+    );
+
+    if (format === 'jwt_vc') {
+      const jwt = createJwtVc(credential, { kid: verificationMethod, privateKeyPem });
+      return { jwt, kid: verificationMethod, alg: decodeJwt(jwt).header.alg };
+    }
+
+    if (format !== 'vc+sd-jwt') {
+      throw new Error(`Unsupported credential format: ${format}`);
+    }
+
+    // The SBT token ID stays visible so registries can index the credential
+    const selectiveDisclosure = options.selectiveDisclosure || Object.keys(credential.credentialSubject)
+      .filter(name => !['id', 'sbtTokenId'].includes(name));
+
+    const encoded = createSdJwtVc(credential, {
+      kid: verificationMethod,
+      privateKeyPem,
+      selectiveDisclosure,
+      holderJwk: options.holderJwk,
+      holderKid: options.holderKid
+    });
+
+    return { ...encoded, kid: verificationMethod, alg: decodeJwt(encoded.jwt).header.alg };
+  } catch (error) {
+    console.error('Error signing JWT credential:', error);
+    throw new Error(`Failed to sign credential: ${error.message}`);
+  }
+}
+
+/**
+ * Verify a credential: proof, hash, registry status and expiry
+ * @param {Object|String} credential - The signed credential (JSON-LD object, VC-JWT or SD-JWT)
+ * @param {String} credentialHash - Expected credential hash (optional)
+ * @param {Object} options - Expected key binding audience and nonce (SD-JWT only)
+ * @returns {Promise<Object>} - Verification result
+ */
+async verifyCredential(credential, credentialHash, options = {}) {
+  try {
+    if (typeof credential === 'string') {
+      return await this.verifyJwtCredential(credential, credentialHash, options);
+    }
+
+    const computedHash = ipfsService.hashCredential(credential);
+    const hashMatches = !credentialHash || credentialHash === computedHash;
+
+    const proof = await this.verifyCredentialProof(credential);
+
+    const expired = !!credential.expirationDate && new Date(credential.expirationDate) < new Date();
+    const { status, registered, revocationDate } = await this._getRegistryStatus(credentialHash || computedHash, expired);
+    const statusList = await this.statusListService.checkStatus(credential.credentialStatus);
+    const schema = await this.schemaService.validateCredentialSubject(credential);
+
+    return {
+      verified: hashMatches &&
+        proof.verified &&
+        status === 'ACTIVE' &&
+        this._statusListClear(statusList) &&
+        this._schemaValid(schema),
+      format: 'ldp_vc',
+      status,
+      issuer: typeof credential.issuer === 'object' ? credential.issuer.id : credential.issuer,
+      subject: credential.credentialSubject ? credential.credentialSubject.id : null,
+      issuanceDate: credential.issuanceDate,
+      expirationDate: credential.expirationDate,
+      details: {
+        proof,
+        hashMatches,
+        registered,
+        expired,
+        revocationDate,
+        statusList,
+        schema
+      }
+    };
+  } catch (error) {
+    console.error('Error verifying credential:', error);
+    throw new Error(`Failed to verify credential: ${error.message}`);
+  }
+}
+
+/**
+ * Verify a VC-JWT or SD-JWT VC (with optional key binding)
+ * @param {String} compact - Compact VC-JWT, or SD-JWT with disclosures and optional KB-JWT
+ * @param {String} credentialHash - Expected credential hash (optional)
+ * @param {Object} options - Expected key binding audience and nonce
+ * @returns {Promise<Object>} - Verification result
+ */
+async verifyJwtCredential(compact, credentialHash, options = {}) {
+  const isSdJwt = compact.includes('~');
+  const parts = isSdJwt ? parseSdJwt(compact) : { jwt: compact, disclosures: [], kbJwt: null };
+  const { payload } = decodeJwt(parts.jwt);
+
+  const computedHash = ipfsService.hashCredential(parts.jwt);
+  const hashMatches = !credentialHash || credentialHash === computedHash;
+
+  const proof = await this.verifyJwtProof(parts.jwt, isSdJwt ? 'vc+sd-jwt' : 'JWT');
+  const { expired, notYetValid } = checkTimeClaims(payload);
+  const { status, registered, revocationDate } = await this._getRegistryStatus(credentialHash || computedHash, expired);
+  const statusList = await this.statusListService.checkStatus(
+    isSdJwt ? payload.status : (payload.vc || {}).credentialStatus
+  );
+
+  let credential;
+  let disclosures = null;
+  let keyBinding = null;
+
+  if (isSdJwt) {
+    try {
+      credential = resolveDisclosures(payload, parts.disclosures);
+      disclosures = { verified: true, count: parts.disclosures.length };
+    } catch (error) {
+      disclosures = { verified: false, error: error.message };
+    }
+
+    // Key binding is checked whenever presented, and required when the verifier supplied a challenge
+    if (parts.kbJwt || options.audience !== undefined || options.nonce !== undefined) {
+      keyBinding = await this._verifySdJwtKeyBinding(payload, parts, options);
+    }
+  } else {
+    credential = jwtVcToCredential(payload);
+  }
+
+  // Undisclosed SD-JWT claims cannot be checked against the schema
+  const schema = isSdJwt ? null : await this.schemaService.validateCredentialSubject(credential);
+
+  const verified = hashMatches &&
+    proof.verified &&
+    status === 'ACTIVE' &&
+    this._statusListClear(statusList) &&
+    this._schemaValid(schema) &&
+    !notYetValid &&
+    (!disclosures || disclosures.verified) &&
+    (!keyBinding || keyBinding.verified);
+
+  return {
+    verified,
+    format: isSdJwt ? 'vc+sd-jwt' : 'jwt_vc',
+    status,
+    issuer: payload.iss,
+    subject: payload.sub || null,
+    issuanceDate: payload.nbf ? new Date(payload.nbf * 1000).toISOString() : undefined,
+    expirationDate: payload.exp ? new Date(payload.exp * 1000).toISOString() : undefined,
+    ...(isSdJwt ? { disclosedClaims: credential || null } : { credential }),
+    details: {
+      proof,
+      hashMatches,
+      registered,
+      expired,
+      notYetValid,
+      revocationDate,
+      statusList,
+      schema,
+      ...(isSdJwt && { disclosures, keyBinding })
+    }
+  };
+}
+
+/**
+ * Verify the issuer signature of a VC-JWT or SD-JWT against the issuer's
+ * assertionMethod keys
+ * @param {String} jwt - Issuer-signed compact JWT
+ * @param {String} expectedType - Expected typ header (JWT or vc+sd-jwt)
+ * @returns {Promise<Object>} - Proof verification result
+ */
+async verifyJwtProof(jwt, expectedType) {
+  try {
+    const { header, payload } = decodeJwt(jwt);
+
+    if (header.typ && header.typ !== expectedType) {
+      throw new Error(`Unexpected JWT typ: ${header.typ}`);
+    }
+
+    if (!header.kid || !header.kid.startsWith(`${payload.iss}#`)) {
+      throw new Error('JWT was not signed with a key of the issuer');
+    }
+
+    // Keys retired since are looked up in the issuer's document as of the
+    // issuance we recorded; iat is chosen by the signer, so it is not trusted
+    const { document, verificationMethod, retired } = await this.didService.resolveVerificationMethod(header.kid, {
+      at: await this._getRecordedIssuanceTime(ipfsService.hashCredential(jwt))
+    });
+
+    if (verificationMethod.controller !== payload.iss) {
+      throw new Error('Verification method is not controlled by the issuer');
+    }
+
+    if (!this.didService.isAuthorizedFor(document, header.kid, 'assertionMethod')) {
+      throw new Error('Verification method is not authorized for assertionMethod');
+    }
+
+    verifyJwt(jwt, this._publicKeyFromVerificationMethod(verificationMethod));
+
+    return { verified: true, alg: header.alg, verificationMethod: header.kid, keyRetired: retired };
+  } catch (error) {
+    return { verified: false, error: error.message };
+  }
+}
+
+/**
+ * Cryptographically verify a credential's proof against the issuer's
+ * assertionMethod keys, resolved through the issuer's DID document
+ * @param {Object} credential - The signed credential
+ * @returns {Promise<Object>} - Proof verification result
+ */
+async verifyCredentialProof(credential) {
+  try {
+    const issuer = typeof credential.issuer === 'object' ? credential.issuer.id : credential.issuer;
+    const { proof } = credential;
+
+    if (!proof || !proof.verificationMethod) {
+      throw new Error('Credential has no proof');
+    }
+
+    if (!proof.verificationMethod.startsWith(`${issuer}#`)) {
+      throw new Error('Proof was not created with a key of the issuer');
+    }
+
+    // Keys retired since are looked up in the issuer's document as of the
+    // issuance we recorded; proof.created is chosen by the signer, so it is not trusted
+    const { document, verificationMethod, retired } = await this.didService.resolveVerificationMethod(
+      proof.verificationMethod,
+      { at: await this._getRecordedIssuanceTime(ipfsService.hashCredential(credential)) }
+    );
+
+    if (verificationMethod.controller !== issuer) {
+      throw new Error('Verification method is not controlled by the issuer');
+    }
+
+    if (!this.didService.isAuthorizedFor(document, proof.verificationMethod, 'assertionMethod')) {
+      throw new Error('Verification method is not authorized for assertionMethod');
+    }
+
+    const result = await verifyProof(credential, verificationMethod, { proofPurpose: 'assertionMethod' });
+    return { ...result, keyRetired: retired };
+  } catch (error) {
+    return { verified: false, error: error.message };
+  }
+}
+
+/**
+ * Register a credential hash in the on-chain credential registry
+ * @param {String} issuerDid - The issuer's DID
+ * @param {String} subjectDid - The subject's DID
+ * @param {String} credentialHash - The credential hash
+ * @param {String} issuerWalletAddress - The issuer's wallet address
+ * @returns {Promise<Object|null>} - Transaction receipt, or null if registration failed
+ */
+async registerCredentialOnChain(issuerDid, subjectDid, credentialHash, issuerWalletAddress) {
+  try {
+    return await polygonService.registerCredential(issuerDid, subjectDid, credentialHash);
+  } catch (error) {
+    // The credential is already stored; the registry entry can be retried later
+    console.warn(`Could not register credential ${credentialHash} on-chain for ${issuerWalletAddress}:`, error.message);
+    return null;
+  }
+}
+
 /**
  * Revoke a credential and update its status on the blockchain
  * @param {String} credentialHash - The credential hash
  * @param {String} reason - Reason for revocation
  * @param {String} revokerWalletAddress - Wallet address of the revoker
+ * @param {String} userId - ID of the user revoking the credential
  * @returns {Promise<Object>} - Revocation result
  */
-async revokeCredential(credentialHash, reason, revokerWalletAddress) {
+async revokeCredential(credentialHash, reason, revokerWalletAddress, userId = null) {
   try {
     // Get credential details from database
     const query = `
-      SELECT issuer_did, sbt_token_id
+      SELECT issuer_did, sbt_token_id, status
       FROM credentials
       WHERE credential_hash = $1
     `;
@@ -171,7 +592,7 @@ async revokeCredential(credentialHash, reason, revokerWalletAddress) {
       throw new Error('Credential not found');
     }
     
-    const { issuer_did, sbt_token_id } = result.rows[0];
+    const { issuer_did, sbt_token_id, status } = result.rows[0];
     
     // Verify if revoker controls the issuer DID
     const isController = await this.didService.verifyController(issuer_did, revokerWalletAddress);
@@ -182,15 +603,25 @@ async revokeCredential(credentialHash, reason, revokerWalletAddress) {
     // Update credential status in database
     const updateQuery = `
       UPDATE credentials
-      SET status = 'REVOKED', revocation_date = NOW()
+      SET status = 'REVOKED', revocation_date = NOW(), suspended_until = NULL
       WHERE credential_hash = $1
       RETURNING credential_hash, revocation_date
     `;
     
     const updateResult = await this.db.query(updateQuery, [credentialHash]);
+    await this._recordStatusChange(credentialHash, status, 'REVOKED', {
+      reason,
+      userId,
+      walletAddress: revokerWalletAddress
+    });
+
+    // Set the revocation bit and re-sign the published status list
+    await this.statusListService.setCredentialStatus(credentialHash, 'revocation', true);
     
     // Update the SBT on blockchain to mark this credential as invalid
-    await this._updateSbtWithCredential(sbt_token_id, credentialHash, false);
+    if (sbt_token_id) {
+      await this._updateSbtWithCredential(sbt_token_id, credentialHash, false);
+    }
     
     return {
       revoked: true,
@@ -204,6 +635,841 @@ async revokeCredential(credentialHash, reason, revokerWalletAddress) {
   }
 }
 
+/**
+ * Verify the key binding JWT of an SD-JWT against the holder key in its cnf claim
+ * @private
+ * @param {Object} payload - Issuer JWT claims
+ * @param {Object} parts - Parsed SD-JWT
+ * @param {Object} options - Expected audience and nonce
+ * @returns {Promise<Object>} - Key binding verification result
+ */
+async _verifySdJwtKeyBinding(payload, parts, options) {
+  try {
+    if (!parts.kbJwt) {
+      throw new Error('Key binding JWT is required');
+    }
+
+    if (!payload.cnf || (!payload.cnf.jwk && !payload.cnf.kid)) {
+      throw new Error('Credential has no holder key (cnf) to bind to');
+    }
+
+    let holderKey;
+    if (payload.cnf.jwk) {
+      holderKey = publicKeyFromJwk(payload.cnf.jwk);
+    } else {
+      const { document, verificationMethod } = await this.didService.resolveVerificationMethod(payload.cnf.kid);
+
+      if (!this.didService.isAuthorizedFor(document, payload.cnf.kid, 'authentication')) {
+        throw new Error('Holder key is not authorized for authentication');
+      }
+
+      holderKey = this._publicKeyFromVerificationMethod(verificationMethod);
+    }
+
+    const claims = verifyKeyBinding(parts.kbJwt, parts.presentation, holderKey, {
+      audience: options.audience,
+      nonce: options.nonce
+    });
+
+    return { verified: true, audience: claims.aud, nonce: claims.nonce, iat: claims.iat };
+  } catch (error) {
+    return { verified: false, error: error.message };
+  }
+}
+
+/**
+ * Import the public key of a Multikey or JsonWebKey verification method
+ * @private
+ * @param {Object} verificationMethod - Verification method
+ * @returns {KeyObject} - Node public key
+ */
+_publicKeyFromVerificationMethod(verificationMethod) {
+  if (verificationMethod.publicKeyJwk) {
+    return publicKeyFromJwk(verificationMethod.publicKeyJwk);
+  }
+
+  if (verificationMethod.publicKeyMultibase) {
+    return publicKeyFromMultikey(verificationMethod.publicKeyMultibase).keyObject;
+  }
+
+  throw new Error(`Unsupported verification method type: ${verificationMethod.type}`);
+}
+
+/**
+ * When a credential was recorded as issued here
+ * @private
+ * @param {String} credentialHash - The credential hash
+ * @returns {Promise<Date|undefined>} - Recording time, or undefined for a credential we did not issue
+ */
+async _getRecordedIssuanceTime(credentialHash) {
+  const result = await this.db.query(
+    'SELECT created_at FROM credentials WHERE credential_hash = $1',
+    [credentialHash]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].created_at : undefined;
+}
+
+/**
+ * Look up a credential's status in the registry
+ * @private
+ * @param {String} credentialHash - The credential hash
+ * @param {Boolean} expired - Whether the credential is past its expiration date
+ * @returns {Promise<Object>} - Status, registered flag and revocation date
+ */
+async _getRegistryStatus(credentialHash, expired) {
+  const result = await this.db.query(
+    'SELECT status, revocation_date FROM credentials WHERE credential_hash = $1',
+    [credentialHash]
+  );
+
+  const registered = result.rows.length > 0;
+
+  let status = registered ? result.rows[0].status : 'UNKNOWN';
+  if (status === 'ACTIVE' && expired) {
+    status = 'EXPIRED';
+  }
+
+  return {
+    status,
+    registered,
+    revocationDate: registered ? result.rows[0].revocation_date : null
+  };
+}
+
+/**
+ * Suspend a credential pending review. The suspension is reversible and is
+ * mirrored to the suspension status list and the SBT validity flag
+ * @param {String} credentialHash - The credential hash
+ * @param {Object} options - reasonCode, reason and optional reinstateAt deadline
+ * @param {String} walletAddress - Wallet address of the issuer
+ * @param {String} userId - ID of the user suspending the credential
+ * @returns {Promise<Object>} - Suspension result
+ */
+async suspendCredential(credentialHash, options, walletAddress, userId = null) {
+  try {
+    const { reasonCode, reason, reinstateAt } = options;
+
+    // DID_DEACTIVATED is reserved for the cascade from DID deactivation
+    if (!SUSPENSION_REASON_CODES.includes(reasonCode) || reasonCode === 'DID_DEACTIVATED') {
+      throw new Error(`Unknown suspension reason code: ${reasonCode}`);
+    }
+
+    if (reinstateAt && !(new Date(reinstateAt) > new Date())) {
+      throw new Error('Reinstatement deadline must be in the future');
+    }
+
+    const credential = await this._assertStatusChange(credentialHash, walletAddress, 'ACTIVE');
+
+    const result = await this.db.query(
+      `UPDATE credentials
+       SET status = 'SUSPENDED',
+           suspended_until = $2,
+           metadata = jsonb_set(coalesce(metadata, '{}'), '{suspension}', $3::jsonb),
+           updated_at = NOW()
+       WHERE credential_hash = $1 AND status = 'ACTIVE'
+       RETURNING updated_at`,
+      [
+        credentialHash,
+        reinstateAt ? new Date(reinstateAt) : null,
+        JSON.stringify({ reasonCode, reason: reason || null })
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Credential status changed concurrently');
+    }
+
+    await this._recordStatusChange(credentialHash, 'ACTIVE', 'SUSPENDED', {
+      reasonCode,
+      reason,
+      userId,
+      walletAddress,
+      reinstateAt
+    });
+
+    const statusList = await this.statusListService.setCredentialStatus(credentialHash, 'suspension', true);
+    const onChain = await this._mirrorValidityOnChain(credential.sbt_token_id, credentialHash, false);
+
+    return {
+      suspended: true,
+      credentialHash,
+      suspensionDate: result.rows[0].updated_at,
+      reasonCode,
+      reason,
+      reinstateAt: reinstateAt ? new Date(reinstateAt).toISOString() : null,
+      statusList,
+      onChain
+    };
+  } catch (error) {
+    console.error('Error suspending credential:', error);
+    throw new Error(`Failed to suspend credential: ${error.message}`);
+  }
+}
+
+/**
+ * Reinstate a suspended credential
+ * @param {String} credentialHash - The credential hash
+ * @param {Object} options - Optional reasonCode and reason
+ * @param {String} walletAddress - Wallet address of the issuer
+ * @param {String} userId - ID of the user reinstating the credential
+ * @returns {Promise<Object>} - Reinstatement result
+ */
+async reinstateCredential(credentialHash, options, walletAddress, userId = null) {
+  try {
+    const { reasonCode = 'REVIEW_CLEARED', reason } = options;
+
+    // DEADLINE_REACHED is reserved for automatic reinstatement
+    if (!REINSTATEMENT_REASON_CODES.includes(reasonCode) || reasonCode === 'DEADLINE_REACHED') {
+      throw new Error(`Unknown reinstatement reason code: ${reasonCode}`);
+    }
+
+    const credential = await this._assertStatusChange(credentialHash, walletAddress, 'SUSPENDED');
+
+    const suspension = (credential.metadata && credential.metadata.suspension) || {};
+    if (suspension.reasonCode === 'DID_DEACTIVATED') {
+      throw new Error('Credentials suspended because a DID was deactivated cannot be reinstated');
+    }
+
+    return await this._reinstate(credentialHash, credential.sbt_token_id, {
+      reasonCode,
+      reason,
+      userId,
+      walletAddress
+    });
+  } catch (error) {
+    console.error('Error reinstating credential:', error);
+    throw new Error(`Failed to reinstate credential: ${error.message}`);
+  }
+}
+
+/**
+ * Reinstate every suspended credential whose deadline has passed
+ * @param {Number} limit - Maximum number of credentials per run
+ * @returns {Promise<Object>} - Reinstated and failed counts
+ */
+async reinstateDueCredentials(limit = 100) {
+  const result = await this.db.query(
+    `SELECT credential_hash, sbt_token_id
+     FROM credentials
+     WHERE status = 'SUSPENDED' AND suspended_until IS NOT NULL AND suspended_until <= NOW()
+     ORDER BY suspended_until
+     LIMIT $1`,
+    [limit]
+  );
+
+  let reinstated = 0;
+  let failed = 0;
+
+  for (const row of result.rows) {
+    try {
+      await this._reinstate(row.credential_hash, row.sbt_token_id, {
+        reasonCode: 'DEADLINE_REACHED',
+        reason: 'Suspension deadline reached'
+      });
+      reinstated++;
+    } catch (error) {
+      console.error(`Could not reinstate credential ${row.credential_hash}:`, error.message);
+      failed++;
+    }
+  }
+
+  return { reinstated, failed };
+}
+
+/**
+ * Get the status change history of a credential
+ * @param {String} credentialHash - The credential hash
+ * @returns {Promise<Array>} - Status changes, oldest first
+ */
+async getStatusHistory(credentialHash) {
+  try {
+    const result = await this.db.query(
+      `SELECT h.from_status, h.to_status, h.reason_code, h.reason, h.changed_by,
+         h.changed_by_wallet, h.reinstate_at, h.created_at
+       FROM credential_status_history h
+       WHERE h.credential_hash = $1
+       ORDER BY h.created_at ASC`,
+      [credentialHash]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting credential status history:', error);
+    throw new Error(`Failed to get status history: ${error.message}`);
+  }
+}
+
+/**
+ * Start reinstating credentials past their suspension deadline on an interval
+ * @param {Object} db - Database pool
+ * @param {Number} intervalMs - Interval between runs
+ * @returns {Object} - Interval handle
+ */
+static startReinstatementSweeper(db, intervalMs = config.credentials.reinstatementIntervalMs) {
+  if (reinstatementTimer) {
+    return reinstatementTimer;
+  }
+
+  reinstatementTimer = setInterval(async () => {
+    if (reinstatementRunning) return;
+    reinstatementRunning = true;
+
+    try {
+      const service = new CredentialService(db, null, new DIDService(db, null));
+      const { reinstated, failed } = await service.reinstateDueCredentials();
+
+      if (reinstated || failed) {
+        console.log(`Reinstated ${reinstated} suspended credentials (${failed} failed)`);
+      }
+    } catch (error) {
+      console.error('Credential reinstatement run failed:', error);
+    } finally {
+      reinstatementRunning = false;
+    }
+  }, intervalMs);
+
+  if (reinstatementTimer.unref) reinstatementTimer.unref();
+
+  console.log(`Credential reinstatement scheduled every ${intervalMs}ms`);
+  return reinstatementTimer;
+}
+
+/**
+ * Stop the reinstatement sweeper
+ */
+static stopReinstatementSweeper() {
+  if (reinstatementTimer) {
+    clearInterval(reinstatementTimer);
+    reinstatementTimer = null;
+  }
+}
+
+/**
+ * Mark every credential past its expiration date as EXPIRED, mirror the
+ * change to the SBT and notify the holder and issuer
+ * @param {Number} limit - Maximum number of credentials per run
+ * @returns {Promise<Object>} - Expired and failed counts
+ */
+async expireDueCredentials(limit = 100) {
+  const result = await this.db.query(
+    `SELECT credential_hash, issuer_did, subject_did, credential_type, status, sbt_token_id, expiration_date
+     FROM credentials
+     WHERE status IN ('ACTIVE', 'SUSPENDED') AND expiration_date IS NOT NULL AND expiration_date <= NOW()
+     ORDER BY expiration_date
+     LIMIT $1`,
+    [limit]
+  );
+
+  let expired = 0;
+  let failed = 0;
+
+  for (const row of result.rows) {
+    try {
+      const updated = await this.db.query(
+        `UPDATE credentials
+         SET status = 'EXPIRED', suspended_until = NULL, updated_at = NOW()
+         WHERE credential_hash = $1 AND status = $2
+         RETURNING credential_hash`,
+        [row.credential_hash, row.status]
+      );
+
+      if (updated.rows.length === 0) {
+        continue;
+      }
+
+      await this._recordStatusChange(row.credential_hash, row.status, 'EXPIRED', {
+        reasonCode: 'EXPIRED',
+        reason: 'Expiration date reached'
+      });
+
+      // A suspended credential is already marked invalid on its SBT
+      if (row.status === 'ACTIVE') {
+        await this._mirrorValidityOnChain(row.sbt_token_id, row.credential_hash, false);
+      }
+
+      await this._notifyParties(row, 'CREDENTIAL_EXPIRED', {
+        expirationDate: row.expiration_date
+      }, row.credential_hash);
+      expired++;
+    } catch (error) {
+      console.error(`Could not expire credential ${row.credential_hash}:`, error.message);
+      failed++;
+    }
+  }
+
+  return { expired, failed };
+}
+
+/**
+ * Suspend every active credential held or issued by a deactivated DID and
+ * mirror the change to the status lists and SBTs. The suspension has no
+ * deadline and cannot be lifted by the issuer
+ * @param {String} did - The deactivated DID
+ * @returns {Promise<Object>} - Suspended and failed counts
+ */
+async suspendCredentialsOfDID(did) {
+  const result = await this.db.query(
+    `SELECT credential_hash, sbt_token_id
+     FROM credentials
+     WHERE (subject_did = $1 OR issuer_did = $1) AND status = 'ACTIVE'`,
+    [did]
+  );
+
+  let suspended = 0;
+  let failed = 0;
+
+  for (const row of result.rows) {
+    try {
+      const updated = await this.db.query(
+        `UPDATE credentials
+         SET status = 'SUSPENDED',
+             suspended_until = NULL,
+             metadata = jsonb_set(coalesce(metadata, '{}'), '{suspension}', $2::jsonb),
+             updated_at = NOW()
+         WHERE credential_hash = $1 AND status = 'ACTIVE'
+         RETURNING credential_hash`,
+        [row.credential_hash, JSON.stringify({ reasonCode: 'DID_DEACTIVATED', reason: `${did} was deactivated` })]
+      );
+
+      if (updated.rows.length === 0) {
+        continue;
+      }
+
+      await this._recordStatusChange(row.credential_hash, 'ACTIVE', 'SUSPENDED', {
+        reasonCode: 'DID_DEACTIVATED',
+        reason: `${did} was deactivated`
+      });
+
+      await this.statusListService.setCredentialStatus(row.credential_hash, 'suspension', true);
+      await this._mirrorValidityOnChain(row.sbt_token_id, row.credential_hash, false);
+      suspended++;
+    } catch (error) {
+      console.error(`Could not suspend credential ${row.credential_hash}:`, error.message);
+      failed++;
+    }
+  }
+
+  return { suspended, failed };
+}
+
+/**
+ * Notify holders and issuers of active credentials that expire soon. Each
+ * credential gets one notice per threshold, the closest threshold first reached
+ * @param {Array<Number>} noticeDays - Days before expiration to notify at
+ * @param {Number} limit - Maximum number of credentials per threshold and run
+ * @returns {Promise<Number>} - Number of notifications sent
+ */
+async notifyUpcomingExpiries(noticeDays = config.credentials.expiryNoticeDays, limit = 500) {
+  const thresholds = [...noticeDays].sort((a, b) => a - b);
+  let sent = 0;
+
+  for (let i = 0; i < thresholds.length; i++) {
+    const days = thresholds[i];
+    const closerDays = i > 0 ? thresholds[i - 1] : 0;
+
+    // Credentials already inside a closer threshold get that notice instead
+    const result = await this.db.query(
+      `SELECT c.credential_hash, c.issuer_did, c.subject_did, c.credential_type, c.expiration_date
+       FROM credentials c
+       WHERE c.status = 'ACTIVE' AND c.renewed_by IS NULL
+         AND c.expiration_date > NOW() + ($2 || ' days')::interval
+         AND c.expiration_date <= NOW() + ($1 || ' days')::interval
+         AND NOT EXISTS (
+           SELECT 1 FROM notifications n
+           WHERE n.dedupe_key = 'CREDENTIAL_EXPIRING:' || c.credential_hash || ':' || $1 || ':' || c.subject_did
+         )
+       ORDER BY c.expiration_date
+       LIMIT $3`,
+      [days.toString(), closerDays.toString(), limit]
+    );
+
+    for (const row of result.rows) {
+      sent += await this._notifyParties(row, 'CREDENTIAL_EXPIRING', {
+        expirationDate: row.expiration_date,
+        daysBefore: days
+      }, `${row.credential_hash}:${days}`);
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Re-issue a credential with a new expiration date and link the two. The
+ * previous credential is left as it is and expires on its own date
+ * @param {String} credentialHash - Hash of the credential to renew
+ * @param {Object} options - expirationDate, claims (replacing the issued ones),
+ *   credentialSchema and holderJwk
+ * @param {String} walletAddress - Wallet address of the issuer
+ * @param {String} userId - ID of the user renewing (optional)
+ * @returns {Promise<Object>} - The renewed credential
+ */
+async renewCredential(credentialHash, options, walletAddress, userId = null) {
+  try {
+    const result = await this.db.query(
+      `SELECT issuer_did, subject_did, credential_type, credential_schema, issuance_date,
+         expiration_date, status, metadata, ipfs_cid, format, renewed_by
+       FROM credentials
+       WHERE credential_hash = $1`,
+      [credentialHash]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Credential not found');
+    }
+
+    const previous = result.rows[0];
+
+    const isController = await this.didService.verifyController(previous.issuer_did, walletAddress);
+    if (!isController) {
+      throw new Error('Not authorized to renew this credential');
+    }
+
+    if (!['ACTIVE', 'EXPIRED'].includes(previous.status)) {
+      throw new Error(`Only ACTIVE or EXPIRED credentials can be renewed (credential is ${previous.status})`);
+    }
+
+    if (previous.renewed_by === RENEWAL_PENDING) {
+      throw new Error('Credential is already being renewed');
+    }
+
+    if (previous.renewed_by) {
+      throw new Error(`Credential was already renewed as ${previous.renewed_by}`);
+    }
+
+    const issued = options.claims ? null : await this._getIssuedClaims(previous);
+    if (!options.claims && !issued) {
+      throw new Error('Claims of vc+sd-jwt credentials are not stored; supply the claims to renew it');
+    }
+
+    // Claim the credential before issuing so that concurrent requests cannot
+    // each issue a renewal
+    const claim = await this.db.query(
+      `UPDATE credentials
+       SET renewed_by = $2, updated_at = NOW()
+       WHERE credential_hash = $1
+         AND status IN ('ACTIVE', 'EXPIRED')
+         AND renewed_by IS NULL
+       RETURNING credential_hash`,
+      [credentialHash, RENEWAL_PENDING]
+    );
+
+    if (claim.rowCount === 0) {
+      throw new Error('Credential is already being renewed');
+    }
+
+    // Keep the original validity period unless a new expiration date is given
+    const validityMs = previous.expiration_date && previous.issuance_date
+      ? new Date(previous.expiration_date) - new Date(previous.issuance_date)
+      : 365 * 24 * 60 * 60 * 1000;
+
+    // The renewal is issued on its own, outside any batch the original came from
+    const { suspension, batchId, ...metadata } = previous.metadata || {};
+
+    let renewed;
+    try {
+      renewed = await this.issueCredential(
+        previous.issuer_did,
+        previous.subject_did,
+        options.claims || issued.claims,
+        walletAddress,
+        {
+          type: previous.credential_type !== 'VerifiableCredential' ? previous.credential_type : undefined,
+          context: issued ? issued.context : [],
+          credentialSchema: options.credentialSchema || previous.credential_schema,
+          format: previous.format || 'ldp_vc',
+          expirationDate: options.expirationDate || new Date(Date.now() + validityMs).toISOString(),
+          holderJwk: options.holderJwk,
+          metadata: { ...metadata, renewalOf: credentialHash }
+        }
+      );
+    } catch (error) {
+      // Release the claim so that the renewal can be retried
+      await this.db.query(
+        'UPDATE credentials SET renewed_by = NULL WHERE credential_hash = $1 AND renewed_by = $2',
+        [credentialHash, RENEWAL_PENDING]
+      );
+      throw error;
+    }
+
+    await this.db.query(
+      'UPDATE credentials SET renewal_of = $2 WHERE credential_hash = $1',
+      [renewed.credentialHash, credentialHash]
+    );
+    await this.db.query(
+      'UPDATE credentials SET renewed_by = $2, updated_at = NOW() WHERE credential_hash = $1',
+      [credentialHash, renewed.credentialHash]
+    );
+
+    await this._notifyParties({ ...previous, credential_hash: credentialHash }, 'CREDENTIAL_RENEWED', {
+      renewedBy: renewed.credentialHash,
+      renewedByUser: userId
+    }, credentialHash);
+
+    return {
+      ...renewed,
+      renewalOf: credentialHash
+    };
+  } catch (error) {
+    console.error('Error renewing credential:', error);
+    throw new Error(`Failed to renew credential: ${error.message}`);
+  }
+}
+
+/**
+ * Start expiring credentials and sending expiry notices on an interval
+ * @param {Object} db - Database pool
+ * @param {Number} intervalMs - Interval between runs
+ * @returns {Object} - Interval handle
+ */
+static startExpirySweeper(db, intervalMs = config.credentials.expiryIntervalMs) {
+  if (expiryTimer) {
+    return expiryTimer;
+  }
+
+  expiryTimer = setInterval(async () => {
+    if (expiryRunning) return;
+    expiryRunning = true;
+
+    try {
+      const service = new CredentialService(db, null, new DIDService(db, null));
+      const { expired, failed } = await service.expireDueCredentials();
+      const notified = await service.notifyUpcomingExpiries();
+
+      if (expired || failed || notified) {
+        console.log(`Expired ${expired} credentials (${failed} failed), sent ${notified} expiry notices`);
+      }
+    } catch (error) {
+      console.error('Credential expiry run failed:', error);
+    } finally {
+      expiryRunning = false;
+    }
+  }, intervalMs);
+
+  if (expiryTimer.unref) expiryTimer.unref();
+
+  console.log(`Credential expiry scheduled every ${intervalMs}ms`);
+  return expiryTimer;
+}
+
+/**
+ * Stop the expiry sweeper
+ */
+static stopExpirySweeper() {
+  if (expiryTimer) {
+    clearInterval(expiryTimer);
+    expiryTimer = null;
+  }
+}
+
+/**
+ * Move a suspended credential back to ACTIVE
+ * @private
+ * @param {String} credentialHash - The credential hash
+ * @param {Number} sbtTokenId - SBT token the credential is attached to
+ * @param {Object} change - reasonCode, reason, userId, walletAddress
+ * @returns {Promise<Object>} - Reinstatement result
+ */
+async _reinstate(credentialHash, sbtTokenId, change) {
+  const result = await this.db.query(
+    `UPDATE credentials
+     SET status = 'ACTIVE', suspended_until = NULL, metadata = coalesce(metadata, '{}') - 'suspension', updated_at = NOW()
+     WHERE credential_hash = $1 AND status = 'SUSPENDED'
+     RETURNING updated_at`,
+    [credentialHash]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Credential is no longer suspended');
+  }
+
+  await this._recordStatusChange(credentialHash, 'SUSPENDED', 'ACTIVE', change);
+
+  const statusList = await this.statusListService.setCredentialStatus(credentialHash, 'suspension', false);
+  const onChain = await this._mirrorValidityOnChain(sbtTokenId, credentialHash, true);
+
+  return {
+    suspended: false,
+    credentialHash,
+    reinstatementDate: result.rows[0].updated_at,
+    reasonCode: change.reasonCode,
+    reason: change.reason,
+    statusList,
+    onChain
+  };
+}
+
+/**
+ * Record a credential status change in the history
+ * @private
+ * @param {String} credentialHash - The credential hash
+ * @param {String} fromStatus - Previous status
+ * @param {String} toStatus - New status
+ * @param {Object} change - reasonCode, reason, userId, walletAddress, reinstateAt
+ * @returns {Promise<void>}
+ */
+async _recordStatusChange(credentialHash, fromStatus, toStatus, change = {}) {
+  await this.db.query(
+    `INSERT INTO credential_status_history (
+      credential_hash, from_status, to_status, reason_code, reason,
+      changed_by, changed_by_wallet, reinstate_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      credentialHash,
+      fromStatus,
+      toStatus,
+      change.reasonCode || null,
+      change.reason || null,
+      change.userId || null,
+      change.walletAddress || null,
+      change.reinstateAt ? new Date(change.reinstateAt) : null
+    ]
+  );
+}
+
+/**
+ * Mirror a credential's validity to its SBT without failing the status change
+ * @private
+ * @param {Number} sbtTokenId - SBT token ID
+ * @param {String} credentialHash - The credential hash
+ * @param {Boolean} isValid - Whether the credential is valid
+ * @returns {Promise<Object>} - Whether the SBT was updated
+ */
+async _mirrorValidityOnChain(sbtTokenId, credentialHash, isValid) {
+  if (!sbtTokenId) {
+    return { updated: false, error: 'Credential has no SBT' };
+  }
+
+  try {
+    await this._updateSbtWithCredential(sbtTokenId, credentialHash, isValid);
+    return { updated: true, isValid };
+  } catch (error) {
+    // The status list already reflects the change; the SBT can be re-synced later
+    console.warn(`Could not mirror validity ${isValid} of credential ${credentialHash} to SBT #${sbtTokenId}:`, error.message);
+    return { updated: false, isValid, error: error.message };
+  }
+}
+
+/**
+ * Notify a credential's holder and issuer without failing the caller
+ * @private
+ * @param {Object} credential - Credential row (credential_hash, issuer_did, subject_did, credential_type)
+ * @param {String} type - Notification type
+ * @param {Object} payload - Notification payload
+ * @param {String} dedupeSuffix - Identifies this notice, so that it is sent once per recipient
+ * @returns {Promise<Number>} - Number of notifications sent
+ */
+async _notifyParties(credential, type, payload, dedupeSuffix) {
+  const recipients = [
+    { did: credential.subject_did, role: 'HOLDER' },
+    { did: credential.issuer_did, role: 'ISSUER' }
+  ].filter((recipient, index, all) => all.findIndex(other => other.did === recipient.did) === index);
+
+  let sent = 0;
+
+  for (const recipient of recipients) {
+    try {
+      const notification = await this.notificationService.notify({
+        recipientDid: recipient.did,
+        type,
+        credentialHash: credential.credential_hash,
+        payload: { ...payload, role: recipient.role, credentialType: credential.credential_type },
+        dedupeKey: `${type}:${dedupeSuffix}:${recipient.did}`
+      });
+
+      if (notification) sent++;
+    } catch (error) {
+      console.warn(`Could not notify ${recipient.did} about credential ${credential.credential_hash}:`, error.message);
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Recover the claims and extra contexts a credential was issued with
+ * @private
+ * @param {Object} credential - Credential row (ipfs_cid, format)
+ * @returns {Promise<Object|null>} - claims and context, or null for SD-JWT (disclosures are never pinned)
+ */
+async _getIssuedClaims(credential) {
+  if (credential.format === 'vc+sd-jwt') {
+    return null;
+  }
+
+  const pinned = await ipfsService.getFromIPFS(credential.ipfs_cid);
+  const document = pinned && typeof pinned.jwt === 'string'
+    ? jwtVcToCredential(decodeJwt(pinned.jwt).payload)
+    : pinned;
+
+  const { id, sbtTokenId, ...claims } = document.credentialSubject || {};
+
+  const standardContexts = [
+    'https://www.w3.org/2018/credentials/v1',
+    'https://w3id.org/security/data-integrity/v2',
+    STATUS_LIST_CONTEXT,
+    JSON.stringify(ISSUER_VOCAB_CONTEXT)
+  ];
+  const context = [].concat(document['@context'] || []).filter(entry =>
+    !standardContexts.includes(typeof entry === 'string' ? entry : JSON.stringify(entry)));
+
+  return { claims, context };
+}
+
+/**
+ * Check that a status change is made by the issuer from the expected status
+ * @private
+ * @param {String} credentialHash - The credential hash
+ * @param {String} walletAddress - Wallet address of the caller
+ * @param {String} expectedStatus - Status the credential must currently have
+ * @returns {Promise<Object>} - Credential row
+ */
+async _assertStatusChange(credentialHash, walletAddress, expectedStatus) {
+  const result = await this.db.query(
+    'SELECT issuer_did, status, sbt_token_id, metadata FROM credentials WHERE credential_hash = $1',
+    [credentialHash]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Credential not found');
+  }
+
+  const credential = result.rows[0];
+
+  const isController = await this.didService.verifyController(credential.issuer_did, walletAddress);
+  if (!isController) {
+    throw new Error('Not authorized to change the status of this credential');
+  }
+
+  if (credential.status !== expectedStatus) {
+    throw new Error(`Credential is ${credential.status}, expected ${expectedStatus}`);
+  }
+
+  return credential;
+}
+
+/**
+ * Whether every status list entry checked here is readable and unset
+ * @private
+ * @param {Array} statusList - Results of StatusListService.checkStatus
+ * @returns {Boolean} - Whether no revocation or suspension bit is set
+ */
+_statusListClear(statusList) {
+  return statusList.every(entry => !entry.error && !entry.set);
+}
+
+/**
+ * Whether a schema re-validation passed (or did not apply)
+ * @private
+ * @param {Object|null} schema - Result of SchemaService.validateCredentialSubject
+ * @returns {Boolean} - False only if a registry schema rejected the subject
+ */
+_schemaValid(schema) {
+  return !schema || schema.valid !== false;
+}
+
 /**
  * Get token ID from DID
  * @private
@@ -277,4 +1543,9 @@ async findCredentialsBySbt(sbtTokenId) {
 }
 
 }
+
+CredentialService.SUSPENSION_REASON_CODES = SUSPENSION_REASON_CODES;
+CredentialService.REINSTATEMENT_REASON_CODES = REINSTATEMENT_REASON_CODES;
+CredentialService.RENEWAL_PENDING = RENEWAL_PENDING;
+
 module.exports = CredentialService;
\ No newline at end of file
@@ -1,8 +1,90 @@
 const { Pool } = require('pg');
 const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const ethers = require('ethers');
+const bs58 = require('bs58');
+const config = require('../config');
 const PolygonService = require('../services/polygon');
+const DIDModel = require('../models/did');
+const DIDKeyModel = require('../models/didKey');
+const {
+  encrypt,
+  decrypt,
+  verifyEthereumSignature,
+  verifyTypedDataSignature,
+  verifySolanaSignature
+} = require('../utils/crypto');
+const ipfsService = require('../services/ipfs');
+const {
+  DEFAULT_CRYPTOSUITE,
+  CRYPTOSUITES,
+  generateKeyPair,
+  encodeMultikey,
+  decodeMultikey,
+  verifyMultikeySignature
+} = require('../utils/dataIntegrity');
+const didUtils = require('../utils/did');
+const jsonDiff = require('../utils/jsonDiff');
+const { getChainFamily } = require('../utils/siwe');
 require('dotenv').config();
 
+const MULTIKEY_CONTEXT = 'https://w3id.org/security/multikey/v1';
+
+// ERC-1056 (EthereumDIDRegistry) reads and events used to resolve did:ethr
+const ETHR_REGISTRY_ABI = [
+  'function changed(address identity) view returns (uint256)',
+  'event DIDOwnerChanged(address indexed identity, address owner, uint256 previousChange)',
+  'event DIDDelegateChanged(address indexed identity, bytes32 delegateType, address delegate, uint256 validTo, uint256 previousChange)',
+  'event DIDAttributeChanged(address indexed identity, bytes32 name, bytes value, uint256 validTo, uint256 previousChange)'
+];
+
+// Verification relationships a verification method can be published under
+const VERIFICATION_RELATIONSHIPS = [
+  'authentication',
+  'assertionMethod',
+  'keyAgreement',
+  'capabilityInvocation',
+  'capabilityDelegation'
+];
+
+// Redis key prefix of the challenges signed to register a holder's did:key
+const DID_KEY_CHALLENGE_PREFIX = 'did-key-challenge';
+
+// Redis key prefix of the challenges signed to link a chain identity
+const CHAIN_IDENTITY_CHALLENGE_PREFIX = 'chain-identity-challenge';
+
+// EIP-712 domain and types of the typed data variant of that challenge
+const LINK_ACCOUNT_DOMAIN = { name: 'Identity Bridge', version: '1' };
+const LINK_ACCOUNT_TYPES = {
+  LinkAccount: [
+    { name: 'did', type: 'string' },
+    { name: 'account', type: 'address' },
+    { name: 'chain', type: 'string' },
+    { name: 'nonce', type: 'string' },
+    { name: 'issuedAt', type: 'string' },
+    { name: 'expirationTime', type: 'string' }
+  ]
+};
+
+// Address ranges did:web documents are never fetched from: unspecified,
+// private, carrier-grade NAT, loopback, link-local, benchmarking, multicast
+// and reserved (IPv4-mapped IPv6 addresses are matched as IPv4)
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// DID methods resolveWithMetadata can resolve
+const RESOLVABLE_METHODS = [didUtils.DID_METHOD, 'web', 'key', ...didUtils.WALLET_NATIVE_METHODS];
+
 class DIDService {
   constructor(db, redis) {
     this.db = db;
@@ -27,7 +109,8 @@ class DIDService {
    */
   async getClient() {
     if (this.db) {
-      return this.db;
+      // A shared pool hands out one connection, so BEGIN/COMMIT stay on it
+      return this.db instanceof Pool ? this.db.connect() : this.db;
     } else if (this.pool) {
       return this.pool.connect();
     } else {
@@ -40,7 +123,7 @@ class DIDService {
    * @param {Object} client - Database client
    */
   releaseClient(client) {
-    if (this.pool && client && typeof client.release === 'function') {
+    if (client && client !== this.db && typeof client.release === 'function') {
       client.release();
     }
   }
@@ -124,6 +207,7 @@ class DIDService {
             'ON CONFLICT (did) DO NOTHING',
             [did, didDocument]
           );
+          await new DIDModel(client).recordVersion(did);
         }
       } catch (docError) {
         console.warn('Could not create DID document:', docError.message);
@@ -212,15 +296,209 @@ class DIDService {
   }
 
   /**
-   * Resolve a DID to get its DID document
+   * Create a did:web DID served from our domain (institutional issuers).
+   * The wallet's existing DID becomes its controller; a wallet without a
+   * DID adopts it as its own
+   * @param {string} walletAddress - The wallet address
+   * @param {Array<string>|string} path - Path segments (empty for the domain's root DID)
+   * @param {string} chain - The blockchain chain
+   * @returns {Promise<Object>} - DID, DID document and the URL it is served from
+   */
+  async generateDidWeb(walletAddress, path = [], chain = 'polygon') {
+    let client;
+    try {
+      const did = didUtils.generateDidWeb(config.did.webDomain, path);
+      client = await this.getClient();
+
+      const document = {
+        '@context': 'https://www.w3.org/ns/did/v1',
+        id: did,
+        verificationMethod: [{
+          id: `${did}#keys-1`,
+          type: 'EcdsaSecp256k1RecoveryMethod2020',
+          controller: did,
+          blockchainAccountId: `eip155:${chain}:${walletAddress}`
+        }],
+        authentication: [`${did}#keys-1`]
+      };
+
+      await client.query('BEGIN');
+      const { controller } = await this._registerDID(client, did, document, walletAddress);
+      await client.query('COMMIT');
+
+      return {
+        did,
+        didDocument: controller ? { ...document, controller: [controller] } : document,
+        url: didUtils.didWebToUrl(did)
+      };
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+      }
+      console.error('Failed to generate did:web DID:', error);
+      throw error;
+    } finally {
+      this.releaseClient(client);
+    }
+  }
+
+  /**
+   * Create the challenge a holder signs with their own key to register its
+   * did:key, proving they hold the private key
+   * @param {string} publicKeyMultibase - The holder's Multikey public key
+   * @param {string} walletAddress - The wallet address registering the DID
+   * @returns {Promise<Object>} - DID, nonce, message to sign and expiry
+   */
+  async createDidKeyChallenge(publicKeyMultibase, walletAddress) {
+    try {
+      const did = didUtils.generateDidKey(publicKeyMultibase);
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const issuedAt = new Date();
+      const expirationTime = new Date(issuedAt.getTime() + config.auth.challengeTtl * 1000);
+
+      const challenge = {
+        did,
+        walletAddress,
+        message: [
+          `Register ${did} to ${walletAddress}`,
+          '',
+          `Nonce: ${nonce}`,
+          `Issued At: ${issuedAt.toISOString()}`,
+          `Expiration Time: ${expirationTime.toISOString()}`
+        ].join('\n')
+      };
+
+      await this.redis.set(
+        `${DID_KEY_CHALLENGE_PREFIX}:${nonce}`,
+        JSON.stringify(challenge),
+        'EX',
+        config.auth.challengeTtl
+      );
+
+      return { did, nonce, message: challenge.message, expiresAt: expirationTime.toISOString() };
+    } catch (error) {
+      console.error('Error creating did:key challenge:', error);
+      throw new Error(`Failed to create did:key challenge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a did:key DID for a wallet (holders). With a public key the holder
+   * keeps the private key, and must have signed a challenge from
+   * createDidKeyChallenge with it; without one a key pair is generated and
+   * held here so that the service can sign presentations on the holder's behalf
+   * @param {string} walletAddress - The wallet address
+   * @param {Object} options - publicKeyMultibase and proof (nonce and multibase signature) for a holder-held key, or cryptosuite (held key)
+   * @returns {Promise<Object>} - DID, DID document and whether the key is held here
+   */
+  async generateDidKey(walletAddress, options = {}) {
+    let client;
+    try {
+      const { cryptosuite = DEFAULT_CRYPTOSUITE } = options;
+      const generated = options.publicKeyMultibase ? null : generateKeyPair(cryptosuite);
+      const publicKeyMultibase = options.publicKeyMultibase || generated.publicKeyMultibase;
+
+      const did = didUtils.generateDidKey(publicKeyMultibase);
+      const document = didUtils.createDidKeyDocument(did);
+
+      // Nobody may claim a did:key, and what was issued to it, without its key
+      if (!generated) {
+        await this._verifyDidKeyProof(did, publicKeyMultibase, walletAddress, options.proof || {});
+      }
+
+      client = await this.getClient();
+
+      await client.query('BEGIN');
+      await this._registerDID(client, did, document, walletAddress);
+
+      if (generated) {
+        await new DIDKeyModel(client).create({
+          did,
+          keyId: document.verificationMethod[0].id,
+          keyType: generated.keyType,
+          cryptosuite,
+          purpose: 'authentication',
+          publicKeyMultibase,
+          privateKeyEncrypted: encrypt(generated.privateKeyPem, this._getKeySecret())
+        });
+      }
+
+      await client.query('COMMIT');
+
+      return { did, didDocument: document, keyHeld: !!generated };
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+      }
+      console.error('Failed to generate did:key DID:', error);
+      throw error;
+    } finally {
+      this.releaseClient(client);
+    }
+  }
+
+  /**
+   * Check whether a DID is registered with this service
+   * @param {string} did - The DID
+   * @returns {Promise<boolean>} - Whether a DID document is stored for it
+   */
+  async isRegistered(did) {
+    const client = await this.getClient();
+    try {
+      const result = await client.query('SELECT 1 FROM did_documents WHERE did = $1', [did]);
+      return result.rows.length > 0;
+    } finally {
+      this.releaseClient(client);
+    }
+  }
+
+  /**
+   * Get the document of a did:web DID we host, by its URL path
+   * @param {Array<string>} path - Path segments (empty for /.well-known/did.json)
+   * @returns {Promise<Object|null>} - The DID document, or null if not hosted here
+   */
+  async getHostedDidWebDocument(path = []) {
+    let did;
+    try {
+      did = didUtils.generateDidWeb(config.did.webDomain, path);
+    } catch (error) {
+      return null;
+    }
+
+    const client = await this.getClient();
+    try {
+      const result = await client.query(
+        'SELECT document FROM did_documents WHERE did = $1',
+        [did]
+      );
+
+      return result.rows.length > 0 ? result.rows[0].document : null;
+    } finally {
+      this.releaseClient(client);
+    }
+  }
+
+  /**
+   * Resolve a DID to get its DID document. did:key and did:pkh documents are
+   * derived from the key or account, did:ethr documents from the account and
+   * its ERC-1056 registry events, did:web documents hosted elsewhere are
+   * fetched over HTTPS, and every other DID is looked up in our registry
    * @param {string} did - The DID to resolve
    * @returns {Promise<Object>} - The DID document
    */
   async resolveDID(did) {
     let client;
     try {
-      client = await this.getClient();
-      
+      const { method } = didUtils.parseDID(did);
+
+      if (method === 'key') {
+        return didUtils.createDidKeyDocument(did);
+      }
+
+      if (method === 'pkh') {
+        return didUtils.createDidPkhDocument(did);
+      }
+
       // Check cache first if redis is available
       if (this.redis) {
         const cached = await this.redis.get(`did:${did}`);
@@ -229,18 +507,28 @@ class DIDService {
         }
       }
       
-      // Query the database
-      const result = await client.query(
-        'SELECT document FROM did_documents WHERE did = $1',
-        [did]
-      );
-      
-      if (result.rows.length === 0) {
-        throw new Error('DID not found');
+      let document;
+
+      if (method === 'ethr') {
+        document = await this._resolveDidEthr(did);
+      } else if (method === 'web' && didUtils.parseDidWeb(did).domain !== config.did.webDomain.toLowerCase()) {
+        document = await this._fetchDidWebDocument(did);
+      } else {
+        client = await this.getClient();
+
+        // Query the database
+        const result = await client.query(
+          'SELECT document FROM did_documents WHERE did = $1',
+          [did]
+        );
+        
+        if (result.rows.length === 0) {
+          throw new Error('DID not found');
+        }
+        
+        document = result.rows[0].document;
       }
       
-      const document = result.rows[0].document;
-      
       // Cache the result if redis is available
       if (this.redis) {
         const ttl = process.env.DID_CACHE_TTL || 3600;
@@ -256,6 +544,188 @@ class DIDService {
     }
   }
   
+  /**
+   * Resolve a DID following the DID Resolution spec: the document with its
+   * document metadata and resolution metadata. Errors are reported in
+   * didResolutionMetadata.error rather than thrown. Documents in our
+   * registry can be resolved as of a versionId or versionTime
+   * @param {string} did - The DID to resolve
+   * @param {Object} options - versionId and/or versionTime (ISO 8601)
+   * @returns {Promise<Object>} - didDocument, didDocumentMetadata and didResolutionMetadata
+   */
+  async resolveWithMetadata(did, options = {}) {
+    const failed = (error, errorMessage) => ({
+      didDocument: null,
+      didDocumentMetadata: {},
+      didResolutionMetadata: { error, errorMessage }
+    });
+
+    let method;
+    try {
+      ({ method } = didUtils.parseDID(did));
+    } catch (error) {
+      return failed('invalidDid', error.message);
+    }
+
+    if (!RESOLVABLE_METHODS.includes(method)) {
+      return failed('methodNotSupported', `DID method ${method} is not supported`);
+    }
+
+    if (!didUtils.isValidDID(did)) {
+      return failed('invalidDid', `Invalid did:${method} DID`);
+    }
+
+    const { versionId, versionTime } = options;
+
+    if (versionId !== undefined && versionTime !== undefined) {
+      return failed('invalidOptions', 'versionId and versionTime cannot be combined');
+    }
+
+    if (versionId !== undefined && !/^[1-9]\d*$/.test(String(versionId))) {
+      return failed('invalidOptions', 'versionId must be a positive integer');
+    }
+
+    if (versionTime !== undefined && isNaN(Date.parse(versionTime))) {
+      return failed('invalidOptions', 'versionTime must be an ISO 8601 date-time');
+    }
+
+    try {
+      if (!this._isRegistryDID(did, method)) {
+        if (versionId !== undefined || versionTime !== undefined) {
+          return failed('invalidOptions', `did:${method} documents are not versioned`);
+        }
+
+        const didDocument = await this.resolveDID(did);
+
+        return {
+          didDocument,
+          // A did:ethr identity whose owner was set to the zero address has no keys left
+          didDocumentMetadata: method === 'ethr' && (didDocument.verificationMethod || []).length === 0
+            ? { deactivated: true }
+            : {},
+          didResolutionMetadata: {}
+        };
+      }
+
+      const didModel = new DIDModel(this.db || this.pool);
+      const current = await didModel.findByDID(did);
+
+      if (!current) {
+        return failed('notFound', `${did} not found`);
+      }
+
+      let selected = { version: current.version, document: current.document, created_at: current.updated_at };
+
+      if (versionId !== undefined) {
+        selected = await didModel.getVersion(did, versionId);
+      } else if (versionTime !== undefined) {
+        selected = await didModel.getVersionAt(did, new Date(versionTime));
+      }
+
+      if (!selected) {
+        return failed('notFound', `${did} has no version ${versionId !== undefined ? versionId : `at ${versionTime}`}`);
+      }
+
+      const history = selected.version < current.version ? await didModel.getVersionHistory(did) : [];
+      const next = history.find(entry => entry.version === selected.version + 1);
+
+      return {
+        didDocument: selected.document,
+        didDocumentMetadata: {
+          created: this._toXmlDateTime(current.created_at),
+          ...(selected.version > 1 && { updated: this._toXmlDateTime(selected.created_at) }),
+          versionId: String(selected.version),
+          ...(next && {
+            nextUpdate: this._toXmlDateTime(next.created_at),
+            nextVersionId: String(next.version)
+          }),
+          deactivated: current.deactivated === true
+        },
+        didResolutionMetadata: {}
+      };
+    } catch (error) {
+      if (error.message === 'DID not found' || (error.response && error.response.status === 404)) {
+        return failed('notFound', `${did} not found`);
+      }
+
+      console.error('Error resolving DID:', error);
+      return failed('internalError', error.message);
+    }
+  }
+
+  /**
+   * List the versions of a DID document in our registry, newest first, each
+   * with its IPFS CID and whether the content pinned there matches it
+   * @param {string} did - The DID
+   * @returns {Promise<Array<Object>|null>} - Versions, or null if the DID is not in our registry
+   */
+  async getVersionHistory(did) {
+    try {
+      const versions = await new DIDModel(this.db || this.pool).getVersionHistory(did);
+
+      if (versions.length === 0) {
+        return null;
+      }
+
+      return await Promise.all(versions.map(entry => this._describeVersion(entry)));
+    } catch (error) {
+      console.error('Error getting DID version history:', error);
+      throw new Error(`Failed to get DID version history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get one version of a DID document with its IPFS CID and integrity check
+   * @param {string} did - The DID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} - The version, or null if it does not exist
+   */
+  async getDocumentVersion(did, version) {
+    try {
+      const entry = await new DIDModel(this.db || this.pool).getVersion(did, version);
+      return entry ? await this._describeVersion(entry) : null;
+    } catch (error) {
+      console.error('Error getting DID document version:', error);
+      throw new Error(`Failed to get DID document version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Diff two versions of a DID document as JSON Patch operations
+   * @param {string} did - The DID
+   * @param {number} fromVersion - Earlier version
+   * @param {number} toVersion - Later version (the current one if omitted)
+   * @returns {Promise<Object|null>} - Both versions (without documents) and the patch, or null if either does not exist
+   */
+  async diffVersions(did, fromVersion, toVersion) {
+    try {
+      const versions = await new DIDModel(this.db || this.pool).getVersionHistory(did);
+      const from = versions.find(entry => entry.version === Number(fromVersion));
+      const to = toVersion === undefined
+        ? versions[0]
+        : versions.find(entry => entry.version === Number(toVersion));
+
+      if (!from || !to) {
+        return null;
+      }
+
+      const [fromVersionInfo, toVersionInfo] = await Promise.all([from, to].map(async entry => {
+        const { document, ...info } = await this._describeVersion(entry);
+        return info;
+      }));
+
+      return {
+        did,
+        from: fromVersionInfo,
+        to: toVersionInfo,
+        patch: jsonDiff.diff(from.document, to.document)
+      };
+    } catch (error) {
+      console.error('Error diffing DID document versions:', error);
+      throw new Error(`Failed to diff DID document versions: ${error.message}`);
+    }
+  }
+
   /**
    * Update a DID document
    * @param {string} did - The DID to update
@@ -302,16 +772,8 @@ class DIDService {
       // Update version
       updatedDoc.version = (currentDoc.version || 0) + 1;
       
-      // Save updated document
-      await client.query(
-        'UPDATE did_documents SET document = $1, version = version + 1, updated_at = NOW() WHERE did = $2',
-        [updatedDoc, did]
-      );
-      
-      // Invalidate cache if redis is available
-      if (this.redis) {
-        await this.redis.del(`did:${did}`);
-      }
+      // Save, pin and version the updated document
+      await this._saveDocument(client, did, updatedDoc);
       
       return updatedDoc;
     } catch (error) {
@@ -378,16 +840,8 @@ class DIDService {
       // Update version
       currentDoc.version = (currentDoc.version || 0) + 1;
       
-      // Save updated document
-      await client.query(
-        'UPDATE did_documents SET document = $1, version = version + 1, updated_at = NOW() WHERE did = $2',
-        [currentDoc, did]
-      );
-      
-      // Invalidate cache if redis is available
-      if (this.redis) {
-        await this.redis.del(`did:${did}`);
-      }
+      // Save, pin and version the updated document
+      await this._saveDocument(client, did, currentDoc);
       
       return currentDoc;
     } catch (error) {
@@ -399,14 +853,100 @@ class DIDService {
   }
   
   /**
-   * Add a chain identity to a DID
+   * Create the challenge the address being linked to a DID signs to prove
+   * it is controlled by the DID's owner. EVM addresses sign the message
+   * (personal_sign) or the typed data (EIP-712); Solana addresses sign the
+   * message with their ed25519 key
+   * @param {string} did - The DID
+   * @param {string} chain - The chain identifier (polygon, ethereum or solana)
+   * @param {string} address - The address to link
+   * @param {string} walletAddress - The wallet address of the owner
+   * @returns {Promise<Object>} - Nonce, message, typed data (EVM) and expiry
+   */
+  async createChainIdentityChallenge(did, chain, address, walletAddress) {
+    try {
+      const ownerResult = await this.db.query(
+        'SELECT wallet_address FROM users WHERE did = $1',
+        [did]
+      );
+
+      if (ownerResult.rows.length === 0) {
+        throw new Error('DID not found');
+      }
+
+      if (!this._sameAddress(ownerResult.rows[0].wallet_address, walletAddress)) {
+        throw new Error('Not authorized to update this DID');
+      }
+
+      const family = getChainFamily(chain);
+
+      if (!this._isValidChainAddress(address, family)) {
+        throw new Error(`Invalid ${chain} address: ${address}`);
+      }
+
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const issuedAt = new Date();
+      const expirationTime = new Date(issuedAt.getTime() + config.auth.challengeTtl * 1000);
+
+      const fields = {
+        did,
+        account: address,
+        chain,
+        nonce,
+        issuedAt: issuedAt.toISOString(),
+        expirationTime: expirationTime.toISOString()
+      };
+
+      const challenge = {
+        ...fields,
+        message: [
+          `Link ${address} on ${chain} to ${did}`,
+          '',
+          `Nonce: ${nonce}`,
+          `Issued At: ${fields.issuedAt}`,
+          `Expiration Time: ${fields.expirationTime}`
+        ].join('\n'),
+        ...(family === 'ethereum' && {
+          typedData: {
+            domain: LINK_ACCOUNT_DOMAIN,
+            types: LINK_ACCOUNT_TYPES,
+            primaryType: 'LinkAccount',
+            message: fields
+          }
+        })
+      };
+
+      await this.redis.set(
+        `${CHAIN_IDENTITY_CHALLENGE_PREFIX}:${nonce}`,
+        JSON.stringify(challenge),
+        'EX',
+        config.auth.challengeTtl
+      );
+
+      return {
+        nonce,
+        message: challenge.message,
+        ...(challenge.typedData && { typedData: challenge.typedData }),
+        expiresAt: fields.expirationTime
+      };
+    } catch (error) {
+      console.error('Error creating chain identity challenge:', error);
+      throw new Error(`Failed to create chain identity challenge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a chain identity to a DID. The address must have signed a challenge
+   * from createChainIdentityChallenge; the proof is stored with the chain
+   * identity and published in the DID document as a linked account attestation
    * @param {string} did - The DID
    * @param {string} chain - The chain identifier
    * @param {string} address - The address on that chain
    * @param {string} walletAddress - The wallet address of the updater
-   * @returns {Promise<boolean>} - Success status
+   * @param {Object} proof - nonce of the challenge, signature, and signatureType (personal_sign or eip712) for EVM addresses
+   * @returns {Promise<Object>} - The stored proof
    */
-  async addChainIdentity(did, chain, address, walletAddress) {
+  async addChainIdentity(did, chain, address, walletAddress, proof = {}) {
     let client;
     try {
       client = await this.getClient();
@@ -424,12 +964,16 @@ class DIDService {
       if (ownerResult.rows[0].wallet_address.toLowerCase() !== walletAddress.toLowerCase()) {
         throw new Error('Not authorized to update this DID');
       }
+
+      const family = getChainFamily(chain);
+      const attestation = await this._verifyChainIdentityProof(did, chain, address, family, proof);
       
       // Add chain identity
       await client.query(
-        'INSERT INTO chain_identities (did, chain_id, address) VALUES ($1, $2, $3) ' +
-        'ON CONFLICT (did, chain_id) DO UPDATE SET address = $3, is_active = true, updated_at = NOW()',
-        [did, chain, address]
+        'INSERT INTO chain_identities (did, chain_id, address, proof, proof_verified_at) VALUES ($1, $2, $3, $4, $5) ' +
+        'ON CONFLICT (did, chain_id) DO UPDATE SET address = $3, proof = $4, proof_verified_at = $5, ' +
+        'is_active = true, updated_at = NOW()',
+        [did, chain, address, attestation, attestation.created]
       );
       
       // Update DID document
@@ -443,17 +987,31 @@ class DIDService {
         
         // Add or update verificationMethod
         const vmId = `${did}#${chain}-key`;
-        const vm = {
-          id: vmId,
-          type: 'EcdsaSecp256k1RecoveryMethod2020',
-          controller: did,
-          blockchainAccountId: `eip155:${chain}:${address}`
-        };
-        
-        if (!doc.verificationMethod) {
-          doc.verificationMethod = [vm];
-        } else {
-          // Find and update or add
+        const vm = family === 'solana'
+          ? {
+            id: vmId,
+            type: 'Multikey',
+            controller: did,
+            blockchainAccountId: attestation.blockchainAccountId,
+            publicKeyMultibase: encodeMultikey('Ed25519', bs58.decode(address))
+          }
+          : {
+            id: vmId,
+            type: 'EcdsaSecp256k1RecoveryMethod2020',
+            controller: did,
+            blockchainAccountId: attestation.blockchainAccountId
+          };
+
+        const contexts = Array.isArray(doc['@context']) ? doc['@context'] : [doc['@context']].filter(Boolean);
+
+        if (vm.type === 'Multikey' && !contexts.includes(MULTIKEY_CONTEXT)) {
+          doc['@context'] = [...contexts, MULTIKEY_CONTEXT];
+        }
+
+        if (!doc.verificationMethod) {
+          doc.verificationMethod = [vm];
+        } else {
+          // Find and update or add
           const existingIndex = doc.verificationMethod.findIndex(m => m.id === vmId);
           if (existingIndex >= 0) {
             doc.verificationMethod[existingIndex] = vm;
@@ -461,20 +1019,21 @@ class DIDService {
             doc.verificationMethod.push(vm);
           }
         }
+
+        // Publish the proof so that verifiers can check the link themselves
+        const serviceId = `${did}#${chain}-account`;
+        doc.service = (doc.service || []).filter(service => service.id !== serviceId);
+        doc.service.push({
+          id: serviceId,
+          type: 'LinkedAccountAttestation',
+          serviceEndpoint: attestation
+        });
         
         // Update version
         doc.version = (doc.version || 0) + 1;
         
-        // Save updated document
-        await client.query(
-          'UPDATE did_documents SET document = $1, version = version + 1, updated_at = NOW() WHERE did = $2',
-          [doc, did]
-        );
-        
-        // Invalidate cache if redis is available
-        if (this.redis) {
-          await this.redis.del(`did:${did}`);
-        }
+        // Save, pin and version the updated document
+        await this._saveDocument(client, did, doc);
       }
       
       // Also update SBT token if possible
@@ -501,7 +1060,7 @@ class DIDService {
         // Continue anyway, database is updated
       }
       
-      return true;
+      return attestation;
     } catch (error) {
       console.error('Error adding chain identity:', error);
       throw error;
@@ -509,6 +1068,1264 @@ class DIDService {
       this.releaseClient(client);
     }
   }
-}
+
+  /**
+   * Check whether a wallet controls a DID, directly, through a linked chain
+   * identity, or through a controller DID
+   * @param {string} did - The DID
+   * @param {string} walletAddress - The wallet address
+   * @returns {Promise<boolean>} - Whether the wallet controls the DID
+   */
+  async verifyController(did, walletAddress) {
+    if (!did || !walletAddress) {
+      return false;
+    }
+
+    let client;
+    try {
+      // Wallet-native DIDs are controlled by their account (did:ethr: its current registry owner)
+      if (didUtils.isWalletNativeDID(did)) {
+        const document = await this.resolveDID(did);
+        const controllerMethod = (document.verificationMethod || [])
+          .find(vm => vm.id === `${did}#controller` || vm.id === `${did}#blockchainAccountId`);
+
+        return !!controllerMethod &&
+          this._sameAddress(controllerMethod.blockchainAccountId.split(':').pop(), walletAddress);
+      }
+
+      client = await this.getClient();
+
+      // Nobody controls a deactivated DID
+      const stateResult = await client.query(
+        'SELECT deactivated FROM did_documents WHERE did = $1',
+        [did]
+      );
+
+      if (stateResult.rows.length > 0 && stateResult.rows[0].deactivated) {
+        return false;
+      }
+
+      const ownerResult = await client.query(
+        'SELECT wallet_address FROM users WHERE did = $1',
+        [did]
+      );
+
+      if (ownerResult.rows.length > 0 &&
+        this._sameAddress(ownerResult.rows[0].wallet_address, walletAddress)) {
+        return true;
+      }
+
+      const chainResult = await client.query(
+        'SELECT address FROM chain_identities WHERE did = $1 AND is_active = true AND proof_verified_at IS NOT NULL',
+        [did]
+      );
+
+      if (chainResult.rows.some(row => this._sameAddress(row.address, walletAddress))) {
+        return true;
+      }
+
+      // Fall back to the controllers listed in the DID document
+      const docResult = await client.query(
+        'SELECT document FROM did_documents WHERE did = $1',
+        [did]
+      );
+
+      if (docResult.rows.length === 0) {
+        return false;
+      }
+
+      const { controller } = docResult.rows[0].document;
+      const controllers = (Array.isArray(controller) ? controller : [controller])
+        .filter(c => c && c !== did);
+
+      if (controllers.length === 0) {
+        return false;
+      }
+
+      const controllerResult = await client.query(
+        'SELECT wallet_address FROM users WHERE did = ANY($1)',
+        [controllers]
+      );
+
+      return controllerResult.rows.some(row => this._sameAddress(row.wallet_address, walletAddress));
+    } catch (error) {
+      console.error('Error verifying DID controller:', error);
+      return false;
+    } finally {
+      this.releaseClient(client);
+    }
+  }
+
+  /**
+   * Get the key used to sign assertions (credentials) for a DID, creating it
+   * and publishing it as an assertionMethod on first use
+   * @param {string} did - The DID
+   * @param {string} cryptosuite - Data Integrity cryptosuite
+   * @returns {Promise<Object>} - verificationMethod ID and PEM private key
+   */
+  async getAssertionKey(did, cryptosuite = DEFAULT_CRYPTOSUITE) {
+    return this.getSigningKey(did, cryptosuite, 'assertionMethod');
+  }
+
+  /**
+   * Get the key used to authenticate as a DID (e.g. to sign presentations),
+   * creating it and publishing it under authentication on first use
+   * @param {string} did - The DID
+   * @param {string} cryptosuite - Data Integrity cryptosuite
+   * @returns {Promise<Object>} - verificationMethod ID and PEM private key
+   */
+  async getAuthenticationKey(did, cryptosuite = DEFAULT_CRYPTOSUITE) {
+    return this.getSigningKey(did, cryptosuite, 'authentication');
+  }
+
+  /**
+   * Get the held key of a DID for a verification relationship, creating it
+   * and publishing it in the DID document on first use
+   * @param {string} did - The DID
+   * @param {string} cryptosuite - Data Integrity cryptosuite
+   * @param {string} purpose - Verification relationship (assertionMethod or authentication)
+   * @returns {Promise<Object>} - verificationMethod ID and PEM private key
+   */
+  async getSigningKey(did, cryptosuite, purpose) {
+    let client;
+    try {
+      client = await this.getClient();
+      const didKeyModel = new DIDKeyModel(client);
+
+      // A did:key DID has exactly the key it encodes, for every purpose
+      if (didUtils.parseDID(did).method === 'key') {
+        const held = await didKeyModel.findByKeyId(didUtils.createDidKeyDocument(did).verificationMethod[0].id);
+
+        if (!held || held.status !== 'ACTIVE') {
+          throw new Error('The key of this did:key DID is not held by this service');
+        }
+
+        if (held.cryptosuite !== cryptosuite) {
+          throw new Error(`The key of this did:key DID signs with ${held.cryptosuite}, not ${cryptosuite}`);
+        }
+
+        return {
+          verificationMethod: held.key_id,
+          privateKeyPem: decrypt(held.private_key_encrypted, this._getKeySecret())
+        };
+      }
+
+      const existing = await didKeyModel.findActive(did, cryptosuite, purpose);
+      if (existing) {
+        return {
+          verificationMethod: existing.key_id,
+          privateKeyPem: decrypt(existing.private_key_encrypted, this._getKeySecret())
+        };
+      }
+
+      const docResult = await client.query(
+        'SELECT document, deactivated FROM did_documents WHERE did = $1',
+        [did]
+      );
+
+      if (docResult.rows.length === 0) {
+        throw new Error('DID document not found');
+      }
+
+      if (docResult.rows[0].deactivated) {
+        throw new Error('DID is deactivated');
+      }
+
+      const { keyType, publicKeyMultibase, privateKeyPem } = generateKeyPair(cryptosuite);
+      const keyPrefix = purpose === 'authentication' ? 'auth' : 'assertion';
+      const keyId = `${did}#${keyPrefix}-${crypto.randomBytes(4).toString('hex')}`;
+
+      await didKeyModel.create({
+        did,
+        keyId,
+        keyType,
+        cryptosuite,
+        purpose,
+        publicKeyMultibase,
+        privateKeyEncrypted: encrypt(privateKeyPem, this._getKeySecret())
+      });
+
+      // Publish the public key in the DID document
+      const doc = docResult.rows[0].document;
+      const contexts = Array.isArray(doc['@context']) ? doc['@context'] : [doc['@context']].filter(Boolean);
+
+      if (!contexts.includes(MULTIKEY_CONTEXT)) {
+        doc['@context'] = [...contexts, MULTIKEY_CONTEXT];
+      }
+
+      doc.verificationMethod = [
+        ...(doc.verificationMethod || []),
+        { id: keyId, type: 'Multikey', controller: did, publicKeyMultibase }
+      ];
+      doc[purpose] = [...(doc[purpose] || []), keyId];
+      doc.version = (doc.version || 0) + 1;
+
+      // Save, pin and version the updated document
+      await this._saveDocument(client, did, doc);
+
+      return { verificationMethod: keyId, privateKeyPem };
+    } catch (error) {
+      console.error(`Error getting ${purpose} key:`, error);
+      throw error;
+    } finally {
+      this.releaseClient(client);
+    }
+  }
+
+  /**
+   * List the verification methods of a stored DID document with the
+   * relationships they are published under, and the ones retired from it
+   * @param {string} did - The DID
+   * @returns {Promise<Object|null>} - Current and retired verification methods, or null if the DID is not stored
+   */
+  async listVerificationMethods(did) {
+    try {
+      const didModel = new DIDModel(this.db || this.pool);
+      const versions = await didModel.getVersionHistory(did);
+
+      if (versions.length === 0) {
+        return null;
+      }
+
+      const heldKeys = await new DIDKeyModel(this.db || this.pool).listByDID(did);
+      const held = new Map(heldKeys.map(key => [key.key_id, key]));
+
+      const describe = (document, vm) => ({
+        ...vm,
+        relationships: VERIFICATION_RELATIONSHIPS.filter(relationship =>
+          this.isAuthorizedFor(document, vm.id, relationship)),
+        held: held.has(vm.id)
+      });
+
+      // Walk the history oldest first to find when each retired method was dropped
+      const current = versions[0].document;
+      const currentIds = new Set((current.verificationMethod || []).map(vm => vm.id));
+      const retired = new Map();
+
+      [...versions].reverse().forEach((version, index, ascending) => {
+        const next = ascending[index + 1];
+        if (!next) return;
+
+        const nextIds = new Set((next.document.verificationMethod || []).map(vm => vm.id));
+
+        for (const vm of version.document.verificationMethod || []) {
+          if (!nextIds.has(vm.id) && !currentIds.has(vm.id)) {
+            retired.set(vm.id, {
+              ...describe(version.document, vm),
+              retiredAt: next.created_at,
+              retiredInVersion: next.version
+            });
+          }
+        }
+      });
+
+      return {
+        verificationMethods: (current.verificationMethod || []).map(vm => describe(current, vm)),
+        retired: [...retired.values()]
+      };
+    } catch (error) {
+      console.error('Error listing verification methods:', error);
+      throw new Error(`Failed to list verification methods: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a verification method to a DID document: the holder's public key,
+   * or a new key held by the service when no public key is given
+   * @param {string} did - The DID
+   * @param {Object} options - publicKeyMultibase, or cryptosuite for a held key,
+   *   and relationships (default: assertionMethod)
+   * @param {string} walletAddress - The wallet address of the updater
+   * @returns {Promise<Object>} - The verification method and its relationships
+   */
+  async addVerificationMethod(did, options, walletAddress) {
+    const { relationships = ['assertionMethod'] } = options;
+
+    try {
+      return await this._changeVerificationMethods(did, walletAddress, async (doc, didKeyModel) => {
+        const verificationMethod = await this._createVerificationMethod(did, options, relationships, didKeyModel);
+        this._publishVerificationMethod(doc, verificationMethod, relationships);
+
+        return { verificationMethod, relationships };
+      });
+    } catch (error) {
+      console.error('Error adding verification method:', error);
+      throw new Error(`Failed to add verification method: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rotate a verification method: publish a replacement under the same
+   * relationships and retire the old one. The old key stays in the document
+   * history, so proofs created before the rotation still verify
+   * @param {string} did - The DID
+   * @param {string} keyId - Verification method ID to rotate
+   * @param {Object} options - publicKeyMultibase of the replacement (required
+   *   unless the old key is held by the service), and optional relationships
+   * @param {string} walletAddress - The wallet address of the updater
+   * @returns {Promise<Object|null>} - Retired and new verification methods, or null if keyId is not in the document
+   */
+  async rotateVerificationMethod(did, keyId, options, walletAddress) {
+    try {
+      return await this._changeVerificationMethods(did, walletAddress, async (doc, didKeyModel) => {
+        if (!(doc.verificationMethod || []).some(vm => vm.id === keyId)) {
+          return null;
+        }
+
+        const relationships = options.relationships ||
+          VERIFICATION_RELATIONSHIPS.filter(relationship => this.isAuthorizedFor(doc, keyId, relationship));
+        const heldKey = await didKeyModel.findByKeyId(keyId);
+
+        if (!options.publicKeyMultibase && !heldKey) {
+          throw new Error('publicKeyMultibase is required to rotate a key not held by this service');
+        }
+
+        const verificationMethod = await this._createVerificationMethod(did, {
+          publicKeyMultibase: options.publicKeyMultibase,
+          cryptosuite: heldKey ? heldKey.cryptosuite : undefined
+        }, relationships, didKeyModel);
+
+        this._retireVerificationMethod(doc, keyId);
+        this._publishVerificationMethod(doc, verificationMethod, relationships);
+
+        if (heldKey) {
+          await didKeyModel.revoke(keyId);
+        }
+
+        return { retired: keyId, verificationMethod, relationships };
+      });
+    } catch (error) {
+      console.error('Error rotating verification method:', error);
+      throw new Error(`Failed to rotate verification method: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a verification method: remove it and its relationships from the
+   * DID document (it stays in the document history) and stop signing with it
+   * @param {string} did - The DID
+   * @param {string} keyId - Verification method ID
+   * @param {string} walletAddress - The wallet address of the updater
+   * @returns {Promise<Object|null>} - The revoked method ID, or null if keyId is not in the document
+   */
+  async revokeVerificationMethod(did, keyId, walletAddress) {
+    try {
+      return await this._changeVerificationMethods(did, walletAddress, async (doc, didKeyModel) => {
+        if (!(doc.verificationMethod || []).some(vm => vm.id === keyId)) {
+          return null;
+        }
+
+        this._retireVerificationMethod(doc, keyId);
+        await didKeyModel.revoke(keyId);
+
+        return { revoked: keyId };
+      });
+    } catch (error) {
+      console.error('Error revoking verification method:', error);
+      throw new Error(`Failed to revoke verification method: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the verification relationships a verification method is published under
+   * @param {string} did - The DID
+   * @param {string} keyId - Verification method ID
+   * @param {Array<string>} relationships - Verification relationships
+   * @param {string} walletAddress - The wallet address of the updater
+   * @returns {Promise<Object|null>} - The method's relationships, or null if keyId is not in the document
+   */
+  async setVerificationRelationships(did, keyId, relationships, walletAddress) {
+    try {
+      return await this._changeVerificationMethods(did, walletAddress, async (doc, didKeyModel) => {
+        const verificationMethod = (doc.verificationMethod || []).find(vm => vm.id === keyId);
+
+        if (!verificationMethod) {
+          return null;
+        }
+
+        // getSigningKey picks held keys by relationship, so they must keep theirs
+        const heldKey = await didKeyModel.findByKeyId(keyId);
+        if (heldKey && heldKey.status === 'ACTIVE' && !relationships.includes(heldKey.purpose)) {
+          throw new Error(`A key held by this service must stay under ${heldKey.purpose}`);
+        }
+
+        this._retireVerificationMethod(doc, keyId);
+        this._publishVerificationMethod(doc, verificationMethod, relationships);
+
+        return { verificationMethod, relationships };
+      });
+    } catch (error) {
+      console.error('Error setting verification relationships:', error);
+      throw new Error(`Failed to set verification relationships: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deactivate a DID. Its document is replaced by one without verification
+   * methods (earlier versions stay in the history, so proofs made before
+   * still verify), its held keys are revoked and it can no longer change.
+   * Only the owner wallet can deactivate a DID
+   * @param {string} did - The DID
+   * @param {string} walletAddress - The owner's wallet address
+   * @returns {Promise<Object>} - Deactivation result
+   */
+  async deactivateDID(did, walletAddress) {
+    let client;
+    try {
+      const { method } = didUtils.parseDID(did);
+
+      if (!this._isRegistryDID(did, method)) {
+        throw new Error(`did:${method} DIDs cannot be deactivated here`);
+      }
+
+      client = await this.getClient();
+
+      const ownerResult = await client.query(
+        'SELECT wallet_address FROM users WHERE did = $1',
+        [did]
+      );
+
+      if (ownerResult.rows.length === 0) {
+        throw new Error('DID not found');
+      }
+
+      if (!this._sameAddress(ownerResult.rows[0].wallet_address, walletAddress)) {
+        throw new Error('Not authorized to deactivate this DID');
+      }
+
+      const docResult = await client.query(
+        'SELECT document, deactivated FROM did_documents WHERE did = $1',
+        [did]
+      );
+
+      if (docResult.rows.length === 0) {
+        throw new Error('DID document not found');
+      }
+
+      if (docResult.rows[0].deactivated) {
+        throw new Error('DID is already deactivated');
+      }
+
+      const current = docResult.rows[0].document;
+      const tombstone = {
+        '@context': current['@context'],
+        id: did,
+        version: (current.version || 0) + 1
+      };
+
+      await this._saveDocument(client, did, tombstone);
+
+      const deactivated = await client.query(
+        'UPDATE did_documents SET deactivated = true, deactivated_at = NOW() WHERE did = $1 RETURNING deactivated_at',
+        [did]
+      );
+
+      const revokedKeys = await new DIDKeyModel(client).revokeAllForDID(did);
+
+      if (this.redis) {
+        await this.redis.del(`did:${did}`);
+      }
+
+      return {
+        did,
+        deactivated: true,
+        deactivatedAt: deactivated.rows[0].deactivated_at,
+        revokedKeys
+      };
+    } catch (error) {
+      console.error('Error deactivating DID:', error);
+      throw new Error(`Failed to deactivate DID: ${error.message}`);
+    } finally {
+      this.releaseClient(client);
+    }
+  }
+
+  /**
+   * Get the guardians of a DID: the controller DIDs listed in its document
+   * @param {string} did - The DID
+   * @returns {Promise<Array<string>|null>} - Guardian DIDs, or null if the DID is not stored
+   */
+  async getGuardians(did) {
+    let client;
+    try {
+      client = await this.getClient();
+
+      const docResult = await client.query(
+        'SELECT document FROM did_documents WHERE did = $1',
+        [did]
+      );
+
+      if (docResult.rows.length === 0) {
+        return null;
+      }
+
+      const { controller } = docResult.rows[0].document;
+
+      return [...new Set((Array.isArray(controller) ? controller : [controller])
+        .filter(c => c && c !== did))];
+    } finally {
+      this.releaseClient(client);
+    }
+  }
+
+  /**
+   * Move control of a DID to a new wallet: the owner account's wallet is
+   * replaced, the old wallet's chain identities on the DID are deactivated,
+   * its sessions are ended and the document's account references are
+   * updated, all in one transaction holding the document and owner rows.
+   * Callers must have authorized the transfer (see DIDLifecycleService)
+   * @param {string} did - The DID
+   * @param {string} newWalletAddress - Wallet taking control
+   * @returns {Promise<Object>} - Previous and new wallet addresses
+   */
+  async transferControl(did, newWalletAddress) {
+    let client;
+    try {
+      client = await this.getClient();
+      await client.query('BEGIN');
+
+      // Lock the document before the owner, in the order key changes take it
+      const docResult = await client.query(
+        'SELECT document FROM did_documents WHERE did = $1 FOR UPDATE',
+        [did]
+      );
+
+      if (docResult.rows.length === 0) {
+        throw new Error('DID document not found');
+      }
+
+      const ownerResult = await client.query(
+        'SELECT id, wallet_address FROM users WHERE did = $1 FOR UPDATE',
+        [did]
+      );
+
+      if (ownerResult.rows.length === 0) {
+        throw new Error('DID has no owner account');
+      }
+
+      const { id: userId, wallet_address: previousWalletAddress } = ownerResult.rows[0];
+
+      const walletResult = await client.query(
+        'SELECT id FROM users WHERE LOWER(wallet_address) = LOWER($1)',
+        [newWalletAddress]
+      );
+
+      if (walletResult.rows.some(row => row.id !== userId)) {
+        throw new Error('The new wallet is already registered to another account');
+      }
+
+      await client.query(
+        'UPDATE users SET wallet_address = $2, nonce = NULL, updated_at = NOW() WHERE id = $1',
+        [userId, newWalletAddress]
+      );
+
+      await client.query(
+        'UPDATE chain_identities SET is_active = false, updated_at = NOW() WHERE did = $1 AND LOWER(address) = LOWER($2)',
+        [did, previousWalletAddress]
+      );
+
+      // End the sessions opened with the old wallet (refresh tokens cascade)
+      await client.query('DELETE FROM auth_sessions WHERE user_id = $1', [userId]);
+
+      const doc = docResult.rows[0].document;
+      let changed = false;
+
+      for (const vm of doc.verificationMethod || []) {
+        const account = vm.blockchainAccountId && vm.blockchainAccountId.split(':');
+
+        if (account && this._sameAddress(account[account.length - 1], previousWalletAddress)) {
+          vm.blockchainAccountId = [...account.slice(0, -1), newWalletAddress].join(':');
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        doc.version = (doc.version || 0) + 1;
+        await this._saveDocument(client, did, doc);
+      }
+
+      await client.query('COMMIT');
+
+      return { did, previousWalletAddress, walletAddress: newWalletAddress };
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+      }
+      console.error('Error transferring DID control:', error);
+      throw new Error(`Failed to transfer DID control: ${error.message}`);
+    } finally {
+      this.releaseClient(client);
+    }
+  }
+
+  /**
+   * Resolve a verification method by its ID. A method retired from a DID in
+   * our registry is looked up in the document version current at options.at,
+   * so proofs made before a key rotation still verify. options.at must be a
+   * time the server recorded (e.g. when it issued the credential), never one
+   * taken from the proof, or a retired key could sign with a backdated time
+   * @param {string} verificationMethodId - Verification method ID (DID URL)
+   * @param {Object} options - at: server-recorded time the proof was created
+   * @returns {Promise<Object>} - The DID document and verification method, and whether the method is retired
+   */
+  async resolveVerificationMethod(verificationMethodId, options = {}) {
+    const [did] = verificationMethodId.split('#');
+    const findIn = document => (document.verificationMethod || [])
+      .find(vm => vm.id === verificationMethodId || `${did}${vm.id}` === verificationMethodId);
+
+    const document = await this.resolveDID(did);
+    const verificationMethod = findIn(document);
+
+    if (verificationMethod) {
+      return {
+        document,
+        verificationMethod: { ...verificationMethod, id: verificationMethodId },
+        retired: false
+      };
+    }
+
+    const at = options.at ? new Date(options.at) : null;
+
+    if (at && !isNaN(at) && this._isRegistryDID(did, didUtils.parseDID(did).method)) {
+      const version = await new DIDModel(this.db || this.pool).getVersionAt(did, at);
+      const retiredMethod = version && findIn(version.document);
+
+      if (retiredMethod) {
+        return {
+          document: version.document,
+          verificationMethod: { ...retiredMethod, id: verificationMethodId },
+          retired: true
+        };
+      }
+    }
+
+    throw new Error(`Verification method not found: ${verificationMethodId}`);
+  }
+
+  /**
+   * Check whether a verification method is authorized for a proof purpose
+   * @param {Object} document - DID document
+   * @param {string} verificationMethodId - Verification method ID
+   * @param {string} proofPurpose - Verification relationship (e.g. assertionMethod)
+   * @returns {boolean} - Whether the method is authorized
+   */
+  isAuthorizedFor(document, verificationMethodId, proofPurpose) {
+    return (document[proofPurpose] || []).some(entry => {
+      const id = typeof entry === 'string' ? entry : entry.id;
+      return id === verificationMethodId || `${document.id}${id}` === verificationMethodId;
+    });
+  }
+
+  /**
+   * Compare wallet addresses (EVM addresses are case-insensitive)
+   * @private
+   * @param {string} a - First address
+   * @param {string} b - Second address
+   * @returns {boolean} - Whether the addresses match
+   */
+  _sameAddress(a, b) {
+    if (!a || !b) return false;
+    return a.startsWith('0x') ? a.toLowerCase() === b.toLowerCase() : a === b;
+  }
+
+  /**
+   * Store a new DID document for a wallet. A wallet without a DID adopts
+   * the new DID; otherwise its DID is recorded as the new DID's controller
+   * so that verifyController recognises the wallet
+   * @private
+   * @param {Object} client - Database client (inside a transaction)
+   * @param {string} did - The new DID
+   * @param {Object} document - Its DID document
+   * @param {string} walletAddress - The wallet address
+   * @returns {Promise<Object>} - The controlling DID, or null if the wallet adopted the new DID
+   */
+  async _registerDID(client, did, document, walletAddress) {
+    const userResult = await client.query(
+      'SELECT did FROM users WHERE wallet_address = $1',
+      [walletAddress]
+    );
+
+    const controller = userResult.rows.length > 0 ? userResult.rows[0].did : null;
+
+    // Only the stored copy of a did:key document carries the controller; resolution derives the document
+    const stored = controller ? { ...document, controller: [controller] } : document;
+
+    const inserted = await client.query(
+      'INSERT INTO did_documents (did, document, ipfs_cid) VALUES ($1, $2, $3) ' +
+      'ON CONFLICT (did) DO NOTHING RETURNING did',
+      [did, stored, await this._pinDocument(did, stored)]
+    );
+
+    if (inserted.rows.length === 0) {
+      throw new Error(`DID already exists: ${did}`);
+    }
+
+    await new DIDModel(client).recordVersion(did);
+
+    if (!controller) {
+      await client.query(
+        'INSERT INTO users (wallet_address, did) VALUES ($1, $2) ' +
+        'ON CONFLICT (wallet_address) DO UPDATE SET did = $2',
+        [walletAddress, did]
+      );
+    }
+
+    return { controller };
+  }
+
+  /**
+   * Apply a change to the verification methods of a stored DID document and
+   * save the result as a new version. The document row stays locked until
+   * the key records and the new version are committed together
+   * @private
+   * @param {string} did - The DID
+   * @param {string} walletAddress - The wallet address of the updater
+   * @param {Function} change - async (document, didKeyModel) => result; null leaves the document unchanged
+   * @returns {Promise<*>} - The change's result
+   */
+  async _changeVerificationMethods(did, walletAddress, change) {
+    let client;
+    try {
+      const { method } = didUtils.parseDID(did);
+
+      if (!this._isRegistryDID(did, method)) {
+        throw new Error(`Verification methods of did:${method} DIDs cannot be changed`);
+      }
+
+      if (!(await this.verifyController(did, walletAddress))) {
+        throw new Error('Not authorized to update this DID');
+      }
+
+      client = await this.getClient();
+      await client.query('BEGIN');
+
+      const docResult = await client.query(
+        'SELECT document FROM did_documents WHERE did = $1 FOR UPDATE',
+        [did]
+      );
+
+      if (docResult.rows.length === 0) {
+        throw new Error('DID document not found');
+      }
+
+      const doc = docResult.rows[0].document;
+      const result = await change(doc, new DIDKeyModel(client));
+
+      if (result !== null) {
+        doc.version = (doc.version || 0) + 1;
+        await this._saveDocument(client, did, doc);
+      }
+
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+      }
+      throw error;
+    } finally {
+      this.releaseClient(client);
+    }
+  }
+
+  /**
+   * Create a Multikey verification method from the holder's public key, or
+   * generate a key held (encrypted) by the service
+   * @private
+   * @param {string} did - The DID
+   * @param {Object} options - publicKeyMultibase, or cryptosuite for a held key
+   * @param {Array<string>} relationships - Relationships it will be published under
+   * @param {DIDKeyModel} didKeyModel - Key model on the current client
+   * @returns {Promise<Object>} - The verification method
+   */
+  async _createVerificationMethod(did, options, relationships, didKeyModel) {
+    const keyId = `${did}#key-${crypto.randomBytes(4).toString('hex')}`;
+
+    if (options.publicKeyMultibase) {
+      decodeMultikey(options.publicKeyMultibase);
+      return { id: keyId, type: 'Multikey', controller: did, publicKeyMultibase: options.publicKeyMultibase };
+    }
+
+    const cryptosuite = options.cryptosuite || DEFAULT_CRYPTOSUITE;
+
+    if (!CRYPTOSUITES[cryptosuite]) {
+      throw new Error(`Unsupported cryptosuite: ${cryptosuite}`);
+    }
+
+    const { keyType, publicKeyMultibase, privateKeyPem } = generateKeyPair(cryptosuite);
+
+    // Held keys are found by the relationship getSigningKey signs for
+    await didKeyModel.create({
+      did,
+      keyId,
+      keyType,
+      cryptosuite,
+      purpose: relationships.includes('assertionMethod') ? 'assertionMethod' : relationships[0],
+      publicKeyMultibase,
+      privateKeyEncrypted: encrypt(privateKeyPem, this._getKeySecret())
+    });
+
+    return { id: keyId, type: 'Multikey', controller: did, publicKeyMultibase };
+  }
+
+  /**
+   * Add a verification method to a document under the given relationships
+   * @private
+   * @param {Object} doc - DID document (modified in place)
+   * @param {Object} verificationMethod - Verification method
+   * @param {Array<string>} relationships - Verification relationships
+   */
+  _publishVerificationMethod(doc, verificationMethod, relationships) {
+    const contexts = Array.isArray(doc['@context']) ? doc['@context'] : [doc['@context']].filter(Boolean);
+
+    if (!contexts.includes(MULTIKEY_CONTEXT)) {
+      doc['@context'] = [...contexts, MULTIKEY_CONTEXT];
+    }
+
+    doc.verificationMethod = [...(doc.verificationMethod || []), verificationMethod];
+
+    for (const relationship of relationships) {
+      doc[relationship] = [...(doc[relationship] || []), verificationMethod.id];
+    }
+  }
+
+  /**
+   * Remove a verification method and every relationship referencing it from a document
+   * @private
+   * @param {Object} doc - DID document (modified in place)
+   * @param {string} keyId - Verification method ID
+   */
+  _retireVerificationMethod(doc, keyId) {
+    doc.verificationMethod = (doc.verificationMethod || []).filter(vm => vm.id !== keyId);
+
+    for (const relationship of VERIFICATION_RELATIONSHIPS) {
+      if (!doc[relationship]) continue;
+
+      doc[relationship] = doc[relationship].filter(entry =>
+        (typeof entry === 'string' ? entry : entry.id) !== keyId);
+    }
+  }
+
+  /**
+   * Check and consume the signed challenge proving control of an address
+   * @private
+   * @param {string} did - The DID
+   * @param {string} chain - The chain identifier
+   * @param {string} address - The address being linked
+   * @param {string} family - Signature family of the chain (ethereum or solana)
+   * @param {Object} proof - nonce, signature and signatureType
+   * @returns {Promise<Object>} - The attestation stored and published for the link
+   */
+  async _verifyChainIdentityProof(did, chain, address, family, proof) {
+    const { nonce, signature, signatureType = 'personal_sign' } = proof;
+
+    if (!nonce || !signature) {
+      throw new Error('A signed challenge (nonce and signature) is required to link an address');
+    }
+
+    const key = `${CHAIN_IDENTITY_CHALLENGE_PREFIX}:${nonce}`;
+    const stored = await this.redis.get(key);
+
+    if (!stored) {
+      throw new Error('Challenge not found or expired');
+    }
+
+    // A challenge is good for one attempt
+    await this.redis.del(key);
+
+    const challenge = JSON.parse(stored);
+
+    if (challenge.did !== did || challenge.chain !== chain || !this._sameAddress(challenge.account, address)) {
+      throw new Error('Challenge was issued for a different DID, chain or address');
+    }
+
+    let verified;
+    let type;
+
+    if (family === 'solana') {
+      type = 'ed25519';
+      verified = verifySolanaSignature(challenge.message, signature, address);
+    } else if (signatureType === 'eip712') {
+      type = 'eip712';
+      verified = verifyTypedDataSignature(
+        challenge.typedData.domain,
+        challenge.typedData.types,
+        challenge.typedData.message,
+        signature,
+        address
+      );
+    } else if (signatureType === 'personal_sign') {
+      type = 'personal_sign';
+      verified = verifyEthereumSignature(challenge.message, signature, address);
+    } else {
+      throw new Error(`Unsupported signature type: ${signatureType}`);
+    }
+
+    if (!verified) {
+      throw new Error(`Signature does not prove control of ${address}`);
+    }
+
+    return {
+      blockchainAccountId: this._chainAccountId(chain, family, address),
+      proofType: type,
+      ...(type === 'eip712' ? { typedData: challenge.typedData } : { message: challenge.message }),
+      signature,
+      created: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check (and consume) the signed challenge of a did:key registration
+   * @private
+   * @param {string} did - The did:key DID
+   * @param {string} publicKeyMultibase - Its public key
+   * @param {string} walletAddress - The wallet address registering it
+   * @param {Object} proof - nonce of the challenge and the key's signature of its message
+   */
+  async _verifyDidKeyProof(did, publicKeyMultibase, walletAddress, proof) {
+    const { nonce, signature } = proof;
+
+    if (!nonce || !signature) {
+      throw new Error('A challenge signed with the key (nonce and signature) is required to register a did:key');
+    }
+
+    const key = `${DID_KEY_CHALLENGE_PREFIX}:${nonce}`;
+    const stored = await this.redis.get(key);
+
+    if (!stored) {
+      throw new Error('Challenge not found or expired');
+    }
+
+    // A challenge is good for one attempt
+    await this.redis.del(key);
+
+    const challenge = JSON.parse(stored);
+
+    if (challenge.did !== did || !this._sameAddress(challenge.walletAddress, walletAddress)) {
+      throw new Error('Challenge was issued for a different DID or wallet');
+    }
+
+    if (!verifyMultikeySignature(publicKeyMultibase, challenge.message, signature)) {
+      throw new Error(`Signature does not prove control of ${did}`);
+    }
+  }
+
+  /**
+   * Account ID of a linked address (CAIP-10 style, as in the DID document)
+   * @private
+   * @param {string} chain - The chain identifier
+   * @param {string} family - Signature family of the chain
+   * @param {string} address - The address
+   * @returns {string} - Account ID
+   */
+  _chainAccountId(chain, family, address) {
+    return family === 'solana' ? `solana:${address}` : `eip155:${chain}:${address}`;
+  }
+
+  /**
+   * Check that an address is well formed for a chain's signature family
+   * @private
+   * @param {string} address - The address
+   * @param {string} family - ethereum or solana
+   * @returns {boolean} - Whether the address is valid
+   */
+  _isValidChainAddress(address, family) {
+    try {
+      return family === 'ethereum'
+        ? ethers.isAddress(address)
+        : bs58.decode(address).length === 32;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Describe a stored document version, checking its pinned copy on IPFS
+   * @private
+   * @param {Object} entry - Version row (version, document, ipfs_cid, created_at)
+   * @returns {Promise<Object>} - Version, CID, integrity (null if never pinned) and document
+   */
+  async _describeVersion(entry) {
+    // JSONB does not keep key order, so the check hashes both sides with sorted keys
+    const integrityVerified = entry.ipfs_cid
+      ? await ipfsService.verifyContentIntegrity(
+        ipfsService.hashDocument(entry.document),
+        entry.ipfs_cid,
+        content => ipfsService.hashDocument(content)
+      )
+      : null;
+
+    return {
+      version: entry.version,
+      createdAt: entry.created_at,
+      ipfsCid: entry.ipfs_cid || null,
+      integrityVerified,
+      document: entry.document
+    };
+  }
+
+  /**
+   * Pin a DID document version to IPFS. Pinning failures do not block
+   * the update; the version is then stored without a CID
+   * @private
+   * @param {string} did - The DID
+   * @param {Object} document - The DID document
+   * @returns {Promise<string|null>} - The IPFS CID, or null if pinning failed
+   */
+  async _pinDocument(did, document) {
+    try {
+      return await ipfsService.pinDIDDocument(did, document);
+    } catch (error) {
+      console.warn(`Could not pin DID document of ${did} to IPFS:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Save a new version of a stored DID document: pin it to IPFS, record its
+   * CID, keep the version in the history and invalidate the cache.
+   * Deactivated documents cannot change
+   * @private
+   * @param {Object} client - Database client
+   * @param {string} did - The DID
+   * @param {Object} document - The updated DID document
+   */
+  async _saveDocument(client, did, document) {
+    const ipfsCid = await this._pinDocument(did, document);
+
+    const updated = await client.query(
+      'UPDATE did_documents SET document = $1, ipfs_cid = $2, version = version + 1, updated_at = NOW() ' +
+      'WHERE did = $3 AND NOT deactivated RETURNING did',
+      [document, ipfsCid, did]
+    );
+
+    if (updated.rows.length === 0) {
+      throw new Error('DID is deactivated');
+    }
+
+    await new DIDModel(client).recordVersion(did);
+
+    if (this.redis) {
+      await this.redis.del(`did:${did}`);
+    }
+  }
+
+  /**
+   * Build the document of a did:ethr DID by replaying its ERC-1056 registry
+   * events, read through the Polygon provider
+   * @private
+   * @param {string} did - did:ethr DID
+   * @returns {Promise<Object>} - The DID document
+   */
+  async _resolveDidEthr(did) {
+    const { network, address } = didUtils.parseDidEthr(did);
+
+    if (!config.did.ethrNetworks.includes(network)) {
+      throw new Error(`did:ethr network ${network || 'mainnet'} is not supported`);
+    }
+
+    const provider = PolygonService.getProvider();
+    const registry = new ethers.Contract(config.did.ethrRegistry, ETHR_REGISTRY_ABI, provider);
+
+    // Each change records the block of the previous one; walk back from the latest
+    const events = [];
+    let previousChange = await registry.changed(address);
+
+    while (previousChange > 0n) {
+      const blockNumber = previousChange;
+      const logs = await provider.getLogs({
+        address: config.did.ethrRegistry,
+        topics: [null, ethers.zeroPadValue(address, 32)],
+        fromBlock: Number(blockNumber),
+        toBlock: Number(blockNumber)
+      });
+
+      previousChange = 0n;
+      for (const log of logs.reverse()) {
+        const event = registry.interface.parseLog(log);
+        if (!event) continue;
+
+        events.unshift(event);
+        if (event.args.previousChange < blockNumber) {
+          previousChange = event.args.previousChange;
+        }
+      }
+    }
+
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    const delegates = new Map();
+    const attributes = new Map();
+    let owner = address;
+
+    for (const event of events) {
+      if (event.name === 'DIDOwnerChanged') {
+        owner = event.args.owner;
+      } else if (event.name === 'DIDDelegateChanged') {
+        const type = this._decodeBytes32(event.args.delegateType);
+        const key = `${type}:${event.args.delegate}`;
+
+        if (event.args.validTo > now) {
+          delegates.set(key, { type, delegate: event.args.delegate });
+        } else {
+          delegates.delete(key);
+        }
+      } else if (event.name === 'DIDAttributeChanged') {
+        const name = this._decodeBytes32(event.args.name);
+        const key = `${name}:${event.args.value}`;
+
+        if (event.args.validTo > now) {
+          attributes.set(key, { name, value: ethers.getBytes(event.args.value) });
+        } else {
+          attributes.delete(key);
+        }
+      }
+    }
+
+    const keys = [];
+    const services = [];
+
+    for (const { name, value } of attributes.values()) {
+      const [kind, ...rest] = name.split('/').slice(1);
+
+      if (kind === 'pub') {
+        // did/pub/<Secp256k1|Ed25519>/<veriKey|sigAuth>/<encoding>; the value is the raw key
+        const [keyType, purpose] = rest;
+
+        if (keyType === 'Ed25519' && value.length === 32) {
+          keys.push({ purpose, publicKeyMultibase: encodeMultikey('Ed25519', value) });
+        } else if (keyType === 'Secp256k1' && (purpose === 'veriKey' || purpose === 'sigAuth')) {
+          const compressed = ethers.SigningKey.computePublicKey(value, true);
+          keys.push({ purpose, publicKeyMultibase: encodeMultikey('secp256k1', ethers.getBytes(compressed)) });
+        }
+      } else if (kind === 'svc') {
+        const endpoint = Buffer.from(value).toString('utf8');
+        let serviceEndpoint = endpoint;
+
+        try {
+          serviceEndpoint = JSON.parse(endpoint);
+        } catch (error) {
+          // Plain URL endpoint
+        }
+
+        services.push({ type: rest.join('/'), serviceEndpoint });
+      }
+    }
+
+    return didUtils.createDidEthrDocument(did, String(config.polygon.chainId), {
+      owner,
+      delegates: [...delegates.values()],
+      keys,
+      services
+    });
+  }
+
+  /**
+   * Decode a NUL-padded bytes32 registry name
+   * @private
+   * @param {string} value - bytes32 hex value
+   * @returns {string} - Decoded string
+   */
+  _decodeBytes32(value) {
+    return Buffer.from(ethers.getBytes(value)).toString('utf8').replace(/\0+$/, '');
+  }
+
+  /**
+   * Whether a DID's document is kept in our registry rather than derived or fetched
+   * @private
+   * @param {string} did - The DID
+   * @param {string} method - Its DID method
+   * @returns {boolean} - Whether the DID resolves from did_documents
+   */
+  _isRegistryDID(did, method) {
+    if (method === 'web') {
+      return didUtils.parseDidWeb(did).domain === config.did.webDomain.toLowerCase();
+    }
+
+    return method === didUtils.DID_METHOD;
+  }
+
+  /**
+   * Format a timestamp as DID metadata expects (XML datetime, no fractional seconds)
+   * @private
+   * @param {Date|string} value - Timestamp
+   * @returns {string} - e.g. 2024-01-01T00:00:00Z
+   */
+  _toXmlDateTime(value) {
+    return new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  /**
+   * Fetch the document of a did:web DID hosted on another domain
+   * @private
+   * @param {string} did - did:web DID
+   * @returns {Promise<Object>} - The DID document
+   */
+  async _fetchDidWebDocument(did) {
+    const [, port] = didUtils.parseDidWeb(did).domain.split(':');
+
+    if (port && port !== '443' && !config.did.webAllowedPorts.includes(port)) {
+      throw new Error(`did:web documents are not fetched from port ${port}`);
+    }
+
+    const response = await axios.get(didUtils.didWebToUrl(did), {
+      timeout: config.did.webResolveTimeout,
+      headers: { Accept: 'application/did+json, application/json' },
+      // A redirect could lead anywhere, including plain HTTP
+      maxRedirects: 0,
+      // The address is checked as the connection is made, so a second DNS
+      // answer cannot swap in an internal one
+      httpsAgent: new https.Agent({ lookup: this._lookupPublicAddress })
+    });
+
+    const document = response.data;
+
+    if (!document || typeof document !== 'object' || document.id !== did) {
+      throw new Error(`did:web document served for ${did} has a different id`);
+    }
+
+    return document;
+  }
+
+  /**
+   * dns.lookup for did:web fetches that fails unless every address the
+   * host resolves to is public
+   * @private
+   * @param {string} hostname - Host to resolve
+   * @param {Object} options - dns.lookup options
+   * @param {Function} callback - dns.lookup callback
+   */
+  _lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const blocked = addresses.find(({ address, family }) =>
+        NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+
+      if (blocked) {
+        return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+      }
+
+      if (options.all) {
+        return callback(null, addresses);
+      }
+
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * Secret used to encrypt DID private keys at rest
+   * @private
+   * @returns {string} - Encryption secret
+   */
+  _getKeySecret() {
+    return config.did.keySecret;
+  }
+}
+
+DIDService.RESOLVABLE_METHODS = RESOLVABLE_METHODS;
+DIDService.VERIFICATION_RELATIONSHIPS = VERIFICATION_RELATIONSHIPS;
 
 module.exports = DIDService;
\ No newline at end of file
@@ -0,0 +1,482 @@
+/**
+ * DID lifecycle: deactivation and guardian recovery
+ *
+ * Deactivating a DID cascades to the credentials it holds or issued and to
+ * its SBT. Recovery moves control of a DID whose wallet was lost to a new
+ * wallet once a threshold of its guardians (the controller DIDs added with
+ * POST /api/identity/did/:did/controllers) have co-signed the request.
+ */
+const config = require('../config');
+const polygonService = require('./polygon');
+const CredentialService = require('./credential');
+const NotificationService = require('./notification');
+const { verifyEthereumSignature } = require('../utils/crypto');
+
+class DIDLifecycleService {
+  constructor(db, redis, didService) {
+    this.db = db;
+    this.redis = redis;
+    this.didService = didService;
+    this.credentialService = new CredentialService(db, redis, didService);
+    this.notificationService = new NotificationService(db);
+  }
+
+  /**
+   * Deactivate a DID, suspend the active credentials it holds or issued and
+   * flag its SBT. Credential and SBT failures are reported, not thrown: the
+   * DID stays deactivated
+   * @param {String} did - The DID
+   * @param {String} walletAddress - The owner's wallet address
+   * @returns {Promise<Object>} - Deactivation, credential suspension and SBT results
+   */
+  async deactivateDID(did, walletAddress) {
+    const deactivation = await this.didService.deactivateDID(did, walletAddress);
+
+    let credentials;
+    try {
+      credentials = await this.credentialService.suspendCredentialsOfDID(did);
+    } catch (error) {
+      console.error(`Could not suspend credentials of deactivated DID ${did}:`, error);
+      credentials = { suspended: 0, failed: 0, error: error.message };
+    }
+
+    return {
+      ...deactivation,
+      credentials,
+      sbt: await this._flagSbt(did)
+    };
+  }
+
+  /**
+   * Get the recovery setup of a DID: its guardians, the approvals a recovery
+   * needs and the pending request, if any
+   * @param {String} did - The DID
+   * @returns {Promise<Object|null>} - Recovery setup, or null if the DID is not stored
+   */
+  async getRecovery(did) {
+    try {
+      const guardians = await this.didService.getGuardians(did);
+
+      if (!guardians) {
+        return null;
+      }
+
+      const pending = await this.db.query(
+        `SELECT id FROM did_recovery_requests
+         WHERE did = $1 AND status = 'PENDING' AND expires_at > NOW()`,
+        [did]
+      );
+
+      return {
+        did,
+        guardians,
+        threshold: await this._getThreshold(did, guardians),
+        pendingRequest: pending.rows.length > 0 ? await this.getRecoveryRequest(pending.rows[0].id) : null
+      };
+    } catch (error) {
+      console.error('Error getting DID recovery setup:', error);
+      throw new Error(`Failed to get DID recovery setup: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set how many guardians must approve a recovery of a DID
+   * @param {String} did - The DID
+   * @param {Number} threshold - Required approvals (at most the number of guardians)
+   * @param {String} walletAddress - The owner's wallet address
+   * @returns {Promise<Object>} - Guardians and threshold
+   */
+  async setRecoveryThreshold(did, threshold, walletAddress) {
+    try {
+      await this._assertOwner(did, walletAddress);
+
+      const guardians = await this.didService.getGuardians(did);
+
+      if (!guardians) {
+        throw new Error('DID document not found');
+      }
+
+      if (threshold > guardians.length) {
+        throw new Error(`Threshold ${threshold} exceeds the ${guardians.length} guardians of this DID`);
+      }
+
+      await this.db.query(
+        `INSERT INTO did_recovery_policies (did, threshold)
+         VALUES ($1, $2)
+         ON CONFLICT (did) DO UPDATE SET threshold = $2, updated_at = NOW()`,
+        [did, threshold]
+      );
+
+      return { did, guardians, threshold };
+    } catch (error) {
+      console.error('Error setting DID recovery threshold:', error);
+      throw new Error(`Failed to set DID recovery threshold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Request recovery of a DID to a new wallet, on behalf of one of its guardians
+   * @param {String} did - The DID to recover
+   * @param {String} newWalletAddress - Wallet that is to control the DID
+   * @param {String} guardianDid - Guardian making the request
+   * @param {String} walletAddress - Wallet of the caller, which must control guardianDid
+   * @returns {Promise<Object|null>} - The request with the message guardians sign, or null if the DID is not stored
+   */
+  async initiateRecovery(did, newWalletAddress, guardianDid, walletAddress) {
+    try {
+      const guardians = await this.didService.getGuardians(did);
+
+      if (!guardians) {
+        return null;
+      }
+
+      await this._assertGuardian(did, guardians, guardianDid, walletAddress);
+
+      const threshold = await this._getThreshold(did, guardians);
+
+      // An expired request no longer blocks a new one
+      await this.db.query(
+        `UPDATE did_recovery_requests SET status = 'EXPIRED'
+         WHERE did = $1 AND status = 'PENDING' AND expires_at <= NOW()`,
+        [did]
+      );
+
+      let result;
+      try {
+        result = await this.db.query(
+          `INSERT INTO did_recovery_requests (did, new_wallet_address, threshold, initiated_by_did, expires_at)
+           VALUES ($1, $2, $3, $4, NOW() + ($5 || ' seconds')::interval)
+           RETURNING id`,
+          [did, newWalletAddress, threshold, guardianDid, config.did.recoveryRequestTTL.toString()]
+        );
+      } catch (error) {
+        if (error.code === '23505') {
+          throw new Error('A recovery request is already pending for this DID');
+        }
+        throw error;
+      }
+
+      const request = await this.getRecoveryRequest(result.rows[0].id);
+
+      // The current owner can still cancel it
+      await this.notificationService.notify({
+        recipientDid: did,
+        type: 'DID_RECOVERY_REQUESTED',
+        payload: {
+          requestId: request.id,
+          newWalletAddress,
+          initiatedBy: guardianDid,
+          expiresAt: request.expiresAt
+        },
+        dedupeKey: `DID_RECOVERY_REQUESTED:${request.id}`
+      });
+
+      return request;
+    } catch (error) {
+      console.error('Error initiating DID recovery:', error);
+      throw new Error(`Failed to initiate DID recovery: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a guardian's signed approval of a recovery request. The approval
+   * that reaches the threshold moves control of the DID to the new wallet
+   * @param {String} requestId - Recovery request ID
+   * @param {String} guardianDid - Approving guardian
+   * @param {String} signature - personal_sign signature of the request message by walletAddress
+   * @param {String} walletAddress - Wallet of the caller, which must control guardianDid
+   * @returns {Promise<Object|null>} - The updated request, or null if it does not exist
+   */
+  async approveRecovery(requestId, guardianDid, signature, walletAddress) {
+    try {
+      const request = await this.getRecoveryRequest(requestId);
+
+      if (!request) {
+        return null;
+      }
+
+      if (request.status !== 'PENDING') {
+        throw new Error(`Recovery request is ${request.status}`);
+      }
+
+      const guardians = await this.didService.getGuardians(request.did);
+      await this._assertGuardian(request.did, guardians, guardianDid, walletAddress);
+
+      if (!verifyEthereumSignature(request.message, signature, walletAddress)) {
+        throw new Error('Signature does not match the recovery request message');
+      }
+
+      await this.db.query(
+        `INSERT INTO did_recovery_approvals (request_id, guardian_did, wallet_address, signature)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (request_id, guardian_did) DO NOTHING`,
+        [request.id, guardianDid, walletAddress, signature]
+      );
+
+      // Only guardians still listed on the DID count
+      const approvals = await this._getApprovals(request.id);
+      const approvedBy = approvals.filter(approval => guardians.includes(approval.guardian_did));
+
+      if (approvedBy.length >= request.threshold) {
+        await this._completeRecovery(request);
+      }
+
+      return await this.getRecoveryRequest(request.id);
+    } catch (error) {
+      console.error('Error approving DID recovery:', error);
+      throw new Error(`Failed to approve DID recovery: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a pending recovery request (the current owner, e.g. after a false alarm)
+   * @param {String} requestId - Recovery request ID
+   * @param {String} walletAddress - The owner's wallet address
+   * @returns {Promise<Object|null>} - The cancelled request, or null if it does not exist
+   */
+  async cancelRecovery(requestId, walletAddress) {
+    try {
+      const request = await this.getRecoveryRequest(requestId);
+
+      if (!request) {
+        return null;
+      }
+
+      await this._assertOwner(request.did, walletAddress);
+
+      const result = await this.db.query(
+        `UPDATE did_recovery_requests SET status = 'CANCELLED'
+         WHERE id = $1 AND status = 'PENDING'
+         RETURNING id`,
+        [request.id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Recovery request is ${request.status}`);
+      }
+
+      return await this.getRecoveryRequest(request.id);
+    } catch (error) {
+      console.error('Error cancelling DID recovery:', error);
+      throw new Error(`Failed to cancel DID recovery: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a recovery request with its approvals and the message guardians sign
+   * @param {String} requestId - Recovery request ID
+   * @returns {Promise<Object|null>} - Request, or null if not found
+   */
+  async getRecoveryRequest(requestId) {
+    const result = await this.db.query(
+      `SELECT id, did, new_wallet_address, threshold, status, initiated_by_did,
+              expires_at, completed_at, created_at
+       FROM did_recovery_requests
+       WHERE id::text = $1`,
+      [String(requestId)]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    const approvals = await this._getApprovals(row.id);
+
+    return {
+      id: row.id,
+      did: row.did,
+      newWalletAddress: row.new_wallet_address,
+      threshold: row.threshold,
+      // Unanswered requests expire without a write
+      status: row.status === 'PENDING' && new Date(row.expires_at) <= new Date() ? 'EXPIRED' : row.status,
+      initiatedBy: row.initiated_by_did,
+      approvals: approvals.map(approval => ({
+        guardianDid: approval.guardian_did,
+        approvedAt: approval.created_at
+      })),
+      message: this._getRecoveryMessage(row),
+      expiresAt: row.expires_at,
+      completedAt: row.completed_at,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Move control of the DID once its request has enough approvals
+   * @private
+   * @param {Object} request - Recovery request
+   */
+  async _completeRecovery(request) {
+    // Claim the request so that concurrent approvals complete it once
+    const claimed = await this.db.query(
+      `UPDATE did_recovery_requests SET status = 'COMPLETED', completed_at = NOW()
+       WHERE id = $1 AND status = 'PENDING'
+       RETURNING id`,
+      [request.id]
+    );
+
+    if (claimed.rows.length === 0) {
+      return;
+    }
+
+    let transfer;
+    try {
+      transfer = await this.didService.transferControl(request.did, request.newWalletAddress);
+    } catch (error) {
+      // transferControl rolled back as a whole, so the request can complete later
+      await this.db.query(
+        `UPDATE did_recovery_requests SET status = 'PENDING', completed_at = NULL WHERE id = $1`,
+        [request.id]
+      );
+      throw error;
+    }
+
+    await this.notificationService.notify({
+      recipientDid: request.did,
+      type: 'DID_RECOVERED',
+      payload: {
+        requestId: request.id,
+        previousWalletAddress: transfer.previousWalletAddress,
+        walletAddress: transfer.walletAddress
+      },
+      dedupeKey: `DID_RECOVERED:${request.id}`
+    });
+  }
+
+  /**
+   * Approvals recorded for a request
+   * @private
+   * @param {String} requestId - Recovery request ID
+   * @returns {Promise<Array>} - Approval rows, oldest first
+   */
+  async _getApprovals(requestId) {
+    const result = await this.db.query(
+      `SELECT guardian_did, wallet_address, created_at
+       FROM did_recovery_approvals
+       WHERE request_id = $1
+       ORDER BY created_at`,
+      [requestId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Approvals a recovery needs: the DID's policy, or a majority of its guardians
+   * @private
+   * @param {String} did - The DID
+   * @param {Array<String>} guardians - Its guardians
+   * @returns {Promise<Number>} - Threshold
+   */
+  async _getThreshold(did, guardians) {
+    const result = await this.db.query(
+      'SELECT threshold FROM did_recovery_policies WHERE did = $1',
+      [did]
+    );
+
+    // A policy set before guardians were removed cannot exceed the guardians left
+    const threshold = result.rows.length > 0
+      ? result.rows[0].threshold
+      : Math.floor(guardians.length / 2) + 1;
+
+    return Math.min(threshold, Math.max(guardians.length, 1));
+  }
+
+  /**
+   * Check that the caller acts for a guardian of a recoverable DID
+   * @private
+   * @param {String} did - The DID being recovered
+   * @param {Array<String>} guardians - Its guardians
+   * @param {String} guardianDid - DID the caller acts for
+   * @param {String} walletAddress - Caller's wallet address
+   */
+  async _assertGuardian(did, guardians, guardianDid, walletAddress) {
+    const state = await this.db.query(
+      'SELECT deactivated FROM did_documents WHERE did = $1',
+      [did]
+    );
+
+    if (state.rows.length > 0 && state.rows[0].deactivated) {
+      throw new Error('A deactivated DID cannot be recovered');
+    }
+
+    if (guardians.length === 0) {
+      throw new Error('DID has no guardians; add controller DIDs first');
+    }
+
+    if (!guardianDid || !guardians.includes(guardianDid)) {
+      throw new Error(`${guardianDid} is not a guardian of ${did}`);
+    }
+
+    if (!(await this.didService.verifyController(guardianDid, walletAddress))) {
+      throw new Error(`Not authorized to act for guardian ${guardianDid}`);
+    }
+  }
+
+  /**
+   * Check that a wallet is the DID's owner wallet
+   * @private
+   * @param {String} did - The DID
+   * @param {String} walletAddress - Caller's wallet address
+   */
+  async _assertOwner(did, walletAddress) {
+    const ownerResult = await this.db.query(
+      'SELECT wallet_address FROM users WHERE did = $1',
+      [did]
+    );
+
+    if (ownerResult.rows.length === 0) {
+      throw new Error('DID not found');
+    }
+
+    if (!this.didService._sameAddress(ownerResult.rows[0].wallet_address, walletAddress)) {
+      throw new Error('Only the owner of this DID can change its recovery');
+    }
+  }
+
+  /**
+   * Set the deactivated status on the DID's SBT, if it has one
+   * @private
+   * @param {String} did - The DID
+   * @returns {Promise<Object>} - Whether the SBT was flagged
+   */
+  async _flagSbt(did) {
+    try {
+      const result = await this.db.query(
+        'SELECT sbt_token_id FROM did_to_sbt WHERE did = $1',
+        [did]
+      );
+
+      if (result.rows.length === 0) {
+        return { flagged: false, error: 'DID has no SBT' };
+      }
+
+      const tokenId = result.rows[0].sbt_token_id;
+      await polygonService.updateSbtStatus(tokenId, config.polygon.sbtDeactivatedStatus);
+
+      return { flagged: true, tokenId };
+    } catch (error) {
+      // The DID is deactivated off-chain either way; the SBT can be flagged later
+      console.warn(`Could not flag the SBT of deactivated DID ${did}:`, error.message);
+      return { flagged: false, error: error.message };
+    }
+  }
+
+  /**
+   * Message a guardian signs (personal_sign) to approve a recovery request
+   * @private
+   * @param {Object} row - Recovery request row
+   * @returns {String} - Message
+   */
+  _getRecoveryMessage(row) {
+    return [
+      `Recover ${row.did}`,
+      `New wallet: ${row.new_wallet_address}`,
+      `Request: ${row.id}`,
+      `Expires: ${new Date(row.expires_at).toISOString()}`
+    ].join('\n');
+  }
+}
+
+module.exports = DIDLifecycleService;
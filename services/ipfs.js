@@ -62,7 +62,8 @@ class IPFSService {
    * @returns {Promise<String>} - The IPFS CID
    */
   async pinCredential(credential, issuerDid, subjectDid) {
-    const credentialHash = this.hashCredential(credential);
+    // JWT credentials are pinned as { format, type, jwt } envelopes and hashed by their JWT
+    const credentialHash = this.hashCredential(credential.jwt || credential);
     
     return this.pinJSON(credential, {
       name: `Credential-${credentialHash.slice(0, 8)}`,
@@ -78,14 +79,30 @@ class IPFSService {
 
   /**
    * Hash a credential for on-chain reference
-   * @param {Object} credential - The credential to hash
+   * @param {Object|String} credential - The credential to hash (JWT credentials are hashed as-is)
    * @returns {String} - The credential hash
    */
   hashCredential(credential) {
-    const normalizedCredential = JSON.stringify(credential);
+    const normalizedCredential = typeof credential === 'string' ? credential : JSON.stringify(credential);
     return '0x' + crypto.createHash('sha256').update(normalizedCredential).digest('hex');
   }
 
+  /**
+   * Hash a JSON document independently of its key order, so that a document
+   * read back from JSONB storage hashes the same as the one pinned
+   * @param {Object} document - The document to hash
+   * @returns {String} - The document hash
+   */
+  hashDocument(document) {
+    const sortKeys = value => {
+      if (Array.isArray(value)) return value.map(sortKeys);
+      if (value === null || typeof value !== 'object') return value;
+      return Object.keys(value).sort().reduce((sorted, key) => ({ ...sorted, [key]: sortKeys(value[key]) }), {});
+    };
+
+    return this.hashCredential(sortKeys(document));
+  }
+
   /**
    * Get content from IPFS using its CID
    * @param {String} cid - The IPFS CID
@@ -114,12 +131,13 @@ class IPFSService {
    * Verify that an on-chain hash matches the content in IPFS
    * @param {String} onChainHash - The hash stored on-chain
    * @param {String} cid - The IPFS CID
+   * @param {Function} hash - How the content is hashed (hashCredential by default)
    * @returns {Promise<Boolean>} - Whether the hash matches
    */
-  async verifyContentIntegrity(onChainHash, cid) {
+  async verifyContentIntegrity(onChainHash, cid, hash = content => this.hashCredential(content)) {
     try {
       const content = await this.getFromIPFS(cid);
-      const contentHash = this.hashCredential(content);
+      const contentHash = hash(content);
       
       // Remove '0x' prefix if present for comparison
       const normalizedOnChainHash = onChainHash.startsWith('0x') 
@@ -3,6 +3,9 @@
  * Handles identity verification and KYC compliance functionality
  */
 
+const { encrypt, decrypt } = require('../utils/crypto');
+const polygonService = require('./polygon');
+
 // Try to load config, use defaults if not available
 let config;
 try {
@@ -13,6 +16,11 @@ try {
     kyc: {
       provider: process.env.KYC_PROVIDER || 'mock',
       apiKey: process.env.KYC_API_KEY
+    },
+    kyc: {
+      provider: process.env.KYC_PROVIDER || 'mock',
+      apiKey: process.env.KYC_API_KEY,
+      proofSecret: process.env.KYC_PROOF_SECRET
     }
   };
 }
@@ -28,7 +36,7 @@ class KYCService {
   /**
    * Create a new KYC verification request
    * @param {String} userId - User ID
-   * @param {String} level - Verification level (BASIC, ADVANCED, FULL)
+   * @param {String} level - Verification level (BASIC, ADVANCED, BUSINESS)
    * @param {Object} userData - User data for verification
    * @returns {Promise<Object>} - Verification request details
    */
@@ -190,9 +198,9 @@ class KYCService {
         throw new Error('Verification request not found');
       }
       
-      // If status is VERIFIED, issue credential
+      // If status is VERIFIED, offer the KYC credential to the user's wallet
       if (status === 'VERIFIED') {
-        await this._issueKYCCredential(result.rows[0].user_id, metadata.level || 'BASIC');
+        await this.offerKycCredential(result.rows[0].user_id, metadata.level || 'BASIC', verificationId);
       }
       
       return {
@@ -209,7 +217,7 @@ class KYCService {
   /**
    * Check if a user is verified to a specific level
    * @param {String} userId - User ID
-   * @param {String} level - Verification level to check (BASIC, ADVANCED, FULL)
+   * @param {String} level - Verification level to check (BASIC, ADVANCED, BUSINESS)
    * @returns {Promise<Boolean>} - Whether the user is verified
    */
   async isUserVerified(userId, level) {
@@ -329,47 +337,67 @@ class KYCService {
   }
 
   /**
-   * Issue a KYC credential based on verification
-   * @private
+   * Offer the KYC credential to a verified user's wallet (OID4VCI pre-authorized code)
+   * @param {String} userId - User ID
+   * @param {String} level - Verification level
+   * @param {String} verificationId - KYC verification ID
+   * @returns {Promise<Object|null>} - Credential offer, or null if the user has no DID
    */
-  async _issueKYCCredential(userId, level) {
+  async offerKycCredential(userId, level, verificationId) {
     try {
-      // Get user DID
       const userQuery = `SELECT did FROM users WHERE id = $1`;
       const userResult = await this.db.query(userQuery, [userId]);
       
       if (userResult.rows.length === 0 || !userResult.rows[0].did) {
-        console.warn(`Cannot issue KYC credential: User ${userId} has no DID`);
-        return;
+        console.warn(`Cannot offer KYC credential: User ${userId} has no DID`);
+        return null;
       }
       
       const did = userResult.rows[0].did;
       
-      // In a real implementation, this would use the CredentialService
-      // to issue a proper verifiable credential
-      console.log(`Issuing KYC credential for user ${userId} with DID ${did} at level ${level}`);
+      // Loaded lazily: the OID4VCI service pulls in the whole credential stack
+      const DIDService = require('./did');
+      const OID4VCIService = require('./oid4vci');
+      const oid4vciService = new OID4VCIService(this.db, this.redis, new DIDService(this.db, this.redis));
       
-      // Mock credential issuance
-      const credentialHash = `0x${Buffer.from(`kyc:${userId}:${level}:${Date.now()}`).toString('hex')}`;
+      const offer = await oid4vciService.createOffer({
+        templateId: config.oid4vci.kycTemplateId,
+        subjectDid: did,
+        userId,
+        kycVerificationId: verificationId,
+        claims: {
+          kycLevel: level,
+          verifiedAt: new Date().toISOString()
+        }
+      });
       
-      console.log(`KYC credential issued with hash: ${credentialHash}`);
+      console.log(`KYC credential offered to user ${userId} with DID ${did} (offer ${offer.offerId})`);
+      return offer;
     } catch (error) {
-      console.error('Error issuing KYC credential:', error);
+      console.error('Error offering KYC credential:', error);
+      return null;
     }
   }
 
 
   /**
- * Generate a zero-knowledge proof for KYC verification
+ * Generate a zero-knowledge proof that a KYC verification meets a requester's
+ * minimum level. The proof's commitment is anchored on the holder's SBT token
+ * the first time; later proofs of the verification reuse its salt
  * @param {String} userId - User ID
  * @param {String} verificationId - KYC verification ID
- * @returns {Promise<Object>} - The ZK proof
+ * @param {String|Number} minLevel - Minimum level the requester's policy demands
+ * @returns {Promise<Object>} - The ZK proof, and the salt that opens its commitment
  */
-async generateKycProof(userId, verificationId) {
+async generateKycProof(userId, verificationId, minLevel) {
   try {
+    if (minLevel === undefined || minLevel === null) {
+      throw new Error('The requester\'s minimum KYC level is required');
+    }
+    
     // Get verification data
     const verificationQuery = `
-      SELECT verification_level, status, provider, verification_data
+      SELECT verification_level, status, provider, verification_data, verified_at
       FROM kyc_verifications
       WHERE id = $1 AND user_id = $2
     `;
@@ -405,25 +433,52 @@ async generateKycProof(userId, verificationId) {
     // Load the ZK proof service
     const zkProofService = require('./zkProofService');
     
-    // Prepare the data for the ZK proof
+    // Reuse the salt of the verification's anchored commitment, if any
+    const anchoredQuery = `
+      SELECT salt_encrypted, commitment
+      FROM zk_proofs
+      WHERE verification_id = $1 AND proof_type = 'KYC' AND commitment IS NOT NULL
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    
+    const anchoredResult = await this.db.query(anchoredQuery, [verificationId]);
+    const anchored = anchoredResult.rows[0];
+    
+    // Prepare the data for the ZK proof; the salt blinds the commitment and
+    // is kept (encrypted) so the holder can later open it
     const zkData = {
       did,
       sbtTokenId: sbt_token_id,
       kycLevel: verification.verification_level,
+      minLevel,
       provider: verification.provider,
-      verificationTimestamp: Date.now()
+      verificationTimestamp: verification.verified_at || Date.now(),
+      salt: anchored
+        ? decrypt(anchored.salt_encrypted, config.kyc.proofSecret)
+        : zkProofService.generateSalt()
     };
     
     // Generate the proof
     const proof = await zkProofService.generateProof('kyc', zkData);
+    const { commitment } = proof.publicInputs;
+    
+    if (anchored && anchored.commitment !== commitment) {
+      throw new Error('KYC verification no longer matches its anchored commitment');
+    }
+    
+    // Verifiers accept only commitments the server anchored
+    if (!anchored) {
+      await polygonService.anchorKycCommitment(sbt_token_id, commitment);
+    }
     
     // Store the proof reference
     const proofQuery = `
       INSERT INTO zk_proofs (
         user_id, verification_id, proof_type, proof_data, public_inputs, 
-        expires_at, created_at
+        salt_encrypted, commitment, expires_at, created_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
       RETURNING id
     `;
     
@@ -433,6 +488,8 @@ async generateKycProof(userId, verificationId) {
       'KYC',
       JSON.stringify(proof.proof),
       JSON.stringify(proof.publicInputs),
+      encrypt(zkData.salt, config.kyc.proofSecret),
+      commitment,
       new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days expiry
     ]);
     
@@ -441,6 +498,7 @@ async generateKycProof(userId, verificationId) {
       proofId: proofResult.rows[0].id,
       zkProof: proof.proof,
       publicInputs: proof.publicInputs,
+      salt: zkData.salt,
       sbtTokenId: sbt_token_id
     };
   } catch (error) {
@@ -448,6 +506,45 @@ async generateKycProof(userId, verificationId) {
     throw new Error(`Failed to generate KYC proof: ${error.message}`);
   }
 }
+
+  /**
+   * Verify a KYC proof against a requester's policy: the proof must be valid,
+   * meet the policy's minimum level, be about the expected DID (if given) and
+   * open a commitment anchored on the SBT token it names
+   * @param {Object} zkProof - Groth16 proof
+   * @param {Object} publicInputs - commitment, didHash, sbtTokenId and minLevel
+   * @param {Object} policy - minLevel required, and optionally the holder's did
+   * @returns {Promise<Object>} - Verification result
+   */
+  async verifyKycProof(zkProof, publicInputs, policy = {}) {
+    try {
+      const zkProofService = require('./zkProofService');
+      const requiredLevel = zkProofService.toKycLevel(policy.minLevel);
+      
+      if (Number(publicInputs.minLevel) < requiredLevel) {
+        return { valid: false, error: 'Proof does not meet the required KYC level' };
+      }
+      
+      if (policy.did && publicInputs.didHash !== zkProofService.hashToField(policy.did)) {
+        return { valid: false, error: 'Proof is not about the expected DID' };
+      }
+      
+      if (!(await zkProofService.verifyProof('kyc', zkProof, publicInputs))) {
+        return { valid: false, error: 'Invalid proof' };
+      }
+      
+      const isAnchored = await polygonService.isKycCommitmentAnchored(publicInputs.sbtTokenId, publicInputs.commitment);
+      
+      if (!isAnchored) {
+        return { valid: false, error: 'Proof commitment is not anchored on the SBT' };
+      }
+      
+      return { valid: true, minLevel: requiredLevel, sbtTokenId: publicInputs.sbtTokenId };
+    } catch (error) {
+      console.error('Error verifying KYC proof:', error);
+      throw new Error(`Failed to verify KYC proof: ${error.message}`);
+    }
+  }
 }
 
 
@@ -21,12 +21,13 @@ class MerkleTreeService {
     });
     
     // Initial leaves as nodes
-    let nodes = leaves.map(leaf => ({
+    const leafNodes = leaves.map(leaf => ({
       hash: leaf,
       parent: null,
       left: null,
       right: null
     }));
+    let nodes = leafNodes;
     
     // Build the tree bottom-up
     while (nodes.length > 1) {
@@ -70,7 +71,7 @@ class MerkleTreeService {
     for (let i = 0; i < leaves.length; i++) {
       const leaf = leaves[i];
       const leafHash = leaf.toString('hex');
-      proofs[leafHash] = this._generateProof(leaf, root);
+      proofs[leafHash] = this._generateProof(leafNodes[i]);
     }
     
     return { root, proofs };
@@ -79,17 +80,16 @@ class MerkleTreeService {
   /**
    * Generate a Merkle proof for a specific leaf
    * @private
-   * @param {Buffer} leaf - The leaf node
-   * @param {String} root - The root hash
+   * @param {Object} leaf - The leaf node
    * @returns {Array<String>} - The proof as array of hashes
    */
-  _generateProof(leaf, root) {
+  _generateProof(leaf) {
     const proof = [];
     let current = leaf;
     
     while (current.parent) {
       const parent = current.parent;
-      const isLeft = parent.left.hash.equals(current.hash);
+      const isLeft = parent.left === current;
       
       // Add the sibling to the proof
       if (isLeft) {
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Notification types
+ */
+const NOTIFICATION_TYPES = [
+  'CREDENTIAL_EXPIRING',
+  'CREDENTIAL_EXPIRED',
+  'CREDENTIAL_RENEWED',
+  'CREDENTIAL_OFFERED',
+  'DID_RECOVERY_REQUESTED',
+  'DID_RECOVERED'
+];
+
+class NotificationService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Store a notification for a DID and deliver it to the webhook, if configured
+   * @param {Object} notification - recipientDid, type, credentialHash, payload and optional dedupeKey
+   * @returns {Promise<Object|null>} - Stored notification, or null if it was already sent
+   */
+  async notify(notification) {
+    try {
+      const { recipientDid, type, credentialHash, payload = {}, dedupeKey } = notification;
+
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        throw new Error(`Unknown notification type: ${type}`);
+      }
+
+      const result = await this.db.query(
+        `INSERT INTO notifications (recipient_did, type, credential_hash, payload, dedupe_key)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (dedupe_key) DO NOTHING
+         RETURNING *`,
+        [recipientDid, type, credentialHash || null, JSON.stringify(payload), dedupeKey || null]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const stored = result.rows[0];
+      await this._deliver(stored);
+
+      return stored;
+    } catch (error) {
+      console.error('Error sending notification:', error);
+      throw new Error(`Failed to send notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the notifications of a DID
+   * @param {String} did - Recipient DID
+   * @param {Object} options - unreadOnly, limit and offset
+   * @returns {Promise<Array>} - Notifications, newest first
+   */
+  async listForDid(did, options = {}) {
+    try {
+      const { unreadOnly = false, limit = 50, offset = 0 } = options;
+
+      const result = await this.db.query(
+        `SELECT id, type, credential_hash, payload, read_at, created_at
+         FROM notifications
+         WHERE recipient_did = $1 ${unreadOnly ? 'AND read_at IS NULL' : ''}
+         ORDER BY created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [did, limit, offset]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing notifications:', error);
+      throw new Error(`Failed to list notifications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark notifications of a DID as read
+   * @param {String} did - Recipient DID
+   * @param {Array<String>} ids - Notification IDs (all unread notifications when omitted)
+   * @returns {Promise<Number>} - Number of notifications marked
+   */
+  async markRead(did, ids = null) {
+    try {
+      const result = ids
+        ? await this.db.query(
+          `UPDATE notifications SET read_at = NOW()
+           WHERE recipient_did = $1 AND id = ANY($2::uuid[]) AND read_at IS NULL`,
+          [did, ids]
+        )
+        : await this.db.query(
+          'UPDATE notifications SET read_at = NOW() WHERE recipient_did = $1 AND read_at IS NULL',
+          [did]
+        );
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      throw new Error(`Failed to mark notifications read: ${error.message}`);
+    }
+  }
+
+  /**
+   * POST a notification to the configured webhook. Delivery failures are
+   * logged; the notification stays available from the API
+   * @private
+   * @param {Object} notification - Stored notification
+   * @returns {Promise<Boolean>} - Whether the notification was delivered
+   */
+  async _deliver(notification) {
+    const { webhookUrl, webhookSecret, webhookTimeoutMs } = config.notifications;
+
+    if (!webhookUrl) {
+      return false;
+    }
+
+    const body = JSON.stringify({
+      id: notification.id,
+      recipientDid: notification.recipient_did,
+      type: notification.type,
+      credentialHash: notification.credential_hash,
+      payload: notification.payload,
+      createdAt: notification.created_at
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (webhookSecret) {
+      headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', webhookSecret).update(body).digest('hex')}`;
+    }
+
+    try {
+      await axios.post(webhookUrl, body, { headers, timeout: webhookTimeoutMs });
+      await this.db.query('UPDATE notifications SET delivered_at = NOW() WHERE id = $1', [notification.id]);
+      return true;
+    } catch (error) {
+      console.warn(`Could not deliver notification ${notification.id}:`, error.message);
+      return false;
+    }
+  }
+}
+
+NotificationService.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = NotificationService;
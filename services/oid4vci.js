@@ -0,0 +1,570 @@
+/**
+ * OpenID for Verifiable Credential Issuance (OID4VCI)
+ * Lets standard wallets pull credentials from credential offers using the
+ * pre-authorized code flow. Each credential template is offered as one
+ * credential configuration.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const CredentialService = require('./credential');
+const CredentialTemplateService = require('./template');
+const NotificationService = require('./notification');
+const { decodeJwt, verifyJwt, publicKeyFromJwk } = require('../utils/vcJwt');
+const { publicKeyFromMultikey } = require('../utils/dataIntegrity');
+const { OAuthError } = require('../middleware/error');
+
+const PRE_AUTHORIZED_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+const PROOF_JWT_TYPE = 'openid4vci-proof+jwt';
+
+// OID4VCI format identifiers of our credential formats
+const OID4VCI_FORMATS = {
+  ldp_vc: 'ldp_vc',
+  jwt_vc: 'jwt_vc_json',
+  'vc+sd-jwt': 'vc+sd-jwt'
+};
+
+// Proof JWT algorithms accepted from wallets
+const PROOF_SIGNING_ALGORITHMS = ['EdDSA', 'ES256K', 'ES256'];
+
+// How old a proof JWT may be in seconds
+const PROOF_MAX_AGE = 300;
+
+/**
+ * SHA-256 hex digest of a bearer secret, as stored
+ * @param {String} value - Secret
+ * @returns {String} - Hex digest
+ */
+const hashSecret = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+class OID4VCIService {
+  constructor(db, redis, didService) {
+    this.db = db;
+    this.redis = redis;
+    this.didService = didService;
+    this.credentialService = new CredentialService(db, redis, didService);
+    this.templateService = new CredentialTemplateService(db, redis, didService);
+    this.notificationService = new NotificationService(db);
+  }
+
+  /**
+   * Public URLs of the issuer endpoints
+   * @returns {Object} - Credential issuer identifier and endpoint URLs
+   */
+  getEndpoints() {
+    const credentialIssuer = config.oid4vci.credentialIssuer.replace(/\/$/, '');
+
+    return {
+      credentialIssuer,
+      tokenEndpoint: `${credentialIssuer}/api/oid4vci/token`,
+      credentialEndpoint: `${credentialIssuer}/api/oid4vci/credential`,
+      offerEndpoint: `${credentialIssuer}/api/oid4vci/credential-offer`
+    };
+  }
+
+  /**
+   * Credential issuer metadata, with one credential configuration per active template
+   * @returns {Promise<Object>} - Metadata served at /.well-known/openid-credential-issuer
+   */
+  async getIssuerMetadata() {
+    const { credentialIssuer, credentialEndpoint } = this.getEndpoints();
+    const templates = await this.templateService.listTemplates({ limit: 1000 });
+
+    const configurations = {};
+    for (const template of templates) {
+      configurations[template.template_id] = this._toCredentialConfiguration(template);
+    }
+
+    return {
+      credential_issuer: credentialIssuer,
+      credential_endpoint: credentialEndpoint,
+      display: [{ name: config.oid4vci.displayName, locale: 'en-US' }],
+      credential_configurations_supported: configurations
+    };
+  }
+
+  /**
+   * OAuth authorization server metadata for the pre-authorized code grant
+   * @returns {Object} - Metadata served at /.well-known/oauth-authorization-server
+   */
+  getAuthorizationServerMetadata() {
+    const { credentialIssuer, tokenEndpoint } = this.getEndpoints();
+
+    return {
+      issuer: credentialIssuer,
+      token_endpoint: tokenEndpoint,
+      grant_types_supported: [PRE_AUTHORIZED_CODE_GRANT],
+      'pre-authorized_grant_anonymous_access_supported': true
+    };
+  }
+
+  /**
+   * Create a credential offer for a holder
+   * @param {Object} offer - templateId, subjectDid, claims, and optionally userId (the holder's
+   *   account), kycVerificationId and txCode (whether to require a PIN)
+   * @param {String} createdBy - ID of the user creating the offer (null for system offers)
+   * @returns {Promise<Object>} - Offer ID, credential offer, offer URI, expiry and PIN
+   */
+  async createOffer(offer, createdBy = null) {
+    try {
+      const { templateId, subjectDid, claims = {}, userId = null, kycVerificationId = null } = offer;
+
+      if (!config.oid4vci.issuerDid || !config.oid4vci.issuerWalletAddress) {
+        throw new Error('OID4VCI issuer DID and wallet address are not configured');
+      }
+
+      const template = await this.templateService.getTemplate(templateId);
+      if (!template || template.status !== 'ACTIVE') {
+        throw new Error(`Template ${templateId} not found`);
+      }
+
+      const missing = this.templateService.getMissingClaims(template, claims);
+      if (missing.length > 0) {
+        throw new Error(`Missing required claims: ${missing.join(', ')}`);
+      }
+
+      const subjectDocument = await this.didService.resolveDID(subjectDid);
+      if (!subjectDocument) {
+        throw new Error('Subject DID not found');
+      }
+
+      const preAuthorizedCode = crypto.randomBytes(32).toString('base64url');
+      const txCode = offer.txCode ? crypto.randomInt(0, 1000000).toString().padStart(6, '0') : null;
+      const expiresAt = new Date(Date.now() + config.oid4vci.offerTtl * 1000);
+
+      const result = await this.db.query(
+        `INSERT INTO credential_offers (
+           template_id, subject_did, user_id, claims, pre_authorized_code, tx_code_hash,
+           kyc_verification_id, expires_at, created_by
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id`,
+        [
+          templateId,
+          subjectDid,
+          userId,
+          JSON.stringify(claims),
+          preAuthorizedCode,
+          txCode ? hashSecret(txCode) : null,
+          kycVerificationId,
+          expiresAt,
+          createdBy
+        ]
+      );
+
+      const offerId = result.rows[0].id;
+
+      // The offer URI carries the pre-authorized code, so the notice only names the offer
+      await this.notificationService.notify({
+        recipientDid: subjectDid,
+        type: 'CREDENTIAL_OFFERED',
+        payload: { offerId, templateId, expiresAt: expiresAt.toISOString() },
+        dedupeKey: `CREDENTIAL_OFFERED:${offerId}`
+      }).catch(error => console.warn(`Could not notify ${subjectDid} of offer ${offerId}:`, error.message));
+
+      return {
+        offerId,
+        credentialOffer: this._toCredentialOffer(templateId, preAuthorizedCode, Boolean(txCode)),
+        credentialOfferUri: this.getCredentialOfferUri(offerId),
+        txCode,
+        expiresAt: expiresAt.toISOString()
+      };
+    } catch (error) {
+      console.error('Error creating credential offer:', error);
+      throw new Error(`Failed to create credential offer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wallet deep link that passes a credential offer by reference
+   * @param {String} offerId - Offer ID
+   * @returns {String} - openid-credential-offer:// URI
+   */
+  getCredentialOfferUri(offerId) {
+    const { offerEndpoint } = this.getEndpoints();
+    return `openid-credential-offer://?credential_offer_uri=${encodeURIComponent(`${offerEndpoint}/${offerId}`)}`;
+  }
+
+  /**
+   * Get the credential offer object a wallet fetches by reference
+   * @param {String} offerId - Offer ID
+   * @returns {Promise<Object|null>} - Credential offer, or null if it is no longer redeemable
+   */
+  async getCredentialOffer(offerId) {
+    const result = await this.db.query(
+      `SELECT template_id, pre_authorized_code, tx_code_hash
+       FROM credential_offers
+       WHERE id = $1 AND status = 'OFFERED' AND expires_at > NOW()`,
+      [offerId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const { template_id, pre_authorized_code, tx_code_hash } = result.rows[0];
+    return this._toCredentialOffer(template_id, pre_authorized_code, Boolean(tx_code_hash));
+  }
+
+  /**
+   * List the credential offers made to a user or their DID
+   * @param {String} userId - User ID
+   * @param {String} did - The user's DID
+   * @returns {Promise<Array>} - Offers, newest first, with an offer URI while redeemable
+   */
+  async listOffersForUser(userId, did) {
+    const result = await this.db.query(
+      `SELECT id, template_id, subject_did, status, credential_hash, kyc_verification_id,
+              (tx_code_hash IS NOT NULL) AS tx_code_required, expires_at, issued_at, created_at
+       FROM credential_offers
+       WHERE user_id = $1 OR subject_did = $2
+       ORDER BY created_at DESC
+       LIMIT 100`,
+      [userId, did || null]
+    );
+
+    return result.rows.map(offer => ({
+      ...offer,
+      credentialOfferUri: offer.status === 'OFFERED' && new Date(offer.expires_at) > new Date()
+        ? this.getCredentialOfferUri(offer.id)
+        : null
+    }));
+  }
+
+  /**
+   * Token endpoint: exchange a pre-authorized code (and PIN) for an access token
+   * @param {Object} request - Token request parameters
+   * @returns {Promise<Object>} - Token response with the first c_nonce
+   * @throws {OAuthError} - OAuth error for the wallet
+   */
+  async exchangePreAuthorizedCode(request) {
+    const grantType = request.grant_type;
+    const preAuthorizedCode = request['pre-authorized_code'];
+    const txCode = request.tx_code || request.user_pin;
+
+    if (grantType !== PRE_AUTHORIZED_CODE_GRANT) {
+      throw new OAuthError('unsupported_grant_type', `Only the ${PRE_AUTHORIZED_CODE_GRANT} grant is supported`);
+    }
+
+    if (!preAuthorizedCode) {
+      throw new OAuthError('invalid_request', 'Missing pre-authorized_code');
+    }
+
+    const result = await this.db.query(
+      `SELECT id, tx_code_hash, tx_code_attempts
+       FROM credential_offers
+       WHERE pre_authorized_code = $1 AND status = 'OFFERED' AND expires_at > NOW()`,
+      [preAuthorizedCode]
+    );
+
+    if (result.rows.length === 0) {
+      throw new OAuthError('invalid_grant', 'Pre-authorized code is invalid, expired or already used');
+    }
+
+    const offer = result.rows[0];
+
+    if (offer.tx_code_hash) {
+      if (!txCode) {
+        throw new OAuthError('invalid_request', 'Missing tx_code');
+      }
+
+      const matches = crypto.timingSafeEqual(Buffer.from(hashSecret(String(txCode))), Buffer.from(offer.tx_code_hash));
+      if (!matches) {
+        // Cancel the offer once the PIN has been guessed at too often
+        await this.db.query(
+          `UPDATE credential_offers
+           SET tx_code_attempts = tx_code_attempts + 1,
+               status = CASE WHEN tx_code_attempts + 1 >= $2 THEN 'CANCELLED' ELSE status END,
+               updated_at = NOW()
+           WHERE id = $1`,
+          [offer.id, config.oid4vci.maxTxCodeAttempts]
+        );
+        throw new OAuthError('invalid_grant', 'Invalid tx_code');
+      }
+    }
+
+    const accessToken = crypto.randomBytes(32).toString('base64url');
+    const cNonce = this._createNonce();
+    const { accessTokenTtl, nonceTtl } = config.oid4vci;
+
+    // The code is single use: only one token request can move the offer on
+    const updated = await this.db.query(
+      `UPDATE credential_offers
+       SET status = 'TOKEN_ISSUED',
+           access_token_hash = $2,
+           access_token_expires_at = NOW() + ($3 || ' seconds')::interval,
+           c_nonce = $4,
+           c_nonce_expires_at = NOW() + ($5 || ' seconds')::interval,
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'OFFERED'
+       RETURNING id`,
+      [offer.id, hashSecret(accessToken), accessTokenTtl.toString(), cNonce, nonceTtl.toString()]
+    );
+
+    if (updated.rows.length === 0) {
+      throw new OAuthError('invalid_grant', 'Pre-authorized code is invalid, expired or already used');
+    }
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: accessTokenTtl,
+      c_nonce: cNonce,
+      c_nonce_expires_in: nonceTtl
+    };
+  }
+
+  /**
+   * Credential endpoint: check the wallet's proof of possession and issue the
+   * offered credential through the CredentialService
+   * @param {String} accessToken - Bearer access token from the token endpoint
+   * @param {Object} request - Credential request
+   * @returns {Promise<Object>} - Credential response with a fresh c_nonce
+   * @throws {OAuthError} - OAuth / OID4VCI error for the wallet
+   */
+  async issueCredential(accessToken, request = {}) {
+    if (!accessToken) {
+      throw new OAuthError('invalid_token', 'Missing access token', 401);
+    }
+
+    const result = await this.db.query(
+      `SELECT o.id, o.template_id, o.subject_did, o.claims, o.c_nonce, o.c_nonce_expires_at,
+              o.access_token_expires_at, o.created_by, t.format
+       FROM credential_offers o
+       JOIN credential_templates t ON t.template_id = o.template_id
+       WHERE o.access_token_hash = $1 AND o.status = 'TOKEN_ISSUED'`,
+      [hashSecret(accessToken)]
+    );
+
+    if (result.rows.length === 0 || new Date(result.rows[0].access_token_expires_at) <= new Date()) {
+      throw new OAuthError('invalid_token', 'Access token is invalid, expired or already used', 401);
+    }
+
+    const offer = result.rows[0];
+
+    const configurationId = request.credential_configuration_id || request.credential_identifier;
+    if (configurationId && configurationId !== offer.template_id) {
+      throw new OAuthError('unsupported_credential_type', `Credential ${configurationId} was not offered`);
+    }
+
+    if (!configurationId && request.format !== OID4VCI_FORMATS[offer.format]) {
+      throw new OAuthError('unsupported_credential_format', `Credential is offered as ${OID4VCI_FORMATS[offer.format]}`);
+    }
+
+    const proofJwt = request.proof ? request.proof.jwt : (request.proofs && request.proofs.jwt && request.proofs.jwt[0]);
+    if ((request.proof && request.proof.proof_type !== 'jwt') || !proofJwt) {
+      throw await this._invalidProof(offer.id, 'A jwt proof of possession is required');
+    }
+
+    let holder;
+    try {
+      holder = await this._verifyProof(proofJwt, offer);
+    } catch (error) {
+      throw await this._invalidProof(offer.id, error.message);
+    }
+
+    // Only one credential request can redeem the token
+    const claimed = await this.db.query(
+      `UPDATE credential_offers SET status = 'ISSUING', updated_at = NOW()
+       WHERE id = $1 AND status = 'TOKEN_ISSUED'
+       RETURNING id`,
+      [offer.id]
+    );
+
+    if (claimed.rows.length === 0) {
+      throw new OAuthError('invalid_token', 'Access token is invalid, expired or already used', 401);
+    }
+
+    try {
+      const template = await this.templateService.getTemplate(offer.template_id);
+
+      const issued = await this.credentialService.issueCredential(
+        config.oid4vci.issuerDid,
+        offer.subject_did,
+        { ...template.default_claims, ...offer.claims },
+        config.oid4vci.issuerWalletAddress,
+        this.templateService.toIssuanceOptions(template, {
+          holderJwk: holder.jwk,
+          holderKid: holder.kid,
+          metadata: { offerId: offer.id }
+        })
+      );
+
+      const cNonce = this._createNonce();
+
+      await this.db.query(
+        `UPDATE credential_offers
+         SET status = 'ISSUED', credential_hash = $2, c_nonce = $3,
+             c_nonce_expires_at = NOW() + ($4 || ' seconds')::interval,
+             issued_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [offer.id, issued.credentialHash, cNonce, config.oid4vci.nonceTtl.toString()]
+      );
+
+      return {
+        credential: issued.credential,
+        c_nonce: cNonce,
+        c_nonce_expires_in: config.oid4vci.nonceTtl
+      };
+    } catch (error) {
+      // Let the wallet retry with the same access token
+      await this.db.query(
+        `UPDATE credential_offers SET status = 'TOKEN_ISSUED', updated_at = NOW() WHERE id = $1`,
+        [offer.id]
+      );
+
+      console.error('Error issuing OID4VCI credential:', error);
+      throw new Error(`Failed to issue credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a proof-of-possession JWT against the offer's current c_nonce
+   * @private
+   * @param {String} jwt - Proof JWT
+   * @param {Object} offer - Offer row
+   * @returns {Promise<Object>} - Holder key binding (jwk, or kid of a key of the subject DID)
+   */
+  async _verifyProof(jwt, offer) {
+    const { header, payload } = decodeJwt(jwt);
+
+    if (header.typ !== PROOF_JWT_TYPE) {
+      throw new Error(`Proof JWT must have typ ${PROOF_JWT_TYPE}`);
+    }
+
+    if (!PROOF_SIGNING_ALGORITHMS.includes(header.alg)) {
+      throw new Error(`Unsupported proof algorithm: ${header.alg}`);
+    }
+
+    if (payload.aud !== this.getEndpoints().credentialIssuer) {
+      throw new Error('Proof audience must be the credential issuer');
+    }
+
+    if (!offer.c_nonce || payload.nonce !== offer.c_nonce || new Date(offer.c_nonce_expires_at) <= new Date()) {
+      throw new Error('Proof nonce is missing, stale or does not match c_nonce');
+    }
+
+    if (!payload.iat || Math.abs(Math.floor(Date.now() / 1000) - payload.iat) > PROOF_MAX_AGE) {
+      throw new Error('Proof JWT is stale');
+    }
+
+    if (header.jwk) {
+      verifyJwt(jwt, publicKeyFromJwk(header.jwk));
+      return { jwk: header.jwk };
+    }
+
+    if (!header.kid || !header.kid.startsWith(`${offer.subject_did}#`)) {
+      throw new Error('Proof must carry a jwk or the kid of a key of the credential subject');
+    }
+
+    const { document, verificationMethod } = await this.didService.resolveVerificationMethod(header.kid);
+
+    if (!this.didService.isAuthorizedFor(document, header.kid, 'authentication')) {
+      throw new Error('Proof key is not authorized for authentication');
+    }
+
+    const publicKey = verificationMethod.publicKeyJwk
+      ? publicKeyFromJwk(verificationMethod.publicKeyJwk)
+      : publicKeyFromMultikey(verificationMethod.publicKeyMultibase).keyObject;
+
+    verifyJwt(jwt, publicKey);
+    return { kid: header.kid };
+  }
+
+  /**
+   * Rotate an offer's c_nonce and build the invalid_proof error carrying it
+   * @private
+   * @param {String} offerId - Offer ID
+   * @param {String} description - Why the proof was rejected
+   * @returns {Promise<OAuthError>} - Error to throw
+   */
+  async _invalidProof(offerId, description) {
+    const cNonce = this._createNonce();
+
+    await this.db.query(
+      `UPDATE credential_offers
+       SET c_nonce = $2, c_nonce_expires_at = NOW() + ($3 || ' seconds')::interval, updated_at = NOW()
+       WHERE id = $1`,
+      [offerId, cNonce, config.oid4vci.nonceTtl.toString()]
+    );
+
+    return new OAuthError('invalid_proof', description, 400, {
+      c_nonce: cNonce,
+      c_nonce_expires_in: config.oid4vci.nonceTtl
+    });
+  }
+
+  /**
+   * Generate a c_nonce
+   * @private
+   * @returns {String} - Nonce
+   */
+  _createNonce() {
+    return crypto.randomBytes(16).toString('base64url');
+  }
+
+  /**
+   * Build a credential offer object
+   * @private
+   * @param {String} templateId - Offered credential configuration
+   * @param {String} preAuthorizedCode - Pre-authorized code
+   * @param {Boolean} txCodeRequired - Whether the wallet must ask for a PIN
+   * @returns {Object} - Credential offer
+   */
+  _toCredentialOffer(templateId, preAuthorizedCode, txCodeRequired) {
+    const grant = { 'pre-authorized_code': preAuthorizedCode };
+
+    if (txCodeRequired) {
+      grant.tx_code = {
+        input_mode: 'numeric',
+        length: 6,
+        description: 'Enter the code sent to you by the issuer'
+      };
+    }
+
+    return {
+      credential_issuer: this.getEndpoints().credentialIssuer,
+      credential_configuration_ids: [templateId],
+      grants: { [PRE_AUTHORIZED_CODE_GRANT]: grant }
+    };
+  }
+
+  /**
+   * Describe a template as an OID4VCI credential configuration
+   * @private
+   * @param {Object} template - Template row
+   * @returns {Object} - Credential configuration
+   */
+  _toCredentialConfiguration(template) {
+    const type = ['VerifiableCredential', template.credential_type];
+
+    const configuration = {
+      format: OID4VCI_FORMATS[template.format],
+      scope: template.template_id,
+      cryptographic_binding_methods_supported: ['did', 'jwk'],
+      credential_signing_alg_values_supported: template.format === 'ldp_vc'
+        ? ['eddsa-rdfc-2022', 'ecdsa-secp256k1-2019']
+        : ['EdDSA', 'ES256K'],
+      proof_types_supported: {
+        jwt: { proof_signing_alg_values_supported: PROOF_SIGNING_ALGORITHMS }
+      },
+      display: [{ name: template.name, description: template.description || undefined, locale: 'en-US' }]
+    };
+
+    if (template.format === 'vc+sd-jwt') {
+      configuration.vct = template.credential_type;
+    } else {
+      configuration.credential_definition = {
+        ...(template.format === 'ldp_vc' && {
+          '@context': ['https://www.w3.org/2018/credentials/v1', ...template.context.filter(entry => typeof entry === 'string')]
+        }),
+        type
+      };
+    }
+
+    return configuration;
+  }
+}
+
+OID4VCIService.PRE_AUTHORIZED_CODE_GRANT = PRE_AUTHORIZED_CODE_GRANT;
+
+module.exports = OID4VCIService;
@@ -0,0 +1,361 @@
+/**
+ * OpenID for Verifiable Presentations (OID4VP) verifier
+ * Creates authorization requests with a Presentation Exchange definition on
+ * behalf of verifiers, receives the wallet's vp_token by direct_post, and
+ * keeps the verification result for the verifier to poll.
+ */
+const config = require('../config');
+const CredentialService = require('./credential');
+const PresentationService = require('./presentation');
+const { signJwt } = require('../utils/vcJwt');
+const { checkDefinition, evaluateSubmission } = require('../utils/presentationExchange');
+const { OAuthError } = require('../middleware/error');
+
+// Audience of request objects for self-issued wallets
+const WALLET_AUDIENCE = 'https://self-issued.me/v2';
+
+// Presentation formats accepted in a vp_token
+const VP_FORMATS = {
+  ldp_vp: { proof_type: ['DataIntegrityProof'] },
+  jwt_vp_json: { alg: ['EdDSA', 'ES256K', 'ES256'] },
+  'vc+sd-jwt': {
+    'sd-jwt_alg_values': ['EdDSA', 'ES256K'],
+    'kb-jwt_alg_values': ['EdDSA', 'ES256K', 'ES256']
+  }
+};
+
+class OID4VPService {
+  constructor(db, redis, didService) {
+    this.db = db;
+    this.redis = redis;
+    this.didService = didService;
+    this.credentialService = new CredentialService(db, redis, didService);
+    this.presentationService = new PresentationService(db, redis, didService);
+  }
+
+  /**
+   * Public URLs of the verifier endpoints
+   * @returns {Object} - Response URI and request URI prefix
+   */
+  getEndpoints() {
+    const baseUrl = config.oid4vp.baseUrl.replace(/\/$/, '');
+
+    return {
+      responseUri: `${baseUrl}/api/oid4vp/response`,
+      requestUriBase: `${baseUrl}/api/oid4vp/requests`
+    };
+  }
+
+  /**
+   * Create an authorization request for a presentation
+   * @param {Object} presentationDefinition - DIF Presentation Exchange v2 definition
+   * @param {String} createdBy - ID of the verifier's user
+   * @returns {Promise<Object>} - Request ID, wallet deep link, request URI and expiry
+   */
+  async createRequest(presentationDefinition, createdBy) {
+    try {
+      const definitionError = checkDefinition(presentationDefinition);
+      if (definitionError) {
+        throw new Error(definitionError);
+      }
+
+      const { clientId, clientIdScheme } = this._getClient();
+      const ttl = config.oid4vp.requestTtl;
+
+      // The nonce is a presentation challenge so that ldp_vp proofs are checked and consumed as usual
+      const { challenge: nonce } = await this.presentationService.createChallenge(clientId, ttl);
+
+      const result = await this.db.query(
+        `INSERT INTO presentation_requests (
+           client_id, client_id_scheme, nonce, presentation_definition, expires_at, created_by
+         )
+         VALUES ($1, $2, $3, $4, NOW() + ($5 || ' seconds')::interval, $6)
+         RETURNING id, expires_at`,
+        [clientId, clientIdScheme, nonce, JSON.stringify(presentationDefinition), ttl.toString(), createdBy]
+      );
+
+      const { id, expires_at } = result.rows[0];
+      const requestUri = `${this.getEndpoints().requestUriBase}/${id}/request-object`;
+
+      return {
+        requestId: id,
+        authorizationRequestUri: `openid4vp://?client_id=${encodeURIComponent(clientId)}` +
+          `&client_id_scheme=${clientIdScheme}&request_uri=${encodeURIComponent(requestUri)}`,
+        requestUri,
+        expiresAt: expires_at
+      };
+    } catch (error) {
+      console.error('Error creating presentation request:', error);
+      throw new Error(`Failed to create presentation request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the request object a wallet fetches from request_uri. It is signed
+   * with the verifier DID's authentication key, or unsigned when the
+   * response URI is the client_id
+   * @param {String} requestId - Request ID
+   * @returns {Promise<String|null>} - Request object JWT, or null if the request is not pending
+   */
+  async getRequestObject(requestId) {
+    const result = await this.db.query(
+      `SELECT id, client_id, client_id_scheme, nonce, presentation_definition, expires_at
+       FROM presentation_requests
+       WHERE id::text = $1 AND status = 'PENDING' AND expires_at > NOW()`,
+      [requestId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const request = result.rows[0];
+    const now = Math.floor(Date.now() / 1000);
+
+    const payload = {
+      iss: request.client_id,
+      aud: WALLET_AUDIENCE,
+      iat: now,
+      exp: Math.floor(new Date(request.expires_at).getTime() / 1000),
+      response_type: 'vp_token',
+      response_mode: 'direct_post',
+      client_id: request.client_id,
+      client_id_scheme: request.client_id_scheme,
+      response_uri: this.getEndpoints().responseUri,
+      nonce: request.nonce,
+      state: request.id,
+      presentation_definition: request.presentation_definition,
+      client_metadata: {
+        client_name: config.oid4vp.clientName,
+        vp_formats: VP_FORMATS
+      }
+    };
+
+    if (request.client_id_scheme !== 'did') {
+      const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+      return `${encode({ alg: 'none', typ: 'oauth-authz-req+jwt' })}.${encode(payload)}.`;
+    }
+
+    const { verificationMethod, privateKeyPem } = await this.didService.getAuthenticationKey(request.client_id);
+    return signJwt({ typ: 'oauth-authz-req+jwt', kid: verificationMethod }, payload, privateKeyPem);
+  }
+
+  /**
+   * Receive a wallet's authorization response (direct_post) and verify it
+   * @param {Object} response - vp_token, presentation_submission and state, or error and state
+   * @returns {Promise<Object>} - Stored verification result
+   * @throws {OAuthError} - If the response does not answer a pending request
+   */
+  async receiveResponse(response) {
+    const { state } = response;
+
+    if (!state) {
+      throw new OAuthError('invalid_request', 'Missing state');
+    }
+
+    // A request can be answered once
+    const claimed = await this.db.query(
+      `UPDATE presentation_requests
+       SET status = 'SUBMITTED', submitted_at = NOW()
+       WHERE id::text = $1 AND status = 'PENDING' AND expires_at > NOW()
+       RETURNING id, client_id, nonce, presentation_definition`,
+      [state]
+    );
+
+    if (claimed.rows.length === 0) {
+      throw new OAuthError('invalid_request', 'Unknown, expired or already answered state');
+    }
+
+    const request = claimed.rows[0];
+    let result;
+
+    try {
+      result = response.error
+        ? { verified: false, walletError: { error: response.error, description: response.error_description || null } }
+        : await this.verifyResponse(request, response);
+    } catch (error) {
+      result = { verified: false, errors: [error.message] };
+    }
+
+    await this.db.query(
+      `UPDATE presentation_requests SET status = $2, holder_did = $3, result = $4 WHERE id = $1`,
+      [request.id, result.verified ? 'VERIFIED' : 'REJECTED', result.holder || null, JSON.stringify(result)]
+    );
+
+    return result;
+  }
+
+  /**
+   * Verify every presentation in a vp_token and evaluate the submission
+   * against the request's presentation definition
+   * @param {Object} request - Request row
+   * @param {Object} response - vp_token and presentation_submission
+   * @returns {Promise<Object>} - Verification result
+   */
+  async verifyResponse(request, response) {
+    const vpToken = this._parseJsonParameter(response.vp_token, 'vp_token');
+    const submission = this._parseJsonParameter(response.presentation_submission, 'presentation_submission');
+
+    const presentations = [];
+    for (const [index, presentation] of [].concat(vpToken).entries()) {
+      presentations.push({ index, ...(await this._verifyPresentation(presentation, request)) });
+    }
+
+    const holders = [...new Set(presentations.map(presentation => presentation.holder).filter(Boolean))];
+    const evaluation = evaluateSubmission(request.presentation_definition, submission, vpToken);
+
+    const errors = [
+      ...(holders.length > 1 ? ['Presentations were made by different holders'] : []),
+      ...evaluation.errors
+    ];
+
+    return {
+      verified: presentations.length > 0 &&
+        presentations.every(presentation => presentation.verified) &&
+        holders.length === 1 &&
+        evaluation.satisfied,
+      holder: holders[0] || null,
+      presentations,
+      submission: {
+        satisfied: evaluation.satisfied,
+        descriptors: evaluation.descriptors
+      },
+      errors
+    };
+  }
+
+  /**
+   * Get a request's status and result for its verifier
+   * @param {String} requestId - Request ID
+   * @returns {Promise<Object|null>} - Request, or null if not found
+   */
+  async getRequest(requestId) {
+    const result = await this.db.query(
+      `SELECT id, client_id, presentation_definition, status, holder_did, result,
+              expires_at, submitted_at, created_by, created_at
+       FROM presentation_requests
+       WHERE id::text = $1`,
+      [requestId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const request = result.rows[0];
+
+    // Unanswered requests expire without a write
+    if (request.status === 'PENDING' && new Date(request.expires_at) <= new Date()) {
+      request.status = 'EXPIRED';
+    }
+
+    return request;
+  }
+
+  /**
+   * Verify one presentation of a vp_token
+   * @private
+   * @param {Object|String} presentation - ldp_vp object, VP-JWT, or SD-JWT with key binding
+   * @param {Object} request - Request row
+   * @returns {Promise<Object>} - Per-presentation verdict
+   */
+  async _verifyPresentation(presentation, request) {
+    try {
+      if (presentation && typeof presentation === 'object') {
+        const result = await this.presentationService.verifyPresentation(presentation, {
+          challenge: request.nonce,
+          domain: request.client_id
+        });
+
+        return {
+          format: 'ldp_vp',
+          verified: result.verified,
+          holder: result.holder,
+          details: result.details,
+          credentials: result.credentials
+        };
+      }
+
+      if (typeof presentation !== 'string') {
+        throw new Error('Unsupported presentation');
+      }
+
+      if (presentation.includes('~')) {
+        const result = await this.credentialService.verifyCredential(presentation, null, {
+          audience: request.client_id,
+          nonce: request.nonce
+        });
+
+        return {
+          format: 'vc+sd-jwt',
+          verified: result.verified,
+          holder: result.subject,
+          details: result.details,
+          credentials: [{
+            index: 0,
+            verified: result.verified,
+            format: result.format,
+            status: result.status,
+            issuer: result.issuer,
+            subject: result.subject,
+            expirationDate: result.expirationDate,
+            disclosedClaims: result.disclosedClaims
+          }]
+        };
+      }
+
+      const result = await this.presentationService.verifyJwtPresentation(presentation, {
+        nonce: request.nonce,
+        audience: request.client_id
+      });
+
+      return {
+        format: 'jwt_vp_json',
+        verified: result.verified,
+        holder: result.holder,
+        details: result.details,
+        credentials: result.credentials
+      };
+    } catch (error) {
+      return { verified: false, error: error.message };
+    }
+  }
+
+  /**
+   * The verifier's client_id: its DID when configured, otherwise the response URI
+   * @private
+   * @returns {Object} - clientId and clientIdScheme
+   */
+  _getClient() {
+    return config.oid4vp.verifierDid
+      ? { clientId: config.oid4vp.verifierDid, clientIdScheme: 'did' }
+      : { clientId: this.getEndpoints().responseUri, clientIdScheme: 'redirect_uri' };
+  }
+
+  /**
+   * Parse a direct_post parameter that may carry JSON
+   * @private
+   * @param {*} value - Parameter value
+   * @param {String} name - Parameter name
+   * @returns {*} - Parsed value
+   */
+  _parseJsonParameter(value, name) {
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`Missing ${name}`);
+    }
+
+    if (typeof value === 'string' && /^\s*[[{"]/.test(value)) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new Error(`${name} is not valid JSON`);
+      }
+    }
+
+    return value;
+  }
+}
+
+OID4VPService.VP_FORMATS = VP_FORMATS;
+
+module.exports = OID4VPService;
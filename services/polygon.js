@@ -403,6 +403,30 @@ getSoulboundNFTContract(provider, signer) {
       throw new Error(JSON.stringify(errorDetails, null, 2));
     }
   }
+  /**
+   * Register an issued credential in the SoulboundNFT credential registry
+   * @param {String} issuerDid - The issuer's DID
+   * @param {String} subjectDid - The subject's DID
+   * @param {String} credentialHash - The credential hash (0x-prefixed bytes32)
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async registerCredential(issuerDid, subjectDid, credentialHash) {
+    try {
+      const provider = this.getProvider();
+      const signer = this.getWallet(provider);
+      const soulboundNFTContract = this.getSoulboundNFTContract(provider, signer);
+
+      const tx = await soulboundNFTContract.issueCredential(issuerDid, subjectDid, credentialHash);
+      const receipt = await tx.wait(1);
+
+      console.log(`Registered credential ${credentialHash} on-chain in block ${receipt.blockNumber}`);
+      return receipt;
+    } catch (error) {
+      console.error('Error registering credential on-chain:', error);
+      throw new Error(`Failed to register credential on-chain: ${error.message}`);
+    }
+  }
+
   /**
    * Update an SBT token with credential information
    * @param {Number} tokenId - The SBT token ID
@@ -444,9 +468,83 @@ getSoulboundNFTContract(provider, signer) {
   }
 
   /**
-   * Update the SBT Merkle root with new credential status
+   * Set the status of an SBT token (e.g. to flag the token of a deactivated DID)
+   * @param {Number} tokenId - The SBT token ID
+   * @param {Number} status - Token status code
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async updateSbtStatus(tokenId, status) {
+    try {
+      const provider = this.getProvider();
+      const signer = this.getWallet(provider);
+      const soulboundNFTContract = this.getSoulboundNFTContract(provider, signer);
+
+      // updateCredentialStatus is overloaded; this is the token-level variant
+      const tx = await soulboundNFTContract['updateCredentialStatus(uint256,uint8)'](tokenId, status);
+      const receipt = await tx.wait(1);
+
+      console.log(`Updated SBT #${tokenId} status to ${status}`);
+      return receipt;
+    } catch (error) {
+      console.error('Error updating SBT status:', error);
+      throw new Error(`Failed to update SBT status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Anchor a KYC proof commitment on the holder's SBT token, recorded as one
+   * of the token's credentials like a Merkle root
    * @param {Number} tokenId - The SBT token ID
-   * @param {String} merkleRoot - The new Merkle root
+   * @param {String} commitment - The commitment (a field element, decimal)
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async anchorKycCommitment(tokenId, commitment) {
+    try {
+      const provider = this.getProvider();
+      const signer = this.getWallet(provider);
+      const soulboundNFTContract = this.getSoulboundNFTContract(provider, signer);
+
+      const tx = await soulboundNFTContract.addCredentialToToken(
+        tokenId,
+        ethers.toBeHex(BigInt(commitment), 32),
+        true
+      );
+      const receipt = await tx.wait(1);
+
+      console.log(`Anchored KYC commitment on SBT #${tokenId} in block ${receipt.blockNumber}`);
+      return receipt;
+    } catch (error) {
+      console.error('Error anchoring KYC commitment:', error);
+      throw new Error(`Failed to anchor KYC commitment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that a KYC proof commitment is anchored, and still valid, on an SBT token
+   * @param {Number} tokenId - The SBT token ID
+   * @param {String} commitment - The commitment (a field element, decimal)
+   * @returns {Promise<Boolean>} - Whether the commitment is anchored
+   */
+  async isKycCommitmentAnchored(tokenId, commitment) {
+    try {
+      const provider = this.getProvider();
+      const soulboundNFTContract = this.getSoulboundNFTContract(provider);
+
+      return await soulboundNFTContract.isCredentialValid(tokenId, ethers.toBeHex(BigInt(commitment), 32));
+    } catch (error) {
+      console.error('Error checking KYC commitment:', error);
+      throw new Error(`Failed to check KYC commitment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Anchor a Merkle root of credential hashes on an SBT token
+   *
+   * The root is recorded as one of the token's credentials, so anyone can
+   * check it with isCredentialValid(tokenId, root) or list it with
+   * getTokenCredentials(tokenId).
+   * @param {Number} tokenId - The SBT token ID
+   * @param {String} merkleRoot - The Merkle root
    * @returns {Promise<Object>} - Transaction receipt
    */
   async updateSbtMerkleRoot(tokenId, merkleRoot) {
@@ -457,18 +555,19 @@ getSoulboundNFTContract(provider, signer) {
       const soulboundNFTContract = this.getSoulboundNFTContract(provider, signer);
 
       // Ensure the merkle root is in the right format
-      const bytes32Root = ethers.hexlify(ethers.zeroPad(merkleRoot, 32));
+      const bytes32Root = ethers.zeroPadValue(merkleRoot.startsWith('0x') ? merkleRoot : `0x${merkleRoot}`, 32);
 
-      // Call the contract method
-      const tx = await soulboundNFTContract.updateCredentialsMerkleRoot(
+      // The contract has no dedicated root setter; the root is a token credential
+      const tx = await soulboundNFTContract.addCredentialToToken(
         tokenId,
-        bytes32Root
+        bytes32Root,
+        true
       );
 
       // Wait for the transaction to be confirmed
       const receipt = await tx.wait(1);
 
-      console.log(`Updated SBT #${tokenId} with Merkle root ${merkleRoot}`);
+      console.log(`Anchored Merkle root ${merkleRoot} on SBT #${tokenId}`);
       return receipt;
     } catch (error) {
       console.error('Error updating SBT Merkle root:', error);
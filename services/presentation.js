@@ -0,0 +1,535 @@
+const crypto = require('crypto');
+const config = require('../config');
+const ipfsService = require('./ipfs');
+const CredentialService = require('./credential');
+const { DEFAULT_CRYPTOSUITE, createProof, verifyProof, publicKeyFromMultikey } = require('../utils/dataIntegrity');
+const { decodeJwt, verifyJwt, checkTimeClaims, parseSdJwt, publicKeyFromJwk } = require('../utils/vcJwt');
+
+const PRESENTATION_CONTEXT = [
+  'https://www.w3.org/2018/credentials/v1',
+  'https://w3id.org/security/data-integrity/v2'
+];
+
+const CHALLENGE_PREFIX = 'presentation-challenge';
+
+class PresentationService {
+  constructor(db, redis, didService) {
+    this.db = db;
+    this.redis = redis;
+    this.didService = didService;
+    this.credentialService = new CredentialService(db, redis, didService);
+  }
+
+  /**
+   * Issue a one-time challenge a holder must sign into a presentation
+   * @param {String} domain - Verifier domain the presentation is bound to (optional)
+   * @param {Number} ttl - Seconds the challenge stays valid (default: presentationChallengeTTL)
+   * @returns {Promise<Object>} - Challenge, domain and expiry
+   */
+  async createChallenge(domain, ttl = config.credentials.presentationChallengeTTL) {
+    try {
+      const challenge = crypto.randomBytes(16).toString('hex');
+
+      await this.redis.set(
+        `${CHALLENGE_PREFIX}:${challenge}`,
+        JSON.stringify({ domain: domain || null }),
+        'EX',
+        ttl
+      );
+
+      return {
+        challenge,
+        domain: domain || null,
+        expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
+      };
+    } catch (error) {
+      console.error('Error creating presentation challenge:', error);
+      throw new Error(`Failed to create challenge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the holder's credentials by hash from the registry and IPFS
+   * @param {String} holderDid - The holder's DID
+   * @param {Array<String>} credentialHashes - Credential hashes
+   * @returns {Promise<Array>} - Signed JSON-LD credentials
+   */
+  async getHolderCredentials(holderDid, credentialHashes) {
+    try {
+      const result = await this.db.query(
+        `SELECT credential_hash, ipfs_cid, format
+         FROM credentials
+         WHERE credential_hash = ANY($1) AND subject_did = $2`,
+        [credentialHashes, holderDid]
+      );
+
+      const rows = new Map(result.rows.map(row => [row.credential_hash, row]));
+
+      const credentials = [];
+      for (const credentialHash of credentialHashes) {
+        const row = rows.get(credentialHash);
+
+        if (!row) {
+          throw new Error(`Credential ${credentialHash} not found for holder`);
+        }
+
+        if (row.format && row.format !== 'ldp_vc') {
+          throw new Error(`Credential ${credentialHash} is a ${row.format} credential; presentations embed JSON-LD credentials`);
+        }
+
+        credentials.push(await ipfsService.getFromIPFS(row.ipfs_cid));
+      }
+
+      return credentials;
+    } catch (error) {
+      console.error('Error loading holder credentials:', error);
+      throw new Error(`Failed to load credentials: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a holder's active, unexpired credentials from the registry and IPFS.
+   * VC-JWTs and SD-JWTs are returned as the issuer-signed JWT (SD-JWT
+   * disclosures are never pinned, so their selectively disclosable claims
+   * are not available here)
+   * @param {String} holderDid - The holder's DID
+   * @returns {Promise<Array<Object>>} - credentialHash, format and credential (object or compact JWT)
+   */
+  async getActiveCredentials(holderDid) {
+    try {
+      const result = await this.db.query(
+        `SELECT credential_hash, ipfs_cid, format
+         FROM credentials
+         WHERE subject_did = $1
+           AND status = 'ACTIVE'
+           AND (expiration_date IS NULL OR expiration_date > NOW())
+         ORDER BY issuance_date DESC`,
+        [holderDid]
+      );
+
+      const credentials = [];
+      for (const row of result.rows) {
+        const pinned = await ipfsService.getFromIPFS(row.ipfs_cid);
+
+        credentials.push({
+          credentialHash: row.credential_hash,
+          format: row.format || 'ldp_vc',
+          credential: row.format && row.format !== 'ldp_vc' ? pinned.jwt : pinned
+        });
+      }
+
+      return credentials;
+    } catch (error) {
+      console.error('Error loading active credentials:', error);
+      throw new Error(`Failed to load credentials: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a Verifiable Presentation and sign it with the holder's authentication key
+   * @param {String} holderDid - The holder's DID
+   * @param {Array<Object>} credentials - Signed JSON-LD credentials to present
+   * @param {String} holderWalletAddress - The holder's wallet address
+   * @param {Object} options - challenge, domain and cryptosuite
+   * @returns {Promise<Object>} - The signed presentation
+   */
+  async createPresentation(holderDid, credentials, holderWalletAddress, options = {}) {
+    try {
+      const { challenge, domain, cryptosuite = DEFAULT_CRYPTOSUITE } = options;
+
+      if (!challenge) {
+        throw new Error('A verifier challenge is required');
+      }
+
+      if (!Array.isArray(credentials) || credentials.length === 0) {
+        throw new Error('At least one credential is required');
+      }
+
+      const isController = await this.didService.verifyController(holderDid, holderWalletAddress);
+      if (!isController) {
+        throw new Error('Not authorized to present credentials for this DID');
+      }
+
+      credentials.forEach((credential, index) => {
+        if (!credential || typeof credential !== 'object' || !credential.proof) {
+          throw new Error(`Credential ${index} is not a signed JSON-LD credential`);
+        }
+
+        if (!credential.credentialSubject || credential.credentialSubject.id !== holderDid) {
+          throw new Error(`Credential ${index} was not issued to the holder`);
+        }
+      });
+
+      const presentation = {
+        '@context': PRESENTATION_CONTEXT,
+        id: `urn:uuid:${crypto.randomUUID()}`,
+        type: ['VerifiablePresentation'],
+        holder: holderDid,
+        verifiableCredential: credentials
+      };
+
+      const { verificationMethod, privateKeyPem } = await this.didService.getAuthenticationKey(holderDid, cryptosuite);
+
+      return await createProof(presentation, {
+        cryptosuite,
+        verificationMethod,
+        privateKeyPem,
+        proofPurpose: 'authentication',
+        challenge,
+        domain
+      });
+    } catch (error) {
+      console.error('Error creating presentation:', error);
+      throw new Error(`Failed to create presentation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a presentation: holder proof, challenge freshness, and each
+   * embedded credential's proof, status, expiry and holder binding
+   * @param {Object} presentation - The signed presentation
+   * @param {Object} expected - Expected challenge and domain
+   * @returns {Promise<Object>} - Verification result with a verdict per credential
+   */
+  async verifyPresentation(presentation, expected = {}) {
+    try {
+      const { challenge, domain } = expected;
+
+      if (!challenge) {
+        throw new Error('Expected challenge is required');
+      }
+
+      const holder = typeof presentation.holder === 'object' ? presentation.holder.id : presentation.holder;
+
+      const issuedChallenge = await this._getChallenge(challenge);
+      const proof = await this.verifyPresentationProof(presentation, {
+        challenge,
+        domain: domain !== undefined ? domain : (issuedChallenge && issuedChallenge.domain) || undefined
+      });
+
+      const challengeResult = await this._checkChallenge(issuedChallenge, challenge, domain, proof.verified);
+
+      const embedded = [].concat(presentation.verifiableCredential || []);
+      const credentials = [];
+
+      for (const [index, credential] of embedded.entries()) {
+        credentials.push(await this._verifyEmbeddedCredential(credential, index, holder));
+      }
+
+      const verified = proof.verified &&
+        challengeResult.fresh &&
+        credentials.length > 0 &&
+        credentials.every(result => result.verified);
+
+      return {
+        verified,
+        holder,
+        challenge,
+        domain: proof.domain || null,
+        details: {
+          proof,
+          challenge: challengeResult
+        },
+        credentials
+      };
+    } catch (error) {
+      console.error('Error verifying presentation:', error);
+      throw new Error(`Failed to verify presentation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a VP-JWT: the holder's signature with an authentication key, the
+   * expected nonce and audience, and each embedded credential as for
+   * verifyPresentation. Replay is left to the caller, which owns the nonce
+   * @param {String} jwt - Compact VP-JWT
+   * @param {Object} expected - Expected nonce and audience
+   * @returns {Promise<Object>} - Verification result with a verdict per credential
+   */
+  async verifyJwtPresentation(jwt, expected = {}) {
+    try {
+      const { nonce, audience } = expected;
+
+      if (!nonce) {
+        throw new Error('Expected nonce is required');
+      }
+
+      const { header, payload } = decodeJwt(jwt);
+      const holder = payload.iss;
+      const proof = await this._verifyJwtPresentationProof(header, holder, jwt);
+
+      const { expired, notYetValid } = checkTimeClaims(payload);
+      const errors = [];
+
+      if (payload.nonce !== nonce) errors.push('Nonce mismatch');
+      if (audience !== undefined && payload.aud !== audience) errors.push('Audience mismatch');
+      if (expired || notYetValid) errors.push('VP-JWT is expired or not yet valid');
+
+      const embedded = [].concat((payload.vp || {}).verifiableCredential || []);
+      const credentials = [];
+
+      for (const [index, credential] of embedded.entries()) {
+        credentials.push(await this._verifyEmbeddedCredential(credential, index, holder));
+      }
+
+      const verified = proof.verified &&
+        errors.length === 0 &&
+        credentials.length > 0 &&
+        credentials.every(result => result.verified);
+
+      return {
+        verified,
+        holder,
+        details: {
+          proof,
+          errors
+        },
+        credentials
+      };
+    } catch (error) {
+      console.error('Error verifying presentation:', error);
+      throw new Error(`Failed to verify presentation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a presentation bound to a challenge issued by createChallenge, in
+   * any supported format: a Data Integrity presentation (challenge in the
+   * proof), a VP-JWT (challenge as nonce) or an SD-JWT whose key binding JWT
+   * carries the challenge as nonce. The challenge is consumed on success
+   * @param {Object|String} presentation - The presentation
+   * @returns {Promise<Object>} - Verification result with the holder, a verdict per credential
+   *   and the presented credentials
+   */
+  async verifySubmittedPresentation(presentation) {
+    if (presentation && typeof presentation === 'object') {
+      const challenge = presentation.proof && presentation.proof.challenge;
+
+      if (!challenge) {
+        return { verified: false, error: 'Presentation proof has no challenge' };
+      }
+
+      return {
+        format: 'ldp_vp',
+        ...(await this.verifyPresentation(presentation, { challenge })),
+        presentedCredentials: [].concat(presentation.verifiableCredential || [])
+      };
+    }
+
+    if (typeof presentation !== 'string') {
+      return { verified: false, error: 'Unsupported presentation' };
+    }
+
+    let result;
+    let binding;
+
+    if (presentation.includes('~')) {
+      const { kbJwt } = parseSdJwt(presentation);
+
+      if (!kbJwt) {
+        return { verified: false, error: 'SD-JWT presentations require a key binding JWT' };
+      }
+
+      binding = decodeJwt(kbJwt).payload;
+
+      const credential = await this.credentialService.verifyCredential(presentation, null, {
+        nonce: binding.nonce,
+        audience: binding.aud
+      });
+
+      result = {
+        format: 'vc+sd-jwt',
+        verified: credential.verified,
+        holder: credential.subject,
+        details: credential.details,
+        credentials: [{ index: 0, ...credential }],
+        presentedCredentials: [presentation]
+      };
+    } else {
+      binding = decodeJwt(presentation).payload;
+      result = {
+        format: 'jwt_vp_json',
+        ...(await this.verifyJwtPresentation(presentation, { nonce: binding.nonce, audience: binding.aud })),
+        presentedCredentials: [].concat((binding.vp || {}).verifiableCredential || [])
+      };
+    }
+
+    const challenge = result.verified
+      ? await this.consumeChallenge(binding.nonce, binding.aud)
+      : { fresh: false, consumed: false };
+
+    return {
+      ...result,
+      verified: result.verified && challenge.fresh,
+      details: { ...result.details, challenge }
+    };
+  }
+
+  /**
+   * Consume a challenge issued by createChallenge once a presentation bound
+   * to it (e.g. a VP-JWT nonce) has verified
+   * @param {String} challenge - The challenge
+   * @param {String} domain - Expected domain (optional)
+   * @returns {Promise<Object>} - Freshness result
+   */
+  async consumeChallenge(challenge, domain) {
+    const issuedChallenge = await this._getChallenge(challenge);
+    return this._checkChallenge(issuedChallenge, challenge, domain, true);
+  }
+
+  /**
+   * Verify a presentation's proof against the holder's authentication keys
+   * @param {Object} presentation - The signed presentation
+   * @param {Object} expected - Expected challenge and domain
+   * @returns {Promise<Object>} - Proof verification result
+   */
+  async verifyPresentationProof(presentation, expected) {
+    try {
+      const holder = typeof presentation.holder === 'object' ? presentation.holder.id : presentation.holder;
+      const { proof } = presentation;
+
+      if (!holder) {
+        throw new Error('Presentation has no holder');
+      }
+
+      if (!proof || !proof.verificationMethod) {
+        throw new Error('Presentation has no proof');
+      }
+
+      if (!proof.verificationMethod.startsWith(`${holder}#`)) {
+        throw new Error('Proof was not created with a key of the holder');
+      }
+
+      const { document, verificationMethod } = await this.didService.resolveVerificationMethod(
+        proof.verificationMethod
+      );
+
+      if (verificationMethod.controller !== holder) {
+        throw new Error('Verification method is not controlled by the holder');
+      }
+
+      if (!this.didService.isAuthorizedFor(document, proof.verificationMethod, 'authentication')) {
+        throw new Error('Verification method is not authorized for authentication');
+      }
+
+      const result = await verifyProof(presentation, verificationMethod, {
+        proofPurpose: 'authentication',
+        challenge: expected.challenge,
+        domain: expected.domain
+      });
+
+      return { ...result, domain: proof.domain };
+    } catch (error) {
+      return { verified: false, error: error.message };
+    }
+  }
+
+  /**
+   * Verify a VP-JWT signature against the holder's authentication keys
+   * @private
+   * @param {Object} header - Decoded JWT header
+   * @param {String} holder - Holder DID (iss)
+   * @param {String} jwt - Compact VP-JWT
+   * @returns {Promise<Object>} - Proof verification result
+   */
+  async _verifyJwtPresentationProof(header, holder, jwt) {
+    try {
+      if (!holder || !header.kid || !header.kid.startsWith(`${holder}#`)) {
+        throw new Error('VP-JWT was not signed with a key of the holder');
+      }
+
+      const { document, verificationMethod } = await this.didService.resolveVerificationMethod(header.kid);
+
+      if (verificationMethod.controller !== holder) {
+        throw new Error('Verification method is not controlled by the holder');
+      }
+
+      if (!this.didService.isAuthorizedFor(document, header.kid, 'authentication')) {
+        throw new Error('Verification method is not authorized for authentication');
+      }
+
+      verifyJwt(jwt, verificationMethod.publicKeyJwk
+        ? publicKeyFromJwk(verificationMethod.publicKeyJwk)
+        : publicKeyFromMultikey(verificationMethod.publicKeyMultibase).keyObject);
+
+      return { verified: true, alg: header.alg, verificationMethod: header.kid };
+    } catch (error) {
+      return { verified: false, error: error.message };
+    }
+  }
+
+  /**
+   * Verify one embedded credential and its binding to the holder
+   * @private
+   * @param {Object|String} credential - Embedded credential
+   * @param {Number} index - Position in the presentation
+   * @param {String} holder - Presentation holder DID
+   * @returns {Promise<Object>} - Per-credential verdict
+   */
+  async _verifyEmbeddedCredential(credential, index, holder) {
+    try {
+      const result = await this.credentialService.verifyCredential(credential);
+      const holderBinding = !!result.subject && result.subject === holder;
+
+      return {
+        index,
+        id: typeof credential === 'object' ? credential.id : undefined,
+        verified: result.verified && holderBinding,
+        format: result.format,
+        status: result.status,
+        issuer: result.issuer,
+        subject: result.subject,
+        expirationDate: result.expirationDate,
+        holderBinding,
+        details: result.details
+      };
+    } catch (error) {
+      return { index, verified: false, error: error.message };
+    }
+  }
+
+  /**
+   * Read an issued challenge
+   * @private
+   * @param {String} challenge - The challenge
+   * @returns {Promise<Object|null>} - Stored challenge data, or null if unknown or expired
+   */
+  async _getChallenge(challenge) {
+    const stored = await this.redis.get(`${CHALLENGE_PREFIX}:${challenge}`);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Check a challenge was issued here, is unexpired and matches the domain,
+   * consuming it once the presentation proof has verified
+   * @private
+   * @param {Object|null} issued - Stored challenge data
+   * @param {String} challenge - The challenge
+   * @param {String} domain - Expected domain
+   * @param {Boolean} consume - Whether to consume the challenge
+   * @returns {Promise<Object>} - Freshness result
+   */
+  async _checkChallenge(issued, challenge, domain, consume) {
+    if (!issued) {
+      return { fresh: false, error: 'Challenge expired, already used or not issued by this service' };
+    }
+
+    if (domain !== undefined && issued.domain && issued.domain !== domain) {
+      return { fresh: false, error: 'Challenge was issued for a different domain' };
+    }
+
+    if (!consume) {
+      return { fresh: true, consumed: false };
+    }
+
+    // Only one verification may consume the challenge
+    const deleted = await this.redis.del(`${CHALLENGE_PREFIX}:${challenge}`);
+    if (!deleted) {
+      return { fresh: false, error: 'Challenge has already been used' };
+    }
+
+    return { fresh: true, consumed: true };
+  }
+}
+
+module.exports = PresentationService;
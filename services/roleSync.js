@@ -0,0 +1,633 @@
+/**
+ * Role Synchronization Service
+ * Mirrors chain-scoped off-chain roles onto the AccessControl roles of the
+ * SoulboundNFT and bridge contracts, and reconciles on-chain role events
+ * back into user_roles
+ */
+const ethers = require('ethers');
+const polygonService = require('./polygon');
+
+// Try to load config, use defaults if not available
+let config;
+try {
+  config = require('../config');
+} catch (error) {
+  console.warn('Config file not found, using default role sync config');
+  config = {
+    polygon: {
+      chainId: process.env.POLYGON_CHAIN_ID || '80002',
+      gasLimit: parseInt(process.env.POLYGON_GAS_LIMIT || '3000000')
+    },
+    roleSync: {
+      intervalMs: parseInt(process.env.ROLE_SYNC_INTERVAL_MS || '300000'),
+      startBlock: process.env.ROLE_SYNC_START_BLOCK,
+      blockRange: parseInt(process.env.ROLE_SYNC_BLOCK_RANGE || '2000')
+    }
+  };
+}
+
+/**
+ * Off-chain roles that have an on-chain AccessControl counterpart
+ */
+const ONCHAIN_ROLE_MAPPINGS = {
+  VERIFIER: { contract: 'soulbound', role: 'VERIFIER_ROLE' },
+  CREDENTIAL_ISSUER: { contract: 'soulbound', role: 'CREDENTIAL_MANAGER_ROLE' },
+  BRIDGE_ADMIN: { contract: 'bridge', role: 'BRIDGE_ADMIN_ROLE' }
+};
+
+// Role identifiers read from the contracts, keyed by "<contract>:<role>"
+const roleHashCache = new Map();
+
+// Periodic reconciliation state
+let syncTimer = null;
+let syncRunning = false;
+
+class RoleSyncService {
+  constructor(db) {
+    this.db = db;
+    this.canonicalChainId = String(config.polygon.chainId);
+    this.blockRange = config.roleSync?.blockRange || 2000;
+    this.startBlock = config.roleSync?.startBlock;
+  }
+
+  /**
+   * Get the user_roles chain IDs that refer to the Polygon deployment
+   * @returns {Array<String>} - Chain IDs
+   */
+  static getSyncedChainIds() {
+    return ['polygon', String(config.polygon.chainId)];
+  }
+
+  /**
+   * Check whether a role assignment should be mirrored on-chain
+   * @param {String} roleName - Off-chain role name
+   * @param {String} chainId - user_roles chain ID
+   * @returns {Boolean} - Whether the assignment is synchronized
+   */
+  static isSynced(roleName, chainId) {
+    return !!ONCHAIN_ROLE_MAPPINGS[roleName] &&
+      RoleSyncService.getSyncedChainIds().includes(String(chainId));
+  }
+
+  /**
+   * Submit the on-chain grantRole/revokeRole matching an off-chain role change
+   * @param {String} userId - User ID
+   * @param {String} roleName - Off-chain role name
+   * @param {String} chainId - user_roles chain ID
+   * @param {String} action - GRANT or REVOKE
+   * @returns {Promise<Object|null>} - Sync transaction record, or null if the role is not synchronized
+   */
+  async syncRoleAssignment(userId, roleName, chainId, action = 'GRANT') {
+    if (!RoleSyncService.isSynced(roleName, chainId)) {
+      return null;
+    }
+
+    const userQuery = `
+      SELECT u.wallet_address, r.id AS role_id
+      FROM users u, roles r
+      WHERE u.id = $1 AND r.name = $2
+    `;
+
+    const userResult = await this.db.query(userQuery, [userId, roleName]);
+
+    if (userResult.rows.length === 0) {
+      throw new Error('User or role not found');
+    }
+
+    const { wallet_address: account, role_id: roleId } = userResult.rows[0];
+
+    if (!ethers.isAddress(account)) {
+      return { status: 'SKIPPED', error: 'User wallet is not an EVM address' };
+    }
+
+    const { contract: contractName } = ONCHAIN_ROLE_MAPPINGS[roleName];
+    let record = null;
+
+    try {
+      const contract = this._getContract(contractName);
+      const roleHash = await this._getRoleHash(roleName);
+
+      const insertQuery = `
+        INSERT INTO role_sync_transactions (
+          user_id, role_id, chain_id, contract_address, onchain_role, account, action
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `;
+
+      const insertResult = await this.db.query(insertQuery, [
+        userId,
+        roleId,
+        chainId,
+        (await contract.getAddress()).toLowerCase(),
+        roleHash,
+        account,
+        action
+      ]);
+
+      record = insertResult.rows[0];
+
+      if (!polygonService.wallet) {
+        throw new Error('Polygon wallet not configured');
+      }
+
+      // Nothing to submit if the chain already matches
+      const alreadyHasRole = await contract.hasRole(roleHash, account);
+      if (alreadyHasRole === (action === 'GRANT')) {
+        return this._updateTransaction(record.id, { status: 'CONFIRMED' });
+      }
+
+      const method = action === 'GRANT' ? 'grantRole' : 'revokeRole';
+      const tx = await contract[method](roleHash, account, { gasLimit: config.polygon.gasLimit });
+
+      record = await this._updateTransaction(record.id, { status: 'SUBMITTED', txHash: tx.hash });
+
+      // Confirmation is tracked in the background; checkPendingTransactions
+      // picks up anything still SUBMITTED after a restart
+      tx.wait(1)
+        .then(receipt => this._updateTransaction(record.id, {
+          status: receipt && receipt.status === 1 ? 'CONFIRMED' : 'FAILED',
+          blockNumber: receipt ? receipt.blockNumber : null
+        }))
+        .catch(error => this._updateTransaction(record.id, { status: 'FAILED', error: error.message }))
+        .catch(error => console.error('Error recording role sync confirmation:', error));
+
+      return record;
+    } catch (error) {
+      console.error(`Error syncing ${roleName} ${action} on-chain:`, error);
+
+      if (!record) {
+        return { status: 'FAILED', error: error.message };
+      }
+
+      return this._updateTransaction(record.id, { status: 'FAILED', error: error.message });
+    }
+  }
+
+  /**
+   * Resolve submitted transactions whose confirmation was not observed
+   * @returns {Promise<Number>} - Number of transactions resolved
+   */
+  async checkPendingTransactions() {
+    try {
+      const query = `
+        SELECT id, tx_hash FROM role_sync_transactions
+        WHERE status = 'SUBMITTED' AND tx_hash IS NOT NULL
+        ORDER BY created_at
+      `;
+
+      const result = await this.db.query(query);
+      const provider = polygonService.getProvider();
+      let resolved = 0;
+
+      for (const row of result.rows) {
+        const receipt = await provider.getTransactionReceipt(row.tx_hash);
+
+        if (receipt) {
+          await this._updateTransaction(row.id, {
+            status: receipt.status === 1 ? 'CONFIRMED' : 'FAILED',
+            blockNumber: receipt.blockNumber
+          });
+          resolved++;
+        }
+      }
+
+      return resolved;
+    } catch (error) {
+      console.error('Error checking pending role sync transactions:', error);
+      throw new Error(`Failed to check pending role sync transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply RoleGranted/RoleRevoked events emitted since the last run to user_roles
+   * @returns {Promise<Array>} - Per-contract reconciliation summaries
+   */
+  async reconcile() {
+    const contractNames = [...new Set(Object.values(ONCHAIN_ROLE_MAPPINGS).map(m => m.contract))];
+    const summaries = [];
+
+    for (const contractName of contractNames) {
+      try {
+        summaries.push(await this._reconcileContract(contractName));
+      } catch (error) {
+        console.error(`Error reconciling ${contractName} role events:`, error);
+        summaries.push({ contract: contractName, error: error.message });
+      }
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Compare synchronized off-chain role assignments with live on-chain state
+   * @returns {Promise<Object>} - Drift report
+   */
+  async getDriftReport() {
+    try {
+      const mappedRoles = Object.keys(ONCHAIN_ROLE_MAPPINGS);
+      const syncedChainIds = RoleSyncService.getSyncedChainIds();
+
+      // Every account the off-chain or on-chain side says holds a mapped role
+      const candidatesQuery = `
+        SELECT ur.user_id, u.wallet_address, r.name AS role_name, bool_or(ur.is_active) AS off_chain
+        FROM user_roles ur
+        JOIN users u ON ur.user_id = u.id
+        JOIN roles r ON ur.role_id = r.id
+        WHERE r.name = ANY($1) AND ur.chain_id = ANY($2)
+        GROUP BY ur.user_id, u.wallet_address, r.name
+      `;
+
+      const eventsQuery = `
+        SELECT DISTINCT e.user_id, e.account, e.onchain_role
+        FROM role_sync_events e
+      `;
+
+      const [candidatesResult, eventsResult] = await Promise.all([
+        this.db.query(candidatesQuery, [mappedRoles, syncedChainIds]),
+        this.db.query(eventsQuery)
+      ]);
+
+      const roleHashes = {};
+      for (const roleName of mappedRoles) {
+        roleHashes[roleName] = await this._getRoleHash(roleName);
+      }
+
+      const candidates = new Map();
+
+      for (const row of candidatesResult.rows) {
+        candidates.set(`${row.wallet_address.toLowerCase()}:${row.role_name}`, {
+          userId: row.user_id,
+          account: row.wallet_address,
+          roleName: row.role_name,
+          offChain: row.off_chain
+        });
+      }
+
+      for (const row of eventsResult.rows) {
+        const roleName = mappedRoles.find(name => roleHashes[name] === row.onchain_role);
+        const key = `${row.account.toLowerCase()}:${roleName}`;
+
+        if (roleName && !candidates.has(key)) {
+          candidates.set(key, {
+            userId: row.user_id,
+            account: row.account,
+            roleName,
+            offChain: false
+          });
+        }
+      }
+
+      const drift = [];
+      let inSync = 0;
+
+      for (const candidate of candidates.values()) {
+        if (!ethers.isAddress(candidate.account)) {
+          continue;
+        }
+
+        const contract = this._getContract(ONCHAIN_ROLE_MAPPINGS[candidate.roleName].contract);
+        const onChain = await contract.hasRole(roleHashes[candidate.roleName], candidate.account);
+
+        if (onChain === candidate.offChain) {
+          inSync++;
+          continue;
+        }
+
+        let type = onChain ? 'MISSING_OFF_CHAIN' : 'MISSING_ON_CHAIN';
+        if (onChain && !candidate.userId) {
+          type = 'UNKNOWN_ACCOUNT';
+        }
+
+        drift.push({
+          type,
+          ...candidate,
+          onChain,
+          lastSync: candidate.userId
+            ? await this._getLatestTransaction(candidate.userId, candidate.roleName)
+            : null
+        });
+      }
+
+      return {
+        generatedAt: new Date().toISOString(),
+        chainId: this.canonicalChainId,
+        checked: inSync + drift.length,
+        inSync,
+        drift
+      };
+    } catch (error) {
+      console.error('Error generating role drift report:', error);
+      throw new Error(`Failed to generate role drift report: ${error.message}`);
+    }
+  }
+
+  /**
+   * List role sync transactions
+   * @param {Object} options - Query options (status, userId, limit, offset)
+   * @returns {Promise<Array>} - Sync transactions
+   */
+  async listTransactions(options = {}) {
+    try {
+      const { status, userId, limit = 20, offset = 0 } = options;
+
+      let query = `
+        SELECT t.*, r.name AS role_name
+        FROM role_sync_transactions t
+        JOIN roles r ON t.role_id = r.id
+        WHERE 1=1
+      `;
+
+      const params = [];
+      let paramIndex = 1;
+
+      if (status) {
+        query += ` AND t.status = $${paramIndex++}`;
+        params.push(status);
+      }
+
+      if (userId) {
+        query += ` AND t.user_id = $${paramIndex++}`;
+        params.push(userId);
+      }
+
+      query += ` ORDER BY t.created_at DESC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
+      params.push(limit, offset);
+
+      const result = await this.db.query(query, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing role sync transactions:', error);
+      throw new Error(`Failed to list role sync transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start periodic reconciliation
+   * @param {Object} db - Database instance
+   * @param {Number} intervalMs - Interval between runs
+   * @returns {Object} - Interval handle
+   */
+  static start(db, intervalMs = config.roleSync?.intervalMs || 300000) {
+    if (syncTimer) {
+      return syncTimer;
+    }
+
+    syncTimer = setInterval(async () => {
+      // Skip this tick if the previous run is still scanning blocks
+      if (syncRunning) return;
+      syncRunning = true;
+
+      try {
+        const service = new RoleSyncService(db);
+        await service.checkPendingTransactions();
+        await service.reconcile();
+      } catch (error) {
+        console.error('Role sync run failed:', error);
+      } finally {
+        syncRunning = false;
+      }
+    }, intervalMs);
+
+    if (syncTimer.unref) syncTimer.unref();
+
+    console.log(`Role synchronization scheduled every ${intervalMs}ms`);
+    return syncTimer;
+  }
+
+  /**
+   * Stop periodic reconciliation
+   */
+  static stop() {
+    if (syncTimer) {
+      clearInterval(syncTimer);
+      syncTimer = null;
+    }
+  }
+
+  /**
+   * Scan one contract for role events and apply them
+   * @private
+   * @param {String} contractName - 'soulbound' or 'bridge'
+   * @returns {Promise<Object>} - Reconciliation summary
+   */
+  async _reconcileContract(contractName) {
+    const contract = this._getContract(contractName);
+    const contractAddress = (await contract.getAddress()).toLowerCase();
+    const latestBlock = await polygonService.getProvider().getBlockNumber();
+
+    // Role hashes of this contract's mapped roles
+    const mappedRoles = {};
+    for (const [roleName, mapping] of Object.entries(ONCHAIN_ROLE_MAPPINGS)) {
+      if (mapping.contract === contractName) {
+        mappedRoles[await this._getRoleHash(roleName)] = roleName;
+      }
+    }
+
+    const stateResult = await this.db.query(
+      'SELECT last_block FROM role_sync_state WHERE contract_address = $1',
+      [contractAddress]
+    );
+
+    let fromBlock = stateResult.rows.length > 0
+      ? Number(stateResult.rows[0].last_block) + 1
+      : (this.startBlock !== undefined ? parseInt(this.startBlock) : latestBlock);
+
+    const summary = { contract: contractName, fromBlock, toBlock: latestBlock, granted: 0, revoked: 0, unmatched: 0 };
+
+    while (fromBlock <= latestBlock) {
+      const toBlock = Math.min(fromBlock + this.blockRange - 1, latestBlock);
+
+      const [granted, revoked] = await Promise.all([
+        contract.queryFilter(contract.filters.RoleGranted(), fromBlock, toBlock),
+        contract.queryFilter(contract.filters.RoleRevoked(), fromBlock, toBlock)
+      ]);
+
+      const events = [...granted, ...revoked]
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      for (const event of events) {
+        const roleName = mappedRoles[event.args.role];
+        if (!roleName) continue;
+
+        const applied = await this._applyEvent(event, roleName, contractAddress);
+
+        if (applied === null) {
+          summary.unmatched++;
+        } else if (applied) {
+          summary[event.eventName === 'RoleGranted' ? 'granted' : 'revoked']++;
+        }
+      }
+
+      await this.db.query(`
+        INSERT INTO role_sync_state (contract_address, last_block, updated_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (contract_address) DO UPDATE SET last_block = $2, updated_at = NOW()
+      `, [contractAddress, toBlock]);
+
+      fromBlock = toBlock + 1;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Record a role event and apply it to user_roles
+   * @private
+   * @param {Object} event - ethers EventLog
+   * @param {String} roleName - Off-chain role name
+   * @param {String} contractAddress - Emitting contract address
+   * @returns {Promise<Boolean|null>} - true if applied, false if already seen, null if no user matches
+   */
+  async _applyEvent(event, roleName, contractAddress) {
+    const { role, account, sender } = event.args;
+
+    const userResult = await this.db.query(
+      'SELECT id FROM users WHERE LOWER(wallet_address) = LOWER($1)',
+      [account]
+    );
+    const userId = userResult.rows.length > 0 ? userResult.rows[0].id : null;
+
+    const eventResult = await this.db.query(`
+      INSERT INTO role_sync_events (
+        tx_hash, log_index, contract_address, event_name, onchain_role, account, sender, block_number, user_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+      RETURNING tx_hash
+    `, [
+      event.transactionHash,
+      event.index,
+      contractAddress,
+      event.eventName,
+      role,
+      account,
+      sender,
+      event.blockNumber,
+      userId
+    ]);
+
+    if (eventResult.rowCount === 0) {
+      return false;
+    }
+
+    if (!userId) {
+      return null;
+    }
+
+    const isActive = event.eventName === 'RoleGranted';
+    const syncedChainIds = RoleSyncService.getSyncedChainIds();
+
+    const updateResult = await this.db.query(`
+      UPDATE user_roles ur
+      SET is_active = $1, assigned_at = CASE WHEN $1 AND NOT ur.is_active THEN NOW() ELSE ur.assigned_at END
+      FROM roles r
+      WHERE ur.role_id = r.id AND ur.user_id = $2 AND r.name = $3 AND ur.chain_id = ANY($4)
+    `, [isActive, userId, roleName, syncedChainIds]);
+
+    if (updateResult.rowCount === 0 && isActive) {
+      await this.db.query(`
+        INSERT INTO user_roles (user_id, role_id, chain_id)
+        SELECT $1, id, $3 FROM roles WHERE name = $2
+        ON CONFLICT (user_id, role_id, chain_id) DO UPDATE SET is_active = true
+      `, [userId, roleName, this.canonicalChainId]);
+    }
+
+    await this.db.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, metadata)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      userId,
+      isActive ? 'ONCHAIN_ROLE_GRANTED' : 'ONCHAIN_ROLE_REVOKED',
+      'USER_ROLE',
+      userId,
+      JSON.stringify({ roleName, account, sender, txHash: event.transactionHash })
+    ]);
+
+    return true;
+  }
+
+  /**
+   * Get a contract instance from the Polygon service
+   * @private
+   * @param {String} contractName - 'soulbound' or 'bridge'
+   * @returns {ethers.Contract} - The contract
+   */
+  _getContract(contractName) {
+    const contract = contractName === 'bridge'
+      ? polygonService.bridgeContract
+      : polygonService.soulboundContract;
+
+    if (!contract) {
+      throw new Error(`${contractName} contract not initialized`);
+    }
+
+    return contract;
+  }
+
+  /**
+   * Read the on-chain role identifier for an off-chain role
+   * @private
+   * @param {String} roleName - Off-chain role name
+   * @returns {Promise<String>} - bytes32 role identifier
+   */
+  async _getRoleHash(roleName) {
+    const { contract: contractName, role } = ONCHAIN_ROLE_MAPPINGS[roleName];
+    const cacheKey = `${contractName}:${role}`;
+
+    if (!roleHashCache.has(cacheKey)) {
+      const roleHash = await this._getContract(contractName)[role]();
+      roleHashCache.set(cacheKey, roleHash);
+    }
+
+    return roleHashCache.get(cacheKey);
+  }
+
+  /**
+   * Get the most recent sync transaction for a user's role
+   * @private
+   * @param {String} userId - User ID
+   * @param {String} roleName - Off-chain role name
+   * @returns {Promise<Object|null>} - Transaction or null
+   */
+  async _getLatestTransaction(userId, roleName) {
+    const result = await this.db.query(`
+      SELECT t.id, t.action, t.status, t.tx_hash, t.error, t.created_at
+      FROM role_sync_transactions t
+      JOIN roles r ON t.role_id = r.id
+      WHERE t.user_id = $1 AND r.name = $2
+      ORDER BY t.created_at DESC
+      LIMIT 1
+    `, [userId, roleName]);
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Update a sync transaction record
+   * @private
+   * @param {String} id - Record ID
+   * @param {Object} updates - status, txHash, blockNumber, error
+   * @returns {Promise<Object>} - Updated record
+   */
+  async _updateTransaction(id, updates) {
+    const { status, txHash = null, blockNumber = null, error = null } = updates;
+
+    const result = await this.db.query(`
+      UPDATE role_sync_transactions
+      SET status = $2,
+          tx_hash = COALESCE($3, tx_hash),
+          block_number = COALESCE($4, block_number),
+          error = $5,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id, status, txHash, blockNumber, error]);
+
+    return result.rows[0];
+  }
+}
+
+RoleSyncService.ONCHAIN_ROLE_MAPPINGS = ONCHAIN_ROLE_MAPPINGS;
+
+module.exports = RoleSyncService;
@@ -0,0 +1,319 @@
+const Ajv = require('ajv');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const config = require('../config');
+const ipfsService = require('./ipfs');
+const CredentialSchemaModel = require('../models/credentialSchema');
+
+const SCHEMA_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,99}$/;
+
+// Claims added by the issuance flow rather than supplied by the issuer
+const SYSTEM_CLAIMS = ['id', 'sbtTokenId'];
+
+// Draft-07 by default; 2020-12 when a schema declares it
+const ajv = addFormats(new Ajv({ allErrors: true, strict: false }));
+const ajv2020 = addFormats(new Ajv2020({ allErrors: true, strict: false }));
+
+// Compiled validators keyed by "<schemaId>@<version>" (versions are immutable)
+const validators = new Map();
+
+class SchemaService {
+  constructor(db) {
+    this.db = db;
+    this.schemaModel = new CredentialSchemaModel(db);
+  }
+
+  /**
+   * Public URL of a schema version, used as credentialSchema.id
+   * @param {String} schemaId - Schema identifier
+   * @param {Number} version - Schema version
+   * @returns {String} - Schema URL
+   */
+  getSchemaUrl(schemaId, version) {
+    return `${config.credentials.schemaBaseUrl}/${schemaId}/${version}`;
+  }
+
+  /**
+   * Parse a schema reference: a registry URL, "<schemaId>@<version>" or "<schemaId>"
+   * @param {String} reference - Schema reference
+   * @returns {Object|null} - schemaId and version (null for latest), or null if not a registry reference
+   */
+  parseReference(reference) {
+    if (typeof reference !== 'string') {
+      return null;
+    }
+
+    const baseUrl = `${config.credentials.schemaBaseUrl}/`;
+    if (reference.startsWith(baseUrl)) {
+      const [schemaId, version] = reference.slice(baseUrl.length).split('/');
+      return SCHEMA_ID_PATTERN.test(schemaId) && /^\d+$/.test(version || '')
+        ? { schemaId, version: parseInt(version) }
+        : null;
+    }
+
+    const [schemaId, version] = reference.split('@');
+    if (!SCHEMA_ID_PATTERN.test(schemaId) || (version !== undefined && !/^\d+$/.test(version))) {
+      return null;
+    }
+
+    return { schemaId, version: version ? parseInt(version) : null };
+  }
+
+  /**
+   * Register a new schema as version 1
+   * @param {Object} schemaData - schemaId, name, description and the JSON Schema
+   * @param {String} createdBy - ID of the admin registering the schema
+   * @returns {Promise<Object>} - Created schema version
+   */
+  async createSchema(schemaData, createdBy) {
+    try {
+      const { schemaId } = schemaData;
+
+      if (!SCHEMA_ID_PATTERN.test(schemaId || '')) {
+        throw new Error('Schema ID must be 2-100 letters, digits, ".", "_" or "-"');
+      }
+
+      if (await this.schemaModel.find(schemaId)) {
+        throw new Error(`Schema ${schemaId} already exists`);
+      }
+
+      return await this._storeVersion(schemaId, 1, schemaData, createdBy);
+    } catch (error) {
+      console.error('Error creating schema:', error);
+      throw new Error(`Failed to create schema: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publish a new version of an existing schema
+   * @param {String} schemaId - Schema identifier
+   * @param {Object} schemaData - JSON Schema, and optionally a new name and description
+   * @param {String} createdBy - ID of the admin publishing the version
+   * @returns {Promise<Object>} - Created schema version
+   */
+  async createVersion(schemaId, schemaData, createdBy) {
+    try {
+      const latest = await this.schemaModel.find(schemaId);
+      if (!latest) {
+        throw new Error(`Schema ${schemaId} not found`);
+      }
+
+      return await this._storeVersion(schemaId, latest.version + 1, {
+        name: schemaData.name || latest.name,
+        description: schemaData.description !== undefined ? schemaData.description : latest.description,
+        schema: schemaData.schema
+      }, createdBy);
+    } catch (error) {
+      console.error('Error creating schema version:', error);
+      throw new Error(`Failed to create schema version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a schema version, or the latest version
+   * @param {String} schemaId - Schema identifier
+   * @param {Number} version - Schema version (optional)
+   * @returns {Promise<Object|null>} - Schema version
+   */
+  async getSchema(schemaId, version = null) {
+    return this.schemaModel.find(schemaId, version);
+  }
+
+  /**
+   * List all versions of a schema
+   * @param {String} schemaId - Schema identifier
+   * @returns {Promise<Array>} - Schema versions, newest first
+   */
+  async listVersions(schemaId) {
+    return this.schemaModel.listVersions(schemaId);
+  }
+
+  /**
+   * List the latest version of every schema
+   * @param {Object} options - includeDeprecated, limit and offset
+   * @returns {Promise<Array>} - Latest schema versions
+   */
+  async listSchemas(options = {}) {
+    return this.schemaModel.listLatest(options);
+  }
+
+  /**
+   * Deprecate a schema version, or the whole schema. Deprecated versions can
+   * no longer be issued against but still validate existing credentials
+   * @param {String} schemaId - Schema identifier
+   * @param {Number} version - Schema version (optional)
+   * @returns {Promise<Number>} - Number of deprecated versions
+   */
+  async deprecateSchema(schemaId, version = null) {
+    return this.schemaModel.deprecate(schemaId, version);
+  }
+
+  /**
+   * Check that a document is a valid JSON Schema
+   * @param {Object} schema - JSON Schema
+   * @returns {String|null} - Error message, or null if the schema is valid
+   */
+  checkSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return 'Schema must be a JSON Schema object';
+    }
+
+    const instance = this._getAjv(schema);
+    if (!instance.validateSchema(schema)) {
+      return `Invalid JSON Schema: ${instance.errorsText(instance.errors)}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve the schema a credential is about to be issued under
+   * @param {String} reference - Schema reference
+   * @returns {Promise<Object>} - Schema version
+   * @throws {Error} - If the schema is unknown or deprecated
+   */
+  async resolveForIssuance(reference) {
+    const parsed = this.parseReference(reference);
+    if (!parsed) {
+      throw new Error(`Credential schema ${reference} is not a registry schema`);
+    }
+
+    const schema = await this.schemaModel.find(parsed.schemaId, parsed.version);
+    if (!schema) {
+      throw new Error(`Credential schema ${reference} not found`);
+    }
+
+    if (schema.status !== 'ACTIVE') {
+      throw new Error(`Credential schema ${schema.schema_id} v${schema.version} is deprecated`);
+    }
+
+    return schema;
+  }
+
+  /**
+   * Validate claims against a schema version
+   * @param {Object} schemaRow - Schema version
+   * @param {Object} claims - Credential claims (without system claims)
+   * @returns {Object} - valid flag and errors
+   */
+  validateClaims(schemaRow, claims) {
+    const validate = this._getValidator(schemaRow);
+    const valid = validate(claims);
+
+    return {
+      valid,
+      errors: valid ? [] : validate.errors.map(error => ({
+        path: error.instancePath || '/',
+        message: error.message,
+        params: error.params
+      }))
+    };
+  }
+
+  /**
+   * Re-validate a credential's subject against the schema version it was issued under
+   * @param {Object} credential - Credential (JSON-LD, or decoded from a VC-JWT)
+   * @returns {Promise<Object|null>} - Validation result, or null if the credential names no schema
+   */
+  async validateCredentialSubject(credential) {
+    const credentialSchema = [].concat(credential.credentialSchema || [])[0];
+    if (!credentialSchema) {
+      return null;
+    }
+
+    const reference = typeof credentialSchema === 'string' ? credentialSchema : credentialSchema.id;
+    const parsed = this.parseReference(reference);
+
+    // Only registry URLs pin an exact version
+    if (!parsed || !parsed.version || !reference.startsWith(config.credentials.schemaBaseUrl)) {
+      return { schema: reference, checked: false, error: 'Schema is not a versioned registry schema' };
+    }
+
+    const schemaRow = await this.schemaModel.find(parsed.schemaId, parsed.version);
+    if (!schemaRow) {
+      return { schema: reference, checked: false, valid: false, error: 'Schema version not found in registry' };
+    }
+
+    const claims = { ...(credential.credentialSubject || {}) };
+    SYSTEM_CLAIMS.forEach(claim => delete claims[claim]);
+
+    return {
+      schema: reference,
+      checked: true,
+      ...this.validateClaims(schemaRow, claims)
+    };
+  }
+
+  /**
+   * Meta-validate, pin and store a schema version
+   * @private
+   * @param {String} schemaId - Schema identifier
+   * @param {Number} version - Schema version
+   * @param {Object} schemaData - name, description and the JSON Schema
+   * @param {String} createdBy - ID of the admin
+   * @returns {Promise<Object>} - Created schema version
+   */
+  async _storeVersion(schemaId, version, schemaData, createdBy) {
+    const { name, description, schema } = schemaData;
+
+    if (!name) {
+      throw new Error('Schema name is required');
+    }
+
+    const schemaError = this.checkSchema(schema);
+    if (schemaError) {
+      throw new Error(schemaError);
+    }
+
+    // The published document identifies itself by its registry URL
+    const published = { ...schema, $id: this.getSchemaUrl(schemaId, version) };
+
+    const ipfsCid = await ipfsService.pinJSON(published, {
+      name: `Schema-${schemaId}-v${version}`,
+      type: 'credential-schema',
+      metadata: { schemaId, version: version.toString() }
+    });
+
+    return this.schemaModel.create({
+      schemaId,
+      version,
+      name,
+      description,
+      schema: published,
+      ipfsCid,
+      createdBy
+    });
+  }
+
+  /**
+   * Get (and cache) the compiled validator of a schema version
+   * @private
+   * @param {Object} schemaRow - Schema version
+   * @returns {Function} - Ajv validate function
+   */
+  _getValidator(schemaRow) {
+    const key = `${schemaRow.schema_id}@${schemaRow.version}`;
+
+    if (!validators.has(key)) {
+      // $id is dropped so that versions sharing an $id can be compiled side by side
+      const { $id, ...schema } = schemaRow.schema;
+      validators.set(key, this._getAjv(schema).compile(schema));
+    }
+
+    return validators.get(key);
+  }
+
+  /**
+   * Pick the Ajv instance for a schema's draft
+   * @private
+   * @param {Object} schema - JSON Schema
+   * @returns {Object} - Ajv instance
+   */
+  _getAjv(schema) {
+    return typeof schema.$schema === 'string' && schema.$schema.includes('2020-12') ? ajv2020 : ajv;
+  }
+}
+
+SchemaService.SCHEMA_ID_PATTERN = SCHEMA_ID_PATTERN;
+
+module.exports = SchemaService;
@@ -0,0 +1,388 @@
+const config = require('../config');
+const ipfsService = require('./ipfs');
+const { DEFAULT_CRYPTOSUITE, createProof } = require('../utils/dataIntegrity');
+const {
+  STATUS_LIST_CONTEXT,
+  STATUS_PURPOSES,
+  createBitstring,
+  getBit,
+  toPostgresBit,
+  encodeList
+} = require('../utils/statusList');
+
+class StatusListService {
+  constructor(db, redis, didService) {
+    this.db = db;
+    this.redis = redis;
+    this.didService = didService;
+  }
+
+  /**
+   * Public URL of a status list credential
+   * @param {String} listId - Status list ID
+   * @returns {String} - Status list credential URL
+   */
+  getListUrl(listId) {
+    return `${config.statusList.baseUrl}/${listId}`;
+  }
+
+  /**
+   * Reserve status list entries for a credential about to be issued
+   * @param {String} issuerDid - The issuer's DID
+   * @param {Array<String>} purposes - Status purposes (default: revocation and suspension)
+   * @returns {Promise<Array>} - Allocations with their credentialStatus entries
+   */
+  async allocateEntries(issuerDid, purposes = STATUS_PURPOSES) {
+    try {
+      const allocations = [];
+
+      for (const statusPurpose of purposes) {
+        const { statusListId, statusListIndex } = await this._allocateIndex(issuerDid, statusPurpose);
+        const statusListCredential = this.getListUrl(statusListId);
+
+        allocations.push({
+          statusListId,
+          statusListIndex,
+          statusPurpose,
+          entry: {
+            id: `${statusListCredential}#${statusListIndex}`,
+            type: 'StatusList2021Entry',
+            statusPurpose,
+            statusListIndex: statusListIndex.toString(),
+            statusListCredential
+          }
+        });
+      }
+
+      return allocations;
+    } catch (error) {
+      console.error('Error allocating status list entries:', error);
+      throw new Error(`Failed to allocate status list entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Link reserved entries to the issued credential
+   * @param {String} credentialHash - The credential hash
+   * @param {Array} allocations - Allocations from allocateEntries
+   * @returns {Promise<void>}
+   */
+  async recordEntries(credentialHash, allocations) {
+    try {
+      for (const { statusListId, statusListIndex, statusPurpose } of allocations) {
+        await this.db.query(
+          `INSERT INTO credential_status_entries (
+            status_list_id, status_list_index, status_purpose, credential_hash
+          )
+          VALUES ($1, $2, $3, $4)`,
+          [statusListId, statusListIndex, statusPurpose, credentialHash]
+        );
+      }
+    } catch (error) {
+      console.error('Error recording status list entries:', error);
+      throw new Error(`Failed to record status list entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set or clear a credential's bit in its status list for a purpose and
+   * re-publish the affected lists
+   * @param {String} credentialHash - The credential hash
+   * @param {String} statusPurpose - revocation or suspension
+   * @param {Boolean} value - Whether the status is set
+   * @returns {Promise<Array>} - Updated entries (empty if the credential has none)
+   */
+  async setCredentialStatus(credentialHash, statusPurpose, value) {
+    try {
+      const result = await this.db.query(
+        `SELECT status_list_id, status_list_index
+         FROM credential_status_entries
+         WHERE credential_hash = $1 AND status_purpose = $2`,
+        [credentialHash, statusPurpose]
+      );
+
+      for (const row of result.rows) {
+        await this.setStatus(row.status_list_id, row.status_list_index, value);
+      }
+
+      for (const listId of new Set(result.rows.map(row => row.status_list_id))) {
+        await this.publishList(listId);
+      }
+
+      return result.rows.map(row => ({
+        statusListCredential: this.getListUrl(row.status_list_id),
+        statusListIndex: row.status_list_index,
+        statusPurpose,
+        value
+      }));
+    } catch (error) {
+      console.error('Error setting credential status:', error);
+      throw new Error(`Failed to update status list: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set or clear one bit of a status list
+   * @param {String} listId - Status list ID
+   * @param {Number} index - Entry index
+   * @param {Boolean} value - Bit value
+   * @returns {Promise<Number>} - New list version
+   */
+  async setStatus(listId, index, value) {
+    // set_bit is applied in place so concurrent updates never overwrite each other
+    const result = await this.db.query(
+      `UPDATE status_lists
+       SET bitstring = set_bit(bitstring, $2, $3),
+           version = version + 1,
+           updated_at = NOW()
+       WHERE id = $1 AND $4 < list_size
+       RETURNING version`,
+      [listId, toPostgresBit(index), value ? 1 : 0, index]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Status list entry not found: ${listId}#${index}`);
+    }
+
+    return result.rows[0].version;
+  }
+
+  /**
+   * Sign the current bitstring as a StatusList2021Credential and store it
+   * @param {String} listId - Status list ID
+   * @returns {Promise<Object>} - The signed status list credential
+   */
+  async publishList(listId) {
+    try {
+      const result = await this.db.query(
+        'SELECT id, issuer_did, status_purpose, bitstring, version FROM status_lists WHERE id = $1',
+        [listId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Status list not found');
+      }
+
+      const list = result.rows[0];
+      const url = this.getListUrl(list.id);
+
+      const unsigned = {
+        '@context': [
+          'https://www.w3.org/2018/credentials/v1',
+          STATUS_LIST_CONTEXT,
+          'https://w3id.org/security/data-integrity/v2'
+        ],
+        id: url,
+        type: ['VerifiableCredential', 'StatusList2021Credential'],
+        issuer: list.issuer_did,
+        issuanceDate: new Date().toISOString(),
+        credentialSubject: {
+          id: `${url}#list`,
+          type: 'StatusList2021',
+          statusPurpose: list.status_purpose,
+          encodedList: encodeList(list.bitstring)
+        }
+      };
+
+      const { verificationMethod, privateKeyPem } = await this.didService.getAssertionKey(
+        list.issuer_did,
+        DEFAULT_CRYPTOSUITE
+      );
+
+      const credential = await createProof(unsigned, {
+        cryptosuite: DEFAULT_CRYPTOSUITE,
+        verificationMethod,
+        privateKeyPem,
+        proofPurpose: 'assertionMethod'
+      });
+
+      const ipfsCid = config.statusList.pinToIpfs
+        ? await this._pinList(credential, list)
+        : null;
+
+      // A slower publish of an older version must not replace a newer one
+      await this.db.query(
+        `UPDATE status_lists
+         SET credential = $2, ipfs_cid = COALESCE($3, ipfs_cid), published_version = $4, updated_at = NOW()
+         WHERE id = $1 AND published_version < $4`,
+        [list.id, credential, ipfsCid, list.version]
+      );
+
+      if (this.redis) {
+        await this.redis.del(`status-list:${list.id}`);
+      }
+
+      return credential;
+    } catch (error) {
+      console.error('Error publishing status list:', error);
+      throw new Error(`Failed to publish status list: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the published status list credential
+   * @param {String} listId - Status list ID
+   * @returns {Promise<Object|null>} - Signed status list credential, or null if not found
+   */
+  async getListCredential(listId) {
+    try {
+      if (this.redis) {
+        const cached = await this.redis.get(`status-list:${listId}`);
+        if (cached) {
+          return JSON.parse(cached);
+        }
+      }
+
+      const result = await this.db.query(
+        'SELECT credential, ipfs_cid, version, published_version FROM status_lists WHERE id = $1',
+        [listId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const list = result.rows[0];
+      const credential = list.published_version < list.version || !list.credential
+        ? await this.publishList(listId)
+        : list.credential;
+
+      if (this.redis) {
+        await this.redis.set(`status-list:${listId}`, JSON.stringify(credential), 'EX', config.statusList.cacheTTL);
+      }
+
+      return credential;
+    } catch (error) {
+      console.error('Error getting status list:', error);
+      throw new Error(`Failed to get status list: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check credentialStatus entries that point at lists published here
+   * @param {Object|Array} credentialStatus - The credential's credentialStatus
+   * @returns {Promise<Array>} - Status per entry (entries of other publishers are skipped)
+   */
+  async checkStatus(credentialStatus) {
+    const entries = [].concat(credentialStatus || [])
+      .filter(entry => entry && entry.type === 'StatusList2021Entry' &&
+        typeof entry.statusListCredential === 'string' &&
+        entry.statusListCredential.startsWith(`${config.statusList.baseUrl}/`));
+
+    const results = [];
+    for (const entry of entries) {
+      const listId = entry.statusListCredential.slice(config.statusList.baseUrl.length + 1);
+      const index = parseInt(entry.statusListIndex);
+
+      const result = await this.db.query(
+        'SELECT status_purpose, bitstring FROM status_lists WHERE id::text = $1',
+        [listId]
+      );
+
+      if (result.rows.length === 0 || Number.isNaN(index)) {
+        results.push({ statusPurpose: entry.statusPurpose, statusListIndex: entry.statusListIndex, error: 'Status list entry not found' });
+        continue;
+      }
+
+      if (result.rows[0].status_purpose !== entry.statusPurpose) {
+        results.push({ statusPurpose: entry.statusPurpose, statusListIndex: entry.statusListIndex, error: 'Status purpose mismatch' });
+        continue;
+      }
+
+      results.push({
+        statusPurpose: entry.statusPurpose,
+        statusListIndex: entry.statusListIndex,
+        statusListCredential: entry.statusListCredential,
+        set: getBit(result.rows[0].bitstring, index)
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Reserve the next free index of the issuer's open list, opening a new list when full
+   * @private
+   * @param {String} issuerDid - The issuer's DID
+   * @param {String} statusPurpose - revocation or suspension
+   * @returns {Promise<Object>} - List ID and index
+   */
+  async _allocateIndex(issuerDid, statusPurpose) {
+    const allocate = () => this.db.query(
+      `UPDATE status_lists
+       SET next_index = next_index + 1, updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM status_lists
+         WHERE issuer_did = $1 AND status_purpose = $2 AND next_index < list_size
+         ORDER BY created_at
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id, next_index - 1 AS index`,
+      [issuerDid, statusPurpose]
+    );
+
+    let result = await allocate();
+
+    if (result.rows.length === 0) {
+      await this._createList(issuerDid, statusPurpose);
+      result = await allocate();
+    }
+
+    if (result.rows.length === 0) {
+      throw new Error('No status list entry available');
+    }
+
+    return { statusListId: result.rows[0].id, statusListIndex: result.rows[0].index };
+  }
+
+  /**
+   * Open and publish a new, empty status list
+   * @private
+   * @param {String} issuerDid - The issuer's DID
+   * @param {String} statusPurpose - revocation or suspension
+   * @returns {Promise<String>} - Status list ID
+   */
+  async _createList(issuerDid, statusPurpose) {
+    const size = config.statusList.size;
+
+    const result = await this.db.query(
+      `INSERT INTO status_lists (issuer_did, status_purpose, list_size, bitstring)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [issuerDid, statusPurpose, size, createBitstring(size)]
+    );
+
+    const listId = result.rows[0].id;
+    await this.publishList(listId);
+
+    return listId;
+  }
+
+  /**
+   * Pin a published status list to IPFS
+   * @private
+   * @param {Object} credential - Signed status list credential
+   * @param {Object} list - Status list row
+   * @returns {Promise<String|null>} - IPFS CID, or null if pinning failed
+   */
+  async _pinList(credential, list) {
+    try {
+      return await ipfsService.pinJSON(credential, {
+        name: `StatusList-${list.id}`,
+        type: 'status-list',
+        metadata: {
+          issuerDid: list.issuer_did,
+          statusPurpose: list.status_purpose,
+          version: list.version.toString()
+        }
+      });
+    } catch (error) {
+      // The list is still served from the API
+      console.warn(`Could not pin status list ${list.id}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = StatusListService;
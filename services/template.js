@@ -0,0 +1,316 @@
+const CredentialService = require('./credential');
+const SchemaService = require('./schema');
+const CredentialTemplateModel = require('../models/credentialTemplate');
+const RoleModel = require('../models/role');
+const { hasPermission } = require('../config/permissions');
+const { documentLoader } = require('../utils/dataIntegrity');
+const { CREDENTIAL_FORMATS } = require('../utils/vcJwt');
+
+const TEMPLATE_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,99}$/;
+const CREDENTIAL_TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,99}$/;
+
+// Claims added by the issuance flow rather than supplied by the issuer
+const SYSTEM_CLAIMS = ['id', 'sbtTokenId'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CredentialTemplateService {
+  constructor(db, redis, didService) {
+    this.db = db;
+    this.redis = redis;
+    this.didService = didService;
+    this.templateModel = new CredentialTemplateModel(db);
+    this.roleModel = new RoleModel(db);
+    this.schemaService = new SchemaService(db);
+  }
+
+  /**
+   * Create a credential template
+   * @param {Object} definition - Template definition
+   * @param {String} createdBy - ID of the admin creating the template
+   * @returns {Promise<Object>} - Created template
+   */
+  async createTemplate(definition, createdBy) {
+    try {
+      if (!TEMPLATE_ID_PATTERN.test(definition.templateId || '')) {
+        throw new Error('Template ID must be 2-100 letters, digits, ".", "_" or "-"');
+      }
+
+      if (await this.templateModel.findByTemplateId(definition.templateId)) {
+        throw new Error(`Template ${definition.templateId} already exists`);
+      }
+
+      const definitionError = await this.checkDefinition(definition);
+      if (definitionError) {
+        throw new Error(definitionError);
+      }
+
+      return await this.templateModel.create({ ...definition, createdBy });
+    } catch (error) {
+      console.error('Error creating credential template:', error);
+      throw new Error(`Failed to create template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a credential template. Credentials already issued from it are unaffected
+   * @param {String} templateId - Template identifier
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} - Updated template, or null if not found
+   */
+  async updateTemplate(templateId, updates) {
+    try {
+      const template = await this.templateModel.findByTemplateId(templateId);
+      if (!template) {
+        return null;
+      }
+
+      const definitionError = await this.checkDefinition({ ...this.toDefinition(template), ...updates });
+      if (definitionError) {
+        throw new Error(definitionError);
+      }
+
+      return await this.templateModel.update(templateId, updates);
+    } catch (error) {
+      console.error('Error updating credential template:', error);
+      throw new Error(`Failed to update template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a template
+   * @param {String} templateId - Template identifier
+   * @returns {Promise<Object|null>} - Template
+   */
+  async getTemplate(templateId) {
+    return this.templateModel.findByTemplateId(templateId);
+  }
+
+  /**
+   * List templates
+   * @param {Object} options - includeArchived, limit and offset
+   * @returns {Promise<Array>} - Templates
+   */
+  async listTemplates(options = {}) {
+    return this.templateModel.list(options);
+  }
+
+  /**
+   * Archive a template so it can no longer be issued from
+   * @param {String} templateId - Template identifier
+   * @returns {Promise<Object|null>} - Archived template, or null if not found
+   */
+  async archiveTemplate(templateId) {
+    return this.templateModel.update(templateId, { status: 'ARCHIVED' });
+  }
+
+  /**
+   * Check a template definition
+   * @param {Object} definition - Template definition
+   * @returns {Promise<String|null>} - Error message, or null if the definition is valid
+   */
+  async checkDefinition(definition) {
+    const {
+      name,
+      credentialType,
+      context = [],
+      credentialSchema,
+      format = 'ldp_vc',
+      validityDays,
+      requiredClaims = [],
+      defaultClaims = {},
+      issuerRole
+    } = definition;
+
+    if (!name) {
+      return 'Template name is required';
+    }
+
+    if (!CREDENTIAL_TYPE_PATTERN.test(credentialType || '') || credentialType === 'VerifiableCredential') {
+      return 'Credential type must be a term such as "KYCCredential"';
+    }
+
+    if (!CREDENTIAL_FORMATS.includes(format)) {
+      return `Unsupported credential format. Supported: ${CREDENTIAL_FORMATS.join(', ')}`;
+    }
+
+    if (validityDays !== undefined && validityDays !== null &&
+      (!Number.isInteger(validityDays) || validityDays <= 0)) {
+      return 'Validity period must be a positive number of days';
+    }
+
+    if (!Array.isArray(requiredClaims) ||
+      requiredClaims.some(claim => typeof claim !== 'string' || SYSTEM_CLAIMS.includes(claim))) {
+      return `Required claims must be claim names other than ${SYSTEM_CLAIMS.join(', ')}`;
+    }
+
+    if (!defaultClaims || typeof defaultClaims !== 'object' || Array.isArray(defaultClaims) ||
+      SYSTEM_CLAIMS.some(claim => claim in defaultClaims)) {
+      return `Default claims must be an object without ${SYSTEM_CLAIMS.join(', ')}`;
+    }
+
+    if (!Array.isArray(context)) {
+      return 'Context must be an array of context URLs or inline contexts';
+    }
+
+    // Credentials are signed offline, so every context URL must be bundled
+    for (const entry of context) {
+      if (typeof entry === 'string') {
+        try {
+          await documentLoader(entry);
+        } catch (error) {
+          return error.message;
+        }
+      } else if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return 'Context must be an array of context URLs or inline contexts';
+      }
+    }
+
+    if (credentialSchema) {
+      try {
+        await this.schemaService.resolveForIssuance(credentialSchema);
+      } catch (error) {
+        return error.message;
+      }
+    }
+
+    if (issuerRole && !(await this.roleModel.findByName(issuerRole))) {
+      return `Role ${issuerRole} not found`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a user may issue from a template: they must hold its issuer role,
+   * directly or through role inheritance, or hold every permission ("*").
+   * An API key must also carry scopes covering the role's permissions
+   * @param {Object} template - Template
+   * @param {String} userId - User ID
+   * @param {Object} apiKey - API key the request was made with, if any
+   * @returns {Promise<Boolean>} - Whether the user may issue
+   */
+  async canIssue(template, userId, apiKey = null) {
+    if (!template.issuer_role) {
+      return true;
+    }
+
+    const holdsRole = await this.roleModel.userHasEffectiveRole(userId, template.issuer_role) ||
+      await this.roleModel.userHasPermission(userId, '*');
+
+    if (!holdsRole || !apiKey) {
+      return holdsRole;
+    }
+
+    const role = await this.roleModel.findByName(template.issuer_role);
+    const rolePermissions = role ? await this.roleModel.getRolePermissions(role.id) : [];
+
+    return rolePermissions.every(({ name }) => hasPermission(apiKey.scopes, name));
+  }
+
+  /**
+   * Claims a template needs that are neither supplied nor defaulted
+   * @param {Object} template - Template
+   * @param {Object} claims - Supplied claims
+   * @returns {Array<String>} - Missing claim names
+   */
+  getMissingClaims(template, claims) {
+    const merged = { ...template.default_claims, ...claims };
+
+    return template.required_claims.filter(claim =>
+      merged[claim] === undefined || merged[claim] === null || merged[claim] === '');
+  }
+
+  /**
+   * Issue a credential from a template
+   * @param {String} templateId - Template identifier
+   * @param {Object} issuance - issuerDid, subjectDid, claims, and optionally
+   *   expirationDate, cryptosuite, selectiveDisclosure, holderJwk, deferAnchoring and metadata
+   * @param {String} issuerWalletAddress - The issuer's wallet address
+   * @param {String} userId - ID of the user issuing
+   * @returns {Promise<Object>} - The issued credential
+   */
+  async issueFromTemplate(templateId, issuance, issuerWalletAddress, userId) {
+    try {
+      const template = await this.templateModel.findByTemplateId(templateId);
+      if (!template || template.status !== 'ACTIVE') {
+        throw new Error(`Template ${templateId} not found`);
+      }
+
+      if (!(await this.canIssue(template, userId))) {
+        throw new Error(`Issuing from template ${templateId} requires role ${template.issuer_role}`);
+      }
+
+      const { issuerDid, subjectDid, claims = {} } = issuance;
+
+      const missing = this.getMissingClaims(template, claims);
+      if (missing.length > 0) {
+        throw new Error(`Missing required claims: ${missing.join(', ')}`);
+      }
+
+      const credentialService = new CredentialService(this.db, this.redis, this.didService);
+
+      const result = await credentialService.issueCredential(
+        issuerDid,
+        subjectDid,
+        { ...template.default_claims, ...claims },
+        issuerWalletAddress,
+        this.toIssuanceOptions(template, issuance)
+      );
+
+      return { ...result, templateId };
+    } catch (error) {
+      console.error('Error issuing credential from template:', error);
+      throw new Error(`Failed to issue from template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the CredentialService issuance options for a template
+   * @param {Object} template - Template row
+   * @param {Object} issuance - Optional expirationDate, cryptosuite, selectiveDisclosure,
+   *   holderJwk, holderKid, deferAnchoring and metadata
+   * @returns {Object} - Issuance options
+   */
+  toIssuanceOptions(template, issuance = {}) {
+    return {
+      type: template.credential_type,
+      context: template.context,
+      credentialSchema: template.credential_schema,
+      format: template.format,
+      expirationDate: issuance.expirationDate ||
+        (template.validity_days ? new Date(Date.now() + template.validity_days * DAY_MS).toISOString() : undefined),
+      cryptosuite: issuance.cryptosuite,
+      selectiveDisclosure: issuance.selectiveDisclosure,
+      holderJwk: issuance.holderJwk,
+      holderKid: issuance.holderKid,
+      deferAnchoring: issuance.deferAnchoring,
+      metadata: { templateId: template.template_id, ...issuance.metadata }
+    };
+  }
+
+  /**
+   * Convert a template row into a definition
+   * @param {Object} template - Template row
+   * @returns {Object} - Template definition
+   */
+  toDefinition(template) {
+    return {
+      templateId: template.template_id,
+      name: template.name,
+      description: template.description,
+      credentialType: template.credential_type,
+      context: template.context,
+      credentialSchema: template.credential_schema,
+      format: template.format,
+      validityDays: template.validity_days,
+      requiredClaims: template.required_claims,
+      defaultClaims: template.default_claims,
+      issuerRole: template.issuer_role
+    };
+  }
+}
+
+CredentialTemplateService.TEMPLATE_ID_PATTERN = TEMPLATE_ID_PATTERN;
+
+module.exports = CredentialTemplateService;
@@ -1,108 +1,246 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const snarkjs = require('snarkjs');
+
+// Compiled circuits (built with scripts/build-circuits.js)
+const CIRCUITS_DIR = path.join(__dirname, '..', 'circuits');
+
+// Circuit levels of the KYC verification levels (middleware/validation.js).
+// The circuit proves kycLevel >= minLevel, so the numbers must rise with the
+// assurance of the level: a BUSINESS verification satisfies every minLevel
+const KYC_LEVELS = {
+  BASIC: 1,
+  ADVANCED: 2,
+  BUSINESS: 3
+};
+
+/**
+ * Hash a value into the BN254 scalar field (the first 248 bits of its SHA-256)
+ * @param {*} value - Value to hash
+ * @returns {String} - Field element as a decimal string
+ */
+const hashToField = (value) => {
+  const digest = crypto.createHash('sha256').update(String(value)).digest('hex');
+  return BigInt(`0x${digest.slice(0, 62)}`).toString();
+};
+
+/**
+ * Map a KYC level name (or number) to its circuit level
+ * @param {String|Number} level - BASIC, ADVANCED or BUSINESS
+ * @returns {Number} - Circuit level
+ */
+const toKycLevel = (level) => {
+  const value = typeof level === 'number' ? level : KYC_LEVELS[String(level).toUpperCase()];
+
+  if (!Object.values(KYC_LEVELS).includes(value)) {
+    throw new Error(`Unknown KYC level: ${level}`);
+  }
+
+  return value;
+};
 
 class ZKProofService {
   constructor() {
-    // In a real implementation, this would load circuit information
-    this.circuits = {
-      kyc: {
-        // Circuit parameters would be defined here
+    this.circuits = {};
+    this.verificationKeys = new Map();
+
+    // Proves a KYC verification of at least minLevel for a DID and SBT,
+    // hiding the level, provider and verification time behind a commitment
+    this.registerCircuit('kyc', {
+      wasm: path.join(CIRCUITS_DIR, 'kyc', 'kyc.wasm'),
+      zkey: path.join(CIRCUITS_DIR, 'kyc', 'kyc.zkey'),
+      verificationKey: path.join(CIRCUITS_DIR, 'kyc', 'verification_key.json'),
+      publicSignals: ['commitment', 'didHash', 'sbtTokenId', 'minLevel'],
+      buildInput: (data) => {
+        const kycLevel = toKycLevel(data.kycLevel);
+
+        // Without the salt the holder could never open the commitment
+        if (!data.salt) {
+          throw new Error('KYC proof data is missing its salt');
+        }
+
+        // The requester's policy sets minLevel; defaulting it would reveal the level
+        if (data.minLevel === undefined || data.minLevel === null) {
+          throw new Error('KYC proof data is missing its minLevel');
+        }
+
+        return {
+          kycLevel,
+          providerHash: hashToField(data.provider),
+          verifiedAt: Math.floor(new Date(data.verificationTimestamp).getTime() / 1000),
+          salt: BigInt(data.salt).toString(),
+          didHash: hashToField(data.did),
+          sbtTokenId: BigInt(data.sbtTokenId).toString(),
+          minLevel: toKycLevel(data.minLevel)
+        };
       }
-    };
+    });
+  }
+
+  /**
+   * Register a Groth16 circuit
+   * @param {String} circuitType - Circuit name
+   * @param {Object} circuit - Paths of its wasm, zkey and verificationKey, the
+   *   names of its publicSignals in order (outputs first), and buildInput(data)
+   *   mapping proof data to circuit inputs
+   */
+  registerCircuit(circuitType, circuit) {
+    for (const key of ['wasm', 'zkey', 'verificationKey', 'publicSignals', 'buildInput']) {
+      if (!circuit[key]) {
+        throw new Error(`Circuit ${circuitType} is missing ${key}`);
+      }
+    }
+
+    this.circuits[circuitType] = circuit;
+    this.verificationKeys.delete(circuitType);
   }
-  
+
+  /**
+   * Generate a random blinding salt for a commitment
+   * @returns {String} - Field element as a decimal string
+   */
+  generateSalt() {
+    return BigInt(`0x${crypto.randomBytes(31).toString('hex')}`).toString();
+  }
+
   /**
    * Generate a Groth16 zero-knowledge proof
    * @param {String} circuitType - Type of circuit ('kyc', etc.)
    * @param {Object} data - Input data for the proof
-   * @returns {Promise<Object>} - The proof and public inputs
+   * @returns {Promise<Object>} - The proof, its public signals, and the public inputs by name
    */
   async generateProof(circuitType, data) {
-    // In a real implementation, this would use snarkjs or a similar library
-    // to generate an actual zero-knowledge proof
-    
-    // For now, we'll simulate it
-    const circuitData = this.circuits[circuitType];
-    if (!circuitData) {
-      throw new Error(`Unknown circuit type: ${circuitType}`);
-    }
-    
-    // Create deterministic "proof" based on inputs
-    const inputsHash = crypto.createHash('sha256')
-      .update(JSON.stringify(data))
-      .digest('hex');
-    
-    // Structure public inputs based on what would be revealed
-    let publicInputs;
-    
-    switch (circuitType) {
-      case 'kyc':
-        publicInputs = {
-          kycLevelHash: crypto.createHash('sha256')
-            .update(data.kycLevel)
-            .digest('hex'),
-          didHash: crypto.createHash('sha256')
-            .update(data.did)
-            .digest('hex'),
-          sbtTokenId: data.sbtTokenId.toString()
-        };
-        break;
-      default:
-        publicInputs = {};
+    const circuit = this._getCircuit(circuitType);
+
+    try {
+      const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+        circuit.buildInput(data),
+        circuit.wasm,
+        circuit.zkey
+      );
+
+      return {
+        proof,
+        publicSignals,
+        publicInputs: this._nameSignals(circuit, publicSignals)
+      };
+    } catch (error) {
+      console.error(`Error generating ${circuitType} proof:`, error);
+      throw new Error(`Failed to generate ${circuitType} proof: ${error.message}`);
     }
-    
-    // Create simulated proof structure
-    const proof = {
-      pi_a: [inputsHash.substring(0, 32), inputsHash.substring(32, 64)],
-      pi_b: [
-        [inputsHash.substring(0, 16), inputsHash.substring(16, 32)],
-        [inputsHash.substring(32, 48), inputsHash.substring(48, 64)]
-      ],
-      pi_c: [inputsHash.substring(0, 32), inputsHash.substring(32, 64)]
-    };
-    
-    return {
-      proof,
-      publicInputs
-    };
   }
-  
+
   /**
    * Verify a zero-knowledge proof
    * @param {String} circuitType - Type of circuit
    * @param {Object} proof - The proof to verify
-   * @param {Object} publicInputs - Public inputs for verification
+   * @param {Object|Array} publicInputs - Public inputs by name, or the public signals in order
    * @returns {Promise<Boolean>} - Whether the proof is valid
    */
   async verifyProof(circuitType, proof, publicInputs) {
-    // In a real implementation, this would use snarkjs to verify the proof
-    
-    // For simulation, we'll return true
-    // In production, you'd replace this with actual proof verification
-    return true;
+    const circuit = this._getCircuit(circuitType);
+
+    try {
+      const publicSignals = this._toSignals(circuit, publicInputs);
+      return await snarkjs.groth16.verify(this._getVerificationKey(circuitType), publicSignals, proof);
+    } catch (error) {
+      console.error(`Error verifying ${circuitType} proof:`, error);
+      return false;
+    }
   }
-  
+
   /**
-   * Format proof for on-chain verification
+   * Format proof for on-chain verification by the circuit's Solidity
+   * verifier (contracts/<Name>Verifier.sol)
    * @param {Object} proof - ZK proof
-   * @param {Object} publicInputs - Public inputs
-   * @returns {Object} - Formatted for blockchain submission
+   * @param {Object|Array} publicInputs - Public inputs by name, or the public signals in order
+   * @param {String} circuitType - Type of circuit
+   * @returns {Promise<Object>} - verifyProof arguments, and the encoded verifyProof calldata
    */
-  formatProofForBlockchain(proof, publicInputs) {
-    // Format inputs for solidity verifier
-    const solProof = {
-      a: [proof.pi_a[0], proof.pi_a[1]],
-      b: [[proof.pi_b[0][0], proof.pi_b[0][1]], [proof.pi_b[1][0], proof.pi_b[1][1]]],
-      c: [proof.pi_c[0], proof.pi_c[1]]
-    };
-    
-    // Format public inputs as array
-    const publicInputArray = Object.values(publicInputs);
-    
+  async formatProofForBlockchain(proof, publicInputs, circuitType = 'kyc') {
+    const publicSignals = this._toSignals(this._getCircuit(circuitType), publicInputs);
+
+    // snarkjs swaps the G2 coordinates into the order the precompile expects
+    const [a, b, c, inputs] = JSON.parse(
+      `[${await snarkjs.groth16.exportSolidityCallData(proof, publicSignals)}]`
+    );
+
+    const verifier = new ethers.Interface([
+      `function verifyProof(uint256[2] _pA, uint256[2][2] _pB, uint256[2] _pC, uint256[${inputs.length}] _pubSignals) view returns (bool)`
+    ]);
+
     return {
-      proof: solProof,
-      inputs: publicInputArray
+      proof: { a, b, c },
+      inputs,
+      calldata: verifier.encodeFunctionData('verifyProof', [a, b, c, inputs])
     };
   }
+
+  /**
+   * Get a registered circuit
+   * @private
+   * @param {String} circuitType - Circuit name
+   * @returns {Object} - The circuit
+   */
+  _getCircuit(circuitType) {
+    const circuit = this.circuits[circuitType];
+
+    if (!circuit) {
+      throw new Error(`Unknown circuit type: ${circuitType}`);
+    }
+
+    return circuit;
+  }
+
+  /**
+   * Load a circuit's verification key (cached)
+   * @private
+   * @param {String} circuitType - Circuit name
+   * @returns {Object} - Verification key
+   */
+  _getVerificationKey(circuitType) {
+    if (!this.verificationKeys.has(circuitType)) {
+      const { verificationKey } = this.circuits[circuitType];
+      this.verificationKeys.set(circuitType, JSON.parse(fs.readFileSync(verificationKey, 'utf8')));
+    }
+
+    return this.verificationKeys.get(circuitType);
+  }
+
+  /**
+   * Name a circuit's public signals
+   * @private
+   * @param {Object} circuit - Circuit
+   * @param {Array<String>} publicSignals - Public signals in order
+   * @returns {Object} - Public inputs by name
+   */
+  _nameSignals(circuit, publicSignals) {
+    return Object.fromEntries(circuit.publicSignals.map((name, index) => [name, publicSignals[index]]));
+  }
+
+  /**
+   * Order public inputs as the circuit's public signals
+   * @private
+   * @param {Object} circuit - Circuit
+   * @param {Object|Array} publicInputs - Public inputs by name, or signals in order
+   * @returns {Array<String>} - Public signals
+   */
+  _toSignals(circuit, publicInputs) {
+    const signals = Array.isArray(publicInputs)
+      ? publicInputs
+      : circuit.publicSignals.map(name => publicInputs[name]);
+
+    if (signals.length !== circuit.publicSignals.length || signals.some(signal => signal === undefined)) {
+      throw new Error(`Expected public signals ${circuit.publicSignals.join(', ')}`);
+    }
+
+    return signals.map(signal => BigInt(signal).toString());
+  }
 }
 
-module.exports = new ZKProofService();
\ No newline at end of file
+module.exports = new ZKProofService();
+module.exports.KYC_LEVELS = KYC_LEVELS;
+module.exports.toKycLevel = toKycLevel;
+module.exports.hashToField = hashToField;
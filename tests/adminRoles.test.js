@@ -0,0 +1,142 @@
+const express = require('express');
+const request = require('supertest');
+const adminRoutes = require('../routes/admin');
+const RoleSyncService = require('../services/roleSync');
+
+// Role catalog shared by every request: role name -> effective permissions
+const ROLES = {
+  ADMIN: { id: '00000000-0000-0000-0000-000000000001', permissions: ['*'] },
+  ROLE_MANAGER: { id: '00000000-0000-0000-0000-000000000002', permissions: ['role:manage', 'credential:issue'] },
+  CREDENTIAL_ISSUER: { id: '00000000-0000-0000-0000-000000000003', permissions: ['credential:issue', 'credential:revoke'] },
+  ISSUE_ONLY: { id: '00000000-0000-0000-0000-000000000004', permissions: ['credential:issue'] }
+};
+
+const roleById = (id) => Object.entries(ROLES).find(([, role]) => role.id === id);
+
+/**
+ * Serve the admin router to a caller holding the given role, recording
+ * every role change the routes write
+ */
+const adminApp = (callerRole, writes) => {
+  const app = express();
+  app.use(express.json());
+
+  app.set('db', {
+    async query(sql, params = []) {
+      if (sql.includes('FROM user_roles ur')) {
+        return { rows: ROLES[callerRole].permissions.map(name => ({ name })) };
+      }
+      if (sql.includes('SELECT 1 FROM role_tree')) {
+        return { rows: [] };
+      }
+      if (sql.includes('$1::uuid AS role_id')) {
+        const [, role] = roleById(params[0]);
+        return { rows: role.permissions.map(name => ({ name, direct: true })) };
+      }
+      if (sql.includes('FROM roles')) {
+        const role = ROLES[params[0]];
+        return { rows: role ? [{ id: role.id, name: params[0] }] : [] };
+      }
+      if (sql.includes('SELECT id FROM users')) {
+        return { rows: [{ id: params[0] }] };
+      }
+      if (sql.includes('INSERT INTO audit_logs')) {
+        return { rows: [], rowCount: 1 };
+      }
+
+      writes.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      return { rows: [{ assigned_at: new Date() }], rowCount: 1 };
+    }
+  });
+
+  app.use((req, res, next) => {
+    req.user = { id: 'caller-1', walletAddress: '0xcaller' };
+    next();
+  });
+  app.use(adminRoutes);
+
+  return app;
+};
+
+describe('admin role changes', () => {
+  let writes;
+
+  beforeEach(() => {
+    writes = [];
+    jest.spyOn(RoleSyncService.prototype, 'syncRoleAssignment').mockResolvedValue(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a role manager cannot assign ADMIN', async () => {
+    const res = await request(adminApp('ROLE_MANAGER', writes))
+      .post('/users/user-2/roles')
+      .send({ roleName: 'ADMIN' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch('caller lacks *');
+    expect(writes).toHaveLength(0);
+  });
+
+  test('a role manager cannot assign a role holding permissions they lack', async () => {
+    const res = await request(adminApp('ROLE_MANAGER', writes))
+      .post('/users/user-2/roles')
+      .send({ roleName: 'CREDENTIAL_ISSUER' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch('credential:revoke');
+    expect(writes).toHaveLength(0);
+  });
+
+  test('a role manager assigns roles within their own permissions', async () => {
+    const res = await request(adminApp('ROLE_MANAGER', writes))
+      .post('/users/user-2/roles')
+      .send({ roleName: 'ISSUE_ONLY' });
+
+    expect(res.status).toBe(200);
+    expect(writes).toEqual(['INSERT INTO user_roles']);
+  });
+
+  test('a role manager cannot grant * or a wildcard wider than they hold', async () => {
+    const app = adminApp('ROLE_MANAGER', writes);
+
+    const everything = await request(app).post('/roles/ISSUE_ONLY/permissions').send({ permission: '*' });
+    const wildcard = await request(app).post('/roles/ISSUE_ONLY/permissions').send({ permission: 'credential:*' });
+
+    expect(everything.status).toBe(403);
+    expect(wildcard.status).toBe(403);
+    expect(writes).toHaveLength(0);
+  });
+
+  test('a role manager grants a permission they hold', async () => {
+    const res = await request(adminApp('ROLE_MANAGER', writes))
+      .post('/roles/ISSUE_ONLY/permissions')
+      .send({ permission: 'credential:issue' });
+
+    expect(res.status).toBe(200);
+    expect(writes).toEqual(['INSERT INTO role_permissions']);
+  });
+
+  test('a role manager cannot make a role inherit from ADMIN', async () => {
+    const res = await request(adminApp('ROLE_MANAGER', writes))
+      .post('/roles/ISSUE_ONLY/inherits')
+      .send({ inheritedRole: 'ADMIN' });
+
+    expect(res.status).toBe(403);
+    expect(writes).toHaveLength(0);
+  });
+
+  test('an admin may assign ADMIN and add any inheritance edge', async () => {
+    const app = adminApp('ADMIN', writes);
+
+    const assigned = await request(app).post('/users/user-2/roles').send({ roleName: 'ADMIN' });
+    const inherited = await request(app).post('/roles/ISSUE_ONLY/inherits').send({ inheritedRole: 'CREDENTIAL_ISSUER' });
+
+    expect(assigned.status).toBe(200);
+    expect(inherited.status).toBe(200);
+    expect(writes).toEqual(['INSERT INTO user_roles', 'INSERT INTO role_inheritance']);
+  });
+});
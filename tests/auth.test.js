@@ -0,0 +1,259 @@
+const ethers = require('ethers');
+const config = require('../config');
+const AuthService = require('../services/auth');
+
+/**
+ * Database and Redis stand-ins for one user; clearing the nonce succeeds
+ * only while it still holds the given value, as the conditional UPDATE does
+ */
+const fakeStores = () => {
+  const user = { id: 'user-1', nonce: null, did: null };
+  const cache = new Map();
+
+  const db = {
+    async query(sql, params) {
+      if (sql.includes('INSERT INTO users')) {
+        user.nonce = params[1];
+        return { rows: [{ id: user.id }], rowCount: 1 };
+      }
+
+      if (sql.includes('SELECT id, nonce, did')) {
+        return { rows: [{ ...user }], rowCount: 1 };
+      }
+
+      if (sql.includes('SET nonce = NULL')) {
+        if (params[0] !== user.id || user.nonce !== params[1]) {
+          return { rows: [], rowCount: 0 };
+        }
+        user.nonce = null;
+        return { rows: [], rowCount: 1 };
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+
+  const redis = {
+    async set(key, value) { cache.set(key, value); },
+    async get(key) { return cache.get(key) || null; },
+    async del(key) { cache.delete(key); }
+  };
+
+  return { db, redis };
+};
+
+describe('AuthService sign-in', () => {
+  let authService;
+
+  beforeEach(() => {
+    const { db, redis } = fakeStores();
+    authService = new AuthService(db, redis);
+    jest.spyOn(authService, '_createSession').mockResolvedValue({ token: 'token', sessionId: 'session-1' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads its challenge lifetime from config.auth', () => {
+    expect(authService.challengeTtl).toBe(config.auth.challengeTtl);
+  });
+
+  test('accepts a signed message only once when sign-ins race', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const message = await authService.generateChallenge(wallet.address, 'polygon');
+    const signature = await wallet.signMessage(message);
+
+    const results = await Promise.all([
+      authService.verifySignature(wallet.address, signature, 'polygon', {}, message),
+      authService.verifySignature(wallet.address, signature, 'polygon', {}, message)
+    ]);
+
+    expect(results.filter(result => result.authenticated)).toHaveLength(1);
+    expect(results.find(result => !result.authenticated).error).toBe('Challenge has already been used');
+    expect(authService._createSession).toHaveBeenCalledTimes(1);
+  });
+});
+
+/**
+ * auth_sessions and refresh_tokens as in-memory tables; deleting a session
+ * cascades to its refresh tokens like the foreign key does
+ */
+const sessionTables = () => {
+  const sessions = new Map();
+  const refreshTokens = new Map();
+  const audit = [];
+  const users = { 'user-1': { wallet_address: '0xaaa', did: null }, 'user-2': { wallet_address: '0xbbb', did: null } };
+
+  const deleteSession = (id) => {
+    sessions.delete(id);
+    for (const [hash, row] of refreshTokens) {
+      if (row.session_id === id) refreshTokens.delete(hash);
+    }
+  };
+
+  const db = {
+    async query(sql, params) {
+      if (sql.includes('INSERT INTO auth_sessions')) {
+        const [id, user_id, token, expires_at, refresh_expires_at, ip_address, user_agent] = params;
+        sessions.set(id, { id, user_id, token, expires_at, refresh_expires_at, ip_address, user_agent, created_at: new Date() });
+        return { rows: [{ id }], rowCount: 1 };
+      }
+
+      if (sql.includes('INSERT INTO refresh_tokens')) {
+        const [session_id, token_hash, expires_at] = params;
+        refreshTokens.set(token_hash, { session_id, expires_at, used_at: null });
+        return { rows: [{ id: token_hash }], rowCount: 1 };
+      }
+
+      if (sql.includes('UPDATE refresh_tokens')) {
+        const row = refreshTokens.get(params[0]);
+        if (!row || row.used_at) return { rows: [], rowCount: 0 };
+        row.used_at = new Date();
+        return { rows: [{ session_id: row.session_id, expires_at: row.expires_at }], rowCount: 1 };
+      }
+
+      if (sql.includes('FROM refresh_tokens rt')) {
+        const row = refreshTokens.get(params[0]);
+        const session = row && sessions.get(row.session_id);
+        return { rows: session ? [{ session_id: session.id, user_id: session.user_id }] : [] };
+      }
+
+      if (sql.includes('INSERT INTO audit_logs')) {
+        audit.push(params[1]);
+        return { rows: [], rowCount: 1 };
+      }
+
+      if (sql.includes('SELECT s.id, s.user_id, s.token')) {
+        const session = sessions.get(params[0]);
+        return { rows: session ? [{ ...session, ...users[session.user_id] }] : [] };
+      }
+
+      if (sql.includes('SELECT s.id, s.expires_at')) {
+        const session = [...sessions.values()].find(candidate => candidate.token === params[0]);
+        return { rows: session ? [{ ...session, ...users[session.user_id] }] : [] };
+      }
+
+      if (sql.includes('UPDATE auth_sessions')) {
+        const session = sessions.get(params[5]);
+        Object.assign(session, { token: params[0], expires_at: params[1], refresh_expires_at: params[2], last_used_at: new Date() });
+        return { rows: [], rowCount: 1 };
+      }
+
+      if (sql.includes('FROM auth_sessions') && sql.includes('ORDER BY')) {
+        const now = new Date();
+        return {
+          rows: [...sessions.values()]
+            .filter(session => session.user_id === params[0] && (session.refresh_expires_at || session.expires_at) > now)
+            .sort((a, b) => (b.last_used_at || b.created_at) - (a.last_used_at || a.created_at))
+        };
+      }
+
+      if (sql.replace(/\s+/g, ' ').includes('DELETE FROM auth_sessions WHERE id = $1 AND user_id = $2')) {
+        const session = sessions.get(params[0]);
+        if (!session || session.user_id !== params[1]) return { rows: [], rowCount: 0 };
+        deleteSession(params[0]);
+        return { rows: [{ id: params[0] }], rowCount: 1 };
+      }
+
+      if (sql.includes('DELETE FROM auth_sessions WHERE id = $1')) {
+        deleteSession(params[0]);
+        return { rows: [], rowCount: 1 };
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+
+  return { db, sessions, audit };
+};
+
+describe('AuthService sessions', () => {
+  let tables;
+  let authService;
+
+  beforeEach(() => {
+    tables = sessionTables();
+    authService = new AuthService(tables.db, null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rotates the refresh token and replaces the access token', async () => {
+    const session = await authService._createSession('user-1', '0xaaa', null, 'polygon', { ip: '10.0.0.1' });
+    const refreshed = await authService.refreshSession(session.refreshToken, { ip: '10.0.0.2' });
+
+    expect(refreshed.sessionId).toBe(session.sessionId);
+    expect(refreshed.refreshToken).not.toBe(session.refreshToken);
+    expect((await authService.verifyToken(refreshed.token)).valid).toBe(true);
+    expect((await authService.verifyToken(session.token)).valid).toBe(false);
+  });
+
+  test('a replayed refresh token ends the session for both holders', async () => {
+    const session = await authService._createSession('user-1', '0xaaa', null, 'polygon');
+    const rotated = await authService.refreshSession(session.refreshToken);
+
+    await expect(authService.refreshSession(session.refreshToken)).rejects.toThrow('reuse detected');
+
+    expect(tables.sessions.has(session.sessionId)).toBe(false);
+    expect(tables.audit).toEqual(['REFRESH_TOKEN_REUSE']);
+    expect((await authService.verifyToken(rotated.token)).valid).toBe(false);
+    await expect(authService.refreshSession(rotated.refreshToken)).rejects.toThrow('Invalid refresh token');
+  });
+
+  test('two concurrent refreshes with one token count as reuse and leave no usable token', async () => {
+    const session = await authService._createSession('user-1', '0xaaa', null, 'polygon');
+
+    const results = await Promise.allSettled([
+      authService.refreshSession(session.refreshToken),
+      authService.refreshSession(session.refreshToken)
+    ]);
+    const rotated = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+    expect(rotated.length).toBeLessThanOrEqual(1);
+    expect(results.some(result => result.status === 'rejected' && /reuse detected/.test(result.reason.message))).toBe(true);
+    expect(tables.sessions.has(session.sessionId)).toBe(false);
+
+    for (const { token, refreshToken } of rotated) {
+      expect((await authService.verifyToken(token)).valid).toBe(false);
+      await expect(authService.refreshSession(refreshToken)).rejects.toThrow();
+    }
+  });
+
+  test('refuses an unknown refresh token without touching any session', async () => {
+    const session = await authService._createSession('user-1', '0xaaa', null, 'polygon');
+
+    await expect(authService.refreshSession('not-a-token')).rejects.toThrow('Invalid refresh token');
+    expect(tables.sessions.has(session.sessionId)).toBe(true);
+    expect(tables.audit).toHaveLength(0);
+  });
+
+  test('lists a user\'s own sessions, most recently used first', async () => {
+    const older = await authService._createSession('user-1', '0xaaa', null, 'polygon', { userAgent: 'laptop' });
+    const newer = await authService._createSession('user-1', '0xaaa', null, 'polygon', { userAgent: 'phone' });
+    await authService._createSession('user-2', '0xbbb', null, 'polygon');
+    tables.sessions.get(newer.sessionId).last_used_at = new Date(Date.now() + 1000);
+
+    const listed = await authService.listSessions('user-1');
+
+    expect(listed.map(session => session.id)).toEqual([newer.sessionId, older.sessionId]);
+    expect(listed[0].user_agent).toBe('phone');
+  });
+
+  test('revokes one session of the user, and never another user\'s', async () => {
+    const mine = await authService._createSession('user-1', '0xaaa', null, 'polygon');
+    const other = await authService._createSession('user-1', '0xaaa', null, 'polygon');
+    const theirs = await authService._createSession('user-2', '0xbbb', null, 'polygon');
+
+    await expect(authService.revokeSession('user-1', theirs.sessionId)).resolves.toBe(false);
+    await expect(authService.revokeSession('user-1', mine.sessionId)).resolves.toBe(true);
+
+    expect((await authService.verifyToken(mine.token)).valid).toBe(false);
+    expect((await authService.verifyToken(other.token)).valid).toBe(true);
+    await expect(authService.refreshSession(mine.refreshToken)).rejects.toThrow('Invalid refresh token');
+  });
+});
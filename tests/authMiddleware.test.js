@@ -0,0 +1,130 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  ownsDID,
+  requirePermission,
+  allowApiKeyScope,
+  restrictApiKeys,
+  AuthorizationError,
+  ForbiddenError
+} = require('../middleware/auth');
+
+const OWNER_DID = 'did:polygon:0x1111111111111111111111111111111111111111';
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+/**
+ * Build an app whose requests arrive as the given user, mounted the way
+ * app.js mounts the authenticated routers
+ */
+const buildApp = (user, router, queries = []) => {
+  const app = express();
+
+  app.set('db', {
+    async query(sql, params) {
+      queries.push(sql);
+
+      if (sql.includes('FROM users') && sql.includes('wallet_address = $2')) {
+        return { rows: params[1] === WALLET ? [{ id: 'user-1' }] : [] };
+      }
+      if (sql.includes('role_tree') || sql.includes('FROM role_permissions')) {
+        return { rows: [{ name: '*' }] };
+      }
+      return { rows: [] };
+    }
+  });
+
+  app.use((req, res, next) => {
+    req.user = user ? { ...user } : undefined;
+    next();
+  });
+  app.use(restrictApiKeys(router));
+  app.use((error, req, res, next) => {
+    const status = error instanceof ForbiddenError ? 403 : error instanceof AuthorizationError ? 401 : 500;
+    res.status(status).json({ success: false, message: error.message });
+  });
+
+  return app;
+};
+
+const buildRouter = () => {
+  const router = express.Router();
+  const ok = (req, res) => res.json({ success: true });
+
+  router.post('/did/:did/deactivate', ownsDID(req => req.params.did), ok);
+  router.post('/did/:did/recovery/:requestId/approve', ok);
+  router.post('/verify', allowApiKeyScope('credential:verify'), ok);
+
+  return router;
+};
+
+const session = { id: 'user-1', walletAddress: WALLET, did: OWNER_DID, sessionId: 'session-1' };
+const apiKeyUser = (scopes) => ({ id: 'user-1', walletAddress: WALLET, did: OWNER_DID, apiKey: { id: 'key-1', scopes } });
+
+describe('API key scope enforcement', () => {
+  test('a signed-in owner still manages their DID', async () => {
+    const res = await request(buildApp(session, buildRouter())).post(`/did/${OWNER_DID}/deactivate`);
+
+    expect(res.status).toBe(200);
+  });
+
+  test('an API key without did:manage cannot act on its owner\'s DID', async () => {
+    const res = await request(buildApp(apiKeyUser(['credential:issue']), buildRouter()))
+      .post(`/did/${OWNER_DID}/deactivate`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch('did:manage');
+  });
+
+  test('an API key scoped to did:manage acts on its owner\'s DID', async () => {
+    const res = await request(buildApp(apiKeyUser(['did:manage']), buildRouter()))
+      .post(`/did/${OWNER_DID}/deactivate`);
+
+    expect(res.status).toBe(200);
+  });
+
+  test('an API key is refused on a route that checks no scope', async () => {
+    const res = await request(buildApp(apiKeyUser(['*']), buildRouter()))
+      .post(`/did/${OWNER_DID}/recovery/request-1/approve`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('API keys cannot be used on this route');
+  });
+
+  test('sessions still reach routes that check no scope', async () => {
+    const res = await request(buildApp(session, buildRouter()))
+      .post(`/did/${OWNER_DID}/recovery/request-1/approve`);
+
+    expect(res.status).toBe(200);
+  });
+
+  test('allowApiKeyScope admits only keys carrying the scope', async () => {
+    const router = buildRouter();
+
+    const denied = await request(buildApp(apiKeyUser(['credential:issue']), router)).post('/verify');
+    const allowed = await request(buildApp(apiKeyUser(['credential:*']), router)).post('/verify');
+
+    expect(denied.status).toBe(403);
+    expect(allowed.status).toBe(200);
+  });
+
+  test('requirePermission routes are left to their own scope check', async () => {
+    const router = express.Router();
+    router.get('/stats', requirePermission('system:read'), (req, res) => res.json({ success: true }));
+
+    const denied = await request(buildApp(apiKeyUser(['user:read']), router)).get('/stats');
+    const allowed = await request(buildApp(apiKeyUser(['system:read']), router)).get('/stats');
+
+    expect(denied.status).toBe(403);
+    expect(allowed.status).toBe(200);
+  });
+
+  test('an unscoped key is refused before any ownership lookup', async () => {
+    const queries = [];
+    const user = { ...apiKeyUser(['credential:issue']), did: null };
+
+    const res = await request(buildApp(user, buildRouter(), queries)).post(`/did/${OWNER_DID}/deactivate`);
+
+    expect(res.status).toBe(403);
+    expect(queries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,132 @@
+const CredentialService = require('../services/credential');
+
+const CREDENTIAL_HASH = `0x${'11'.repeat(32)}`;
+const RENEWAL_HASH = `0x${'22'.repeat(32)}`;
+
+/**
+ * A database stand-in holding one active credential; the renewal claim
+ * succeeds only while renewed_by is unset, as the UPDATE ... WHERE does
+ */
+const fakeDb = () => {
+  const row = {
+    issuer_did: 'did:example:issuer',
+    subject_did: 'did:example:subject',
+    credential_type: 'KYCCredential',
+    issuance_date: new Date('2026-01-01T00:00:00Z'),
+    expiration_date: new Date('2027-01-01T00:00:00Z'),
+    status: 'ACTIVE',
+    metadata: {},
+    format: 'ldp_vc',
+    renewed_by: null
+  };
+
+  return {
+    row,
+    async query(sql, params) {
+      if (sql.includes('SELECT issuer_did')) {
+        return { rows: [{ ...row }] };
+      }
+
+      if (sql.includes('renewed_by IS NULL')) {
+        if (row.renewed_by !== null) {
+          return { rows: [], rowCount: 0 };
+        }
+        row.renewed_by = params[1];
+        return { rows: [{ credential_hash: params[0] }], rowCount: 1 };
+      }
+
+      if (sql.includes('SET renewed_by = NULL')) {
+        if (row.renewed_by === params[1]) {
+          row.renewed_by = null;
+        }
+        return { rows: [], rowCount: 1 };
+      }
+
+      if (sql.includes('SET renewed_by = $2') && params[0] === CREDENTIAL_HASH) {
+        row.renewed_by = params[1];
+      }
+
+      return { rows: [], rowCount: 1 };
+    }
+  };
+};
+
+describe('CredentialService.renewCredential', () => {
+  let db;
+  let credentialService;
+
+  beforeEach(() => {
+    db = fakeDb();
+    credentialService = new CredentialService(db, null, { verifyController: async () => true });
+    jest.spyOn(credentialService, '_getIssuedClaims').mockResolvedValue({ claims: { level: 'BASIC' }, context: [] });
+    jest.spyOn(credentialService, '_notifyParties').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('issues a single renewal when two requests race', async () => {
+    let release;
+    const issuing = new Promise(resolve => { release = resolve; });
+    const issueCredential = jest.spyOn(credentialService, 'issueCredential')
+      .mockImplementation(() => issuing.then(() => ({ credentialHash: RENEWAL_HASH })));
+
+    const first = credentialService.renewCredential(CREDENTIAL_HASH, {}, '0xabc');
+    const second = credentialService.renewCredential(CREDENTIAL_HASH, {}, '0xabc');
+
+    await expect(second).rejects.toThrow('already being renewed');
+    release();
+
+    await expect(first).resolves.toMatchObject({ credentialHash: RENEWAL_HASH, renewalOf: CREDENTIAL_HASH });
+    expect(issueCredential).toHaveBeenCalledTimes(1);
+    expect(db.row.renewed_by).toBe(RENEWAL_HASH);
+  });
+
+  test('releases the claim when issuing fails', async () => {
+    jest.spyOn(credentialService, 'issueCredential').mockRejectedValue(new Error('IPFS unavailable'));
+
+    await expect(credentialService.renewCredential(CREDENTIAL_HASH, {}, '0xabc')).rejects.toThrow('IPFS unavailable');
+    expect(db.row.renewed_by).toBeNull();
+  });
+});
+
+describe('CredentialService proof key lookup', () => {
+  const recordedAt = new Date('2026-02-01T00:00:00Z');
+  const credential = {
+    issuer: 'did:example:issuer',
+    issuanceDate: '2025-01-01T00:00:00Z',
+    credentialSubject: { id: 'did:example:subject' },
+    proof: {
+      type: 'DataIntegrityProof',
+      created: '2025-01-01T00:00:00Z',
+      verificationMethod: 'did:example:issuer#key-1'
+    }
+  };
+
+  const serviceWith = (rows) => {
+    const didService = {
+      resolveVerificationMethod: jest.fn().mockRejectedValue(new Error('stop'))
+    };
+    const db = { query: jest.fn().mockResolvedValue({ rows }) };
+
+    return { credentialService: new CredentialService(db, null, didService), didService };
+  };
+
+  test('resolves retired keys as of the recorded issuance, not proof.created', async () => {
+    const { credentialService, didService } = serviceWith([{ created_at: recordedAt }]);
+
+    await credentialService.verifyCredentialProof(credential);
+
+    expect(didService.resolveVerificationMethod).toHaveBeenCalledWith('did:example:issuer#key-1', { at: recordedAt });
+  });
+
+  test('gives no time for credentials it did not issue, so retired keys are refused', async () => {
+    const { credentialService, didService } = serviceWith([]);
+
+    await credentialService.verifyCredentialProof(credential);
+
+    expect(didService.resolveVerificationMethod).toHaveBeenCalledWith('did:example:issuer#key-1', { at: undefined });
+  });
+});
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const bs58 = require('bs58');
+const DIDService = require('../services/did');
+const didUtils = require('../utils/did');
+const { generateKeyPair } = require('../utils/dataIntegrity');
+
+/**
+ * Sign a message with a generated key pair as the did:key holder would
+ * @param {Object} keyPair - generateKeyPair result
+ * @param {String} message - Message to sign
+ * @returns {String} - Base58btc multibase signature
+ */
+const signWith = (keyPair, message) => {
+  const privateKey = crypto.createPrivateKey(keyPair.privateKeyPem);
+  const signature = keyPair.keyType === 'Ed25519'
+    ? crypto.sign(null, Buffer.from(message), privateKey)
+    : crypto.sign('sha256', Buffer.from(message), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+
+  return `z${bs58.encode(signature)}`;
+};
+
+/**
+ * A pool whose single connection records each statement and answers
+ * document reads with the given document
+ * @param {Object} document - Stored DID document
+ * @param {Function} answer - Optional (sql, params) => result for other reads
+ * @returns {Object} - { pool, client, statements }
+ */
+const poolWithDocument = (document, answer = () => null) => {
+  const statements = [];
+  const client = {
+    release: jest.fn(),
+    async query(sql, params) {
+      statements.push(sql.trim().replace(/\s+/g, ' '));
+
+      if (sql.includes('FROM did_documents')) {
+        return { rows: [{ document: JSON.parse(JSON.stringify(document)) }] };
+      }
+      return answer(sql, params) || { rows: [], rowCount: 1 };
+    }
+  };
+
+  const pool = Object.create(Pool.prototype);
+  pool.connect = jest.fn().mockResolvedValue(client);
+
+  return { pool, client, statements };
+};
+
+describe('did:web resolution of other hosts', () => {
+  const didService = new DIDService({});
+
+  const lookup = (hostname, options = {}) => new Promise((resolve, reject) => {
+    didService._lookupPublicAddress(hostname, options, (error, ...result) => (error ? reject(error) : resolve(result)));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    'did:web:127.0.0.1',
+    'did:web:169.254.169.254',
+    'did:web:10.0.0.1%3A8443'
+  ])('rejects the IP literal host of %s', (did) => {
+    expect(() => didUtils.parseDidWeb(did)).toThrow('IP address host');
+  });
+
+  test('rejects ports other than 443 that are not allowed', async () => {
+    await expect(didService._fetchDidWebDocument('did:web:example.com%3A6379'))
+      .rejects.toThrow('not fetched from port 6379');
+  });
+
+  test('refuses hosts that resolve to loopback addresses', async () => {
+    await expect(lookup('localhost')).rejects.toThrow('non-public address');
+    await expect(lookup('localhost', { all: true })).rejects.toThrow('non-public address');
+  });
+
+  test('does not connect to a host that resolves to a loopback address', async () => {
+    await expect(didService._fetchDidWebDocument('did:web:localhost')).rejects.toThrow('non-public address');
+  });
+});
+
+describe('did:key registration', () => {
+  const WALLET = '0x1111111111111111111111111111111111111111';
+  let didService;
+
+  beforeEach(() => {
+    const cache = new Map();
+    const redis = {
+      async set(key, value) { cache.set(key, value); },
+      async get(key) { return cache.get(key) || null; },
+      async del(key) { cache.delete(key); }
+    };
+
+    didService = new DIDService({ query: jest.fn().mockResolvedValue({ rows: [] }) }, redis);
+    jest.spyOn(didService, '_registerDID').mockResolvedValue({ controller: null });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(['eddsa-rdfc-2022', 'ecdsa-secp256k1-2019'])('registers a %s key that signed the challenge', async (cryptosuite) => {
+    const keyPair = generateKeyPair(cryptosuite);
+    const { publicKeyMultibase } = keyPair;
+    const { nonce, message } = await didService.createDidKeyChallenge(publicKeyMultibase, WALLET);
+
+    const result = await didService.generateDidKey(WALLET, {
+      publicKeyMultibase,
+      proof: { nonce, signature: signWith(keyPair, message) }
+    });
+
+    expect(result.did).toBe(didUtils.generateDidKey(publicKeyMultibase));
+    expect(result.keyHeld).toBe(false);
+    expect(didService._registerDID).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses a key whose holder did not sign', async () => {
+    const victim = generateKeyPair();
+    const { nonce, message } = await didService.createDidKeyChallenge(victim.publicKeyMultibase, WALLET);
+
+    await expect(didService.generateDidKey(WALLET, {
+      publicKeyMultibase: victim.publicKeyMultibase,
+      proof: { nonce, signature: signWith(generateKeyPair(), message) }
+    })).rejects.toThrow('does not prove control');
+
+    await expect(didService.generateDidKey(WALLET, { publicKeyMultibase: victim.publicKeyMultibase }))
+      .rejects.toThrow('challenge signed with the key');
+
+    expect(didService._registerDID).not.toHaveBeenCalled();
+  });
+
+  test('refuses a challenge issued to another wallet, and a challenge used before', async () => {
+    const keyPair = generateKeyPair();
+    const { publicKeyMultibase } = keyPair;
+    const { nonce, message } = await didService.createDidKeyChallenge(publicKeyMultibase, WALLET);
+    const proof = { nonce, signature: signWith(keyPair, message) };
+
+    await expect(didService.generateDidKey('0x2222222222222222222222222222222222222222', { publicKeyMultibase, proof }))
+      .rejects.toThrow('different DID or wallet');
+    await expect(didService.generateDidKey(WALLET, { publicKeyMultibase, proof }))
+      .rejects.toThrow('not found or expired');
+
+    expect(didService._registerDID).not.toHaveBeenCalled();
+  });
+});
+
+describe('verification method changes', () => {
+  const WALLET = '0x2222222222222222222222222222222222222222';
+  const DID = `did:${didUtils.DID_METHOD}:${WALLET}`;
+  const KEY_ID = `${DID}#keys-1`;
+
+  let statements;
+  let client;
+  let didService;
+
+  beforeEach(() => {
+    // Requests share the application's pool; a change must hold one connection
+    let pool;
+    ({ pool, client, statements } = poolWithDocument({
+      id: DID,
+      verificationMethod: [{ id: KEY_ID, type: 'Multikey', controller: DID }],
+      assertionMethod: [KEY_ID]
+    }));
+
+    didService = new DIDService(pool, null);
+    jest.spyOn(didService, 'verifyController').mockResolvedValue(true);
+    jest.spyOn(didService, '_saveDocument').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('locks the document and commits the key record and new version together', async () => {
+    await didService.revokeVerificationMethod(DID, KEY_ID, WALLET);
+
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements[1]).toBe('SELECT document FROM did_documents WHERE did = $1 FOR UPDATE');
+    expect(statements[2]).toMatch(/^UPDATE did_keys SET status = 'REVOKED'/);
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+    expect(didService._saveDocument).toHaveBeenCalledWith(client, DID, expect.objectContaining({ version: 1 }));
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('rolls the key record back when the new version cannot be saved', async () => {
+    didService._saveDocument.mockRejectedValue(new Error('DID is deactivated'));
+
+    await expect(didService.revokeVerificationMethod(DID, KEY_ID, WALLET))
+      .rejects.toThrow('Failed to revoke verification method: DID is deactivated');
+
+    expect(statements).toContain('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('DID control transfer', () => {
+  const OLD_WALLET = '0x3333333333333333333333333333333333333333';
+  const NEW_WALLET = '0x4444444444444444444444444444444444444444';
+  const DID = `did:${didUtils.DID_METHOD}:${OLD_WALLET}`;
+
+  const transferWith = (otherAccount = null) => {
+    const stores = poolWithDocument({
+      id: DID,
+      verificationMethod: [{ id: `${DID}#controller`, blockchainAccountId: `eip155:137:${OLD_WALLET}` }]
+    }, (sql) => {
+      if (sql.includes('FROM users WHERE did')) {
+        return { rows: [{ id: 'user-1', wallet_address: OLD_WALLET }] };
+      }
+      if (sql.includes('LOWER(wallet_address)')) {
+        return { rows: otherAccount ? [{ id: otherAccount }] : [] };
+      }
+      return null;
+    });
+
+    const didService = new DIDService(stores.pool, null);
+    jest.spyOn(didService, '_saveDocument').mockResolvedValue();
+
+    return { ...stores, didService };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('moves the wallet, links, sessions and document in one transaction', async () => {
+    const { didService, statements, client } = transferWith();
+
+    const result = await didService.transferControl(DID, NEW_WALLET);
+
+    expect(result).toEqual({ did: DID, previousWalletAddress: OLD_WALLET, walletAddress: NEW_WALLET });
+    expect(statements.slice(0, 3)).toEqual([
+      'BEGIN',
+      'SELECT document FROM did_documents WHERE did = $1 FOR UPDATE',
+      'SELECT id, wallet_address FROM users WHERE did = $1 FOR UPDATE'
+    ]);
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+    expect(didService._saveDocument.mock.calls[0][2].verificationMethod[0].blockchainAccountId)
+      .toBe(`eip155:137:${NEW_WALLET}`);
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('undoes the wallet change and session purge when the document cannot be saved', async () => {
+    const { didService, statements } = transferWith();
+    didService._saveDocument.mockRejectedValue(new Error('DID is deactivated'));
+
+    await expect(didService.transferControl(DID, NEW_WALLET)).rejects.toThrow('DID is deactivated');
+
+    expect(statements).toContain('DELETE FROM auth_sessions WHERE user_id = $1');
+    expect(statements[statements.length - 1]).toBe('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+  });
+
+  test('writes nothing when the new wallet belongs to another account', async () => {
+    const { didService, statements } = transferWith('user-2');
+
+    await expect(didService.transferControl(DID, NEW_WALLET)).rejects.toThrow('already registered');
+
+    expect(statements.some(sql => sql.startsWith('UPDATE') || sql.startsWith('DELETE'))).toBe(false);
+    expect(statements[statements.length - 1]).toBe('ROLLBACK');
+  });
+});
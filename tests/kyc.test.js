@@ -0,0 +1,138 @@
+const config = require('../config');
+const KYCService = require('../services/kyc');
+const polygonService = require('../services/polygon');
+const zkProofService = require('../services/zkProofService');
+const { decrypt } = require('../utils/crypto');
+
+const DID = 'did:example:123456789abcdefghi';
+
+/**
+ * Rows of one verified KYC verification and the zk_proofs stored for it;
+ * inserted proofs are kept so later proofs can find the anchored commitment
+ */
+const kycRows = (level) => {
+  const proofs = [];
+
+  const db = {
+    async query(sql, params) {
+      if (sql.includes('FROM kyc_verifications')) {
+        return {
+          rows: [{
+            verification_level: level,
+            status: 'VERIFIED',
+            provider: 'onfido',
+            verification_data: {},
+            verified_at: new Date('2026-01-15T10:00:00Z')
+          }]
+        };
+      }
+
+      if (sql.includes('FROM users')) {
+        return { rows: [{ did: DID, sbt_token_id: '42' }] };
+      }
+
+      if (sql.includes('FROM zk_proofs')) {
+        return { rows: proofs.slice(-1).map(([saltEncrypted, commitment]) => ({ salt_encrypted: saltEncrypted, commitment })) };
+      }
+
+      if (sql.includes('INSERT INTO zk_proofs')) {
+        proofs.push([params[5], params[6]]);
+        return { rows: [{ id: `proof-${proofs.length}` }] };
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+
+  return { db, proofs };
+};
+
+describe('KYC proofs', () => {
+  let anchors;
+
+  beforeEach(() => {
+    // SBT token 42's anchored commitments
+    anchors = new Set();
+    jest.spyOn(polygonService, 'anchorKycCommitment').mockImplementation(async (tokenId, commitment) => {
+      anchors.add(`${tokenId}:${commitment}`);
+    });
+    jest.spyOn(polygonService, 'isKycCommitmentAnchored').mockImplementation(async (tokenId, commitment) => (
+      anchors.has(`${tokenId}:${commitment}`)
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    if (globalThis.curve_bn128) {
+      await globalThis.curve_bn128.terminate();
+    }
+  });
+
+  test.each(['BASIC', 'ADVANCED', 'BUSINESS'])('proves a %s verification against the policy level, not its own', async (level) => {
+    const kycService = new KYCService(kycRows(level).db);
+    const result = await kycService.generateKycProof('user-1', 'verification-1', 'BASIC');
+
+    expect(result.publicInputs.minLevel).toBe(String(zkProofService.KYC_LEVELS.BASIC));
+    await expect(kycService.verifyKycProof(result.zkProof, result.publicInputs, { minLevel: 'BASIC', did: DID }))
+      .resolves.toMatchObject({ valid: true });
+  });
+
+  test('refuses to prove without the requester\'s minimum level', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(new KYCService(kycRows('BUSINESS').db).generateKycProof('user-1', 'verification-1'))
+      .rejects.toThrow('minimum KYC level is required');
+  });
+
+  test('encrypts the salt with the KYC proof secret, not the DID key secret', async () => {
+    const { db, proofs } = kycRows('ADVANCED');
+    const result = await new KYCService(db).generateKycProof('user-1', 'verification-1', 'ADVANCED');
+    const [saltEncrypted] = proofs[0];
+
+    expect(saltEncrypted).not.toContain(result.salt);
+    expect(decrypt(saltEncrypted, config.kyc.proofSecret)).toBe(result.salt);
+    expect(() => decrypt(saltEncrypted, config.did.keySecret)).toThrow();
+  });
+
+  test('anchors a verification\'s commitment once and reuses it for later policies', async () => {
+    const kycService = new KYCService(kycRows('BUSINESS').db);
+
+    const first = await kycService.generateKycProof('user-1', 'verification-1', 'BASIC');
+    const second = await kycService.generateKycProof('user-1', 'verification-1', 'BUSINESS');
+
+    expect(polygonService.anchorKycCommitment).toHaveBeenCalledTimes(1);
+    expect(polygonService.anchorKycCommitment).toHaveBeenCalledWith('42', first.publicInputs.commitment);
+    expect(second.publicInputs.commitment).toBe(first.publicInputs.commitment);
+    expect(second.salt).toBe(first.salt);
+  });
+
+  test('rejects a proof below the policy level, or about another DID', async () => {
+    const kycService = new KYCService(kycRows('ADVANCED').db);
+    const { zkProof, publicInputs } = await kycService.generateKycProof('user-1', 'verification-1', 'BASIC');
+
+    await expect(kycService.verifyKycProof(zkProof, publicInputs, { minLevel: 'ADVANCED' }))
+      .resolves.toMatchObject({ valid: false, error: 'Proof does not meet the required KYC level' });
+    await expect(kycService.verifyKycProof(zkProof, publicInputs, { minLevel: 'BASIC', did: 'did:example:other' }))
+      .resolves.toMatchObject({ valid: false, error: 'Proof is not about the expected DID' });
+  });
+
+  test('rejects a valid proof of a commitment the server never anchored', async () => {
+    // What anyone can build with the published wasm and zkey
+    const forged = await zkProofService.generateProof('kyc', {
+      did: DID,
+      sbtTokenId: 42,
+      kycLevel: 'BUSINESS',
+      minLevel: 'BUSINESS',
+      provider: 'onfido',
+      verificationTimestamp: '2026-01-15T10:00:00Z',
+      salt: zkProofService.generateSalt()
+    });
+
+    await expect(zkProofService.verifyProof('kyc', forged.proof, forged.publicInputs)).resolves.toBe(true);
+    await expect(new KYCService({}).verifyKycProof(forged.proof, forged.publicInputs, { minLevel: 'BUSINESS', did: DID }))
+      .resolves.toMatchObject({ valid: false, error: 'Proof commitment is not anchored on the SBT' });
+  });
+});
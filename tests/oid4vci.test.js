@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const config = require('../config');
+const OID4VCIService = require('../services/oid4vci');
+const { signJwt } = require('../utils/vcJwt');
+const { OAuthError } = require('../middleware/error');
+
+const GRANT = 'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+const SUBJECT_DID = 'did:polygon:0x1111111111111111111111111111111111111111';
+const PIN = '493817';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * The credential_offers row of one offer, updated the way the service's
+ * conditional UPDATE statements would update it
+ */
+const offerTable = ({ txCode = PIN } = {}) => {
+  const offer = {
+    id: 'offer-1',
+    template_id: 'kyc',
+    subject_did: SUBJECT_DID,
+    claims: { kycLevel: 2 },
+    status: 'OFFERED',
+    pre_authorized_code: 'code-1',
+    tx_code_hash: txCode ? sha256(txCode) : null,
+    tx_code_attempts: 0
+  };
+
+  const db = {
+    offer,
+    async query(sql, params) {
+      if (sql.includes('WHERE pre_authorized_code = $1')) {
+        return { rows: offer.status === 'OFFERED' && params[0] === offer.pre_authorized_code ? [{ ...offer }] : [] };
+      }
+      if (sql.includes('tx_code_attempts + 1')) {
+        offer.tx_code_attempts += 1;
+        if (offer.tx_code_attempts >= params[1]) {
+          offer.status = 'CANCELLED';
+        }
+        return { rows: [] };
+      }
+      if (sql.includes('access_token_hash = $2')) {
+        if (offer.status !== 'OFFERED') {
+          return { rows: [] };
+        }
+        Object.assign(offer, {
+          status: 'TOKEN_ISSUED',
+          access_token_hash: params[1],
+          access_token_expires_at: new Date(Date.now() + 300000),
+          c_nonce: params[3],
+          c_nonce_expires_at: new Date(Date.now() + 300000)
+        });
+        return { rows: [{ id: offer.id }] };
+      }
+      if (sql.includes('WHERE o.access_token_hash = $1')) {
+        const redeemable = offer.status === 'TOKEN_ISSUED' && params[0] === offer.access_token_hash;
+        return { rows: redeemable ? [{ ...offer, format: 'jwt_vc' }] : [] };
+      }
+      if (sql.includes('SET c_nonce = $2')) {
+        offer.c_nonce = params[1];
+        return { rows: [] };
+      }
+      if (sql.includes("SET status = 'ISSUING'")) {
+        if (offer.status !== 'TOKEN_ISSUED') {
+          return { rows: [] };
+        }
+        offer.status = 'ISSUING';
+        return { rows: [{ id: offer.id }] };
+      }
+      if (sql.includes("SET status = 'ISSUED'")) {
+        Object.assign(offer, { status: 'ISSUED', credential_hash: params[1], c_nonce: params[2] });
+        return { rows: [] };
+      }
+      if (sql.includes("SET status = 'TOKEN_ISSUED'")) {
+        offer.status = 'TOKEN_ISSUED';
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+
+  return db;
+};
+
+/**
+ * An OID4VCI service over the given table whose credential issuance is
+ * handed to `issue`
+ */
+const issuerFor = (db, issue = async () => ({ credential: 'eyJ.issued.jwt', credentialHash: '0xfeed' })) => {
+  const service = new OID4VCIService(db, null, {});
+  service.templateService.getTemplate = async () => ({ template_id: 'kyc', default_claims: {} });
+  service.templateService.toIssuanceOptions = (template, options) => options;
+  service.credentialService.issueCredential = issue;
+  return service;
+};
+
+const holder = crypto.generateKeyPairSync('ed25519');
+
+const proofJwt = (nonce, claims = {}) => signJwt(
+  { typ: 'openid4vci-proof+jwt', jwk: holder.publicKey.export({ format: 'jwk' }) },
+  { aud: config.oid4vci.credentialIssuer.replace(/\/$/, ''), nonce, iat: Math.floor(Date.now() / 1000), ...claims },
+  holder.privateKey.export({ type: 'pkcs8', format: 'pem' })
+);
+
+const oauthError = async (promise) => {
+  const error = await promise.then(() => null, e => e);
+  expect(error).toBeInstanceOf(OAuthError);
+  return error;
+};
+
+describe('OID4VCI pre-authorized code', () => {
+  test('exchanges the code and PIN for an access token and first c_nonce', async () => {
+    const db = offerTable();
+    const token = await issuerFor(db).exchangePreAuthorizedCode({ grant_type: GRANT, 'pre-authorized_code': 'code-1', tx_code: PIN });
+
+    expect(token.token_type).toBe('Bearer');
+    expect(db.offer.access_token_hash).toBe(sha256(token.access_token));
+    expect(db.offer.c_nonce).toBe(token.c_nonce);
+  });
+
+  test('the code redeems a single token, even when raced', async () => {
+    const service = issuerFor(offerTable({ txCode: null }));
+    const exchange = () => service.exchangePreAuthorizedCode({ grant_type: GRANT, 'pre-authorized_code': 'code-1' });
+
+    const results = await Promise.allSettled([exchange(), exchange()]);
+
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(r => r.status === 'rejected').reason.code).toBe('invalid_grant');
+    expect((await oauthError(exchange())).code).toBe('invalid_grant');
+  });
+
+  test('asks for the PIN when the offer requires one', async () => {
+    const error = await oauthError(issuerFor(offerTable()).exchangePreAuthorizedCode({ grant_type: GRANT, 'pre-authorized_code': 'code-1' }));
+
+    expect(error.code).toBe('invalid_request');
+  });
+
+  test('cancels the offer once the PIN has been guessed wrong too often', async () => {
+    const db = offerTable();
+    const service = issuerFor(db);
+    const attempt = (txCode) => service.exchangePreAuthorizedCode({ grant_type: GRANT, 'pre-authorized_code': 'code-1', tx_code: txCode });
+
+    for (let i = 0; i < config.oid4vci.maxTxCodeAttempts; i++) {
+      expect((await oauthError(attempt(String(i).padStart(6, '0')))).message).toBe('Invalid tx_code');
+    }
+
+    expect(db.offer.status).toBe('CANCELLED');
+    expect((await oauthError(attempt(PIN))).message).toMatch('invalid, expired or already used');
+  });
+});
+
+describe('OID4VCI credential request', () => {
+  let db;
+  let service;
+  let token;
+
+  beforeEach(async () => {
+    db = offerTable({ txCode: null });
+    service = issuerFor(db);
+    token = await service.exchangePreAuthorizedCode({ grant_type: GRANT, 'pre-authorized_code': 'code-1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('issues against a proof over the current c_nonce and hands out a new one', async () => {
+    const response = await service.issueCredential(token.access_token, {
+      credential_configuration_id: 'kyc',
+      proof: { proof_type: 'jwt', jwt: proofJwt(token.c_nonce) }
+    });
+
+    expect(response.credential).toBe('eyJ.issued.jwt');
+    expect(response.c_nonce).not.toBe(token.c_nonce);
+    expect(db.offer.status).toBe('ISSUED');
+  });
+
+  test('a rejected proof rotates the c_nonce, so the old nonce cannot be retried', async () => {
+    const request = (nonce) => service.issueCredential(token.access_token, {
+      credential_configuration_id: 'kyc',
+      proof: { proof_type: 'jwt', jwt: proofJwt(nonce) }
+    });
+
+    const wrongNonce = await oauthError(request('guessed'));
+    expect(wrongNonce.code).toBe('invalid_proof');
+    expect(wrongNonce.details.c_nonce).toBe(db.offer.c_nonce);
+
+    const staleNonce = await oauthError(request(token.c_nonce));
+    expect(staleNonce.code).toBe('invalid_proof');
+
+    await expect(request(staleNonce.details.c_nonce)).resolves.toHaveProperty('credential');
+  });
+
+  test('rejects a proof addressed to another issuer', async () => {
+    const error = await oauthError(service.issueCredential(token.access_token, {
+      credential_configuration_id: 'kyc',
+      proof: { proof_type: 'jwt', jwt: proofJwt(token.c_nonce, { aud: 'https://other-issuer.example' }) }
+    }));
+
+    expect(error.message).toBe('Proof audience must be the credential issuer');
+  });
+
+  test('the access token cannot be redeemed twice', async () => {
+    const request = { credential_configuration_id: 'kyc', proof: { proof_type: 'jwt', jwt: proofJwt(token.c_nonce) } };
+    const first = await service.issueCredential(token.access_token, request);
+
+    const replay = await oauthError(service.issueCredential(token.access_token, {
+      ...request,
+      proof: { proof_type: 'jwt', jwt: proofJwt(first.c_nonce) }
+    }));
+
+    expect(replay.code).toBe('invalid_token');
+    expect(replay.statusCode).toBe(401);
+  });
+
+  test('a failed issuance lets the wallet retry with the same token', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service.credentialService.issueCredential = async () => {
+      throw new Error('Polygon RPC unavailable');
+    };
+
+    await expect(service.issueCredential(token.access_token, {
+      credential_configuration_id: 'kyc',
+      proof: { proof_type: 'jwt', jwt: proofJwt(token.c_nonce) }
+    })).rejects.toThrow('Failed to issue credential: Polygon RPC unavailable');
+
+    expect(db.offer.status).toBe('TOKEN_ISSUED');
+  });
+});
@@ -0,0 +1,68 @@
+const ethers = require('ethers');
+const { abi } = require('../contracts/abi/SoulboundNFT.json');
+const polygonService = require('../services/polygon');
+
+const soulboundInterface = new ethers.Interface(abi);
+
+/**
+ * A SoulboundNFT contract stand-in that encodes every call against the ABI,
+ * so a method or argument the deployed contract lacks fails the test
+ */
+const recordingContract = (calls) => new Proxy({}, {
+  get: (target, method) => async (...args) => {
+    calls.push({ method, data: soulboundInterface.encodeFunctionData(method, args) });
+    return { wait: async () => ({ hash: `0x${'ab'.repeat(32)}` }) };
+  }
+});
+
+describe('PolygonService SoulboundNFT calls', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    polygonService.wallet = ethers.Wallet.createRandom();
+    polygonService.soulboundContract = recordingContract(calls);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('updateSbtMerkleRoot anchors the root through an ABI method', async () => {
+    const root = 'c0ffee'.padEnd(64, '0');
+    const receipt = await polygonService.updateSbtMerkleRoot(7, root);
+
+    expect(receipt.hash).toBeDefined();
+    expect(calls).toHaveLength(1);
+
+    const { name, args } = soulboundInterface.parseTransaction({ data: calls[0].data });
+    expect(name).toBe('addCredentialToToken');
+    expect(args[0]).toBe(7n);
+    expect(args[1]).toBe(`0x${root}`);
+    expect(args[2]).toBe(true);
+  });
+
+  test('the anchored root can be checked with isCredentialValid', () => {
+    expect(soulboundInterface.getFunction('isCredentialValid(uint256,bytes32)')).not.toBeNull();
+  });
+
+  test('anchorKycCommitment records the commitment as a bytes32 token credential', async () => {
+    await polygonService.anchorKycCommitment(42, '255');
+
+    const { name, args } = soulboundInterface.parseTransaction({ data: calls[0].data });
+    expect(name).toBe('addCredentialToToken');
+    expect(args[0]).toBe(42n);
+    expect(args[1]).toBe(`0x${'ff'.padStart(64, '0')}`);
+  });
+
+  test('updateSbtCredential and updateSbtStatus encode against the ABI', async () => {
+    await polygonService.updateSbtCredential(7, `0x${'12'.repeat(32)}`, false);
+    await polygonService.updateSbtStatus(7, 2);
+
+    expect(calls.map(call => soulboundInterface.parseTransaction({ data: call.data }).signature)).toEqual([
+      'addCredentialToToken(uint256,bytes32,bool)',
+      'updateCredentialStatus(uint256,uint8)'
+    ]);
+  });
+});
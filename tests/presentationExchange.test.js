@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const {
+  checkDefinition,
+  evaluateDescriptor,
+  evaluateRequirements,
+  evaluateSubmission,
+  selectCredentials
+} = require('../utils/presentationExchange');
+const { createJwtVc, createSdJwtVc } = require('../utils/vcJwt');
+
+/**
+ * A definition with one descriptor whose field carries the given filter
+ */
+const definitionWithFilter = (filter) => ({
+  id: 'filter-check',
+  input_descriptors: [{
+    id: 'credential',
+    constraints: { fields: [{ path: ['$.credentialSubject.name'], filter }] }
+  }]
+});
+
+describe('presentation exchange filter cache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('compiles a filter once however often it is evaluated', () => {
+    const compile = jest.spyOn(Ajv.prototype, 'compile');
+    const descriptor = definitionWithFilter({ type: 'string', const: 'reused' }).input_descriptors[0];
+
+    for (let i = 0; i < 5; i++) {
+      evaluateDescriptor(descriptor, { credentialSubject: { name: 'reused' } });
+    }
+
+    expect(compile).toHaveBeenCalledTimes(1);
+  });
+
+  test('drops the least recently used filter from Ajv once the cache is full', () => {
+    const removeSchema = jest.spyOn(Ajv.prototype, 'removeSchema');
+    const first = { type: 'string', const: 'evicted-0' };
+
+    expect(checkDefinition(definitionWithFilter(first))).toBeNull();
+
+    for (let i = 1; i <= 100; i++) {
+      expect(checkDefinition(definitionWithFilter({ type: 'string', const: `evicted-${i}` }))).toBeNull();
+    }
+
+    expect(removeSchema).toHaveBeenCalledWith(first);
+  });
+
+  test('does not keep a filter that fails to compile', () => {
+    const removeSchema = jest.spyOn(Ajv.prototype, 'removeSchema');
+    const invalid = { type: 'not-a-type' };
+
+    expect(checkDefinition(definitionWithFilter(invalid))).toMatch('Input descriptor credential: schema is invalid');
+    expect(removeSchema).toHaveBeenCalledWith(invalid);
+  });
+});
+
+/**
+ * A descriptor asking for a credential of the given document type, read from
+ * a JSON-LD credential, a VC-JWT payload or disclosed SD-JWT claims
+ */
+const documentDescriptor = (id, documentType, group) => ({
+  id,
+  group,
+  constraints: {
+    fields: [{
+      id: 'documentType',
+      path: ['$.credentialSubject.documentType', '$.vc.credentialSubject.documentType', '$.documentType'],
+      filter: { type: 'string', const: documentType }
+    }]
+  }
+});
+
+// One identity document and one proof of address
+const onboarding = {
+  id: 'onboarding',
+  submission_requirements: [
+    { name: 'identity', rule: 'pick', count: 1, from: 'identity' },
+    { name: 'address', rule: 'pick', min: 1, max: 1, from: 'address' }
+  ],
+  input_descriptors: [
+    documentDescriptor('passport', 'passport', ['identity']),
+    documentDescriptor('id_card', 'id_card', ['identity']),
+    documentDescriptor('utility_bill', 'utility_bill', ['address'])
+  ]
+};
+
+const issuerKey = crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+const credentialOf = (documentType, extra = {}) => ({
+  '@context': ['https://www.w3.org/2018/credentials/v1'],
+  id: `urn:uuid:${crypto.randomUUID()}`,
+  type: ['VerifiableCredential', 'DocumentCredential'],
+  issuer: 'did:polygon:0x2222222222222222222222222222222222222222',
+  issuanceDate: '2026-01-01T00:00:00Z',
+  credentialSubject: { id: 'did:polygon:0x1111111111111111111111111111111111111111', documentType, ...extra }
+});
+
+const asJwtVc = (credential) => createJwtVc(credential, { kid: `${credential.issuer}#key-1`, privateKeyPem: issuerKey });
+
+describe('presentation definition checks', () => {
+  test('accepts a definition whose requirements name declared groups', () => {
+    expect(checkDefinition(onboarding)).toBeNull();
+  });
+
+  test.each([
+    [
+      'an unknown group',
+      { ...onboarding, submission_requirements: [{ rule: 'all', from: 'residence' }] },
+      'unknown group: residence'
+    ],
+    [
+      'both from and from_nested',
+      { ...onboarding, submission_requirements: [{ rule: 'all', from: 'identity', from_nested: [{ rule: 'all', from: 'address' }] }] },
+      'exactly one of from and from_nested'
+    ],
+    [
+      'a negative count',
+      { ...onboarding, submission_requirements: [{ rule: 'pick', count: -1, from: 'identity' }] },
+      'count must be a non-negative integer'
+    ],
+    [
+      'a duplicate descriptor id',
+      { ...onboarding, input_descriptors: [...onboarding.input_descriptors, documentDescriptor('passport', 'passport')] },
+      'Duplicate input descriptor id: passport'
+    ],
+    [
+      'a path outside the supported JSONPath subset',
+      { id: 'bad-path', input_descriptors: [{ id: 'credential', constraints: { fields: [{ path: ['credentialSubject.name'] }] } }] },
+      'JSONPath must start with $'
+    ]
+  ])('rejects %s', (_, definition, message) => {
+    expect(checkDefinition(definition)).toMatch(message);
+  });
+});
+
+describe('input descriptor evaluation', () => {
+  const descriptor = {
+    id: 'adult',
+    constraints: {
+      fields: [
+        { id: 'age', path: ['$.credentialSubject.age', '$.age'], filter: { type: 'number', minimum: 18 } },
+        { id: 'nickname', path: ['$.credentialSubject.nickname'], optional: true }
+      ]
+    }
+  };
+
+  test('falls through alternative paths to the first value the filter accepts', () => {
+    const result = evaluateDescriptor(descriptor, { credentialSubject: { age: 16 }, age: 21 });
+
+    expect(result.matched).toBe(true);
+    expect(result.fields).toEqual([{ id: 'age', path: '$.age', value: 21 }]);
+  });
+
+  test('reports a required field the filter rejects, and ignores a missing optional one', () => {
+    const result = evaluateDescriptor(descriptor, { credentialSubject: { age: 16 } });
+
+    expect(result).toEqual({ matched: false, fields: [], errors: ['age: no value matches the filter'] });
+  });
+});
+
+describe('submission requirements', () => {
+  const satisfied = (...ids) => new Set(ids);
+
+  test('without requirements every input descriptor is needed', () => {
+    const { submission_requirements, ...plain } = onboarding;
+
+    expect(evaluateRequirements(plain, satisfied('passport', 'utility_bill'))).toEqual([
+      'Input descriptor id_card is not satisfied'
+    ]);
+  });
+
+  test('pick count is exact for a submission but a lower bound for what is available', () => {
+    const overSubmitted = satisfied('passport', 'id_card', 'utility_bill');
+
+    expect(evaluateRequirements(onboarding, overSubmitted, true)).toEqual(['Submission requirement identity is not met']);
+    expect(evaluateRequirements(onboarding, overSubmitted, false)).toEqual([]);
+  });
+
+  test('pick min requires a descriptor from the group to be met', () => {
+    expect(evaluateRequirements(onboarding, satisfied('passport'), true)).toEqual(['Submission requirement address is not met']);
+  });
+
+  test('from_nested combines the nested requirements', () => {
+    const eitherOr = {
+      ...onboarding,
+      submission_requirements: [{
+        name: 'identity or address',
+        rule: 'pick',
+        count: 1,
+        from_nested: [
+          { rule: 'all', from: 'identity' },
+          { rule: 'all', from: 'address' }
+        ]
+      }]
+    };
+
+    expect(evaluateRequirements(eitherOr, satisfied('utility_bill'), true)).toEqual([]);
+    expect(evaluateRequirements(eitherOr, satisfied('passport'), true)).toEqual(['Submission requirement identity or address is not met']);
+    expect(evaluateRequirements(eitherOr, satisfied('passport', 'id_card', 'utility_bill'), true))
+      .toEqual(['Submission requirement identity or address is not met']);
+  });
+});
+
+describe('credential selection', () => {
+  test('matches JSON-LD credentials and VC-JWTs, skipping what cannot be decoded', () => {
+    const pool = [
+      'not-a-jwt',
+      credentialOf('id_card'),
+      asJwtVc(credentialOf('utility_bill'))
+    ];
+
+    const selection = selectCredentials(onboarding, pool);
+
+    expect(selection.satisfied).toBe(true);
+    expect(selection.descriptors.map(({ id, matches }) => [id, matches.map(match => match.index)])).toEqual([
+      ['passport', []],
+      ['id_card', [1]],
+      ['utility_bill', [2]]
+    ]);
+  });
+
+  test('explains why a definition cannot be met', () => {
+    const selection = selectCredentials(onboarding, [credentialOf('passport')]);
+
+    expect(selection.satisfied).toBe(false);
+    expect(selection.errors).toEqual(['Submission requirement address is not met']);
+    expect(selection.descriptors[2].errors).toEqual(['credential 0: documentType: no value matches the filter']);
+  });
+});
+
+describe('presentation submission evaluation', () => {
+  const submissionFor = (...entries) => ({
+    id: 'submission-1',
+    definition_id: onboarding.id,
+    descriptor_map: entries.map(([id, index]) => ({
+      id,
+      format: 'ldp_vp',
+      path: '$',
+      path_nested: { id, format: 'jwt_vc', path: `$.verifiableCredential[${index}]` }
+    }))
+  });
+
+  const presentationOf = (...credentials) => ({
+    '@context': ['https://www.w3.org/2018/credentials/v1'],
+    type: ['VerifiablePresentation'],
+    verifiableCredential: credentials.map(asJwtVc)
+  });
+
+  test('follows path_nested from the presentation into each credential', () => {
+    const vpToken = presentationOf(credentialOf('passport'), credentialOf('utility_bill'));
+
+    const result = evaluateSubmission(onboarding, submissionFor(['passport', 0], ['utility_bill', 1]), vpToken);
+
+    expect(result.satisfied).toBe(true);
+    expect(result.descriptors.map(({ id, path }) => [id, path])).toEqual([
+      ['passport', '$.verifiableCredential[0]'],
+      ['utility_bill', '$.verifiableCredential[1]']
+    ]);
+  });
+
+  test('rejects a credential mapped to a descriptor it does not satisfy', () => {
+    const vpToken = presentationOf(credentialOf('id_card'), credentialOf('utility_bill'));
+
+    const result = evaluateSubmission(onboarding, submissionFor(['passport', 0], ['utility_bill', 1]), vpToken);
+
+    expect(result.satisfied).toBe(false);
+    expect(result.descriptors[0]).toMatchObject({ id: 'passport', matched: false });
+    expect(result.errors).toEqual(['Submission requirement identity is not met']);
+  });
+
+  test('rejects a submission for another definition or naming unknown descriptors', () => {
+    const vpToken = presentationOf(credentialOf('passport'), credentialOf('utility_bill'));
+    const submission = {
+      ...submissionFor(['passport', 0], ['utility_bill', 1], ['bank_statement', 1]),
+      definition_id: 'other'
+    };
+
+    expect(evaluateSubmission(onboarding, submission, vpToken).errors).toEqual([
+      'Presentation submission does not reference the presentation definition',
+      'Submission maps unknown input descriptor bank_statement'
+    ]);
+  });
+
+  test('reports a mapping that points at nothing', () => {
+    const vpToken = presentationOf(credentialOf('passport'));
+
+    const result = evaluateSubmission(onboarding, submissionFor(['passport', 0], ['utility_bill', 3]), vpToken);
+
+    expect(result.descriptors[1]).toMatchObject({ matched: false, errors: ['Nothing found at $.verifiableCredential[3]'] });
+  });
+
+  test('only matches SD-JWT claims the holder disclosed', () => {
+    const { jwt, disclosures } = createSdJwtVc(credentialOf('passport'), {
+      kid: 'did:polygon:0x2222222222222222222222222222222222222222#key-1',
+      privateKeyPem: issuerKey
+    });
+    const submission = {
+      definition_id: onboarding.id,
+      descriptor_map: [{ id: 'passport', format: 'vc+sd-jwt', path: '$' }]
+    };
+    const definition = { id: onboarding.id, input_descriptors: [onboarding.input_descriptors[0]] };
+
+    expect(evaluateSubmission(definition, submission, `${jwt}~`).satisfied).toBe(false);
+    expect(evaluateSubmission(definition, submission, `${jwt}~${disclosures.join('~')}~`).satisfied).toBe(true);
+  });
+});
@@ -0,0 +1,3 @@
+// Environment the services require when config.js is loaded
+process.env.DID_KEY_SECRET = process.env.DID_KEY_SECRET || 'test-did-key-secret';
+process.env.KYC_PROOF_SECRET = process.env.KYC_PROOF_SECRET || 'test-kyc-proof-secret';
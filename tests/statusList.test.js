@@ -0,0 +1,222 @@
+const config = require('../config');
+const StatusListService = require('../services/statusList');
+const { generateKeyPair, verifyProof } = require('../utils/dataIntegrity');
+const {
+  createBitstring,
+  getBit,
+  toPostgresBit,
+  encodeList,
+  decodeList
+} = require('../utils/statusList');
+
+const ISSUER_DID = 'did:polygon:0x2222222222222222222222222222222222222222';
+const LIST_ID = '5b0c3f1e-9d1a-4c55-8a2e-000000000009';
+
+/**
+ * PostgreSQL's set_bit on bytea: bit n is bit n % 8 of byte n / 8,
+ * counted from the least significant end
+ */
+const pgSetBit = (bytes, n, value) => {
+  const copy = Buffer.from(bytes);
+  const mask = 1 << (n % 8);
+  copy[n >> 3] = value ? copy[n >> 3] | mask : copy[n >> 3] & ~mask;
+  return copy;
+};
+
+/**
+ * One status_lists row and its credential_status_entries, answering the
+ * statements StatusListService issues
+ */
+class StatusListTable {
+  constructor(size = 64) {
+    this.list = {
+      id: LIST_ID,
+      issuer_did: ISSUER_DID,
+      status_purpose: 'revocation',
+      list_size: size,
+      bitstring: createBitstring(size),
+      version: 1,
+      published_version: 0,
+      credential: null
+    };
+    this.entries = [];
+    this.publishes = 0;
+  }
+
+  async query(sql, params) {
+    const { list } = this;
+
+    if (sql.includes('set_bit')) {
+      if (params[0] !== list.id || params[3] >= list.list_size) {
+        return { rows: [] };
+      }
+      list.bitstring = pgSetBit(list.bitstring, params[1], params[2]);
+      list.version += 1;
+      return { rows: [{ version: list.version }] };
+    }
+    if (sql.includes('SET credential = $2')) {
+      this.publishes += 1;
+      if (list.published_version < params[3]) {
+        Object.assign(list, { credential: params[1], published_version: params[3] });
+      }
+      return { rows: [] };
+    }
+    if (sql.includes('FROM credential_status_entries')) {
+      return {
+        rows: this.entries
+          .filter(entry => entry.credential_hash === params[0] && entry.status_purpose === params[1])
+          .map(({ status_list_id, status_list_index }) => ({ status_list_id, status_list_index }))
+      };
+    }
+    if (sql.includes('FROM status_lists')) {
+      return { rows: params[0] === list.id ? [{ ...list }] : [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+}
+
+describe('status list bitstrings', () => {
+  test('numbers entries from the most significant bit of the first byte', () => {
+    const bitstring = Buffer.from([0b10000000, 0b00000001]);
+
+    expect(getBit(bitstring, 0)).toBe(true);
+    expect(getBit(bitstring, 7)).toBe(false);
+    expect(getBit(bitstring, 15)).toBe(true);
+    expect(() => getBit(bitstring, 16)).toThrow('out of range');
+  });
+
+  test('maps every index to the PostgreSQL bit that getBit reads back', () => {
+    for (let index = 0; index < 24; index++) {
+      const bitstring = pgSetBit(createBitstring(24), toPostgresBit(index), 1);
+      const set = [...Array(24).keys()].filter(i => getBit(bitstring, i));
+
+      expect(set).toEqual([index]);
+    }
+  });
+
+  test('encodedList round-trips through GZIP and base64url', () => {
+    const bitstring = pgSetBit(createBitstring(131072), toPostgresBit(94567), 1);
+    const encoded = encodeList(bitstring);
+
+    expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(getBit(decodeList(encoded), 94567)).toBe(true);
+  });
+});
+
+describe('StatusListService', () => {
+  const keyPair = generateKeyPair();
+  const verificationMethod = { id: `${ISSUER_DID}#key-1`, publicKeyMultibase: keyPair.publicKeyMultibase };
+  const didService = {
+    getAssertionKey: async () => ({ verificationMethod: verificationMethod.id, privateKeyPem: keyPair.privateKeyPem })
+  };
+
+  let table;
+  let service;
+  let cache;
+
+  beforeEach(() => {
+    table = new StatusListTable();
+    cache = new Map();
+    const redis = {
+      get: async (key) => cache.get(key) || null,
+      set: async (key, value) => cache.set(key, value),
+      del: async (key) => cache.delete(key)
+    };
+    service = new StatusListService(table, redis, didService);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('revoking a credential sets its bit and re-signs the list once', async () => {
+    table.entries.push(
+      { status_list_id: LIST_ID, status_list_index: 3, status_purpose: 'revocation', credential_hash: '0xabc' },
+      { status_list_id: LIST_ID, status_list_index: 41, status_purpose: 'revocation', credential_hash: '0xabc' },
+      { status_list_id: LIST_ID, status_list_index: 42, status_purpose: 'revocation', credential_hash: '0xdef' }
+    );
+
+    const updated = await service.setCredentialStatus('0xabc', 'revocation', true);
+
+    expect(updated.map(entry => entry.statusListIndex)).toEqual([3, 41]);
+    expect(table.publishes).toBe(1);
+
+    const { credentialSubject } = table.list.credential;
+    const bits = decodeList(credentialSubject.encodedList);
+    expect([...Array(64).keys()].filter(i => getBit(bits, i))).toEqual([3, 41]);
+    expect(credentialSubject.statusPurpose).toBe('revocation');
+
+    const { verified } = await verifyProof(table.list.credential, verificationMethod, { proofPurpose: 'assertionMethod' });
+    expect(verified).toBe(true);
+  });
+
+  test('clearing a bit leaves its neighbours set', async () => {
+    await service.setStatus(LIST_ID, 8, true);
+    await service.setStatus(LIST_ID, 9, true);
+    await service.setStatus(LIST_ID, 8, false);
+
+    const [entry, neighbour] = await service.checkStatus([8, 9].map(index => ({
+      type: 'StatusList2021Entry',
+      statusPurpose: 'revocation',
+      statusListIndex: String(index),
+      statusListCredential: service.getListUrl(LIST_ID)
+    })));
+
+    expect(entry.set).toBe(false);
+    expect(neighbour.set).toBe(true);
+  });
+
+  test('refuses an index beyond the end of the list', async () => {
+    await expect(service.setStatus(LIST_ID, 64, true)).rejects.toThrow(`Status list entry not found: ${LIST_ID}#64`);
+  });
+
+  test('a slower publish of an older version does not replace a newer one', async () => {
+    await service.setStatus(LIST_ID, 1, true);
+    const stale = { ...table.list };
+    await service.setStatus(LIST_ID, 2, true);
+
+    await service.publishList(LIST_ID);
+    const newest = table.list.credential;
+
+    // Replay the publish of the older snapshot after the newer one landed
+    const query = table.query.bind(table);
+    jest.spyOn(table, 'query').mockImplementation((sql, params) =>
+      sql.startsWith('SELECT id, issuer_did') ? { rows: [stale] } : query(sql, params));
+    await service.publishList(LIST_ID);
+
+    expect(table.list.credential).toBe(newest);
+    expect(getBit(decodeList(newest.credentialSubject.encodedList), 2)).toBe(true);
+  });
+
+  test('re-publishes a list changed since it was last signed once the cached copy expires', async () => {
+    const first = await service.getListCredential(LIST_ID);
+    expect(cache.has(`status-list:${LIST_ID}`)).toBe(true);
+
+    await service.setStatus(LIST_ID, 5, true);
+    cache.clear();
+
+    const second = await service.getListCredential(LIST_ID);
+
+    expect(getBit(decodeList(first.credentialSubject.encodedList), 5)).toBe(false);
+    expect(getBit(decodeList(second.credentialSubject.encodedList), 5)).toBe(true);
+  });
+
+  test('checkStatus skips foreign lists and flags a purpose mismatch', async () => {
+    const results = await service.checkStatus([
+      {
+        type: 'StatusList2021Entry',
+        statusPurpose: 'suspension',
+        statusListIndex: '0',
+        statusListCredential: `${config.statusList.baseUrl}/${LIST_ID}`
+      },
+      {
+        type: 'StatusList2021Entry',
+        statusPurpose: 'revocation',
+        statusListIndex: '0',
+        statusListCredential: 'https://elsewhere.example/status/1'
+      }
+    ]);
+
+    expect(results).toEqual([{ statusPurpose: 'suspension', statusListIndex: '0', error: 'Status purpose mismatch' }]);
+  });
+});
@@ -0,0 +1,83 @@
+const CredentialTemplateService = require('../services/template');
+
+// Role graph: LEAD_ISSUER inherits KYC_ISSUER; ADMIN holds "*"
+const ROLE_PERMISSIONS = {
+  ADMIN: ['*'],
+  LEAD_ISSUER: ['credential:issue', 'credential:revoke'],
+  KYC_ISSUER: ['credential:issue', 'credential:revoke']
+};
+const INHERITS = { LEAD_ISSUER: ['KYC_ISSUER'] };
+
+const effectiveRoles = (roles) => {
+  const seen = new Set();
+  const visit = (role) => {
+    if (!seen.has(role)) {
+      seen.add(role);
+      (INHERITS[role] || []).forEach(visit);
+    }
+  };
+  roles.forEach(visit);
+  return [...seen];
+};
+
+/**
+ * Answer the role queries of RoleModel for a user assigned the given roles,
+ * following inheritance as the role_tree CTE does
+ */
+const roleDb = (assignedRoles) => ({
+  async query(sql, params) {
+    const roles = effectiveRoles(assignedRoles);
+
+    if (sql.includes('SELECT 1') && sql.includes('role_tree')) {
+      return { rows: roles.includes(params[1]) ? [{ '?column?': 1 }] : [] };
+    }
+    if (sql.includes('SELECT DISTINCT p.name')) {
+      return { rows: [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role]))].map(name => ({ name })) };
+    }
+    if (sql.includes('FROM roles')) {
+      return { rows: ROLE_PERMISSIONS[params[0]] ? [{ id: params[0], name: params[0] }] : [] };
+    }
+    if (sql.includes('$1::uuid AS role_id')) {
+      return { rows: effectiveRoles([params[0]]).flatMap(role => ROLE_PERMISSIONS[role]).map(name => ({ name })) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+});
+
+const template = { template_id: 'kyc', issuer_role: 'KYC_ISSUER' };
+
+describe('CredentialTemplateService.canIssue', () => {
+  const canIssue = (roles, apiKey) => new CredentialTemplateService(roleDb(roles)).canIssue(template, 'user-1', apiKey);
+
+  test('admits holders of the issuer role', async () => {
+    await expect(canIssue(['KYC_ISSUER'])).resolves.toBe(true);
+  });
+
+  test('admits roles that inherit the issuer role', async () => {
+    await expect(canIssue(['LEAD_ISSUER'])).resolves.toBe(true);
+  });
+
+  test('admits administrators holding every permission', async () => {
+    await expect(canIssue(['ADMIN'])).resolves.toBe(true);
+  });
+
+  test('refuses users without the role', async () => {
+    await expect(canIssue([])).resolves.toBe(false);
+  });
+
+  test('admits anyone to a template without an issuer role', async () => {
+    const service = new CredentialTemplateService(roleDb([]));
+
+    await expect(service.canIssue({ template_id: 'open', issuer_role: null }, 'user-1')).resolves.toBe(true);
+  });
+
+  test('limits an API key to scopes covering the issuer role\'s permissions', async () => {
+    await expect(canIssue(['KYC_ISSUER'], { scopes: ['credential:issue'] })).resolves.toBe(false);
+    await expect(canIssue(['KYC_ISSUER'], { scopes: ['credential:issue', 'credential:revoke'] })).resolves.toBe(true);
+    await expect(canIssue(['ADMIN'], { scopes: ['credential:*'] })).resolves.toBe(true);
+  });
+
+  test('an API key never grants a role its owner lacks', async () => {
+    await expect(canIssue([], { scopes: ['*'] })).resolves.toBe(false);
+  });
+});
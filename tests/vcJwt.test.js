@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const {
+  signJwt,
+  verifyJwt,
+  createSdJwtVc,
+  parseSdJwt,
+  resolveDisclosures,
+  verifyKeyBinding,
+  sdHash
+} = require('../utils/vcJwt');
+
+const pem = (privateKey) => privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+const issuer = crypto.generateKeyPairSync('ed25519');
+const holder = crypto.generateKeyPairSync('ed25519');
+
+const credential = {
+  id: 'urn:uuid:4a7c0f3e-0000-4000-8000-000000000001',
+  type: ['VerifiableCredential', 'KycCredential'],
+  issuer: 'did:polygon:0x2222222222222222222222222222222222222222',
+  issuanceDate: '2026-01-01T00:00:00Z',
+  credentialSubject: {
+    id: 'did:polygon:0x1111111111111111111111111111111111111111',
+    name: 'Ada Lovelace',
+    birthDate: '1815-12-10',
+    nationality: 'GB'
+  }
+};
+
+const issue = (options = {}) => createSdJwtVc(credential, {
+  kid: `${credential.issuer}#key-1`,
+  privateKeyPem: pem(issuer.privateKey),
+  holderJwk: holder.publicKey.export({ format: 'jwk' }),
+  ...options
+});
+
+/**
+ * Present the chosen disclosures of an SD-JWT, signing a key binding JWT
+ * over them with the given key and claims
+ */
+const present = ({ jwt, disclosures }, chosen, kb = {}) => {
+  const presentation = `${jwt}~${chosen.map(d => `${d}~`).join('')}`;
+  const claims = {
+    iat: Math.floor(Date.now() / 1000),
+    aud: 'https://verifier.example',
+    nonce: 'n-0S6_WzA2Mj',
+    sd_hash: sdHash(presentation),
+    ...kb.claims
+  };
+
+  return `${presentation}${signJwt({ typ: 'kb+jwt', ...kb.header }, claims, pem(kb.key || holder.privateKey))}`;
+};
+
+const claimName = (disclosure) => JSON.parse(Buffer.from(disclosure, 'base64url').toString())[1];
+
+describe('SD-JWT selective disclosure', () => {
+  test('conceals every subject claim by default and reveals only what is presented', () => {
+    const issued = issue();
+    const { payload } = verifyJwt(issued.jwt, issuer.publicKey);
+
+    expect(payload).not.toHaveProperty('name');
+    expect(payload._sd).toHaveLength(3);
+
+    const nameOnly = issued.disclosures.filter(d => claimName(d) === 'name');
+    const claims = resolveDisclosures(payload, nameOnly);
+
+    expect(claims.name).toBe('Ada Lovelace');
+    expect(claims).not.toHaveProperty('birthDate');
+    expect(claims).not.toHaveProperty('_sd');
+    expect(claims).not.toHaveProperty('cnf');
+  });
+
+  test('leaves claims outside selectiveDisclosure in the clear', () => {
+    const issued = issue({ selectiveDisclosure: ['birthDate'] });
+    const { payload } = verifyJwt(issued.jwt, issuer.publicKey);
+
+    expect(payload.nationality).toBe('GB');
+    expect(issued.disclosures.map(claimName)).toEqual(['birthDate']);
+  });
+
+  test('rejects a disclosure whose value was altered', () => {
+    const issued = issue();
+    const { payload } = verifyJwt(issued.jwt, issuer.publicKey);
+    const [salt] = JSON.parse(Buffer.from(issued.disclosures[0], 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify([salt, 'nationality', 'FR'])).toString('base64url');
+
+    expect(() => resolveDisclosures(payload, [forged])).toThrow('not referenced');
+  });
+
+  test('rejects a disclosure taken from another credential', () => {
+    const { payload } = verifyJwt(issue().jwt, issuer.publicKey);
+    const foreign = issue().disclosures[0];
+
+    expect(() => resolveDisclosures(payload, [foreign])).toThrow('not referenced');
+  });
+
+  test('rejects a disclosure presented twice', () => {
+    const issued = issue();
+    const { payload } = verifyJwt(issued.jwt, issuer.publicKey);
+
+    expect(() => resolveDisclosures(payload, [issued.disclosures[0], issued.disclosures[0]]))
+      .toThrow('Duplicate disclosure');
+  });
+
+  test('rejects a disclosure that would overwrite an issuer-signed claim', () => {
+    const disclosure = Buffer.from(JSON.stringify(['salt', 'iss', 'did:example:attacker'])).toString('base64url');
+    const payload = { iss: credential.issuer, _sd: [sdHash(disclosure)], _sd_alg: 'sha-256' };
+
+    expect(() => resolveDisclosures(payload, [disclosure])).toThrow('Disclosure overwrites claim: iss');
+  });
+});
+
+describe('SD-JWT key binding', () => {
+  const expected = { audience: 'https://verifier.example', nonce: 'n-0S6_WzA2Mj' };
+
+  const bind = (sdJwt) => {
+    const parts = parseSdJwt(sdJwt);
+    return () => verifyKeyBinding(parts.kbJwt, parts.presentation, holder.publicKey, expected);
+  };
+
+  test('accepts a key binding JWT over the presented disclosures', () => {
+    const issued = issue();
+
+    expect(bind(present(issued, issued.disclosures.slice(0, 1)))()).toMatchObject({ nonce: expected.nonce });
+  });
+
+  test('rejects a key binding JWT for another nonce or audience', () => {
+    const issued = issue();
+
+    expect(bind(present(issued, [], { claims: { nonce: 'replayed' } }))).toThrow('nonce mismatch');
+    expect(bind(present(issued, [], { claims: { aud: 'https://other.example' } }))).toThrow('audience mismatch');
+  });
+
+  test('rejects a key binding JWT signed by someone other than the holder', () => {
+    const issued = issue();
+    const stranger = crypto.generateKeyPairSync('ed25519');
+
+    expect(bind(present(issued, [], { key: stranger.privateKey }))).toThrow('Invalid JWT signature');
+  });
+
+  test('rejects disclosures added after the key binding JWT was signed', () => {
+    const issued = issue();
+    const signed = present(issued, issued.disclosures.slice(0, 1));
+    const { kbJwt } = parseSdJwt(signed);
+    const widened = `${issued.sdJwt}${kbJwt}`;
+
+    expect(bind(widened)).toThrow('sd_hash does not match');
+  });
+
+  test('rejects a stale key binding JWT or one of the wrong typ', () => {
+    const issued = issue();
+    const hourAgo = Math.floor(Date.now() / 1000) - 3600;
+
+    expect(bind(present(issued, [], { claims: { iat: hourAgo } }))).toThrow('stale');
+    expect(bind(present(issued, [], { header: { typ: 'JWT' } }))).toThrow('typ kb+jwt');
+  });
+});
@@ -0,0 +1,89 @@
+const ethers = require('ethers');
+const zkProofService = require('../services/zkProofService');
+
+const { KYC_LEVELS } = zkProofService;
+
+const proofData = (kycLevel, minLevel) => ({
+  did: 'did:example:123456789abcdefghi',
+  sbtTokenId: 42,
+  kycLevel,
+  minLevel,
+  provider: 'onfido',
+  verificationTimestamp: '2026-01-15T10:00:00Z',
+  salt: zkProofService.generateSalt()
+});
+
+describe('ZKProofService KYC circuit', () => {
+  // snarkjs caches the curve, and its worker threads, for the process
+  afterAll(async () => {
+    if (globalThis.curve_bn128) {
+      await globalThis.curve_bn128.terminate();
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('levels rise with assurance in the order the circuit compares them', () => {
+    expect(KYC_LEVELS).toEqual({ BASIC: 1, ADVANCED: 2, BUSINESS: 3 });
+  });
+
+  test.each(Object.keys(KYC_LEVELS))('proves and verifies a %s verification', async (level) => {
+    const { proof, publicInputs } = await zkProofService.generateProof('kyc', proofData(level, level));
+
+    expect(publicInputs.minLevel).toBe(String(KYC_LEVELS[level]));
+    await expect(zkProofService.verifyProof('kyc', proof, publicInputs)).resolves.toBe(true);
+  });
+
+  test('rejects public signals tampered to claim a higher minLevel', async () => {
+    const { proof, publicSignals, publicInputs } = await zkProofService.generateProof('kyc', proofData('ADVANCED', 'BASIC'));
+
+    await expect(zkProofService.verifyProof('kyc', proof, publicSignals)).resolves.toBe(true);
+    await expect(zkProofService.verifyProof('kyc', proof, {
+      ...publicInputs,
+      minLevel: String(KYC_LEVELS.BUSINESS)
+    })).resolves.toBe(false);
+  });
+
+  test('refuses to prove without a salt', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(zkProofService.generateProof('kyc', { ...proofData('BASIC', 'BASIC'), salt: undefined }))
+      .rejects.toThrow('missing its salt');
+  });
+
+  test('refuses to prove without the requester\'s minLevel', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(zkProofService.generateProof('kyc', proofData('BUSINESS')))
+      .rejects.toThrow('missing its minLevel');
+  });
+
+  test('refuses to prove a level below minLevel', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(zkProofService.generateProof('kyc', proofData('BASIC', 'ADVANCED')))
+      .rejects.toThrow('Failed to generate kyc proof');
+  });
+
+  test('formats calldata that decodes as the verifier\'s verifyProof call', async () => {
+    const { proof, publicSignals, publicInputs } = await zkProofService.generateProof('kyc', proofData('BUSINESS', 'ADVANCED'));
+    const formatted = await zkProofService.formatProofForBlockchain(proof, publicInputs, 'kyc');
+
+    // The signature of contracts/KycVerifier.sol
+    const verifier = new ethers.Interface([
+      'function verifyProof(uint256[2] _pA, uint256[2][2] _pB, uint256[2] _pC, uint256[4] _pubSignals) view returns (bool)'
+    ]);
+    const [pA, pB, pC, pubSignals] = verifier.decodeFunctionData('verifyProof', formatted.calldata);
+
+    expect(pubSignals.map(String)).toEqual(publicSignals);
+    expect(pA.map(String)).toEqual(proof.pi_a.slice(0, 2));
+    expect(pC.map(String)).toEqual(proof.pi_c.slice(0, 2));
+    // G2 coordinates are swapped for the pairing precompile
+    expect(pB.map(pair => pair.map(String))).toEqual([
+      [proof.pi_b[0][1], proof.pi_b[0][0]],
+      [proof.pi_b[1][1], proof.pi_b[1][0]]
+    ]);
+  });
+});
@@ -80,32 +80,53 @@ const verifyEthereumSignature = (message, signature, address) => {
   }
 };
 
+/**
+ * Verify an EIP-712 typed data signature
+ * @param {Object} domain - EIP-712 domain
+ * @param {Object} types - Typed data types (without EIP712Domain)
+ * @param {Object} value - Signed message
+ * @param {String} signature - Signature to verify
+ * @param {String} address - Ethereum address to verify against
+ * @returns {Boolean} - Whether the signature is valid
+ */
+const verifyTypedDataSignature = (domain, types, value, signature, address) => {
+  try {
+    const recoveredAddress = ethers.verifyTypedData(domain, types, value, signature);
+    return recoveredAddress.toLowerCase() === address.toLowerCase();
+  } catch (error) {
+    console.error('Error verifying typed data signature:', error);
+    return false;
+  }
+};
+
 /**
  * Verify a Solana signature
  * @param {String|Buffer} message - Original message that was signed
- * @param {String} signature - Base58 encoded signature
+ * @param {String} signature - Base58 encoded Ed25519 signature
  * @param {String} publicKey - Solana public key
  * @returns {Boolean} - Whether the signature is valid
  */
 const verifySolanaSignature = (message, signature, publicKey) => {
   try {
     const pubKey = new PublicKey(publicKey);
-    const messageBuffer = typeof message === 'string' ? Buffer.from(message) : message;
-    const signatureBytes = bs58.decode(signature);
-    
-    // In a production environment, we would use the appropriate Solana library
-    // This is a simplified placeholder
-    console.log('Verifying Solana signature:', {
-      message: messageBuffer.toString('hex'),
-      signature: bs58.encode(signatureBytes),
-      publicKey: pubKey.toString()
+    const messageBuffer = Buffer.from(message);
+    const signatureBytes = Buffer.from(bs58.decode(signature));
+
+    if (signatureBytes.length !== 64) {
+      return false;
+    }
+
+    // Solana public keys are raw Ed25519 keys, so import them as an OKP JWK
+    const keyObject = crypto.createPublicKey({
+      key: {
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: Buffer.from(pubKey.toBytes()).toString('base64url')
+      },
+      format: 'jwk'
     });
-    
-    // Note: In a real implementation, we would use the tweetnacl or ed25519 library
-    // return nacl.sign.detached.verify(messageBuffer, signatureBytes, pubKey.toBuffer());
-    
-    // This is a placeholder - replace with actual verification
-    return true;
+
+    return crypto.verify(null, messageBuffer, keyObject, signatureBytes);
   } catch (error) {
     console.error('Error verifying Solana signature:', error);
     return false;
@@ -184,6 +205,7 @@ module.exports = {
   hashSHA256,
   hashMultiple,
   verifyEthereumSignature,
+  verifyTypedDataSignature,
   verifySolanaSignature,
   encrypt,
   decrypt,
@@ -0,0 +1,94 @@
+/**
+ * Minimal RFC 4180 CSV parsing for bulk uploads
+ */
+
+/**
+ * Split CSV text into rows of fields. Fields may be quoted, and quoted
+ * fields may contain commas, doubled quotes and line breaks
+ * @param {String} text - CSV text
+ * @returns {Array<Array<String>>} - Rows of fields
+ */
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no record
+  return rows.filter(fields => fields.length > 1 || fields[0].trim() !== '');
+};
+
+/**
+ * Parse CSV text with a header row into records keyed by column name.
+ * Empty fields are left out of the record
+ * @param {String} text - CSV text
+ * @returns {Array<Object>} - Records
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseRows(text.replace(/^\uFEFF/, ''));
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  if (columns.some(column => !column) || new Set(columns).size !== columns.length) {
+    throw new Error('CSV header must name every column exactly once');
+  }
+
+  return rows.map((fields, rowIndex) => {
+    if (fields.length !== columns.length) {
+      throw new Error(`CSV record ${rowIndex + 1} has ${fields.length} fields, expected ${columns.length}`);
+    }
+
+    return columns.reduce((record, column, i) => {
+      if (fields[i] !== '') {
+        record[column] = fields[i];
+      }
+      return record;
+    }, {});
+  });
+};
+
+module.exports = {
+  parseCsv
+};
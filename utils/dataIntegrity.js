@@ -0,0 +1,407 @@
+/**
+ * W3C Data Integrity proof utilities for the Identity Bridge API
+ *
+ * Documents are canonicalized with URDNA2015 (RDFC-1.0) against bundled
+ * JSON-LD contexts; no context is ever fetched from the network.
+ */
+const crypto = require('crypto');
+const ethers = require('ethers');
+const bs58 = require('bs58');
+const jsonld = require('jsonld');
+const credentialsContext = require('credentials-context');
+const dataIntegrityContext = require('@digitalbazaar/data-integrity-context');
+const multikeyContext = require('@digitalbazaar/multikey-context');
+const didContext = require('did-context');
+const statusListContext = require('@digitalbazaar/vc-status-list-context');
+
+/**
+ * Supported cryptosuites, keyed by their `cryptosuite` identifier
+ *
+ * ecdsa-secp256k1-2019 follows the ecdsa-rdfc-2019 transformation and
+ * hashing steps over the secp256k1 curve used by our EVM wallets.
+ */
+const CRYPTOSUITES = {
+  'eddsa-rdfc-2022': { keyType: 'Ed25519' },
+  'ecdsa-secp256k1-2019': { keyType: 'secp256k1' }
+};
+
+const DEFAULT_CRYPTOSUITE = process.env.CREDENTIAL_CRYPTOSUITE || 'eddsa-rdfc-2022';
+
+// Multicodec prefixes for Multikey public keys
+const MULTICODEC_PREFIXES = {
+  Ed25519: Buffer.from([0xed, 0x01]),
+  secp256k1: Buffer.from([0xe7, 0x01])
+};
+
+/**
+ * Issuer-dependent vocabulary for claims not defined by a bundled context
+ */
+const ISSUER_VOCAB_CONTEXT = { '@vocab': 'https://www.w3.org/ns/credentials/issuer-dependent#' };
+
+// Bundled JSON-LD contexts
+const contexts = new Map([
+  ...credentialsContext.contexts,
+  ...dataIntegrityContext.contexts,
+  ...multikeyContext.contexts,
+  ...didContext.contexts,
+  ...statusListContext.contexts
+]);
+
+/**
+ * Register an additional bundled JSON-LD context
+ * @param {String} url - Context URL
+ * @param {Object} document - Context document
+ */
+const registerContext = (url, document) => {
+  contexts.set(url, document);
+};
+
+/**
+ * JSON-LD document loader that only serves bundled contexts
+ * @param {String} url - Context URL
+ * @returns {Promise<Object>} - Remote document
+ */
+const documentLoader = async (url) => {
+  const document = contexts.get(url);
+
+  if (!document) {
+    throw new Error(`JSON-LD context not bundled: ${url}`);
+  }
+
+  return { contextUrl: null, documentUrl: url, document };
+};
+
+/**
+ * Canonicalize a JSON-LD document with URDNA2015
+ * Undefined terms raise an error instead of being silently dropped
+ * @param {Object} document - JSON-LD document
+ * @returns {Promise<String>} - Canonical N-Quads
+ */
+const canonize = async (document) => {
+  return jsonld.canonize(document, {
+    algorithm: 'URDNA2015',
+    format: 'application/n-quads',
+    documentLoader,
+    safe: true
+  });
+};
+
+/**
+ * Encode a raw public key as a Multikey publicKeyMultibase value
+ * @param {String} keyType - Ed25519 or secp256k1
+ * @param {Buffer} publicKey - Raw public key (secp256k1 keys are compressed)
+ * @returns {String} - Base58btc multibase string
+ */
+const encodeMultikey = (keyType, publicKey) => {
+  const prefix = MULTICODEC_PREFIXES[keyType];
+
+  if (!prefix) {
+    throw new Error(`Unsupported key type: ${keyType}`);
+  }
+
+  return `z${bs58.encode(Buffer.concat([prefix, Buffer.from(publicKey)]))}`;
+};
+
+/**
+ * Decode a Multikey publicKeyMultibase value
+ * @param {String} publicKeyMultibase - Base58btc multibase string
+ * @returns {Object} - Key type and raw public key
+ */
+const decodeMultikey = (publicKeyMultibase) => {
+  if (typeof publicKeyMultibase !== 'string' || !publicKeyMultibase.startsWith('z')) {
+    throw new Error('publicKeyMultibase must be base58btc encoded');
+  }
+
+  const bytes = Buffer.from(bs58.decode(publicKeyMultibase.slice(1)));
+
+  for (const [keyType, prefix] of Object.entries(MULTICODEC_PREFIXES)) {
+    if (bytes.subarray(0, 2).equals(prefix)) {
+      return { keyType, publicKey: bytes.subarray(2) };
+    }
+  }
+
+  throw new Error('Unsupported Multikey codec');
+};
+
+/**
+ * Generate a key pair for a cryptosuite
+ * @param {String} cryptosuite - Cryptosuite identifier
+ * @returns {Object} - keyType, publicKeyMultibase and PKCS#8 PEM private key
+ */
+const generateKeyPair = (cryptosuite = DEFAULT_CRYPTOSUITE) => {
+  const suite = getSuite(cryptosuite);
+
+  const { publicKey, privateKey } = suite.keyType === 'Ed25519'
+    ? crypto.generateKeyPairSync('ed25519')
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+
+  return {
+    keyType: suite.keyType,
+    publicKeyMultibase: encodeMultikey(suite.keyType, exportRawPublicKey(suite.keyType, publicKey)),
+    privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+};
+
+/**
+ * Add a Data Integrity proof to a document
+ * @param {Object} document - JSON-LD document (without proof)
+ * @param {Object} options - Proof options
+ * @param {String} options.cryptosuite - Cryptosuite identifier
+ * @param {String} options.verificationMethod - Verification method ID
+ * @param {String} options.privateKeyPem - PKCS#8 PEM private key
+ * @param {String} options.proofPurpose - Proof purpose (default: assertionMethod)
+ * @param {String} options.created - Creation time (default: now)
+ * @param {String} options.challenge - Optional challenge (authentication proofs)
+ * @param {String} options.domain - Optional domain (authentication proofs)
+ * @returns {Promise<Object>} - Document with proof
+ */
+const createProof = async (document, options) => {
+  const {
+    cryptosuite = DEFAULT_CRYPTOSUITE,
+    verificationMethod,
+    privateKeyPem,
+    proofPurpose = 'assertionMethod',
+    created = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    challenge,
+    domain
+  } = options;
+
+  const suite = getSuite(cryptosuite);
+  const { proof: existingProof, ...unsecured } = document;
+
+  if (existingProof) {
+    throw new Error('Document already has a proof');
+  }
+
+  const proof = {
+    type: 'DataIntegrityProof',
+    cryptosuite,
+    created,
+    verificationMethod,
+    proofPurpose,
+    ...(challenge && { challenge }),
+    ...(domain && { domain })
+  };
+
+  const hashData = await createHashData(unsecured, proof);
+  const privateKey = crypto.createPrivateKey(privateKeyPem);
+
+  const signature = suite.keyType === 'Ed25519'
+    ? crypto.sign(null, hashData, privateKey)
+    : normalizeLowS(crypto.sign('sha256', hashData, { key: privateKey, dsaEncoding: 'ieee-p1363' }));
+
+  return {
+    ...unsecured,
+    proof: {
+      ...proof,
+      proofValue: `z${bs58.encode(signature)}`
+    }
+  };
+};
+
+/**
+ * Verify the Data Integrity proof of a document
+ * @param {Object} document - Secured JSON-LD document
+ * @param {Object} verificationMethod - Resolved verification method (Multikey)
+ * @param {Object} expected - Expected proof values (proofPurpose, challenge, domain)
+ * @returns {Promise<Object>} - Verification result
+ */
+const verifyProof = async (document, verificationMethod, expected = {}) => {
+  try {
+    const { proof, ...unsecured } = document;
+
+    if (!proof || proof.type !== 'DataIntegrityProof') {
+      throw new Error('Document has no DataIntegrityProof');
+    }
+
+    const suite = getSuite(proof.cryptosuite);
+
+    if (proof.verificationMethod !== verificationMethod.id) {
+      throw new Error('Proof verification method does not match resolved key');
+    }
+
+    if (expected.proofPurpose && proof.proofPurpose !== expected.proofPurpose) {
+      throw new Error(`Unexpected proof purpose: ${proof.proofPurpose}`);
+    }
+
+    if (expected.challenge !== undefined && proof.challenge !== expected.challenge) {
+      throw new Error('Proof challenge mismatch');
+    }
+
+    if (expected.domain !== undefined && proof.domain !== expected.domain) {
+      throw new Error('Proof domain mismatch');
+    }
+
+    const { keyType, publicKey } = decodeMultikey(verificationMethod.publicKeyMultibase);
+
+    if (keyType !== suite.keyType) {
+      throw new Error(`${proof.cryptosuite} requires an ${suite.keyType} key`);
+    }
+
+    if (typeof proof.proofValue !== 'string' || !proof.proofValue.startsWith('z')) {
+      throw new Error('proofValue must be base58btc encoded');
+    }
+
+    const { proofValue, ...proofOptions } = proof;
+    const signature = Buffer.from(bs58.decode(proofValue.slice(1)));
+    const hashData = await createHashData(unsecured, proofOptions);
+    const keyObject = importPublicKey(keyType, publicKey);
+
+    const verified = keyType === 'Ed25519'
+      ? crypto.verify(null, hashData, keyObject, signature)
+      : crypto.verify('sha256', hashData, { key: keyObject, dsaEncoding: 'ieee-p1363' }, signature);
+
+    return { verified, cryptosuite: proof.cryptosuite, verificationMethod: proof.verificationMethod };
+  } catch (error) {
+    return { verified: false, error: error.message };
+  }
+};
+
+/**
+ * Verify a signature made directly with a Multikey key: Ed25519 over the
+ * message, or secp256k1 ECDSA over its SHA-256, as the cryptosuites sign
+ * @param {String} publicKeyMultibase - Multikey public key
+ * @param {String|Buffer} message - Signed message
+ * @param {String} signature - Base58btc multibase signature (64 bytes)
+ * @returns {Boolean} - Whether the signature is valid
+ */
+const verifyMultikeySignature = (publicKeyMultibase, message, signature) => {
+  try {
+    if (typeof signature !== 'string' || !signature.startsWith('z')) {
+      return false;
+    }
+
+    const { keyType, publicKey } = decodeMultikey(publicKeyMultibase);
+    const signatureBytes = Buffer.from(bs58.decode(signature.slice(1)));
+    const keyObject = importPublicKey(keyType, publicKey);
+
+    return keyType === 'Ed25519'
+      ? crypto.verify(null, Buffer.from(message), keyObject, signatureBytes)
+      : crypto.verify('sha256', Buffer.from(message), { key: keyObject, dsaEncoding: 'ieee-p1363' }, signatureBytes);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get a cryptosuite definition
+ * @param {String} cryptosuite - Cryptosuite identifier
+ * @returns {Object} - Suite definition
+ */
+const getSuite = (cryptosuite) => {
+  const suite = CRYPTOSUITES[cryptosuite];
+
+  if (!suite) {
+    throw new Error(`Unsupported cryptosuite: ${cryptosuite}`);
+  }
+
+  return suite;
+};
+
+/**
+ * Build the data to sign: SHA-256(canonical proof options) || SHA-256(canonical document)
+ * @param {Object} unsecured - Document without proof
+ * @param {Object} proofOptions - Proof without proofValue
+ * @returns {Promise<Buffer>} - Hash data
+ */
+const createHashData = async (unsecured, proofOptions) => {
+  const proofConfig = { '@context': unsecured['@context'], ...proofOptions };
+
+  const [canonicalDocument, canonicalProof] = await Promise.all([
+    canonize(unsecured),
+    canonize(proofConfig)
+  ]);
+
+  return Buffer.concat([
+    crypto.createHash('sha256').update(canonicalProof).digest(),
+    crypto.createHash('sha256').update(canonicalDocument).digest()
+  ]);
+};
+
+/**
+ * Export a public key in the raw form used by Multikey
+ * @param {String} keyType - Ed25519 or secp256k1
+ * @param {KeyObject} publicKey - Node public key
+ * @returns {Buffer} - Raw public key (compressed for secp256k1)
+ */
+const exportRawPublicKey = (keyType, publicKey) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+
+  if (keyType === 'Ed25519') {
+    return Buffer.from(jwk.x, 'base64url');
+  }
+
+  const y = Buffer.from(jwk.y, 'base64url');
+  return Buffer.concat([Buffer.from([y[y.length - 1] % 2 === 0 ? 0x02 : 0x03]), Buffer.from(jwk.x, 'base64url')]);
+};
+
+/**
+ * Import a raw Multikey public key
+ * @param {String} keyType - Ed25519 or secp256k1
+ * @param {Buffer} publicKey - Raw public key
+ * @returns {KeyObject} - Node public key
+ */
+const importPublicKey = (keyType, publicKey) => {
+  if (keyType === 'Ed25519') {
+    return crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey).toString('base64url') },
+      format: 'jwk'
+    });
+  }
+
+  const uncompressed = Buffer.from(ethers.SigningKey.computePublicKey(publicKey, false).slice(2), 'hex');
+
+  return crypto.createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'secp256k1',
+      x: uncompressed.subarray(1, 33).toString('base64url'),
+      y: uncompressed.subarray(33, 65).toString('base64url')
+    },
+    format: 'jwk'
+  });
+};
+
+/**
+ * Import the public key of a Multikey verification method
+ * @param {String} publicKeyMultibase - Base58btc multibase string
+ * @returns {Object} - Key type and Node public key
+ */
+const publicKeyFromMultikey = (publicKeyMultibase) => {
+  const { keyType, publicKey } = decodeMultikey(publicKeyMultibase);
+  return { keyType, keyObject: importPublicKey(keyType, publicKey) };
+};
+
+/**
+ * Normalize an r||s ECDSA signature to low-S form
+ * @param {Buffer} signature - 64-byte signature
+ * @returns {Buffer} - Low-S signature
+ */
+const normalizeLowS = (signature) => {
+  const n = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+  const s = BigInt(`0x${signature.subarray(32).toString('hex')}`);
+
+  if (s <= n / 2n) {
+    return signature;
+  }
+
+  const lowS = Buffer.from((n - s).toString(16).padStart(64, '0'), 'hex');
+  return Buffer.concat([signature.subarray(0, 32), lowS]);
+};
+
+module.exports = {
+  CRYPTOSUITES,
+  DEFAULT_CRYPTOSUITE,
+  ISSUER_VOCAB_CONTEXT,
+  registerContext,
+  documentLoader,
+  canonize,
+  encodeMultikey,
+  decodeMultikey,
+  publicKeyFromMultikey,
+  normalizeLowS,
+  generateKeyPair,
+  createProof,
+  verifyProof,
+  verifyMultikeySignature
+};
@@ -2,13 +2,34 @@
  * Utility functions for Decentralized Identifiers (DIDs)
  */
 const crypto = require('crypto');
+const net = require('net');
 const ethers = require('ethers');
+const bs58 = require('bs58');
+const { encodeMultikey, decodeMultikey } = require('./dataIntegrity');
 
 /**
  * DID method name for the platform
- * Change this to your actual DID method
+ * Change this to your actual DID method (config.did.method carries the "did:" prefix)
  */
-const DID_METHOD = process.env.DID_METHOD || 'example';
+const DID_METHOD = (process.env.DID_METHOD || 'example').replace(/^did:/, '');
+
+// Contexts of did:key documents
+const DID_KEY_CONTEXT = [
+  'https://www.w3.org/ns/did/v1',
+  'https://w3id.org/security/multikey/v1'
+];
+
+// Contexts of documents derived from blockchain accounts (did:pkh, did:ethr)
+const ACCOUNT_DID_CONTEXT = [
+  'https://www.w3.org/ns/did/v1',
+  'https://w3id.org/security/suites/secp256k1recovery-2020/v2',
+  'https://w3id.org/security/multikey/v1'
+];
+
+/**
+ * DID methods derived from a wallet address, which resolve without registration
+ */
+const WALLET_NATIVE_METHODS = ['pkh', 'ethr'];
 
 /**
  * Generate a new DID for an Ethereum-compatible address
@@ -66,6 +87,309 @@ const generateDID = (address, chain = 'polygon', salt = '') => {
   }
 };
 
+/**
+ * Create a did:key DID from a Multikey public key
+ * @param {String} publicKeyMultibase - Base58btc Multikey (Ed25519 or secp256k1)
+ * @returns {String} - did:key DID
+ */
+const generateDidKey = (publicKeyMultibase) => {
+  // Throws for keys we cannot verify with
+  decodeMultikey(publicKeyMultibase);
+
+  return `did:key:${publicKeyMultibase}`;
+};
+
+/**
+ * Create a did:web DID for a domain and optional path
+ * @param {String} domain - Host, optionally with a port (e.g. "example.com:8443")
+ * @param {Array<String>|String} path - Path segments, or a "/"-separated path
+ * @returns {String} - did:web DID
+ */
+const generateDidWeb = (domain, path = []) => {
+  if (!domain) {
+    throw new Error('A domain is required to generate a did:web DID');
+  }
+
+  const segments = (Array.isArray(path) ? path : path.split('/')).filter(Boolean);
+
+  for (const segment of segments) {
+    if (!/^[A-Za-z0-9_-][A-Za-z0-9._-]*$/.test(segment)) {
+      throw new Error(`Invalid did:web path segment: ${segment}`);
+    }
+  }
+
+  return ['did', 'web', encodeURIComponent(domain.toLowerCase()), ...segments].join(':');
+};
+
+/**
+ * Parse a did:web DID into its domain and path
+ * @param {String} did - did:web DID
+ * @returns {Object} - Decoded domain (with port) and path segments
+ */
+const parseDidWeb = (did) => {
+  const { method, identifier } = parseDID(did);
+
+  if (method !== 'web') {
+    throw new Error(`Not a did:web DID: ${did}`);
+  }
+
+  const [host, ...path] = identifier.split(':');
+  const domain = decodeURIComponent(host);
+
+  if (!/^[a-z0-9.-]+(:\d+)?$/i.test(domain) || path.some(segment => !segment)) {
+    throw new Error(`Invalid did:web DID: ${did}`);
+  }
+
+  // did:web names hosts by domain name; an IP literal is never a valid one
+  if (net.isIP(domain.replace(/:\d+$/, ''))) {
+    throw new Error(`Invalid did:web DID (IP address host): ${did}`);
+  }
+
+  return { domain: domain.toLowerCase(), path };
+};
+
+/**
+ * URL a did:web DID document is served from
+ * @param {String} did - did:web DID
+ * @returns {String} - HTTPS URL of the did.json document
+ */
+const didWebToUrl = (did) => {
+  const { domain, path } = parseDidWeb(did);
+  const location = path.length > 0 ? path.map(encodeURIComponent).join('/') : '.well-known';
+
+  return `https://${domain}/${location}/did.json`;
+};
+
+/**
+ * Build the DID document of a did:key DID from the key it encodes
+ * @param {String} did - did:key DID
+ * @returns {Object} - DID document
+ */
+const createDidKeyDocument = (did) => {
+  const { method, identifier } = parseDID(did);
+
+  if (method !== 'key') {
+    throw new Error(`Not a did:key DID: ${did}`);
+  }
+
+  decodeMultikey(identifier);
+
+  const verificationMethodId = `${did}#${identifier}`;
+
+  return {
+    '@context': DID_KEY_CONTEXT,
+    id: did,
+    verificationMethod: [{
+      id: verificationMethodId,
+      type: 'Multikey',
+      controller: did,
+      publicKeyMultibase: identifier
+    }],
+    authentication: [verificationMethodId],
+    assertionMethod: [verificationMethodId],
+    capabilityInvocation: [verificationMethodId],
+    capabilityDelegation: [verificationMethodId]
+  };
+};
+
+/**
+ * Create a did:pkh DID for a blockchain account
+ * @param {String} address - EVM or Solana address
+ * @param {String} namespace - CAIP-2 namespace (eip155 or solana)
+ * @param {String} reference - CAIP-2 chain reference (EVM chain ID or Solana genesis hash prefix)
+ * @returns {String} - did:pkh DID
+ */
+const generateDidPkh = (address, namespace = 'eip155', reference = '1') => {
+  if (namespace === 'eip155') {
+    return `did:pkh:eip155:${reference}:${ethers.getAddress(address)}`;
+  }
+
+  if (namespace === 'solana') {
+    if (bs58.decode(address).length !== 32) {
+      throw new Error(`Invalid Solana address: ${address}`);
+    }
+    return `did:pkh:solana:${reference}:${address}`;
+  }
+
+  throw new Error(`Unsupported did:pkh namespace: ${namespace}`);
+};
+
+/**
+ * Parse a did:pkh DID into its CAIP-10 account
+ * @param {String} did - did:pkh DID
+ * @returns {Object} - namespace, reference and address
+ */
+const parseDidPkh = (did) => {
+  const { method, identifier } = parseDID(did);
+  const [namespace, reference, address, ...rest] = identifier.split(':');
+
+  if (method !== 'pkh' || !namespace || !reference || !address || rest.length > 0) {
+    throw new Error(`Invalid did:pkh DID: ${did}`);
+  }
+
+  if (namespace === 'eip155') {
+    if (!/^\d+$/.test(reference) || !ethers.isAddress(address)) {
+      throw new Error(`Invalid did:pkh DID: ${did}`);
+    }
+  } else if (namespace === 'solana') {
+    if (bs58.decode(address).length !== 32) {
+      throw new Error(`Invalid did:pkh DID: ${did}`);
+    }
+  } else {
+    throw new Error(`Unsupported did:pkh namespace: ${namespace}`);
+  }
+
+  return { namespace, reference, address };
+};
+
+/**
+ * Build the DID document of a did:pkh DID from its account
+ * @param {String} did - did:pkh DID
+ * @returns {Object} - DID document
+ */
+const createDidPkhDocument = (did) => {
+  const { namespace, reference, address } = parseDidPkh(did);
+  const verificationMethodId = `${did}#blockchainAccountId`;
+
+  // Solana addresses are Ed25519 public keys, so they can also verify signatures directly
+  const verificationMethod = namespace === 'solana'
+    ? {
+      id: verificationMethodId,
+      type: 'Multikey',
+      controller: did,
+      blockchainAccountId: `solana:${reference}:${address}`,
+      publicKeyMultibase: encodeMultikey('Ed25519', bs58.decode(address))
+    }
+    : {
+      id: verificationMethodId,
+      type: 'EcdsaSecp256k1RecoveryMethod2020',
+      controller: did,
+      blockchainAccountId: `eip155:${reference}:${address}`
+    };
+
+  return {
+    '@context': ACCOUNT_DID_CONTEXT,
+    id: did,
+    verificationMethod: [verificationMethod],
+    authentication: [verificationMethodId],
+    assertionMethod: [verificationMethodId]
+  };
+};
+
+/**
+ * Parse a did:ethr DID
+ * @param {String} did - did:ethr DID ([network:]address or [network:]public key)
+ * @returns {Object} - network (null for mainnet), address, and the public key if the DID is key-based
+ */
+const parseDidEthr = (did) => {
+  const { method, identifier } = parseDID(did);
+  const parts = identifier.split(':');
+  const id = parts.pop();
+  const network = parts.length > 0 ? parts.join(':') : null;
+
+  if (method !== 'ethr') {
+    throw new Error(`Not a did:ethr DID: ${did}`);
+  }
+
+  if (/^0x[0-9a-fA-F]{40}$/.test(id)) {
+    return { network, address: ethers.getAddress(id.toLowerCase()), publicKey: null };
+  }
+
+  if (/^0x0[23][0-9a-fA-F]{64}$/.test(id)) {
+    return { network, address: ethers.computeAddress(id), publicKey: id.toLowerCase() };
+  }
+
+  throw new Error(`Invalid did:ethr DID: ${did}`);
+};
+
+/**
+ * Build the DID document of a did:ethr DID from its ERC-1056 registry state
+ * @param {String} did - did:ethr DID
+ * @param {String} chainId - EVM chain ID of the DID's network
+ * @param {Object} state - owner, delegates ({ type, delegate }), keys ({ purpose, publicKeyMultibase })
+ *   and services ({ type, serviceEndpoint }) currently valid in the registry
+ * @returns {Object} - DID document
+ */
+const createDidEthrDocument = (did, chainId, state = {}) => {
+  const { address, publicKey } = parseDidEthr(did);
+  const owner = state.owner || address;
+
+  // An identity owned by the zero address is deactivated
+  if (/^0x0{40}$/.test(owner)) {
+    return {
+      '@context': ACCOUNT_DID_CONTEXT,
+      id: did,
+      verificationMethod: [],
+      authentication: [],
+      assertionMethod: []
+    };
+  }
+
+  const controllerId = `${did}#controller`;
+  const verificationMethod = [{
+    id: controllerId,
+    type: 'EcdsaSecp256k1RecoveryMethod2020',
+    controller: did,
+    blockchainAccountId: `eip155:${chainId}:${owner}`
+  }];
+  const authentication = [controllerId];
+  const assertionMethod = [controllerId];
+
+  // The key a key-based DID was created from stays its key until ownership changes
+  if (publicKey && owner.toLowerCase() === address.toLowerCase()) {
+    verificationMethod.push({
+      id: `${did}#controllerKey`,
+      type: 'Multikey',
+      controller: did,
+      publicKeyMultibase: encodeMultikey('secp256k1', Buffer.from(publicKey.slice(2), 'hex'))
+    });
+    authentication.push(`${did}#controllerKey`);
+    assertionMethod.push(`${did}#controllerKey`);
+  }
+
+  let delegateCount = 0;
+  const addDelegate = (method, purpose) => {
+    const id = `${did}#delegate-${++delegateCount}`;
+    verificationMethod.push({ id, controller: did, ...method });
+    assertionMethod.push(id);
+    if (purpose === 'sigAuth') {
+      authentication.push(id);
+    }
+  };
+
+  for (const { type, delegate } of state.delegates || []) {
+    addDelegate({ type: 'EcdsaSecp256k1RecoveryMethod2020', blockchainAccountId: `eip155:${chainId}:${delegate}` }, type);
+  }
+
+  for (const { purpose, publicKeyMultibase } of state.keys || []) {
+    addDelegate({ type: 'Multikey', publicKeyMultibase }, purpose);
+  }
+
+  const service = (state.services || []).map((entry, index) => ({ id: `${did}#service-${index + 1}`, ...entry }));
+
+  return {
+    '@context': ACCOUNT_DID_CONTEXT,
+    id: did,
+    verificationMethod,
+    authentication,
+    assertionMethod,
+    ...(service.length > 0 && { service })
+  };
+};
+
+/**
+ * Whether a DID is derived from a wallet address and resolves without registration
+ * @param {String} did - The DID
+ * @returns {Boolean} - Whether the DID is wallet-native
+ */
+const isWalletNativeDID = (did) => {
+  try {
+    return WALLET_NATIVE_METHODS.includes(parseDID(did).method);
+  } catch (error) {
+    return false;
+  }
+};
+
 /**
  * Parse a DID into its components
  * @param {String} did - The DID to parse
@@ -96,6 +420,23 @@ const parseDID = (did) => {
 const isValidDID = (did) => {
   try {
     const parsed = parseDID(did);
+
+    if (parsed.method === 'key') {
+      return !!decodeMultikey(parsed.identifier);
+    }
+
+    if (parsed.method === 'web') {
+      return !!parseDidWeb(did);
+    }
+
+    if (parsed.method === 'pkh') {
+      return !!parseDidPkh(did);
+    }
+
+    if (parsed.method === 'ethr') {
+      return !!parseDidEthr(did);
+    }
+
     return parsed.method === DID_METHOD && parsed.identifier.length >= 16;
   } catch (error) {
     return false;
@@ -198,12 +539,12 @@ const getResolutionEndpoint = (did) => {
     const { method } = parseDID(did);
     
     // Add support for other DID methods as needed
-    if (method === DID_METHOD) {
-      return `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/identity/did/${did}`;
+    if (method === DID_METHOD || method === 'key' || WALLET_NATIVE_METHODS.includes(method)) {
+      // Our own, key and wallet-native DIDs are resolved by our DID Resolution endpoint
+      return `${process.env.API_BASE_URL || 'http://localhost:3000'}/1.0/identifiers/${did}`;
     } else if (method === 'web') {
       // web DIDs can be resolved via HTTPS
-      const identifier = did.split(':').slice(2).join(':');
-      return `https://${identifier}/.well-known/did.json`;
+      return didWebToUrl(did);
     } else {
       // For other DID methods, use a universal resolver
       return `https://resolver.identity.foundation/${did}`;
@@ -215,13 +556,25 @@ const getResolutionEndpoint = (did) => {
 
 module.exports = {
   DID_METHOD,
+  WALLET_NATIVE_METHODS,
   generateDID,
   generateDIDFromEthAddress,
   generateDIDFromSolanaAddress,
+  generateDidKey,
+  generateDidWeb,
+  generateDidPkh,
   parseDID,
+  parseDidWeb,
+  parseDidPkh,
+  parseDidEthr,
+  didWebToUrl,
   isValidDID,
+  isWalletNativeDID,
   createVerificationMethodId,
   createServiceId,
   createDefaultDIDDocument,
+  createDidKeyDocument,
+  createDidPkhDocument,
+  createDidEthrDocument,
   getResolutionEndpoint
 };
\ No newline at end of file
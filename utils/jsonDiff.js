@@ -0,0 +1,104 @@
+/**
+ * JSON diffs as JSON Patch (RFC 6902)
+ *
+ * Produces add, remove and replace operations that turn one document into
+ * another. Arrays are compared index by index; elements past the end of the
+ * shorter array are added or removed from the end. Remove and replace
+ * operations also carry the previous value (oldValue), which patch
+ * appliers ignore.
+ */
+
+/**
+ * Escape an object key for use in a JSON Pointer (RFC 6901)
+ * @param {String} key - Object key or array index
+ * @returns {String} - Escaped reference token
+ */
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Whether two JSON values are equal, regardless of object key order
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {Boolean} - Whether they are equal
+ */
+const isEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, index) => isEqual(value, b[index]));
+  }
+
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+  }
+
+  return false;
+};
+
+/**
+ * Diff two JSON values
+ * @param {*} from - Original value
+ * @param {*} to - New value
+ * @param {String} path - JSON Pointer of the values (empty for the root)
+ * @returns {Array<Object>} - JSON Patch operations
+ */
+const diff = (from, to, path = '') => {
+  if (isEqual(from, to)) {
+    return [];
+  }
+
+  if (isObject(from) && isObject(to)) {
+    const operations = [];
+
+    for (const key of Object.keys(from)) {
+      const keyPath = `${path}/${escapePointer(key)}`;
+
+      if (!Object.prototype.hasOwnProperty.call(to, key)) {
+        operations.push({ op: 'remove', path: keyPath, oldValue: from[key] });
+      } else {
+        operations.push(...diff(from[key], to[key], keyPath));
+      }
+    }
+
+    for (const key of Object.keys(to)) {
+      if (!Object.prototype.hasOwnProperty.call(from, key)) {
+        operations.push({ op: 'add', path: `${path}/${escapePointer(key)}`, value: to[key] });
+      }
+    }
+
+    return operations;
+  }
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    const operations = [];
+    const common = Math.min(from.length, to.length);
+
+    for (let i = 0; i < common; i++) {
+      operations.push(...diff(from[i], to[i], `${path}/${i}`));
+    }
+
+    for (let i = common; i < to.length; i++) {
+      operations.push({ op: 'add', path: `${path}/${i}`, value: to[i] });
+    }
+
+    // Removed from the end so that each index is still valid when applied
+    for (let i = from.length - 1; i >= common; i--) {
+      operations.push({ op: 'remove', path: `${path}/${i}`, oldValue: from[i] });
+    }
+
+    return operations;
+  }
+
+  return [{ op: 'replace', path, value: to, oldValue: from }];
+};
+
+module.exports = {
+  diff,
+  isEqual
+};
@@ -0,0 +1,161 @@
+/**
+ * Minimal JSONPath evaluation for Presentation Exchange field paths
+ *
+ * Supports the selectors used in practice: $, .name, ['name'], [n] (negative
+ * indexes count from the end), [*], .* and recursive descent (..name, ..*).
+ */
+
+// Parsed paths, keyed by path string
+const parsedPaths = new Map();
+
+/**
+ * Find the bracket closing a selector, skipping quoted names
+ * @param {String} path - JSONPath
+ * @param {Number} start - Index of the opening bracket
+ * @returns {Number} - Index of the closing bracket
+ */
+const findClosingBracket = (path, start) => {
+  let quote = null;
+
+  for (let i = start + 1; i < path.length; i++) {
+    const char = path[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === ']') {
+      return i;
+    }
+  }
+
+  throw new Error(`Unterminated selector in JSONPath: ${path}`);
+};
+
+/**
+ * Parse a JSONPath into segments
+ * @param {String} path - JSONPath
+ * @returns {Array<Object>} - Segments ({ recursive, name | index | wildcard })
+ */
+const parsePath = (path) => {
+  if (parsedPaths.has(path)) {
+    return parsedPaths.get(path);
+  }
+
+  if (typeof path !== 'string' || path[0] !== '$') {
+    throw new Error(`JSONPath must start with $: ${path}`);
+  }
+
+  const segments = [];
+  let i = 1;
+
+  while (i < path.length) {
+    let recursive = false;
+
+    if (path.startsWith('..', i)) {
+      recursive = true;
+      i += 2;
+    } else if (path[i] === '.') {
+      i += 1;
+    } else if (path[i] !== '[') {
+      throw new Error(`Invalid JSONPath: ${path}`);
+    }
+
+    if (path[i] === '[') {
+      const end = findClosingBracket(path, i);
+      const selector = path.slice(i + 1, end).trim();
+      i = end + 1;
+
+      if (selector === '*') {
+        segments.push({ recursive, wildcard: true });
+      } else if (/^-?\d+$/.test(selector)) {
+        segments.push({ recursive, index: parseInt(selector, 10) });
+      } else if (/^'.*'$|^".*"$/.test(selector)) {
+        segments.push({ recursive, name: selector.slice(1, -1).replace(/\\(.)/g, '$1') });
+      } else {
+        throw new Error(`Unsupported JSONPath selector [${selector}] in ${path}`);
+      }
+    } else {
+      const match = /^(\*|[^.[\]]+)/.exec(path.slice(i));
+
+      if (!match) {
+        throw new Error(`Invalid JSONPath: ${path}`);
+      }
+
+      i += match[0].length;
+      segments.push(match[0] === '*' ? { recursive, wildcard: true } : { recursive, name: match[0] });
+    }
+  }
+
+  parsedPaths.set(path, segments);
+  return segments;
+};
+
+/**
+ * Direct children of a value
+ * @param {*} value - JSON value
+ * @returns {Array} - Array items or object property values
+ */
+const children = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  return value && typeof value === 'object' ? Object.values(value) : [];
+};
+
+/**
+ * A value and all values nested in it
+ * @param {*} value - JSON value
+ * @returns {Array} - The value followed by its descendants
+ */
+const descendants = (value) => [value, ...children(value).flatMap(descendants)];
+
+/**
+ * Apply one segment's selector to a value
+ * @param {*} value - JSON value
+ * @param {Object} segment - Parsed segment
+ * @returns {Array} - Selected values
+ */
+const select = (value, segment) => {
+  if (segment.wildcard) {
+    return children(value);
+  }
+
+  if (segment.index !== undefined) {
+    if (!Array.isArray(value)) {
+      return [];
+    }
+
+    const index = segment.index < 0 ? value.length + segment.index : segment.index;
+    return index >= 0 && index < value.length ? [value[index]] : [];
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.prototype.hasOwnProperty.call(value, segment.name)) {
+    return [value[segment.name]];
+  }
+
+  return [];
+};
+
+/**
+ * Evaluate a JSONPath against a document
+ * @param {*} document - JSON document
+ * @param {String} path - JSONPath
+ * @returns {Array} - Matching values, in document order
+ */
+const query = (document, path) => parsePath(path).reduce(
+  (nodes, segment) => nodes.flatMap(node =>
+    (segment.recursive ? descendants(node) : [node]).flatMap(candidate => select(candidate, segment))),
+  [document]
+);
+
+module.exports = {
+  parsePath,
+  query
+};
@@ -0,0 +1,383 @@
+/**
+ * DIF Presentation Exchange v2 evaluation
+ *
+ * Checks credentials against a verifier's presentation definition: each
+ * input descriptor's field constraints (JSONPath + JSON Schema filter) are
+ * evaluated against a credential, and the submission requirements (or, when
+ * there are none, every input descriptor) must be met by the descriptors
+ * satisfied. Credentials come either from a holder's presentation submission
+ * or, for access gating, from a pool of the holder's credentials.
+ */
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { query, parsePath } = require('./jsonPath');
+const { decodeJwt, parseSdJwt, resolveDisclosures } = require('./vcJwt');
+
+const ajv = addFormats(new Ajv({ allErrors: true, strict: false }));
+
+const SUBMISSION_RULES = ['all', 'pick'];
+
+// Filters come from verifiers, so only the most recently used stay compiled
+const MAX_COMPILED_FILTERS = 100;
+
+// Compiled field filters keyed by their JSON, least recently used first
+const filters = new Map();
+
+/**
+ * Compile a field filter (a JSON Schema). Filters evicted from the cache,
+ * and filters that fail to compile, are removed from Ajv's cache as well
+ * @param {Object} filter - JSON Schema
+ * @returns {Function} - Ajv validate function
+ */
+const compileFilter = (filter) => {
+  const key = JSON.stringify(filter);
+  let compiled = filters.get(key);
+
+  if (compiled) {
+    filters.delete(key);
+  } else {
+    try {
+      compiled = { schema: filter, validate: ajv.compile(filter) };
+    } catch (error) {
+      ajv.removeSchema(filter);
+      throw error;
+    }
+
+    if (filters.size >= MAX_COMPILED_FILTERS) {
+      const [oldestKey, oldest] = filters.entries().next().value;
+      filters.delete(oldestKey);
+      ajv.removeSchema(oldest.schema);
+    }
+  }
+
+  filters.set(key, compiled);
+  return compiled.validate;
+};
+
+/**
+ * Check a presentation definition
+ * @param {Object} definition - Presentation definition
+ * @returns {String|null} - Error message, or null if the definition is valid
+ */
+const checkDefinition = (definition) => {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return 'Presentation definition must be an object';
+  }
+
+  if (typeof definition.id !== 'string' || !definition.id) {
+    return 'Presentation definition must have an id';
+  }
+
+  if (!Array.isArray(definition.input_descriptors) || definition.input_descriptors.length === 0) {
+    return 'Presentation definition must have at least one input descriptor';
+  }
+
+  const ids = new Set();
+  const groups = new Set();
+
+  for (const descriptor of definition.input_descriptors) {
+    if (!descriptor || typeof descriptor.id !== 'string' || !descriptor.id) {
+      return 'Every input descriptor must have an id';
+    }
+
+    if (ids.has(descriptor.id)) {
+      return `Duplicate input descriptor id: ${descriptor.id}`;
+    }
+    ids.add(descriptor.id);
+
+    if (descriptor.group !== undefined) {
+      if (!Array.isArray(descriptor.group)) {
+        return `Input descriptor ${descriptor.id}: group must be an array`;
+      }
+      descriptor.group.forEach(group => groups.add(group));
+    }
+
+    const fields = (descriptor.constraints && descriptor.constraints.fields) || [];
+    if (!Array.isArray(fields)) {
+      return `Input descriptor ${descriptor.id}: constraints.fields must be an array`;
+    }
+
+    for (const field of fields) {
+      if (!field || !Array.isArray(field.path) || field.path.length === 0) {
+        return `Input descriptor ${descriptor.id}: every field needs a non-empty path array`;
+      }
+
+      try {
+        field.path.forEach(parsePath);
+        if (field.filter !== undefined) {
+          compileFilter(field.filter);
+        }
+      } catch (error) {
+        return `Input descriptor ${descriptor.id}: ${error.message}`;
+      }
+    }
+  }
+
+  if (definition.submission_requirements !== undefined) {
+    if (!Array.isArray(definition.submission_requirements) || definition.submission_requirements.length === 0) {
+      return 'submission_requirements must be a non-empty array';
+    }
+
+    for (const requirement of definition.submission_requirements) {
+      const requirementError = checkRequirement(requirement, groups);
+      if (requirementError) {
+        return requirementError;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a submission requirement and the requirements nested in it
+ * @param {Object} requirement - Submission requirement
+ * @param {Set<String>} groups - Groups declared by the input descriptors
+ * @returns {String|null} - Error message, or null if the requirement is valid
+ */
+const checkRequirement = (requirement, groups) => {
+  if (!requirement || !SUBMISSION_RULES.includes(requirement.rule)) {
+    return `Submission requirement rule must be one of: ${SUBMISSION_RULES.join(', ')}`;
+  }
+
+  const hasFrom = requirement.from !== undefined;
+  const hasFromNested = requirement.from_nested !== undefined;
+
+  if (hasFrom === hasFromNested) {
+    return 'A submission requirement needs exactly one of from and from_nested';
+  }
+
+  if (hasFrom && !groups.has(requirement.from)) {
+    return `Submission requirement references unknown group: ${requirement.from}`;
+  }
+
+  for (const key of ['count', 'min', 'max']) {
+    if (requirement[key] !== undefined && (!Number.isInteger(requirement[key]) || requirement[key] < 0)) {
+      return `Submission requirement ${key} must be a non-negative integer`;
+    }
+  }
+
+  if (hasFromNested) {
+    if (!Array.isArray(requirement.from_nested) || requirement.from_nested.length === 0) {
+      return 'from_nested must be a non-empty array';
+    }
+
+    for (const nested of requirement.from_nested) {
+      const nestedError = checkRequirement(nested, groups);
+      if (nestedError) {
+        return nestedError;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Evaluate an input descriptor's field constraints against a credential
+ * @param {Object} descriptor - Input descriptor
+ * @param {Object} document - Credential claims (JSON-LD credential, JWT claims or disclosed SD-JWT claims)
+ * @returns {Object} - Whether it matched, the values matched per field, and errors
+ */
+const evaluateDescriptor = (descriptor, document) => {
+  const fields = (descriptor.constraints && descriptor.constraints.fields) || [];
+  const matchedFields = [];
+  const errors = [];
+
+  for (const field of fields) {
+    const validate = field.filter !== undefined ? compileFilter(field.filter) : null;
+    let match = null;
+
+    for (const path of field.path) {
+      const value = query(document, path).find(candidate => !validate || validate(candidate));
+
+      if (value !== undefined) {
+        match = { id: field.id, path, value };
+        break;
+      }
+    }
+
+    if (match) {
+      matchedFields.push(match);
+    } else if (!field.optional) {
+      errors.push(`${field.id || field.path[0]}: ${validate ? 'no value matches the filter' : 'not present'}`);
+    }
+  }
+
+  return { matched: errors.length === 0, fields: matchedFields, errors };
+};
+
+/**
+ * Decode a submitted credential or presentation into the claims paths are evaluated against
+ * @param {Object|String} value - JSON-LD object, compact JWT or SD-JWT
+ * @returns {Object} - Claims
+ */
+const toClaims = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (value.includes('~')) {
+    const parts = parseSdJwt(value);
+    return resolveDisclosures(decodeJwt(parts.jwt).payload, parts.disclosures);
+  }
+
+  return decodeJwt(value).payload;
+};
+
+/**
+ * Evaluate one submission requirement
+ * @param {Object} requirement - Submission requirement
+ * @param {Array<Object>} descriptors - Input descriptors
+ * @param {Set<String>} satisfied - IDs of the satisfied input descriptors
+ * @param {Boolean} exact - Whether pick limits apply to what was submitted (true)
+ *   or only need to be reachable from what is available (false)
+ * @returns {Boolean} - Whether the requirement is met
+ */
+const meetsRequirement = (requirement, descriptors, satisfied, exact) => {
+  const candidates = requirement.from !== undefined
+    ? descriptors.filter(descriptor => (descriptor.group || []).includes(requirement.from))
+        .map(descriptor => satisfied.has(descriptor.id))
+    : requirement.from_nested.map(nested => meetsRequirement(nested, descriptors, satisfied, exact));
+
+  const met = candidates.filter(Boolean).length;
+
+  if (requirement.rule === 'all') {
+    return met === candidates.length;
+  }
+
+  if (requirement.count !== undefined) {
+    return exact ? met === requirement.count : met >= requirement.count;
+  }
+
+  return met >= (requirement.min || 0) &&
+    (!exact || requirement.max === undefined || met <= requirement.max);
+};
+
+/**
+ * Check the satisfied input descriptors against the definition's submission
+ * requirements, or require every descriptor when there are none
+ * @param {Object} definition - Presentation definition
+ * @param {Set<String>} satisfied - IDs of the satisfied input descriptors
+ * @param {Boolean} exact - Whether pick limits apply exactly (see meetsRequirement)
+ * @returns {Array<String>} - Unmet requirements
+ */
+const evaluateRequirements = (definition, satisfied, exact) => {
+  if (!definition.submission_requirements) {
+    return definition.input_descriptors
+      .filter(descriptor => !satisfied.has(descriptor.id))
+      .map(descriptor => `Input descriptor ${descriptor.id} is not satisfied`);
+  }
+
+  return definition.submission_requirements
+    .filter(requirement => !meetsRequirement(requirement, definition.input_descriptors, satisfied, exact))
+    .map(requirement => `Submission requirement ${requirement.name || requirement.from || 'from_nested'} is not met`);
+};
+
+/**
+ * Select, for each input descriptor, the credentials in a pool that satisfy
+ * it, and check whether a submission meeting the definition could be made
+ * @param {Object} definition - Presentation definition
+ * @param {Array<Object|String>} credentials - Candidate credentials (JSON-LD objects, VC-JWTs or SD-JWTs)
+ * @returns {Object} - Whether the definition can be met, with the matching credentials per descriptor
+ */
+const selectCredentials = (definition, credentials) => {
+  const claims = credentials.map(credential => {
+    try {
+      return toClaims(credential);
+    } catch (error) {
+      return null;
+    }
+  });
+
+  const results = definition.input_descriptors.map(descriptor => {
+    const matches = [];
+    const errors = [];
+
+    claims.forEach((document, index) => {
+      if (!document) return;
+
+      const result = evaluateDescriptor(descriptor, document);
+      if (result.matched) {
+        matches.push({ index, fields: result.fields });
+      } else {
+        errors.push(...result.errors.map(error => `credential ${index}: ${error}`));
+      }
+    });
+
+    return { id: descriptor.id, matched: matches.length > 0, matches, errors: matches.length > 0 ? [] : errors };
+  });
+
+  const satisfied = new Set(results.filter(result => result.matched).map(result => result.id));
+  const errors = evaluateRequirements(definition, satisfied, false);
+
+  return {
+    satisfied: errors.length === 0,
+    descriptors: results,
+    errors
+  };
+};
+
+/**
+ * Evaluate a presentation submission against a presentation definition
+ * @param {Object} definition - Presentation definition
+ * @param {Object} submission - Presentation submission (definition_id and descriptor_map)
+ * @param {*} vpToken - The submitted presentation(s)
+ * @returns {Object} - Whether the submission meets the definition, with a result per descriptor
+ */
+const evaluateSubmission = (definition, submission, vpToken) => {
+  const errors = [];
+  const results = [];
+
+  if (!submission || submission.definition_id !== definition.id) {
+    errors.push('Presentation submission does not reference the presentation definition');
+  }
+
+  const descriptorMap = (submission && Array.isArray(submission.descriptor_map)) ? submission.descriptor_map : [];
+
+  for (const entry of descriptorMap) {
+    const descriptor = definition.input_descriptors.find(candidate => candidate.id === entry.id);
+
+    if (!descriptor) {
+      errors.push(`Submission maps unknown input descriptor ${entry.id}`);
+      continue;
+    }
+
+    try {
+      // Follow path_nested from the presentation down to the credential
+      let mapping = entry;
+      let node = query(vpToken, mapping.path)[0];
+
+      while (node !== undefined && mapping.path_nested) {
+        mapping = mapping.path_nested;
+        node = query(toClaims(node), mapping.path)[0];
+      }
+
+      if (node === undefined) {
+        throw new Error(`Nothing found at ${mapping.path}`);
+      }
+
+      results.push({ id: entry.id, format: mapping.format, path: mapping.path, ...evaluateDescriptor(descriptor, toClaims(node)) });
+    } catch (error) {
+      results.push({ id: entry.id, format: entry.format, path: entry.path, matched: false, fields: [], errors: [error.message] });
+    }
+  }
+
+  const satisfied = new Set(results.filter(result => result.matched).map(result => result.id));
+  errors.push(...evaluateRequirements(definition, satisfied, true));
+
+  return {
+    satisfied: errors.length === 0,
+    descriptors: results,
+    errors
+  };
+};
+
+module.exports = {
+  checkDefinition,
+  evaluateDescriptor,
+  evaluateRequirements,
+  evaluateSubmission,
+  selectCredentials,
+  toClaims
+};
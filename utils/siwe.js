@@ -0,0 +1,348 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) and Sign-In with Solana message utilities
+ *
+ * Both message families share the EIP-4361 layout and differ only in the
+ * account label of the header line and the address/chain ID formats.
+ */
+const ethers = require('ethers');
+const bs58 = require('bs58');
+
+/**
+ * Message version defined by EIP-4361
+ */
+const SIWE_VERSION = '1';
+
+/**
+ * Account labels used in the header line, keyed by chain family
+ */
+const ACCOUNT_LABELS = {
+  ethereum: 'Ethereum',
+  solana: 'Solana'
+};
+
+const HEADER_PATTERN = /^(?:([a-zA-Z][a-zA-Z0-9+\-.]*):\/\/)?(\S+) wants you to sign in with your (Ethereum|Solana) account:$/;
+const NONCE_PATTERN = /^[a-zA-Z0-9]{8,}$/;
+const URI_PATTERN = /^[a-zA-Z][a-zA-Z0-9+\-.]*:\S+$/;
+
+// Optional fields in the order EIP-4361 requires them to appear
+const OPTIONAL_FIELDS = [
+  { label: 'Expiration Time', key: 'expirationTime' },
+  { label: 'Not Before', key: 'notBefore' },
+  { label: 'Request ID', key: 'requestId' }
+];
+
+/**
+ * Map a supported chain name to its sign-in message family
+ * @param {String} chain - The blockchain (polygon/ethereum/solana)
+ * @returns {String} - Message family ('ethereum' or 'solana')
+ */
+const getChainFamily = (chain) => {
+  if (chain === 'polygon' || chain === 'ethereum') {
+    return 'ethereum';
+  } else if (chain === 'solana') {
+    return 'solana';
+  }
+
+  throw new Error(`Unsupported chain: ${chain}`);
+};
+
+/**
+ * Check that a timestamp is a valid RFC 3339 date-time
+ * @param {String} value - Timestamp to check
+ * @returns {Boolean} - Whether the timestamp is valid
+ */
+const isValidTimestamp = (value) => {
+  return typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+    !isNaN(new Date(value).getTime());
+};
+
+/**
+ * Check that an address is well formed for the message family
+ * @param {String} address - Account address
+ * @param {String} family - Message family
+ * @returns {Boolean} - Whether the address is valid
+ */
+const isValidAddress = (address, family) => {
+  try {
+    if (family === 'ethereum') {
+      // EIP-4361 requires the EIP-55 checksummed form
+      return ethers.getAddress(address) === address;
+    }
+
+    return bs58.decode(address).length === 32;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check the fields of a sign-in message for well-formedness
+ * @param {Object} fields - Message fields
+ * @throws {Error} - If a field is malformed
+ */
+const assertWellFormed = (fields) => {
+  const { family, domain, address, statement, uri, version, chainId, nonce, issuedAt, resources } = fields;
+
+  if (!ACCOUNT_LABELS[family]) {
+    throw new Error(`Unsupported message family: ${family}`);
+  }
+
+  if (!domain || /\s/.test(domain)) {
+    throw new Error('Invalid domain');
+  }
+
+  if (!isValidAddress(address, family)) {
+    throw new Error(`Invalid ${ACCOUNT_LABELS[family]} address: ${address}`);
+  }
+
+  if (statement !== undefined && statement !== null && (statement === '' || /\n/.test(statement))) {
+    throw new Error('Statement must be a non-empty single line');
+  }
+
+  if (!uri || !URI_PATTERN.test(uri)) {
+    throw new Error('Invalid URI');
+  }
+
+  if (version !== SIWE_VERSION) {
+    throw new Error(`Unsupported message version: ${version}`);
+  }
+
+  if (!chainId || /\s/.test(String(chainId))) {
+    throw new Error('Invalid chain ID');
+  }
+
+  if (family === 'ethereum' && !/^\d+$/.test(String(chainId))) {
+    throw new Error('Chain ID must be an EIP-155 integer');
+  }
+
+  if (!nonce || !NONCE_PATTERN.test(nonce)) {
+    throw new Error('Nonce must be at least 8 alphanumeric characters');
+  }
+
+  if (!isValidTimestamp(issuedAt)) {
+    throw new Error('Invalid Issued At timestamp');
+  }
+
+  for (const { label, key } of OPTIONAL_FIELDS.slice(0, 2)) {
+    if (fields[key] && !isValidTimestamp(fields[key])) {
+      throw new Error(`Invalid ${label} timestamp`);
+    }
+  }
+
+  if (fields.requestId !== undefined && fields.requestId !== null && /\n/.test(fields.requestId)) {
+    throw new Error('Request ID must be a single line');
+  }
+
+  if (resources && (!Array.isArray(resources) || resources.some(r => !URI_PATTERN.test(r)))) {
+    throw new Error('Resources must be a list of URIs');
+  }
+};
+
+/**
+ * Build a sign-in message
+ * @param {Object} fields - Message fields
+ * @param {String} fields.family - Message family ('ethereum' or 'solana')
+ * @param {String} fields.domain - RFC 3986 authority requesting the signature
+ * @param {String} fields.address - Account address performing the signing
+ * @param {String} fields.statement - Optional human-readable assertion
+ * @param {String} fields.uri - RFC 3986 URI referring to the resource being signed in to
+ * @param {String|Number} fields.chainId - EIP-155 chain ID or Solana cluster
+ * @param {String} fields.nonce - Random alphanumeric nonce
+ * @param {String} fields.issuedAt - RFC 3339 issuance time
+ * @param {String} fields.expirationTime - Optional RFC 3339 expiry time
+ * @param {String} fields.notBefore - Optional RFC 3339 validity start
+ * @param {String} fields.requestId - Optional system-specific request identifier
+ * @param {Array<String>} fields.resources - Optional list of URIs
+ * @returns {String} - The message to be signed
+ */
+const createSignInMessage = (fields) => {
+  const message = { version: SIWE_VERSION, ...fields };
+  assertWellFormed(message);
+
+  const header = `${message.scheme ? `${message.scheme}://` : ''}${message.domain} wants you to sign in with your ${ACCOUNT_LABELS[message.family]} account:`;
+
+  const lines = [header, message.address, ''];
+
+  if (message.statement) {
+    lines.push(message.statement);
+  }
+
+  lines.push(
+    '',
+    `URI: ${message.uri}`,
+    `Version: ${message.version}`,
+    `Chain ID: ${message.chainId}`,
+    `Nonce: ${message.nonce}`,
+    `Issued At: ${message.issuedAt}`
+  );
+
+  for (const { label, key } of OPTIONAL_FIELDS) {
+    if (message[key]) {
+      lines.push(`${label}: ${message[key]}`);
+    }
+  }
+
+  if (message.resources && message.resources.length > 0) {
+    lines.push('Resources:', ...message.resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Parse a sign-in message into its fields
+ * @param {String} message - The message text
+ * @returns {Object} - Parsed message fields
+ * @throws {Error} - If the message does not follow the EIP-4361 grammar
+ */
+const parseSignInMessage = (message) => {
+  if (!message || typeof message !== 'string') {
+    throw new Error('Sign-in message is required');
+  }
+
+  const lines = message.split('\n');
+  const header = HEADER_PATTERN.exec(lines[0]);
+
+  if (!header) {
+    throw new Error('Invalid sign-in message header');
+  }
+
+  const fields = {
+    scheme: header[1] || null,
+    domain: header[2],
+    family: header[3].toLowerCase(),
+    address: lines[1],
+    statement: null
+  };
+
+  if (lines[2] !== '') {
+    throw new Error('Expected blank line after address');
+  }
+
+  let index = 3;
+
+  if (lines[index] !== '') {
+    fields.statement = lines[index++];
+
+    if (lines[index] !== '') {
+      throw new Error('Expected blank line after statement');
+    }
+  }
+
+  index++;
+
+  // Read a mandatory "<label>: <value>" line
+  const readField = (label) => {
+    const line = lines[index];
+    const prefix = `${label}: `;
+
+    if (!line || !line.startsWith(prefix)) {
+      throw new Error(`Missing ${label} field`);
+    }
+
+    index++;
+    return line.slice(prefix.length);
+  };
+
+  fields.uri = readField('URI');
+  fields.version = readField('Version');
+  fields.chainId = readField('Chain ID');
+  fields.nonce = readField('Nonce');
+  fields.issuedAt = readField('Issued At');
+
+  for (const { label, key } of OPTIONAL_FIELDS) {
+    if (lines[index] && lines[index].startsWith(`${label}: `)) {
+      fields[key] = readField(label);
+    }
+  }
+
+  if (lines[index] === 'Resources:') {
+    index++;
+    fields.resources = [];
+
+    while (index < lines.length && lines[index].startsWith('- ')) {
+      fields.resources.push(lines[index++].slice(2));
+    }
+  }
+
+  if (index !== lines.length) {
+    throw new Error(`Unexpected content in sign-in message: ${lines[index]}`);
+  }
+
+  assertWellFormed(fields);
+
+  return fields;
+};
+
+/**
+ * Validate parsed sign-in message fields against what the server expects
+ * @param {Object} fields - Parsed message fields
+ * @param {Object} expected - Expected values
+ * @param {String} expected.domain - Domain the server is serving
+ * @param {String} expected.uri - URI the server issued the message for
+ * @param {String} expected.family - Message family for the chain being used
+ * @param {String} expected.address - Wallet address authenticating
+ * @param {Array<String>} expected.chainIds - Accepted chain IDs
+ * @param {String} expected.nonce - Nonce issued for this wallet
+ * @param {Date} expected.now - Reference time (default: now)
+ * @param {Number} expected.clockSkewMs - Tolerated clock skew (default: 60s)
+ * @returns {Boolean} - True when every check passes
+ * @throws {Error} - Describing the first failing check
+ */
+const validateSignInMessage = (fields, expected = {}) => {
+  const now = expected.now || new Date();
+  const clockSkewMs = expected.clockSkewMs !== undefined ? expected.clockSkewMs : 60 * 1000;
+
+  if (expected.family && fields.family !== expected.family) {
+    throw new Error(`Expected a ${ACCOUNT_LABELS[expected.family]} sign-in message`);
+  }
+
+  if (expected.domain && fields.domain !== expected.domain) {
+    throw new Error(`Domain mismatch: ${fields.domain}`);
+  }
+
+  if (expected.uri && fields.uri !== expected.uri) {
+    throw new Error(`URI mismatch: ${fields.uri}`);
+  }
+
+  if (expected.address) {
+    const matches = fields.family === 'ethereum'
+      ? fields.address.toLowerCase() === expected.address.toLowerCase()
+      : fields.address === expected.address;
+
+    if (!matches) {
+      throw new Error('Address mismatch');
+    }
+  }
+
+  if (expected.chainIds && !expected.chainIds.map(String).includes(String(fields.chainId))) {
+    throw new Error(`Chain ID not accepted: ${fields.chainId}`);
+  }
+
+  if (expected.nonce && fields.nonce !== expected.nonce) {
+    throw new Error('Nonce mismatch');
+  }
+
+  if (new Date(fields.issuedAt).getTime() - clockSkewMs > now.getTime()) {
+    throw new Error('Message issued in the future');
+  }
+
+  if (fields.expirationTime && new Date(fields.expirationTime).getTime() + clockSkewMs <= now.getTime()) {
+    throw new Error('Message has expired');
+  }
+
+  if (fields.notBefore && new Date(fields.notBefore).getTime() - clockSkewMs > now.getTime()) {
+    throw new Error('Message is not yet valid');
+  }
+
+  return true;
+};
+
+module.exports = {
+  SIWE_VERSION,
+  getChainFamily,
+  createSignInMessage,
+  parseSignInMessage,
+  validateSignInMessage
+};
@@ -0,0 +1,67 @@
+/**
+ * StatusList2021 bitstring helpers for the Identity Bridge API
+ *
+ * Bit 0 is the most significant bit of the first byte, and the encoded
+ * list is the GZIP-compressed bitstring, base64url encoded.
+ */
+const zlib = require('zlib');
+
+const STATUS_LIST_CONTEXT = 'https://w3id.org/vc/status-list/2021/v1';
+
+/**
+ * Status purposes a list can be published for
+ */
+const STATUS_PURPOSES = ['revocation', 'suspension'];
+
+/**
+ * Create an all-zero bitstring
+ * @param {Number} length - Number of entries (multiple of 8)
+ * @returns {Buffer} - Bitstring
+ */
+const createBitstring = (length) => Buffer.alloc(Math.ceil(length / 8));
+
+/**
+ * Read one entry of a bitstring
+ * @param {Buffer} bitstring - Bitstring
+ * @param {Number} index - Entry index
+ * @returns {Boolean} - Whether the bit is set
+ */
+const getBit = (bitstring, index) => {
+  if (index < 0 || index >= bitstring.length * 8) {
+    throw new Error(`Status list index out of range: ${index}`);
+  }
+
+  return (bitstring[index >> 3] & (0x80 >> (index & 7))) !== 0;
+};
+
+/**
+ * Position of an entry for PostgreSQL's set_bit/get_bit, which number the
+ * bits of each byte from the least significant end
+ * @param {Number} index - Entry index
+ * @returns {Number} - PostgreSQL bit number
+ */
+const toPostgresBit = (index) => (index & ~7) + (7 - (index & 7));
+
+/**
+ * Compress and encode a bitstring for the encodedList property
+ * @param {Buffer} bitstring - Bitstring
+ * @returns {String} - GZIP + base64url encoded list
+ */
+const encodeList = (bitstring) => zlib.gzipSync(bitstring).toString('base64url');
+
+/**
+ * Decode an encodedList property
+ * @param {String} encodedList - GZIP + base64 (or base64url) encoded list
+ * @returns {Buffer} - Bitstring
+ */
+const decodeList = (encodedList) => zlib.gunzipSync(Buffer.from(encodedList, 'base64url'));
+
+module.exports = {
+  STATUS_LIST_CONTEXT,
+  STATUS_PURPOSES,
+  createBitstring,
+  getBit,
+  toPostgresBit,
+  encodeList,
+  decodeList
+};
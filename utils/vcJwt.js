@@ -0,0 +1,384 @@
+/**
+ * JWT credential encodings for the Identity Bridge API
+ *
+ * - jwt_vc: VC Data Model 1.1 JWT encoding (credential in the `vc` claim)
+ * - vc+sd-jwt: SD-JWT VC with salted, hashed disclosures and optional key binding
+ *
+ * JWS signing is done with Node's crypto so that the EdDSA (Ed25519) and
+ * ES256K (secp256k1) keys used for Data Integrity proofs can be reused.
+ */
+const crypto = require('crypto');
+const { normalizeLowS } = require('./dataIntegrity');
+
+/**
+ * Credential formats accepted by the issue and verify endpoints
+ */
+const CREDENTIAL_FORMATS = ['ldp_vc', 'jwt_vc', 'vc+sd-jwt'];
+
+// JWS algorithms for the key types we hold, and P-256 keys of holder wallets
+const JWS_ALGORITHMS = {
+  Ed25519: 'EdDSA',
+  secp256k1: 'ES256K',
+  'P-256': 'ES256'
+};
+
+// VC Data Model properties moved into registered JWT claims
+const VC_JWT_RESERVED = ['issuer', 'issuanceDate', 'expirationDate', 'id'];
+
+/**
+ * Base64url-encode a JSON value
+ * @param {Object} value - Value to encode
+ * @returns {String} - Base64url string
+ */
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Decode a base64url JSON segment
+ * @param {String} segment - Base64url string
+ * @returns {Object} - Decoded value
+ */
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Convert a date string to NumericDate seconds
+ * @param {String} value - ISO date string
+ * @returns {Number|undefined} - Seconds since the epoch
+ */
+const toNumericDate = (value) => value ? Math.floor(new Date(value).getTime() / 1000) : undefined;
+
+/**
+ * SHA-256 digest, base64url encoded (the `sha-256` _sd_alg)
+ * @param {String} value - ASCII input
+ * @returns {String} - Base64url digest
+ */
+const sdHash = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+/**
+ * Sign a compact JWS
+ * @param {Object} header - Protected header (alg is set from the key type)
+ * @param {Object} payload - JWT claims
+ * @param {String} privateKeyPem - PKCS#8 PEM private key
+ * @returns {String} - Compact JWS
+ */
+const signJwt = (header, payload, privateKeyPem) => {
+  const privateKey = crypto.createPrivateKey(privateKeyPem);
+  const keyType = privateKey.asymmetricKeyType === 'ed25519' ? 'Ed25519' : 'secp256k1';
+
+  const signingInput = `${encodeSegment({ ...header, alg: JWS_ALGORITHMS[keyType] })}.${encodeSegment(payload)}`;
+
+  const signature = keyType === 'Ed25519'
+    ? crypto.sign(null, Buffer.from(signingInput), privateKey)
+    : normalizeLowS(crypto.sign('sha256', Buffer.from(signingInput), { key: privateKey, dsaEncoding: 'ieee-p1363' }));
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Decode a compact JWS without verifying it
+ * @param {String} jwt - Compact JWS
+ * @returns {Object} - Header, payload and signing parts
+ */
+const decodeJwt = (jwt) => {
+  const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+
+  if (parts.length !== 3) {
+    throw new Error('Malformed JWT');
+  }
+
+  return {
+    header: decodeSegment(parts[0]),
+    payload: decodeSegment(parts[1]),
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: Buffer.from(parts[2], 'base64url')
+  };
+};
+
+/**
+ * Verify a compact JWS signature
+ * @param {String} jwt - Compact JWS
+ * @param {KeyObject} keyObject - Public key
+ * @returns {Object} - Decoded header and payload
+ * @throws {Error} - If the signature or algorithm is invalid
+ */
+const verifyJwt = (jwt, keyObject) => {
+  const { header, payload, signingInput, signature } = decodeJwt(jwt);
+  const keyType = keyObject.asymmetricKeyType === 'ed25519'
+    ? 'Ed25519'
+    : (keyObject.asymmetricKeyDetails.namedCurve === 'prime256v1' ? 'P-256' : 'secp256k1');
+
+  if (header.alg !== JWS_ALGORITHMS[keyType]) {
+    throw new Error(`Unexpected JWS algorithm: ${header.alg}`);
+  }
+
+  const verified = keyType === 'Ed25519'
+    ? crypto.verify(null, Buffer.from(signingInput), keyObject, signature)
+    : crypto.verify('sha256', Buffer.from(signingInput), { key: keyObject, dsaEncoding: 'ieee-p1363' }, signature);
+
+  if (!verified) {
+    throw new Error('Invalid JWT signature');
+  }
+
+  return { header, payload };
+};
+
+/**
+ * Check the time-based registered claims of a JWT payload
+ * @param {Object} payload - JWT claims
+ * @param {Number} clockSkew - Tolerated clock skew in seconds
+ * @returns {Object} - expired / notYetValid flags
+ */
+const checkTimeClaims = (payload, clockSkew = 60) => {
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    expired: payload.exp !== undefined && payload.exp + clockSkew < now,
+    notYetValid: payload.nbf !== undefined && payload.nbf - clockSkew > now
+  };
+};
+
+/**
+ * Encode a credential as a VC-JWT
+ * @param {Object} credential - Unsigned credential (VC Data Model 1.1)
+ * @param {Object} options - kid and privateKeyPem
+ * @returns {String} - Compact JWT
+ */
+const createJwtVc = (credential, { kid, privateKeyPem }) => {
+  const vc = { ...credential };
+  VC_JWT_RESERVED.forEach(property => delete vc[property]);
+
+  const { id: subjectId, ...subjectClaims } = credential.credentialSubject || {};
+  vc.credentialSubject = subjectClaims;
+
+  const payload = {
+    iss: credential.issuer,
+    sub: subjectId,
+    jti: credential.id,
+    nbf: toNumericDate(credential.issuanceDate),
+    iat: Math.floor(Date.now() / 1000),
+    exp: toNumericDate(credential.expirationDate),
+    vc
+  };
+
+  return signJwt({ typ: 'JWT', kid }, payload, privateKeyPem);
+};
+
+/**
+ * Rebuild the VC Data Model credential carried by a VC-JWT payload
+ * @param {Object} payload - JWT claims
+ * @returns {Object} - Credential
+ */
+const jwtVcToCredential = (payload) => {
+  const vc = payload.vc || {};
+
+  return {
+    ...vc,
+    ...(payload.jti && { id: payload.jti }),
+    issuer: payload.iss,
+    ...(payload.nbf && { issuanceDate: new Date(payload.nbf * 1000).toISOString() }),
+    ...(payload.exp && { expirationDate: new Date(payload.exp * 1000).toISOString() }),
+    credentialSubject: { ...(payload.sub && { id: payload.sub }), ...(vc.credentialSubject || {}) }
+  };
+};
+
+/**
+ * Encode a credential as an SD-JWT VC
+ * @param {Object} credential - Unsigned credential (VC Data Model 1.1)
+ * @param {Object} options - Encoding options
+ * @param {String} options.kid - Issuer verification method ID
+ * @param {String} options.privateKeyPem - Issuer private key
+ * @param {Array<String>} options.selectiveDisclosure - Subject claims to make selectively disclosable (default: all)
+ * @param {Object} options.holderJwk - Holder public JWK for key binding (optional)
+ * @param {String} options.holderKid - Holder verification method ID for key binding (optional)
+ * @returns {Object} - Issuer-signed JWT, disclosures and the combined SD-JWT
+ */
+const createSdJwtVc = (credential, options) => {
+  const { kid, privateKeyPem, selectiveDisclosure, holderJwk, holderKid } = options;
+  const { id: subjectId, ...subjectClaims } = credential.credentialSubject || {};
+
+  const concealed = selectiveDisclosure || Object.keys(subjectClaims);
+  const payload = {
+    iss: credential.issuer,
+    sub: subjectId,
+    jti: credential.id,
+    iat: Math.floor(Date.now() / 1000),
+    nbf: toNumericDate(credential.issuanceDate),
+    exp: toNumericDate(credential.expirationDate),
+    vct: [].concat(credential.type).filter(t => t !== 'VerifiableCredential')[0] || 'VerifiableCredential',
+    _sd_alg: 'sha-256'
+  };
+
+  if (credential.credentialStatus) {
+    payload.status = credential.credentialStatus;
+  }
+
+  if (holderJwk) {
+    payload.cnf = { jwk: holderJwk };
+  } else if (holderKid) {
+    payload.cnf = { kid: holderKid };
+  }
+
+  const disclosures = [];
+  const digests = [];
+
+  for (const [name, value] of Object.entries(subjectClaims)) {
+    if (!concealed.includes(name)) {
+      payload[name] = value;
+      continue;
+    }
+
+    const disclosure = encodeSegment([crypto.randomBytes(16).toString('base64url'), name, value]);
+    disclosures.push(disclosure);
+    digests.push(sdHash(disclosure));
+  }
+
+  if (digests.length > 0) {
+    // Digests are sorted so their order does not reveal claim order
+    payload._sd = digests.sort();
+  }
+
+  const jwt = signJwt({ typ: 'vc+sd-jwt', kid }, payload, privateKeyPem);
+
+  return {
+    jwt,
+    disclosures,
+    sdJwt: `${jwt}~${disclosures.map(d => `${d}~`).join('')}`
+  };
+};
+
+/**
+ * Split an SD-JWT (or SD-JWT+KB) into its parts
+ * @param {String} sdJwt - Combined SD-JWT
+ * @returns {Object} - Issuer JWT, disclosures and key binding JWT
+ */
+const parseSdJwt = (sdJwt) => {
+  const parts = sdJwt.split('~');
+
+  if (parts.length < 2) {
+    throw new Error('Malformed SD-JWT');
+  }
+
+  const kbJwt = parts[parts.length - 1] || null;
+
+  return {
+    jwt: parts[0],
+    disclosures: parts.slice(1, -1).filter(Boolean),
+    kbJwt,
+    // Everything the key binding JWT's sd_hash covers
+    presentation: sdJwt.slice(0, sdJwt.length - (kbJwt ? kbJwt.length : 0))
+  };
+};
+
+/**
+ * Resolve the disclosed claims of an SD-JWT payload
+ * @param {Object} payload - Verified issuer JWT claims
+ * @param {Array<String>} disclosures - Presented disclosures
+ * @returns {Object} - Disclosed claims plus the always-visible claims
+ * @throws {Error} - If a disclosure is malformed, duplicated or not referenced by the issuer
+ */
+const resolveDisclosures = (payload, disclosures) => {
+  if (payload._sd_alg && payload._sd_alg !== 'sha-256') {
+    throw new Error(`Unsupported _sd_alg: ${payload._sd_alg}`);
+  }
+
+  const digests = new Set(payload._sd || []);
+  const seen = new Set();
+  const claims = {};
+
+  for (const disclosure of disclosures) {
+    const digest = sdHash(disclosure);
+
+    if (!digests.has(digest)) {
+      throw new Error('Disclosure is not referenced by the issuer-signed JWT');
+    }
+
+    if (seen.has(digest)) {
+      throw new Error('Duplicate disclosure');
+    }
+    seen.add(digest);
+
+    const decoded = decodeSegment(disclosure);
+    if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[1] !== 'string') {
+      throw new Error('Malformed disclosure');
+    }
+
+    const [, name, value] = decoded;
+    if (name === '_sd' || name === '...' || Object.prototype.hasOwnProperty.call(payload, name)) {
+      throw new Error(`Disclosure overwrites claim: ${name}`);
+    }
+
+    claims[name] = value;
+  }
+
+  const { _sd, _sd_alg, cnf, ...visible } = payload;
+
+  return { ...visible, ...claims };
+};
+
+/**
+ * Verify the key binding JWT of an SD-JWT presentation
+ * @param {String} kbJwt - Key binding JWT
+ * @param {String} presentation - SD-JWT up to and including the last "~"
+ * @param {KeyObject} holderKey - Holder public key from the cnf claim
+ * @param {Object} expected - Expected aud and nonce
+ * @returns {Object} - Key binding claims
+ * @throws {Error} - If the key binding is invalid
+ */
+const verifyKeyBinding = (kbJwt, presentation, holderKey, expected = {}) => {
+  const { header, payload } = verifyJwt(kbJwt, holderKey);
+
+  if (header.typ !== 'kb+jwt') {
+    throw new Error('Key binding JWT must have typ kb+jwt');
+  }
+
+  if (payload.sd_hash !== sdHash(presentation)) {
+    throw new Error('Key binding sd_hash does not match the presentation');
+  }
+
+  if (expected.audience !== undefined && payload.aud !== expected.audience) {
+    throw new Error('Key binding audience mismatch');
+  }
+
+  if (expected.nonce !== undefined && payload.nonce !== expected.nonce) {
+    throw new Error('Key binding nonce mismatch');
+  }
+
+  const maxAge = expected.maxAge || 300;
+  if (!payload.iat || Math.abs(Math.floor(Date.now() / 1000) - payload.iat) > maxAge) {
+    throw new Error('Key binding JWT is stale');
+  }
+
+  return payload;
+};
+
+/**
+ * Import a public JWK (OKP Ed25519, or EC secp256k1 or P-256)
+ * @param {Object} jwk - Public JWK
+ * @returns {KeyObject} - Node public key
+ */
+const publicKeyFromJwk = (jwk) => {
+  if (!jwk || !['OKP', 'EC'].includes(jwk.kty) || jwk.d) {
+    throw new Error('Expected a public OKP or EC JWK');
+  }
+
+  if (!['Ed25519', 'secp256k1', 'P-256'].includes(jwk.crv)) {
+    throw new Error(`Unsupported JWK curve: ${jwk.crv}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+module.exports = {
+  CREDENTIAL_FORMATS,
+  signJwt,
+  decodeJwt,
+  verifyJwt,
+  checkTimeClaims,
+  createJwtVc,
+  jwtVcToCredential,
+  createSdJwtVc,
+  parseSdJwt,
+  resolveDisclosures,
+  verifyKeyBinding,
+  publicKeyFromJwk,
+  sdHash
+};